@@ -5,6 +5,17 @@
  * - Gestion du salaire annuel avec formulaire et affichage
  * - Gestion des dépenses avec ajout, modification et suppression
  * - État global partagé via BudgetContext
+ * - Export et import du budget dans un fichier JSON
+ * - Import des dépenses réelles depuis un relevé bancaire CSV
+ * - Annulation et rétablissement de toutes les modifications
+ * - Signalement des dépenses assignées à une personne supprimée
+ * - Alerte lorsque le budget sauvegardé ne peut pas être restauré ou sauvegardé
+ * - Équilibrage des comptes entre les personnes du ménage
+ * - Choix de la devise et du format régional du ménage
+ * - Estimation de l'impôt sur le revenu du foyer fiscal
+ * - Objectifs d'épargne avec date cible et versement mensuel
+ * - Journal des dépenses réelles
+ * - Scénarios « et si » comparés au budget actuel
  * - Interface utilisateur organisée et intuitive
  *
  * Objectif : Fournir une interface complète pour la saisie
@@ -32,34 +43,36 @@ import SalaryForm from './components/budget/SalaryForm.jsx'
 import ExpenseForm from './components/budget/ExpenseForm.jsx'
 import ExpenseList from './components/budget/ExpenseList.jsx'
 import BudgetSummary from './components/budget/BudgetSummary.jsx'
+import BudgetFileActions from './components/budget/BudgetFileActions.jsx'
+import CsvImportWizard from './components/budget/CsvImportWizard.jsx'
+import HistoryPanel from './components/budget/HistoryPanel.jsx'
+import HouseholdSettingsDialog from './components/budget/HouseholdSettingsDialog.jsx'
+import OrphanExpensesBanner from './components/budget/OrphanExpensesBanner.jsx'
+import StorageAlertBanner from './components/budget/StorageAlertBanner.jsx'
+import SettleUpPanel from './components/budget/SettleUpPanel.jsx'
+import IncomeTaxSettings from './components/budget/IncomeTaxSettings.jsx'
+import SavingsGoalsPanel from './components/budget/SavingsGoalsPanel.jsx'
+import TransactionLedger from './components/budget/TransactionLedger.jsx'
+import ScenarioPanel from './components/budget/ScenarioPanel.jsx'
+import ScenarioComparison from './components/budget/ScenarioComparison.jsx'
 import { DEFAULT_PEOPLE } from './models/constants.js'
 import { generateFakeExpenses, generateFakeIncomes } from './utils/fakeData.js'
 import { generateUniqueId } from './utils/idGenerator.js'
 
 function AppContent() {
-  const { people, addPerson, addExpense, resetBudget } = useBudget()
+  const { people, addPerson, addFakeData, resetBudget } = useBudget()
   const [isLoadingFakeData, setIsLoadingFakeData] = useState(false)
   const [isResetDialogOpen, setIsResetDialogOpen] = useState(false)
 
   /**
-   * Charge et ajoute des données fictives (revenus et dépenses)
+   * Charge et ajoute des données fictives (revenus et dépenses), annulables en une seule fois
    */
   const loadFakeData = () => {
     if (isLoadingFakeData) return // Prevent multiple clicks
 
     setIsLoadingFakeData(true)
 
-    // Charger les revenus fictifs
-    const fakeIncomes = generateFakeIncomes()
-    fakeIncomes.forEach(person => {
-      addPerson(person)
-    })
-
-    // Charger les dépenses fictives
-    const fakeExpenses = generateFakeExpenses()
-    fakeExpenses.forEach(expense => {
-      addExpense(expense)
-    })
+    addFakeData(generateFakeIncomes(), generateFakeExpenses())
 
     setIsLoadingFakeData(false)
   }
@@ -96,6 +109,13 @@ function AppContent() {
               {isLoadingFakeData ? 'Chargement...' : 'Charger données fictives'}
             </Button>
 
+            <BudgetFileActions />
+
+            <CsvImportWizard />
+
+            <HistoryPanel />
+            <HouseholdSettingsDialog />
+
             <Dialog open={isResetDialogOpen} onOpenChange={setIsResetDialogOpen}>
               <DialogTrigger asChild>
                 <Button
@@ -112,7 +132,7 @@ function AppContent() {
                   <DialogDescription>
                     Êtes-vous sûr de vouloir réinitialiser toutes les données ?
                     Cette action supprimera tous les revenus, dépenses et autres données saisies.
-                    Cette action est irréversible.
+                    Vous pourrez l’annuler avec le bouton Annuler ou Ctrl+Z.
                   </DialogDescription>
                 </DialogHeader>
                 <DialogFooter>
@@ -134,6 +154,12 @@ function AppContent() {
           </div>
         </header>
 
+        <StorageAlertBanner />
+
+        <OrphanExpensesBanner />
+
+        <ScenarioPanel />
+
         {/* Section Saisie des données */}
         <div className="grid grid-cols-1 gap-8 mb-12">
           {/* Section Salaire */}
@@ -162,7 +188,10 @@ function AppContent() {
                   </Button>
                 </div>
               ) : (
-                <SalaryForm />
+                <>
+                  <SalaryForm />
+                  <IncomeTaxSettings />
+                </>
               )}
             </div>
           </div>
@@ -179,13 +208,26 @@ function AppContent() {
             <div className="bg-white p-8 rounded-xl border border-gray-200 shadow-lg hover:shadow-xl transition-shadow duration-300">
               <ExpenseList />
             </div>
+
+            <SavingsGoalsPanel />
+
+            <TransactionLedger />
           </div>
         </div>
 
-        {/* Section Résumé Budgétaire */}
+        {/* Section Résumé Budgétaire, avec l'équilibrage des comptes entre les personnes */}
         <div className="bg-white p-8 rounded-xl border border-gray-200 shadow-lg">
           <BudgetSummary />
+
+          {people.length > 1 && (
+            <div className="mt-8">
+              <SettleUpPanel />
+            </div>
+          )}
         </div>
+
+        {/* Section Comparaison des scénarios */}
+        <ScenarioComparison />
       </div>
     </div>
   )
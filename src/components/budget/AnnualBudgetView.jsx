@@ -2,11 +2,17 @@
  * Composant de vue budgétaire annuelle - Affichage du résumé budgétaire annuel avec graphiques
  *
  * Fonctionnalités métier :
- * - Affichage des revenus, dépenses et budget restant annuels
+ * - Affichage des revenus nets, dépenses et budget restant annuels
  * - Calcul et affichage du ratio de dépenses en pourcentage
  * - Répartition des dépenses par dépense individuelle avec graphique circulaire
  * - Évolution mensuelle des dépenses avec graphique en barres
+ * - Calculs limités à l'année budgétaire sélectionnée
+ * - Dépenses saisonnières comptées uniquement sur leurs mois actifs
  * - Codage couleur pour indiquer surplus ou déficit
+ * - Fourchettes basse / haute pour les dépenses saisies en fourchette
+ * - Montants et graphiques affichés dans la devise du ménage
+ * - Impôt sur le revenu estimé inclus dans les dépenses
+ * - Versements des objectifs d'épargne inclus dans les dépenses
  *
  * Objectif : Fournir une vue d'ensemble claire de la situation
  * budgétaire annuelle, avec des indicateurs visuels et graphiques
@@ -16,11 +22,16 @@
  * @author Équipe Développement
  */
 import { useBudget } from '../../contexts/BudgetContext.jsx'
-import { getAnnualAmount, getMonthlyAmount, calculatePersonAnnualBudget } from '../../utils/calculations.js'
-import { formatCurrency } from '../../utils/formatters.js'
-import { EXPENSE_CATEGORIES, EXPENSE_CATEGORY_LABELS, MONTH_LABELS, ALL_MONTHS, COMMON_EXPENSE_CATEGORIES, COMMON_EXPENSE_CATEGORY_LABELS, EXPENSE_CATEGORY_COLORS } from '../../models/constants.js'
+import { getExpenseAnnualProjection, sumMonthlyProjections, calculatePersonAnnualBudget } from '../../utils/calculations.js'
+import { useFormatters } from '../../hooks/useFormatters.js'
+import { getYearMonths, getMonthLabel } from '../../utils/calendar.js'
+import { getAnnualSocialContributions } from '../../utils/payroll.js'
+import { getPersonAnnualIncome, getHouseholdAnnualIncome } from '../../utils/income.js'
+import { EXPENSE_CATEGORY_LABELS, COMMON_EXPENSE_CATEGORIES, COMMON_EXPENSE_CATEGORY_LABELS, EXPENSE_CATEGORY_COLORS, UI_LABELS } from '../../models/constants.js'
 import { Card, CardContent, CardHeader, CardTitle } from '../ui/card.jsx'
-import { PieChart, Pie, Cell, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts'
+import { PieChart, Pie, Cell, BarChart, Bar, ErrorBar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts'
+import RangeHint from './RangeHint.jsx'
+import PersonBudgetCard from './PersonBudgetCard.jsx'
 
 /**
  * Composant d'affichage de la vue budgétaire annuelle
@@ -28,13 +39,15 @@ import { PieChart, Pie, Cell, BarChart, Bar, XAxis, YAxis, CartesianGrid, Toolti
  * Supporte les vues ménage et individuelles
  */
 function AnnualBudgetView({ viewMode = 'household' }) {
-  const { people, expenses, annualBudgetSummary } = useBudget()
+  const { people, expenses, settings, savingsGoals, annualBudgetSummary, selectedYear } = useBudget()
+  const { formatCurrency } = useFormatters()
 
   // Calculs pour la vue individuelle
   const personBudgets = viewMode === 'per-person'
     ? people.map(person => ({
         ...person,
-        budget: calculatePersonAnnualBudget(person.id, people, expenses)
+        income: getPersonAnnualIncome(person, selectedYear),
+        budget: calculatePersonAnnualBudget(person.id, people, expenses, { year: selectedYear, settings, savingsGoals })
       })).filter(person => person.budget) // Filtrer les personnes sans budget
     : []
 
@@ -74,29 +87,34 @@ function AnnualBudgetView({ viewMode = 'household' }) {
   // Données pour le graphique circulaire (répartition par dépense individuelle)
   const pieChartData = expenses.map((expense, index) => ({
     name: expense.name,
-    value: getAnnualAmount(expense.amount, expense.frequency),
+    value: getExpenseAnnualProjection(expense, selectedYear, settings).expected,
     color: expenseColors[index % expenseColors.length]
   })).filter(item => item.value > 0) // Ne montrer que les dépenses avec un montant positif
 
-  // Calcul des dépenses mensuelles totales
-  const monthlyExpensesData = ALL_MONTHS.map(month => {
-    const totalForMonth = expenses.reduce((total, expense) => {
-      if (expense.months && expense.months.includes(month)) {
-        return total + getMonthlyAmount(expense.amount, expense.frequency)
-      }
-      return total
-    }, 0)
+  // Calcul des dépenses mensuelles totales (attendues, avec écart bas / haut)
+  const monthlyExpensesData = getYearMonths(selectedYear).map(month => {
+    const totalsForMonth = sumMonthlyProjections(expenses, month, settings)
 
     return {
-      month: MONTH_LABELS[month] || month,
-      amount: Math.round(totalForMonth * 100) / 100
+      month: getMonthLabel(month),
+      amount: Math.round(totalsForMonth.expected * 100) / 100,
+      // Écart à afficher de part et d'autre du montant attendu
+      spread: [
+        Math.round((totalsForMonth.expected - totalsForMonth.low) * 100) / 100,
+        Math.round((totalsForMonth.high - totalsForMonth.expected) * 100) / 100
+      ]
     }
   })
 
-  // Calcul des dépenses par catégorie
+  // Calcul des dépenses par catégorie (attendues, basses et hautes)
   const categoryTotals = expenses.reduce((acc, expense) => {
-    const amount = getAnnualAmount(expense.amount, expense.frequency)
-    acc[expense.category] = (acc[expense.category] || 0) + amount
+    const projection = getExpenseAnnualProjection(expense, selectedYear, settings)
+    const current = acc[expense.category] || { low: 0, expected: 0, high: 0 }
+    acc[expense.category] = {
+      low: current.low + projection.low,
+      expected: current.expected + projection.expected,
+      high: current.high + projection.high
+    }
     return acc
   }, {})
 
@@ -114,58 +132,21 @@ function AnnualBudgetView({ viewMode = 'household' }) {
   return (
     <div className="w-full space-y-6">
       <h2 className="text-2xl font-bold text-center">
-        Vue Budgétaire Annuelle {viewMode === 'per-person' ? '- Individuelle' : '- Ménage'}
+        Vue Budgétaire Annuelle {selectedYear} {viewMode === 'per-person' ? '- Individuelle' : '- Ménage'}
       </h2>
 
       {viewMode === 'per-person' ? (
         /* Vue Individuelle */
         <div className="w-full space-y-6">
           {personBudgets.map(person => (
-            <Card key={person.id} className="w-full">
-              <CardHeader>
-                <CardTitle className="flex items-center space-x-2">
-                  <div
-                    className="w-4 h-4 rounded-full"
-                    style={{ backgroundColor: person.color === 'pink' ? '#ec4899' : '#3b82f6' }}
-                  />
-                  <span>{person.name}</span>
-                </CardTitle>
-              </CardHeader>
-              <CardContent>
-                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
-                  <div>
-                    <div className="text-sm font-medium text-muted-foreground">Salaire Annuel</div>
-                    <div className="text-xl font-bold">{formatCurrency(person.salary || 0)}</div>
-                  </div>
-                  <div>
-                    <div className="text-sm font-medium text-muted-foreground">Dépenses Personnelles</div>
-                    <div className="text-xl font-bold">{formatCurrency(person.budget.personalExpenses)}</div>
-                  </div>
-                  <div>
-                    <div className="text-sm font-medium text-muted-foreground">Part Dépenses Communes</div>
-                    <div className="text-xl font-bold">{formatCurrency(person.budget.sharedExpenses)}</div>
-                  </div>
-                  <div>
-                    <div className="text-sm font-medium text-muted-foreground">Budget Restant</div>
-                    <div className={`text-xl font-bold ${person.budget.isPositive ? 'text-green-600' : 'text-red-600'}`}>
-                      {formatCurrency(person.budget.remainingBudget)}
-                    </div>
-                  </div>
-                </div>
-                <div className="mt-4 pt-4 border-t">
-                  <div className="flex justify-between items-center">
-                    <span className="font-medium">Total Dépenses</span>
-                    <span className="font-bold">{formatCurrency(person.budget.totalExpenses)}</span>
-                  </div>
-                  <div className="flex justify-between items-center mt-2">
-                    <span className="font-medium">Ratio de Dépenses</span>
-                    <span className={`font-bold ${person.budget.budgetRatio > 0.8 ? 'text-red-600' : person.budget.budgetRatio > 0.6 ? 'text-yellow-600' : 'text-green-600'}`}>
-                      {(person.budget.budgetRatio * 100).toFixed(1)}%
-                    </span>
-                  </div>
-                </div>
-              </CardContent>
-            </Card>
+            <PersonBudgetCard
+              key={person.id}
+              person={person}
+              budget={person.budget}
+              income={person.income}
+              grossIncome={person.income + getAnnualSocialContributions(person)}
+              incomeLabel="Revenus Annuels Nets"
+            />
           ))}
         </div>
       ) : (
@@ -176,12 +157,12 @@ function AnnualBudgetView({ viewMode = 'household' }) {
             <Card>
               <CardHeader className="pb-2">
                 <CardTitle className="text-sm font-medium text-muted-foreground">
-                  Revenus Annuels
+                  Revenus Annuels Nets
                 </CardTitle>
               </CardHeader>
               <CardContent>
                 <div className="text-2xl font-bold">
-                  {formatCurrency(people.reduce((total, person) => total + (person.salary || 0), 0))}
+                  {formatCurrency(getHouseholdAnnualIncome(people, selectedYear))}
                 </div>
               </CardContent>
             </Card>
@@ -196,6 +177,17 @@ function AnnualBudgetView({ viewMode = 'household' }) {
                 <div className="text-2xl font-bold">
                   {formatCurrency(annualBudgetSummary.totalExpenses)}
                 </div>
+                <RangeHint low={annualBudgetSummary.totalExpensesLow} high={annualBudgetSummary.totalExpensesHigh} />
+                {annualBudgetSummary.incomeTax > 0 && (
+                  <p className="text-xs text-muted-foreground">
+                    dont {UI_LABELS.INCOME_TAX.toLowerCase()} : {formatCurrency(annualBudgetSummary.incomeTax)}
+                  </p>
+                )}
+                {annualBudgetSummary.savingsContributions > 0 && (
+                  <p className="text-xs text-muted-foreground">
+                    dont {UI_LABELS.SAVINGS_CONTRIBUTIONS.toLowerCase()} : {formatCurrency(annualBudgetSummary.savingsContributions)}
+                  </p>
+                )}
               </CardContent>
             </Card>
 
@@ -209,6 +201,7 @@ function AnnualBudgetView({ viewMode = 'household' }) {
                 <div className={`text-2xl font-bold ${remainingColorClass}`}>
                   {formatCurrency(annualBudgetSummary.remainingBudget)}
                 </div>
+                <RangeHint low={annualBudgetSummary.remainingBudgetLow} high={annualBudgetSummary.remainingBudgetHigh} />
               </CardContent>
             </Card>
 
@@ -280,7 +273,11 @@ function AnnualBudgetView({ viewMode = 'household' }) {
                 />
                 <YAxis tickFormatter={(value) => formatCurrency(value)} />
                 <Tooltip formatter={(value) => [formatCurrency(value), 'Dépenses']} />
-                <Bar dataKey="amount" fill="#3b82f6" />
+                <Bar dataKey="amount" fill="#3b82f6">
+                  {annualBudgetSummary.hasRange && (
+                    <ErrorBar dataKey="spread" width={6} strokeWidth={2} stroke="#1e3a8a" />
+                  )}
+                </Bar>
               </BarChart>
             </ResponsiveContainer>
           </CardContent>
@@ -294,7 +291,7 @@ function AnnualBudgetView({ viewMode = 'household' }) {
         </CardHeader>
         <CardContent>
           <div className="space-y-4">
-            {Object.entries(categoryTotals).map(([categoryKey, amount]) => (
+            {Object.entries(categoryTotals).map(([categoryKey, totals]) => (
               <div key={categoryKey} className="flex justify-between items-center">
                 <div className="flex items-center space-x-2">
                   <div
@@ -305,15 +302,21 @@ function AnnualBudgetView({ viewMode = 'household' }) {
                     {COMMON_EXPENSE_CATEGORY_LABELS[categoryKey] || EXPENSE_CATEGORY_LABELS[categoryKey] || categoryKey}
                   </span>
                 </div>
-                <span className="font-bold">
-                  {formatCurrency(amount)}
-                </span>
+                <div className="text-right">
+                  <span className="font-bold">
+                    {formatCurrency(totals.expected)}
+                  </span>
+                  <RangeHint low={totals.low} high={totals.high} />
+                </div>
               </div>
             ))}
             <div className="border-t pt-4">
               <div className="flex justify-between items-center font-bold">
                 <span>Total</span>
-                <span>{formatCurrency(annualBudgetSummary.totalExpenses)}</span>
+                <div className="text-right">
+                  <span>{formatCurrency(annualBudgetSummary.totalExpenses)}</span>
+                  <RangeHint low={annualBudgetSummary.totalExpensesLow} high={annualBudgetSummary.totalExpensesHigh} />
+                </div>
               </div>
             </div>
           </div>
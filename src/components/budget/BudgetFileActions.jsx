@@ -0,0 +1,232 @@
+/**
+ * Composant d'export et d'import du budget - Sauvegarde du budget dans un fichier JSON
+ *
+ * Fonctionnalités métier :
+ * - Téléchargement du budget complet (personnes, dépenses, paramètres, règlements, objectifs d'épargne, dépenses réelles, scénarios)
+ * - Sélection d'un fichier de budget à importer
+ * - Rapport de validation avant import (enregistrements et paramètres acceptés ou rejetés)
+ * - Message d'erreur si le fichier ne peut pas être lu ou si l'export échoue
+ * - Choix entre remplacement et fusion du budget actuel
+ *
+ * Objectif : Permettre à l'utilisateur de sauvegarder son budget
+ * et de le retrouver sur un autre appareil, en gardant le contrôle
+ * sur les données réellement importées.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+import { useState, useRef, useId } from 'react'
+import { Download, FileUp, AlertTriangle, CheckCircle } from 'lucide-react'
+import { useBudget } from '../../contexts/BudgetContext.jsx'
+import { downloadBudgetExport, parseBudgetFile } from '../../utils/budgetFile.js'
+import { IMPORT_MODES, IMPORT_MODE_LABELS, VALIDATION_MESSAGES } from '../../models/constants.js'
+import { Button } from '../ui/button.jsx'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle
+} from '../ui/dialog.jsx'
+
+// Libellés des types d'enregistrements dans le rapport d'import
+const RECORD_TYPE_LABELS = {
+  person: 'Personne',
+  expense: 'Dépense',
+  settlement: 'Règlement',
+  savingsGoal: 'Objectif d\'épargne',
+  transaction: 'Dépense réelle',
+  scenario: 'Scénario',
+  settings: 'Paramètres du ménage',
+  exchangeRate: 'Taux de change',
+  categoryEnvelope: 'Enveloppe'
+}
+
+/**
+ * Boutons d'export et d'import du budget avec dialogue de validation de l'import
+ * @returns {JSX.Element} Actions sur le fichier de budget
+ */
+function BudgetFileActions() {
+  // Le budget actuel est exporté même lorsqu'un scénario est ouvert
+  const { baseBudget, settings, settlements, savingsGoals, transactions, scenarios, importBudget } = useBudget()
+  const fileInputRef = useRef(null)
+  const fieldIdPrefix = useId()
+  const [importResult, setImportResult] = useState(null)
+  const [importMode, setImportMode] = useState(IMPORT_MODES.REPLACE)
+  const [exportError, setExportError] = useState(null)
+
+  const importableCount = importResult
+    ? importResult.people.length + importResult.expenses.length + importResult.savingsGoals.length + importResult.transactions.length + importResult.scenarios.length
+    : 0
+
+  /**
+   * Télécharge le budget actuel
+   */
+  const handleExport = () => {
+    const isDownloaded = downloadBudgetExport({ ...baseBudget, settings, settlements, savingsGoals, transactions, scenarios })
+    setExportError(isDownloaded ? null : VALIDATION_MESSAGES.EXPORT_FAILED)
+  }
+
+  /**
+   * Lit le fichier choisi et prépare le rapport de validation
+   */
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0]
+    // Permet de re-sélectionner le même fichier après correction
+    event.target.value = ''
+    if (!file) return
+
+    setImportMode(IMPORT_MODES.REPLACE)
+    try {
+      setImportResult(parseBudgetFile(await file.text()))
+    } catch (error) {
+      // Fichier illisible (supprimé entre-temps, droits insuffisants...) : affiché dans le dialogue
+      setImportResult({ fileError: VALIDATION_MESSAGES.FILE_READ_FAILED })
+    }
+  }
+
+  /**
+   * Applique l'import selon le mode choisi
+   */
+  const handleImportConfirm = () => {
+    importBudget(
+      {
+        people: importResult.people,
+        expenses: importResult.expenses,
+        settings: importResult.settings,
+        settlements: importResult.settlements,
+        savingsGoals: importResult.savingsGoals,
+        transactions: importResult.transactions,
+        scenarios: importResult.scenarios
+      },
+      importMode
+    )
+    setImportResult(null)
+  }
+
+  return (
+    <>
+      <Button
+        onClick={handleExport}
+        variant="outline"
+        className="flex items-center gap-2"
+      >
+        <Download className="w-4 h-4" />
+        Exporter
+      </Button>
+      {exportError && (
+        <span className="flex items-center gap-1 text-sm text-red-600">
+          <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+          {exportError}
+        </span>
+      )}
+
+      <Button
+        onClick={() => fileInputRef.current?.click()}
+        variant="outline"
+        className="flex items-center gap-2"
+      >
+        <FileUp className="w-4 h-4" />
+        Importer
+      </Button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="application/json,.json"
+        onChange={handleFileChange}
+        className="hidden"
+      />
+
+      <Dialog open={Boolean(importResult)} onOpenChange={(open) => !open && setImportResult(null)}>
+        <DialogContent className="max-h-[90vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle>Importer un budget</DialogTitle>
+            <DialogDescription>
+              Vérifiez le contenu du fichier avant de l’importer.
+            </DialogDescription>
+          </DialogHeader>
+
+          {importResult?.fileError ? (
+            <div className="flex items-start gap-2 text-sm text-red-600">
+              <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+              <span>{importResult.fileError}</span>
+            </div>
+          ) : importResult && (
+            <div className="space-y-4">
+              <div className="flex items-center gap-2 text-sm text-green-700">
+                <CheckCircle className="w-4 h-4 flex-shrink-0" />
+                <span>
+                  {importResult.people.length} personne(s), {importResult.expenses.length} dépense(s), {importResult.savingsGoals.length} objectif(s) d’épargne, {importResult.transactions.length} dépense(s) réelle(s) et {importResult.scenarios.length} scénario(s) prêts à être importés
+                </span>
+              </div>
+
+              {importResult.recordErrors.length > 0 && (
+                <div className="space-y-2">
+                  <p className="flex items-center gap-2 text-sm font-medium text-red-600">
+                    <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+                    {importResult.recordErrors.length} enregistrement(s) ignoré(s)
+                  </p>
+                  <ul className="space-y-2 text-sm">
+                    {importResult.recordErrors.map(recordError => (
+                      <li
+                        key={`${recordError.recordType}-${recordError.index}`}
+                        className="rounded border border-red-200 bg-red-50 p-2"
+                      >
+                        <span className="font-medium">
+                          {RECORD_TYPE_LABELS[recordError.recordType]}
+                          {recordError.recordType !== 'settings' && ` n°${recordError.index + 1}`}
+                          {recordError.name ? ` (${recordError.name})` : ''}
+                        </span>
+                        <ul className="list-disc pl-5 text-red-700">
+                          {recordError.messages.map(message => (
+                            <li key={message}>{message}</li>
+                          ))}
+                        </ul>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              <div className="space-y-2">
+                {Object.values(IMPORT_MODES).map(mode => (
+                  <label key={mode} className="flex items-center space-x-2 cursor-pointer">
+                    <input
+                      type="radio"
+                      name={`${fieldIdPrefix}-import-mode`}
+                      value={mode}
+                      checked={importMode === mode}
+                      onChange={(e) => setImportMode(e.target.value)}
+                      className="text-primary focus:ring-primary"
+                    />
+                    <span className="text-sm">{IMPORT_MODE_LABELS[mode]}</span>
+                  </label>
+                ))}
+                {importMode === IMPORT_MODES.MERGE && (
+                  <p className="text-xs text-muted-foreground">
+                    Les personnes et dépenses de même identifiant seront remplacées par celles du fichier.
+                  </p>
+                )}
+              </div>
+            </div>
+          )}
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setImportResult(null)}>
+              Annuler
+            </Button>
+            <Button
+              onClick={handleImportConfirm}
+              disabled={Boolean(importResult?.fileError) || importableCount === 0}
+            >
+              Importer
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </>
+  )
+}
+
+export default BudgetFileActions
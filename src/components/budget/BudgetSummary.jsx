@@ -4,9 +4,12 @@
  * Fonctionnalités métier :
  * - Basculement entre les vues annuelles et mensuelles du budget
  * - Basculement entre les vues ménage et individuelles
+ * - Sélection de l'année budgétaire analysée
+ * - Choix de la répartition des dépenses communes en vue individuelle
  * - Affichage organisé des données budgétaires calculées
  * - Interface utilisateur intuitive avec boutons de navigation
  * - Support des budgets personnels avec couleurs individuelles
+ * - Tableau des enveloppes par catégorie (plafonds et montants prévus)
  *
  * Objectif : Fournir une vue d'ensemble claire et navigable
  * des données budgétaires, permettant aux utilisateurs de
@@ -20,7 +23,12 @@ import { useState } from 'react'
 import { Calendar, CalendarDays, Users, User } from 'lucide-react'
 import AnnualBudgetView from './AnnualBudgetView.jsx'
 import MonthlyBudgetView from './MonthlyBudgetView.jsx'
+import SplitPolicySettings from './SplitPolicySettings.jsx'
+import CategoryEnvelopes from './CategoryEnvelopes.jsx'
 import { Button } from '../ui/button.jsx'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select.jsx'
+import { useBudget } from '../../contexts/BudgetContext.jsx'
+import { UI_LABELS } from '../../models/constants.js'
 
 /**
  * Composant principal de résumé budgétaire
@@ -29,6 +37,7 @@ import { Button } from '../ui/button.jsx'
 function BudgetSummary() {
   const [currentView, setCurrentView] = useState('annual') // 'annual' ou 'monthly'
   const [viewMode, setViewMode] = useState('household') // 'household' ou 'per-person'
+  const { selectedYear, setSelectedYear, availableYears } = useBudget()
 
   return (
     <div className="w-full space-y-6">
@@ -89,8 +98,30 @@ function BudgetSummary() {
             Vue Mensuelle
           </Button>
         </div>
+
+        {/* Sélection de l'année budgétaire */}
+        <div className="flex items-center justify-center space-x-2">
+          <span className="text-sm font-medium text-muted-foreground">{UI_LABELS.YEAR}</span>
+          <Select
+            value={String(selectedYear)}
+            onValueChange={(value) => setSelectedYear(Number(value))}
+          >
+            <SelectTrigger className="w-[120px]">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {availableYears.map(year => (
+                <SelectItem key={year} value={String(year)}>
+                  {year}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
       </div>
 
+      {viewMode === 'per-person' && <SplitPolicySettings />}
+
       {/* Affichage de la vue sélectionnée */}
       <div className="mt-6">
         {currentView === 'annual' ? (
@@ -99,6 +130,8 @@ function BudgetSummary() {
           <MonthlyBudgetView viewMode={viewMode} />
         )}
       </div>
+
+      <CategoryEnvelopes />
     </div>
   )
 }
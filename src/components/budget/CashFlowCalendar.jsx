@@ -0,0 +1,157 @@
+/**
+ * Composant de trésorerie au jour le jour - Calendrier du solde du compte
+ *
+ * Fonctionnalités métier :
+ * - Calendrier du mois sélectionné avec le solde projeté en fin de journée
+ * - Opérations de chaque jour (salaires, revenus, dépenses, impôt, épargne)
+ * - Point bas du mois mis en évidence, avec alerte en cas de découvert prévu
+ * - Point bas de chaque mois de l'année budgétaire
+ * - Saisie du solde du compte au 1er janvier
+ *
+ * Objectif : Montrer au ménage que son compte peut passer dans le rouge
+ * en cours de mois (loyer le 1er, salaire le 28) même quand le budget
+ * mensuel est équilibré.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+import { useState, useMemo, useId } from 'react'
+import { CalendarDays, AlertTriangle } from 'lucide-react'
+import { useBudget } from '../../contexts/BudgetContext.jsx'
+import { useFormatters } from '../../hooks/useFormatters.js'
+import { calculateYearCashFlow } from '../../utils/cashFlow.js'
+import { getMonthLabel, parseMonthKey } from '../../utils/calendar.js'
+import { UI_LABELS } from '../../models/constants.js'
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card.jsx'
+import { Input } from '../ui/input.jsx'
+import { Label } from '../ui/label.jsx'
+
+// Jours de la semaine affichés en en-tête du calendrier (semaine commençant le lundi)
+const WEEKDAY_LABELS = ['Lun', 'Mar', 'Mer', 'Jeu', 'Ven', 'Sam', 'Dim']
+
+/**
+ * Calendrier de trésorerie du mois sélectionné
+ * @param {object} props - Propriétés du composant
+ * @param {string} props.month - Mois affiché (format YYYY-MM)
+ * @returns {JSX.Element} Solde projeté jour par jour et points bas de l'année
+ */
+function CashFlowCalendar({ month }) {
+  const { people, expenses, settings, savingsGoals, updateSettings } = useBudget()
+  const { currencySymbol, formatCurrency } = useFormatters()
+  const fieldIdPrefix = useId()
+  const [openingBalanceInput, setOpeningBalanceInput] = useState(String(settings.openingBalance ?? ''))
+  const { year, month: monthNumber } = parseMonthKey(month)
+
+  const yearCashFlow = useMemo(() => {
+    return calculateYearCashFlow(people, expenses, {
+      year,
+      openingBalance: Number(settings.openingBalance) || 0,
+      settings,
+      savingsGoals
+    })
+  }, [people, expenses, settings, savingsGoals, year])
+
+  const monthCashFlow = yearCashFlow[monthNumber - 1]
+  const lowestDate = `${monthCashFlow.lowestDay} ${getMonthLabel(month).toLowerCase()}`
+
+  // Cases vides avant le premier jour du mois (lundi = première colonne)
+  const leadingBlankDays = (new Date(year, monthNumber - 1, 1).getDay() + 6) % 7
+
+  /**
+   * Enregistre le solde au 1er janvier saisi
+   */
+  const handleOpeningBalanceBlur = () => {
+    const openingBalance = parseFloat(openingBalanceInput)
+    updateSettings({ openingBalance: isNaN(openingBalance) ? undefined : openingBalance })
+  }
+
+  return (
+    <Card className="w-full">
+      <CardHeader className="flex flex-row flex-wrap items-end justify-between gap-4">
+        <CardTitle className="flex items-center">
+          <CalendarDays className="w-5 h-5 mr-2" />
+          {UI_LABELS.CASH_FLOW} - {getMonthLabel(month, true)}
+        </CardTitle>
+        <div className="space-y-1">
+          <Label htmlFor={`${fieldIdPrefix}-opening-balance`} className="text-sm">
+            {UI_LABELS.OPENING_BALANCE} {year} ({currencySymbol})
+          </Label>
+          <Input
+            id={`${fieldIdPrefix}-opening-balance`}
+            type="text"
+            inputMode="decimal"
+            value={openingBalanceInput}
+            onChange={(e) => setOpeningBalanceInput(e.target.value.replace(/[^0-9.,-]/g, '').replace(',', '.'))}
+            onBlur={handleOpeningBalanceBlur}
+            placeholder="0"
+            className="w-[180px]"
+          />
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {monthCashFlow.lowestBalance < 0 ? (
+          <div className="flex items-start gap-2 rounded-md border border-orange-300 bg-orange-50 p-3 text-sm text-orange-900">
+            <AlertTriangle className="w-4 h-4 mt-0.5 shrink-0" />
+            <span>
+              Découvert prévu : le solde descend à {formatCurrency(monthCashFlow.lowestBalance)} le {lowestDate}.
+            </span>
+          </div>
+        ) : (
+          <p className="text-sm text-muted-foreground">
+            {UI_LABELS.LOWEST_BALANCE} du mois : {formatCurrency(monthCashFlow.lowestBalance)} le {lowestDate}.
+          </p>
+        )}
+
+        <div className="grid grid-cols-7 gap-1 text-xs">
+          {WEEKDAY_LABELS.map(label => (
+            <div key={label} className="py-1 text-center font-medium text-muted-foreground">{label}</div>
+          ))}
+          {Array.from({ length: leadingBlankDays }, (_, index) => (
+            <div key={`blank-${index}`} />
+          ))}
+          {monthCashFlow.days.map(day => {
+            const isLowest = day.day === monthCashFlow.lowestDay
+
+            return (
+              <div
+                key={day.date}
+                title={day.events.map(event => `${event.label} : ${formatCurrency(event.amount)}`).join('\n')}
+                className={`min-h-[64px] rounded-md border p-1 ${isLowest ? 'border-2 border-orange-400' : ''} ${day.balance < 0 ? 'bg-red-50' : ''}`}
+              >
+                <div className="font-medium">{day.day}</div>
+                {day.net !== 0 && (
+                  <div className={day.net > 0 ? 'text-green-600' : 'text-red-600'}>
+                    {day.net > 0 ? '+' : ''}{formatCurrency(day.net)}
+                  </div>
+                )}
+                <div className={`font-semibold ${day.balance < 0 ? 'text-red-600' : ''}`}>
+                  {formatCurrency(day.balance)}
+                </div>
+              </div>
+            )
+          })}
+        </div>
+
+        <div className="space-y-2">
+          <h4 className="text-sm font-semibold">{UI_LABELS.LOWEST_BALANCE} de chaque mois</h4>
+          <div className="grid grid-cols-3 md:grid-cols-6 gap-2 text-xs">
+            {yearCashFlow.map(monthFlow => (
+              <div
+                key={monthFlow.month}
+                className={`rounded-md border p-2 ${monthFlow.month === month ? 'border-blue-400' : ''} ${monthFlow.lowestBalance < 0 ? 'bg-red-50' : ''}`}
+              >
+                <div className="text-muted-foreground">{getMonthLabel(monthFlow.month)}</div>
+                <div className={`font-semibold ${monthFlow.lowestBalance < 0 ? 'text-red-600' : ''}`}>
+                  {formatCurrency(monthFlow.lowestBalance)}
+                </div>
+                <div className="text-muted-foreground">le {monthFlow.lowestDay}</div>
+              </div>
+            ))}
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default CashFlowCalendar
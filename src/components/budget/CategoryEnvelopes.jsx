@@ -0,0 +1,254 @@
+/**
+ * Composant des enveloppes par catégorie - Plafonds de dépenses et consommation prévue
+ *
+ * Fonctionnalités métier :
+ * - Tableau plafond / prévu de chaque enveloppe sur l'année budgétaire sélectionnée
+ * - Barre de consommation colorée (vert, orange à partir de 80 %, rouge au-delà du plafond)
+ * - Enveloppes mensuelles comparées au mois le plus chargé de l'année
+ * - Ajout d'une enveloppe mensuelle ou annuelle, pour le ménage ou pour une personne
+ * - Suppression d'une enveloppe
+ *
+ * Objectif : Donner au ménage un budget par poste de dépenses
+ * et montrer d'un coup d'œil les postes qui dépassent leur plafond.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+import { useState, useMemo } from 'react'
+import { Gauge, Plus, Trash2 } from 'lucide-react'
+import { useBudget } from '../../contexts/BudgetContext.jsx'
+import { useFormatters } from '../../hooks/useFormatters.js'
+import { getCategoryEnvelopes, calculateEnvelopeUsage } from '../../utils/envelopes.js'
+import { validateCategoryEnvelope } from '../../utils/validators.js'
+import { generateUniqueId } from '../../utils/idGenerator.js'
+import { getMonthLabel } from '../../utils/calendar.js'
+import {
+  COMMON_EXPENSE_CATEGORIES,
+  COMMON_EXPENSE_CATEGORY_LABELS,
+  ENVELOPE_PERIODS,
+  ENVELOPE_PERIOD_LABELS,
+  UI_LABELS
+} from '../../models/constants.js'
+import { Button } from '../ui/button.jsx'
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card.jsx'
+import { Input } from '../ui/input.jsx'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select.jsx'
+
+// Valeur du sélecteur de personne pour une enveloppe de tout le ménage
+const HOUSEHOLD = 'household'
+
+// Valeurs initiales du formulaire d'ajout
+const EMPTY_ENVELOPE = {
+  category: COMMON_EXPENSE_CATEGORIES.FOOD,
+  period: ENVELOPE_PERIODS.MONTHLY,
+  personId: HOUSEHOLD,
+  amount: ''
+}
+
+/**
+ * Retourne la couleur de la barre de consommation d'une enveloppe
+ * @param {number} ratio - Ratio prévu / plafond
+ * @returns {string} Classe Tailwind de couleur
+ */
+const getUsageColor = (ratio) => {
+  if (ratio > 1) return 'bg-red-500'
+  if (ratio >= 0.8) return 'bg-orange-400'
+  return 'bg-green-500'
+}
+
+/**
+ * Tableau des enveloppes par catégorie avec formulaire d'ajout
+ * @returns {JSX.Element} Enveloppes, consommation prévue et ajout
+ */
+function CategoryEnvelopes() {
+  const { people, expenses, settings, savingsGoals, selectedYear, updateSettings } = useBudget()
+  const { currencySymbol, formatCurrency } = useFormatters()
+  const envelopes = getCategoryEnvelopes(settings)
+  const [formData, setFormData] = useState(EMPTY_ENVELOPE)
+  const [errors, setErrors] = useState({})
+
+  const envelopeUsages = useMemo(() => {
+    return envelopes.map(envelope => ({
+      envelope,
+      usage: calculateEnvelopeUsage(envelope, people, expenses, { year: selectedYear, settings, savingsGoals })
+    }))
+  }, [envelopes, people, expenses, settings, savingsGoals, selectedYear])
+
+  /**
+   * Retourne le nom d'une personne
+   * @param {string} personId - ID de la personne
+   * @returns {string} Nom affiché
+   */
+  const getPersonName = (personId) => {
+    return people.find(person => person.id === personId)?.name || 'Sans nom'
+  }
+
+  /**
+   * Ajoute l'enveloppe saisie aux paramètres du ménage
+   */
+  const handleAdd = () => {
+    const envelope = {
+      category: formData.category,
+      period: formData.period,
+      personId: formData.personId === HOUSEHOLD ? undefined : formData.personId,
+      amount: parseFloat(formData.amount)
+    }
+
+    const validation = validateCategoryEnvelope(envelope, envelopes)
+    if (!validation.isValid) {
+      setErrors(validation.errors)
+      return
+    }
+
+    updateSettings({ categoryEnvelopes: [...envelopes, { ...envelope, id: generateUniqueId() }] })
+    setFormData(EMPTY_ENVELOPE)
+    setErrors({})
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center text-xl">
+          <Gauge className="w-5 h-5 mr-2" />
+          {UI_LABELS.CATEGORY_ENVELOPES} {selectedYear}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {envelopeUsages.length === 0 ? (
+          <p className="text-sm text-muted-foreground">
+            Aucune enveloppe. Fixez un plafond par catégorie pour être alerté avant de le dépasser.
+          </p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b text-left text-muted-foreground">
+                  <th className="py-2 pr-2 font-medium">{UI_LABELS.CATEGORY}</th>
+                  <th className="py-2 pr-2 font-medium">Période</th>
+                  <th className="py-2 pr-2 text-right font-medium">{UI_LABELS.ENVELOPE_LIMIT}</th>
+                  <th className="py-2 pr-2 text-right font-medium">{UI_LABELS.PLANNED}</th>
+                  <th className="py-2 pr-2 font-medium">Consommation</th>
+                  <th className="py-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {envelopeUsages.map(({ envelope, usage }) => (
+                  <tr key={envelope.id} className="border-b last:border-0">
+                    <td className="py-2 pr-2">
+                      <div className="font-medium">{COMMON_EXPENSE_CATEGORY_LABELS[envelope.category]}</div>
+                      <div className="text-xs text-muted-foreground">
+                        {envelope.personId ? getPersonName(envelope.personId) : 'Ménage'}
+                      </div>
+                    </td>
+                    <td className="py-2 pr-2">
+                      {ENVELOPE_PERIOD_LABELS[envelope.period]}
+                      {usage.peakMonth && (
+                        <div className="text-xs text-muted-foreground">
+                          mois le plus chargé : {getMonthLabel(usage.peakMonth).toLowerCase()}
+                        </div>
+                      )}
+                    </td>
+                    <td className="py-2 pr-2 text-right">{formatCurrency(envelope.amount)}</td>
+                    <td className={`py-2 pr-2 text-right ${usage.isOverLimit ? 'font-semibold text-red-600' : ''}`}>
+                      {formatCurrency(usage.planned)}
+                    </td>
+                    <td className="py-2 pr-2 min-w-[140px]">
+                      <div
+                        className="h-2 w-full overflow-hidden rounded-full bg-gray-200"
+                        role="progressbar"
+                        aria-valuemin={0}
+                        aria-valuemax={100}
+                        aria-valuenow={Math.round(usage.ratio * 100)}
+                      >
+                        <div
+                          className={`h-full rounded-full ${getUsageColor(usage.ratio)}`}
+                          style={{ width: `${Math.min(1, usage.ratio) * 100}%` }}
+                        />
+                      </div>
+                      <div className={`text-xs ${usage.isOverLimit ? 'text-red-600' : 'text-muted-foreground'}`}>
+                        {usage.isOverLimit
+                          ? `Dépassement de ${formatCurrency(-usage.remaining)}`
+                          : `Reste ${formatCurrency(usage.remaining)}`}
+                      </div>
+                    </td>
+                    <td className="py-2 text-right">
+                      <Button
+                        size="sm"
+                        variant="ghost"
+                        onClick={() => updateSettings({ categoryEnvelopes: envelopes.filter(e => e.id !== envelope.id) })}
+                        aria-label={`${UI_LABELS.DELETE} l'enveloppe ${COMMON_EXPENSE_CATEGORY_LABELS[envelope.category]}`}
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-2 rounded-md border border-dashed p-3">
+          <Select value={formData.category} onValueChange={(value) => setFormData(prev => ({ ...prev, category: value }))}>
+            <SelectTrigger aria-label={UI_LABELS.CATEGORY}>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {Object.entries(COMMON_EXPENSE_CATEGORY_LABELS).map(([value, label]) => (
+                <SelectItem key={value} value={value}>
+                  {label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Select value={formData.period} onValueChange={(value) => setFormData(prev => ({ ...prev, period: value }))}>
+            <SelectTrigger aria-label="Période">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {Object.entries(ENVELOPE_PERIOD_LABELS).map(([value, label]) => (
+                <SelectItem key={value} value={value}>
+                  {label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Select value={formData.personId} onValueChange={(value) => setFormData(prev => ({ ...prev, personId: value }))}>
+            <SelectTrigger aria-label="Personne">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={HOUSEHOLD}>Ménage</SelectItem>
+              {people.map(person => (
+                <SelectItem key={person.id} value={person.id}>
+                  {person.name || 'Sans nom'}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Input
+            aria-label={`${UI_LABELS.ENVELOPE_LIMIT} (${currencySymbol})`}
+            type="text"
+            inputMode="decimal"
+            value={formData.amount}
+            onChange={(e) => setFormData(prev => ({
+              ...prev,
+              amount: e.target.value.replace(/[^0-9.,]/g, '').replace(',', '.')
+            }))}
+            placeholder={`${UI_LABELS.ENVELOPE_LIMIT} (${currencySymbol})`}
+            className={errors.amount ? 'border-red-500' : ''}
+          />
+          <Button size="sm" variant="outline" onClick={handleAdd} className="flex items-center gap-2 h-9">
+            <Plus className="w-4 h-4" />
+            {UI_LABELS.ADD}
+          </Button>
+          {Object.values(errors).filter(Boolean).map(message => (
+            <p key={message} className="col-span-full text-sm text-red-600">{message}</p>
+          ))}
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default CategoryEnvelopes
@@ -0,0 +1,339 @@
+/**
+ * Assistant d'import CSV - Ajout des dépenses réelles d'un relevé bancaire
+ *
+ * Fonctionnalités métier :
+ * - Sélection d'un relevé bancaire au format CSV
+ * - Correspondance des colonnes (date, libellé, montant ou débit / crédit)
+ * - Choix de la personne titulaire du compte importé
+ * - Aperçu des opérations avec catégorie et assignation devinées, modifiables
+ * - Ajout des opérations sélectionnées comme dépenses ponctuelles
+ *
+ * Objectif : Reporter rapidement les dépenses réelles d'un compte
+ * bancaire dans le budget, en gardant la main sur chaque opération
+ * avant son ajout.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+import { useState, useId } from 'react'
+import { FileSpreadsheet, ArrowLeft, ArrowRight, AlertTriangle } from 'lucide-react'
+import { useBudget } from '../../contexts/BudgetContext.jsx'
+import {
+  parseCsv,
+  guessColumnMapping,
+  buildCsvPreviewRows,
+  createExpenseFromCsvRow
+} from '../../utils/csvImport.js'
+import { useFormatters } from '../../hooks/useFormatters.js'
+import {
+  CSV_COLUMNS,
+  CSV_COLUMN_LABELS,
+  COMMON_EXPENSE_CATEGORY_LABELS,
+  ASSIGNMENT_OPTIONS
+} from '../../models/constants.js'
+import { Button } from '../ui/button.jsx'
+import { Input } from '../ui/input.jsx'
+import { Label } from '../ui/label.jsx'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select.jsx'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger
+} from '../ui/dialog.jsx'
+
+// Valeur de sélection d'une colonne non utilisée
+const NO_COLUMN = '-1'
+
+/**
+ * Indique si la correspondance des colonnes permet de lire les opérations
+ * @param {object} mapping - Correspondance des colonnes
+ * @returns {boolean} True si date, libellé et un montant (ou débit) sont associés
+ */
+const isMappingComplete = (mapping) => {
+  return mapping[CSV_COLUMNS.DATE] >= 0 &&
+    mapping[CSV_COLUMNS.LABEL] >= 0 &&
+    (mapping[CSV_COLUMNS.AMOUNT] >= 0 || mapping[CSV_COLUMNS.DEBIT] >= 0)
+}
+
+/**
+ * Assistant d'import d'un relevé bancaire CSV en deux étapes (colonnes puis aperçu)
+ * @returns {JSX.Element} Bouton d'ouverture et dialogue de l'assistant
+ */
+function CsvImportWizard() {
+  const { people, addExpenses } = useBudget()
+  const { formatCurrency } = useFormatters()
+  const fieldIdPrefix = useId()
+  const [isOpen, setIsOpen] = useState(false)
+  const [step, setStep] = useState('mapping') // 'mapping' ou 'preview'
+  const [csvRows, setCsvRows] = useState([])
+  const [mapping, setMapping] = useState({})
+  const [defaultAssignedTo, setDefaultAssignedTo] = useState(ASSIGNMENT_OPTIONS.BOTH)
+  const [previewRows, setPreviewRows] = useState([])
+  const [fileError, setFileError] = useState(null)
+
+  const headers = csvRows[0] || []
+  const selectedRows = previewRows.filter(row => row.selected)
+
+  /**
+   * Remet l'assistant à zéro
+   */
+  const resetWizard = () => {
+    setStep('mapping')
+    setCsvRows([])
+    setMapping({})
+    setPreviewRows([])
+    setFileError(null)
+  }
+
+  /**
+   * Gère l'ouverture et la fermeture du dialogue
+   */
+  const handleOpenChange = (open) => {
+    setIsOpen(open)
+    if (!open) resetWizard()
+  }
+
+  /**
+   * Lit le fichier choisi et devine la correspondance des colonnes
+   */
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0]
+    if (!file) return
+
+    try {
+      const rows = parseCsv(await file.text())
+      if (rows.length < 2) {
+        setFileError('Le fichier ne contient aucune opération')
+        setCsvRows([])
+        return
+      }
+      setFileError(null)
+      setCsvRows(rows)
+      setMapping(guessColumnMapping(rows[0]))
+    } catch (error) {
+      setFileError('Impossible de lire le fichier')
+    }
+  }
+
+  /**
+   * Passe à l'aperçu des opérations
+   */
+  const handleShowPreview = () => {
+    setPreviewRows(buildCsvPreviewRows(csvRows.slice(1), mapping, { people, defaultAssignedTo }))
+    setStep('preview')
+  }
+
+  /**
+   * Modifie une ligne de l'aperçu
+   * @param {number} index - Index de la ligne
+   * @param {object} updates - Champs à modifier
+   */
+  const updatePreviewRow = (index, updates) => {
+    setPreviewRows(prev => prev.map(row => row.index === index ? { ...row, ...updates } : row))
+  }
+
+  /**
+   * Ajoute les opérations sélectionnées au budget, annulables en une seule fois
+   */
+  const handleImport = () => {
+    addExpenses(selectedRows.map(createExpenseFromCsvRow))
+    handleOpenChange(false)
+  }
+
+  /**
+   * Affiche le sélecteur d'assignation (personnes et commun)
+   */
+  const renderAssigneeOptions = () => (
+    <>
+      {people.map(person => (
+        <SelectItem key={person.id} value={person.id}>
+          {person.name || 'Sans nom'}
+        </SelectItem>
+      ))}
+      <SelectItem value={ASSIGNMENT_OPTIONS.BOTH}>Commun</SelectItem>
+    </>
+  )
+
+  return (
+    <Dialog open={isOpen} onOpenChange={handleOpenChange}>
+      <DialogTrigger asChild>
+        <Button variant="outline" className="flex items-center gap-2">
+          <FileSpreadsheet className="w-4 h-4" />
+          Importer un relevé CSV
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="sm:max-w-4xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Importer un relevé bancaire</DialogTitle>
+          <DialogDescription>
+            {step === 'mapping'
+              ? 'Choisissez un fichier CSV puis indiquez le rôle de chaque colonne.'
+              : 'Vérifiez les opérations à ajouter comme dépenses ponctuelles.'}
+          </DialogDescription>
+        </DialogHeader>
+
+        {step === 'mapping' ? (
+          <div className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor={`${fieldIdPrefix}-file`}>Fichier CSV</Label>
+              <Input
+                id={`${fieldIdPrefix}-file`}
+                type="file"
+                accept=".csv,text/csv"
+                onChange={handleFileChange}
+              />
+              {fileError && (
+                <p className="flex items-center gap-2 text-sm text-red-600">
+                  <AlertTriangle className="w-4 h-4" />
+                  {fileError}
+                </p>
+              )}
+            </div>
+
+            {headers.length > 0 && (
+              <>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                  {Object.values(CSV_COLUMNS).map(column => (
+                    <div key={column} className="space-y-1">
+                      <Label className="text-sm">{CSV_COLUMN_LABELS[column]}</Label>
+                      <Select
+                        value={String(mapping[column] ?? NO_COLUMN)}
+                        onValueChange={(value) => setMapping(prev => ({ ...prev, [column]: Number(value) }))}
+                      >
+                        <SelectTrigger>
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          <SelectItem value={NO_COLUMN}>Aucune colonne</SelectItem>
+                          {headers.map((header, index) => (
+                            <SelectItem key={index} value={String(index)}>
+                              {header || `Colonne ${index + 1}`}
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                  ))}
+
+                  <div className="space-y-1">
+                    <Label className="text-sm">Compte de</Label>
+                    <Select value={defaultAssignedTo} onValueChange={setDefaultAssignedTo}>
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {renderAssigneeOptions()}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                </div>
+
+                <p className="text-xs text-muted-foreground">
+                  Utilisez soit une colonne Montant (débits négatifs), soit des colonnes Débit et Crédit séparées.
+                </p>
+              </>
+            )}
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b text-left text-muted-foreground">
+                  <th className="p-2"></th>
+                  <th className="p-2">Date</th>
+                  <th className="p-2">Libellé</th>
+                  <th className="p-2 text-right">Montant</th>
+                  <th className="p-2">Catégorie</th>
+                  <th className="p-2">Assignation</th>
+                </tr>
+              </thead>
+              <tbody>
+                {previewRows.map(row => (
+                  <tr key={row.index} className={`border-b ${row.issue ? 'text-muted-foreground' : ''}`}>
+                    <td className="p-2">
+                      <input
+                        type="checkbox"
+                        checked={row.selected}
+                        disabled={Boolean(row.issue)}
+                        onChange={(e) => updatePreviewRow(row.index, { selected: e.target.checked })}
+                        aria-label={`Importer ${row.label}`}
+                        className="rounded border-gray-300"
+                      />
+                    </td>
+                    <td className="p-2 whitespace-nowrap">{row.date || '—'}</td>
+                    <td className="p-2">
+                      {row.label}
+                      {row.issue && <span className="block text-xs text-orange-600">{row.issue}</span>}
+                    </td>
+                    <td className="p-2 text-right whitespace-nowrap">
+                      {row.amount ? formatCurrency(row.amount) : '—'}
+                    </td>
+                    <td className="p-2 min-w-[160px]">
+                      <Select
+                        value={row.category}
+                        onValueChange={(value) => updatePreviewRow(row.index, { category: value })}
+                        disabled={Boolean(row.issue)}
+                      >
+                        <SelectTrigger>
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {Object.entries(COMMON_EXPENSE_CATEGORY_LABELS).map(([value, label]) => (
+                            <SelectItem key={value} value={value}>{label}</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </td>
+                    <td className="p-2 min-w-[140px]">
+                      <Select
+                        value={row.assignedTo}
+                        onValueChange={(value) => updatePreviewRow(row.index, { assignedTo: value })}
+                        disabled={Boolean(row.issue)}
+                      >
+                        <SelectTrigger>
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {renderAssigneeOptions()}
+                        </SelectContent>
+                      </Select>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <DialogFooter>
+          {step === 'mapping' ? (
+            <Button
+              onClick={handleShowPreview}
+              disabled={csvRows.length < 2 || !isMappingComplete(mapping)}
+              className="flex items-center gap-2"
+            >
+              Aperçu
+              <ArrowRight className="w-4 h-4" />
+            </Button>
+          ) : (
+            <>
+              <Button variant="outline" onClick={() => setStep('mapping')} className="flex items-center gap-2">
+                <ArrowLeft className="w-4 h-4" />
+                Colonnes
+              </Button>
+              <Button onClick={handleImport} disabled={selectedRows.length === 0}>
+                Ajouter {selectedRows.length} dépense(s)
+              </Button>
+            </>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+export default CsvImportWizard
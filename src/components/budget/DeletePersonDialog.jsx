@@ -0,0 +1,125 @@
+/**
+ * Composant de suppression d'une personne - Choix du devenir de ses dépenses
+ *
+ * Fonctionnalités métier :
+ * - Confirmation de la suppression d'une personne
+ * - Réassignation de ses dépenses à une autre personne ou au commun
+ * - Ou suppression de ses dépenses avec elle
+ *
+ * Objectif : Éviter que les dépenses d'une personne supprimée
+ * disparaissent silencieusement des budgets individuels.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+import { useState, useEffect, useId } from 'react'
+import { useBudget } from '../../contexts/BudgetContext.jsx'
+import { ConfirmationDialog } from '../ui/confirmation-dialog.jsx'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select.jsx'
+import {
+  ASSIGNMENT_OPTIONS,
+  PERSON_DELETE_STRATEGIES,
+  PERSON_DELETE_STRATEGY_LABELS
+} from '../../models/constants.js'
+
+/**
+ * Dialogue de suppression d'une personne avec traitement de ses dépenses
+ * @param {object} props - Propriétés du composant
+ * @param {object|null} props.person - Personne à supprimer (dialogue fermé si null)
+ * @param {Function} props.onClose - Fonction appelée à la fermeture du dialogue
+ * @returns {JSX.Element} Dialogue de suppression
+ */
+function DeletePersonDialog({ person, onClose }) {
+  const { people, expenses, deletePerson } = useBudget()
+  const fieldIdPrefix = useId()
+  const [strategy, setStrategy] = useState(PERSON_DELETE_STRATEGIES.REASSIGN)
+  const [targetId, setTargetId] = useState(ASSIGNMENT_OPTIONS.BOTH)
+
+  // Réinitialise les choix à chaque ouverture
+  useEffect(() => {
+    if (person) {
+      setStrategy(PERSON_DELETE_STRATEGIES.REASSIGN)
+      setTargetId(ASSIGNMENT_OPTIONS.BOTH)
+    }
+  }, [person])
+
+  const personExpenses = person
+    ? expenses.filter(expense => expense.assignedTo === person.id)
+    : []
+  const otherPeople = person
+    ? people.filter(p => p.id !== person.id)
+    : []
+  const personName = person?.name || 'cette personne'
+
+  /**
+   * Supprime la personne avec le traitement choisi pour ses dépenses
+   */
+  const handleConfirm = () => {
+    deletePerson(person.id, { strategy, targetId })
+    onClose()
+  }
+
+  return (
+    <ConfirmationDialog
+      isOpen={Boolean(person)}
+      title="Supprimer une personne"
+      message={personExpenses.length > 0
+        ? `${personName} a ${personExpenses.length} dépense(s) assignée(s). Que souhaitez-vous en faire ?`
+        : `Supprimer ${personName} ? Aucune dépense ne lui est assignée.`}
+      confirmText="Supprimer"
+      onConfirm={handleConfirm}
+      onCancel={onClose}
+      autoConfirm={false}
+    >
+      {personExpenses.length > 0 && (
+        <div className="space-y-3">
+          <label className="flex items-center space-x-2 cursor-pointer">
+            <input
+              type="radio"
+              name={`${fieldIdPrefix}-strategy`}
+              value={PERSON_DELETE_STRATEGIES.REASSIGN}
+              checked={strategy === PERSON_DELETE_STRATEGIES.REASSIGN}
+              onChange={(e) => setStrategy(e.target.value)}
+              className="text-primary focus:ring-primary"
+            />
+            <span className="text-sm">{PERSON_DELETE_STRATEGY_LABELS[PERSON_DELETE_STRATEGIES.REASSIGN]}</span>
+          </label>
+          {strategy === PERSON_DELETE_STRATEGIES.REASSIGN && (
+            <div className="pl-6">
+              <Select value={targetId} onValueChange={setTargetId}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {otherPeople.map(p => (
+                    <SelectItem key={p.id} value={p.id}>
+                      {p.name || 'Sans nom'}
+                    </SelectItem>
+                  ))}
+                  <SelectItem value={ASSIGNMENT_OPTIONS.BOTH}>Commun</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+          )}
+
+          <label className="flex items-center space-x-2 cursor-pointer">
+            <input
+              type="radio"
+              name={`${fieldIdPrefix}-strategy`}
+              value={PERSON_DELETE_STRATEGIES.DELETE_EXPENSES}
+              checked={strategy === PERSON_DELETE_STRATEGIES.DELETE_EXPENSES}
+              onChange={(e) => setStrategy(e.target.value)}
+              className="text-primary focus:ring-primary"
+            />
+            <span className="text-sm">
+              {PERSON_DELETE_STRATEGY_LABELS[PERSON_DELETE_STRATEGIES.DELETE_EXPENSES]}
+              {' '}({personExpenses.map(expense => expense.name).join(', ')})
+            </span>
+          </label>
+        </div>
+      )}
+    </ConfirmationDialog>
+  )
+}
+
+export default DeletePersonDialog
@@ -0,0 +1,164 @@
+/**
+ * Composant de table des taux de change - Saisie des taux du ménage
+ *
+ * Fonctionnalités métier :
+ * - Liste des taux de change par devise et date d'effet
+ * - Ajout d'un taux avec validation (devise, taux positif, date)
+ * - Suppression d'un taux
+ *
+ * Objectif : Permettre au ménage de convertir les dépenses
+ * facturées en devise étrangère sans dépendre d'un service externe.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+import { useState, useId } from 'react'
+import { Plus, Trash2 } from 'lucide-react'
+import { useBudget } from '../../contexts/BudgetContext.jsx'
+import { useFormatters } from '../../hooks/useFormatters.js'
+import { validateExchangeRate } from '../../utils/validators.js'
+import { generateUniqueId } from '../../utils/idGenerator.js'
+import { getTodayKey } from '../../utils/calendar.js'
+import { CURRENCIES, UI_LABELS } from '../../models/constants.js'
+import { Button } from '../ui/button.jsx'
+import { Input } from '../ui/input.jsx'
+import { Label } from '../ui/label.jsx'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select.jsx'
+
+/**
+ * Table des taux de change du ménage
+ * @returns {JSX.Element} Liste des taux et formulaire d'ajout
+ */
+function ExchangeRateTable() {
+  const { settings, updateSettings } = useBudget()
+  const { currency, formatNumber, formatDate } = useFormatters()
+  const fieldIdPrefix = useId()
+  const exchangeRates = settings.exchangeRates || []
+  const foreignCurrencies = Object.values(CURRENCIES).filter(code => code !== currency)
+
+  const [formData, setFormData] = useState({
+    currency: foreignCurrencies[0],
+    rate: '',
+    effectiveDate: getTodayKey()
+  })
+  const [errors, setErrors] = useState({})
+
+  // Taux triés par devise puis par date d'effet
+  const sortedRates = [...exchangeRates].sort((a, b) =>
+    a.currency.localeCompare(b.currency) || a.effectiveDate.localeCompare(b.effectiveDate)
+  )
+
+  /**
+   * Ajoute le taux saisi à la table
+   */
+  const handleAdd = () => {
+    const validation = validateExchangeRate(formData, currency)
+    if (!validation.isValid) {
+      setErrors(validation.errors)
+      return
+    }
+
+    updateSettings({
+      exchangeRates: [...exchangeRates, {
+        id: generateUniqueId(),
+        currency: formData.currency,
+        rate: parseFloat(formData.rate),
+        effectiveDate: formData.effectiveDate
+      }]
+    })
+    setFormData(prev => ({ ...prev, rate: '' }))
+    setErrors({})
+  }
+
+  /**
+   * Supprime un taux de la table
+   * @param {string} id - ID du taux
+   */
+  const handleDelete = (id) => {
+    updateSettings({ exchangeRates: exchangeRates.filter(exchangeRate => exchangeRate.id !== id) })
+  }
+
+  return (
+    <div className="space-y-3">
+      <Label>{UI_LABELS.EXCHANGE_RATES}</Label>
+      <p className="text-xs text-muted-foreground">
+        Valeur d’une unité de devise en {currency}, à partir de la date d’effet.
+      </p>
+
+      {sortedRates.length > 0 && (
+        <ul className="space-y-1 text-sm">
+          {sortedRates.map(exchangeRate => (
+            <li key={exchangeRate.id} className="flex items-center justify-between gap-2">
+              <span>
+                1 {exchangeRate.currency} = {formatNumber(exchangeRate.rate, 4)} {currency}
+                <span className="text-muted-foreground"> depuis le {formatDate(exchangeRate.effectiveDate)}</span>
+              </span>
+              <Button
+                size="sm"
+                variant="ghost"
+                onClick={() => handleDelete(exchangeRate.id)}
+                aria-label={`Supprimer le taux ${exchangeRate.currency}`}
+              >
+                <Trash2 className="w-4 h-4" />
+              </Button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="grid grid-cols-[1fr_1fr_1fr_auto] items-end gap-2">
+        <div className="space-y-1">
+          <Label className="text-xs">{UI_LABELS.CURRENCY}</Label>
+          <Select
+            value={formData.currency}
+            onValueChange={(value) => setFormData(prev => ({ ...prev, currency: value }))}
+          >
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {foreignCurrencies.map(code => (
+                <SelectItem key={code} value={code}>
+                  {code}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor={`${fieldIdPrefix}-rate`} className="text-xs">Taux</Label>
+          <Input
+            id={`${fieldIdPrefix}-rate`}
+            type="text"
+            inputMode="decimal"
+            value={formData.rate}
+            onChange={(e) => setFormData(prev => ({
+              ...prev,
+              rate: e.target.value.replace(/[^0-9.,]/g, '').replace(',', '.')
+            }))}
+            placeholder="Ex: 0.92"
+            className={errors.rate ? 'border-red-500' : ''}
+          />
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor={`${fieldIdPrefix}-date`} className="text-xs">Date d’effet</Label>
+          <Input
+            id={`${fieldIdPrefix}-date`}
+            type="date"
+            value={formData.effectiveDate}
+            onChange={(e) => setFormData(prev => ({ ...prev, effectiveDate: e.target.value }))}
+            className={errors.effectiveDate ? 'border-red-500' : ''}
+          />
+        </div>
+        <Button onClick={handleAdd} aria-label="Ajouter le taux">
+          <Plus className="w-4 h-4" />
+        </Button>
+      </div>
+      {Object.values(errors).filter(Boolean).map(message => (
+        <p key={message} className="text-sm text-red-600">{message}</p>
+      ))}
+    </div>
+  )
+}
+
+export default ExchangeRateTable
@@ -1,11 +1,19 @@
 /**
- * Composant de formulaire de dépense - Ajout de nouvelles dépenses avec assignation et association de mois
+ * Composant de formulaire de dépense - Ajout et modification de dépenses avec assignation et association de mois
  *
  * Fonctionnalités métier :
  * - Saisie des détails d'une dépense (nom, montant, fréquence, catégorie)
+ * - Fréquences du registre, de quotidienne à annuelle, et « tous les N mois » avec intervalle saisi
+ * - Modification d'une dépense existante avec pré-remplissage de tous les champs
  * - Assignation de la dépense à une personne ou aux deux (commun)
+ * - Partage d'une dépense commune entre certaines personnes avec des parts pondérées
+ * - Indication de la personne qui paie effectivement la dépense
+ * - Saisie des montants dans la devise du ménage ou dans une devise étrangère
  * - Sélection des mois associés à la dépense (par défaut tous les mois)
+ * - Période d'application optionnelle (mois de début et de fin, sur plusieurs années)
+ * - Jour d'échéance optionnel pour la trésorerie au jour le jour
  * - Validation complète des données saisies
+ * - Avertissement lorsque la dépense ferait dépasser une enveloppe de sa catégorie
  * - Interface avec sélecteurs déroulants et cases à cocher
  * - Gestion des erreurs et feedback utilisateur
  *
@@ -18,7 +26,7 @@
  * @author Équipe Développement
  */
 
-import { useState } from 'react'
+import { useState, useId, useMemo } from 'react'
 import { Button } from '@/components/ui/button'
 import { Input } from '@/components/ui/input'
 import { Label } from '@/components/ui/label'
@@ -29,11 +37,14 @@ import {
   SelectTrigger,
   SelectValue
 } from '@/components/ui/select'
-import { Plus, Receipt, DollarSign, Clock, Tag, Calendar, Users,
+import { Plus, Save, X, Receipt, Clock, Tag, Calendar, CalendarRange, CalendarDays, Users, Wallet, Banknote, Coins, AlertTriangle,
   Home, UtensilsCrossed, Car, Zap, Heart, Gamepad2, ShoppingBag,
   GraduationCap, Shield, PiggyBank, MoreHorizontal, Plane } from 'lucide-react'
 import { useBudget } from '../../contexts/BudgetContext.jsx'
 import { validateExpenseForm } from '../../utils/validators.js'
+import { getCategoryEnvelopes, getExceededEnvelopes } from '../../utils/envelopes.js'
+import { getMonthLabel } from '../../utils/calendar.js'
+import { useFormatters } from '../../hooks/useFormatters.js'
 
 // Mapping des icônes pour les catégories
 const CATEGORY_ICONS = {
@@ -62,27 +73,110 @@ import {
     AMOUNT_MODES,
     AMOUNT_MODE_LABELS,
     UI_LABELS,
-    ALL_MONTHS,
-    MONTH_LABELS
+    MONTH_NUMBERS,
+    MONTH_NAMES,
+    CURRENCY_LABELS,
+    ENVELOPE_PERIODS,
+    ENVELOPE_PERIOD_LABELS,
+    DEFAULT_INTERVAL_MONTHS
   } from '../../models/constants.js'
+import { isMultiMonthFrequency } from '../../utils/frequencies.js'
+
+// Valeur du sélecteur de payeur lorsque personne n'est renseigné
+const NO_PAYER = 'none'
+
+// Valeurs du formulaire vide (ajout d'une nouvelle dépense)
+const EMPTY_FORM_DATA = {
+  name: '',
+  amountMode: AMOUNT_MODES.FIXED, // Mode par défaut : montant fixe
+  amount: '', // Montant fixe
+  minAmount: '', // Montant minimum pour fourchette
+  maxAmount: '', // Montant maximum pour fourchette
+  frequency: '',
+  intervalMonths: String(DEFAULT_INTERVAL_MONTHS), // Mois entre deux échéances (fréquence « tous les N mois »)
+  category: '',
+  assignedTo: ASSIGNMENT_OPTIONS.BOTH, // Défaut à 'Commun'
+  months: MONTH_NUMBERS, // Tous les mois sélectionnés par défaut
+  startMonth: '', // Premier mois d'application (YYYY-MM), optionnel
+  endMonth: '', // Dernier mois d'application (YYYY-MM), optionnel
+  dueDay: '', // Jour d'échéance dans le mois, optionnel
+  shares: {}, // Parts par personne ; vide = tout le ménage selon la répartition du ménage
+  paidBy: '', // Personne qui paie la dépense, optionnel
+  currency: '' // Devise du montant ; vide = devise du ménage
+}
+
+/**
+ * Détermine le mode de montant d'une dépense existante
+ * Les dépenses créées sans mode explicite sont en fourchette si elles ont des bornes
+ * @param {object} expense - Dépense existante
+ * @returns {string} Mode de montant (fixed ou range)
+ */
+const getExpenseAmountMode = (expense) => {
+  if (expense.amountMode) return expense.amountMode
+
+  return expense.minAmount !== undefined && expense.maxAmount !== undefined
+    ? AMOUNT_MODES.RANGE
+    : AMOUNT_MODES.FIXED
+}
+
+/**
+ * Convertit une dépense existante en valeurs de formulaire
+ * @param {object} expense - Dépense existante
+ * @returns {object} Valeurs du formulaire pré-remplies
+ */
+const getFormDataFromExpense = (expense) => {
+  const toInputValue = (value) => (value === undefined || value === null ? '' : String(value))
+
+  return {
+    name: expense.name || '',
+    amountMode: getExpenseAmountMode(expense),
+    amount: toInputValue(expense.amount),
+    minAmount: toInputValue(expense.minAmount),
+    maxAmount: toInputValue(expense.maxAmount),
+    frequency: expense.frequency || '',
+    intervalMonths: toInputValue(expense.intervalMonths ?? DEFAULT_INTERVAL_MONTHS),
+    category: expense.category || '',
+    assignedTo: expense.assignedTo || ASSIGNMENT_OPTIONS.BOTH,
+    months: expense.months || MONTH_NUMBERS,
+    startMonth: expense.startMonth || '',
+    endMonth: expense.endMonth || '',
+    dueDay: toInputValue(expense.dueDay),
+    shares: expense.shares
+      ? Object.fromEntries(Object.entries(expense.shares).map(([personId, weight]) => [personId, String(weight)]))
+      : {},
+    paidBy: expense.paidBy || '',
+    currency: expense.currency || ''
+  }
+}
 
 /**
- * Composant de formulaire pour ajouter une nouvelle dépense
+ * Convertit les parts saisies en parts numériques
+ * @param {object} shares - Parts saisies par ID de personne
+ * @returns {object|undefined} Parts numériques ou undefined si la dépense concerne tout le ménage
+ */
+const getSharesFromFormData = (shares) => {
+  const entries = Object.entries(shares)
+  if (entries.length === 0) return undefined
+
+  return Object.fromEntries(entries.map(([personId, weight]) => [personId, parseFloat(weight) || 0]))
+}
+
+/**
+ * Composant de formulaire pour ajouter une nouvelle dépense ou modifier une dépense existante
+ * @param {object} props - Propriétés du composant
+ * @param {object} [props.expense] - Dépense à modifier (mode édition si fourni)
+ * @param {Function} [props.onSuccess] - Fonction appelée après un enregistrement réussi
+ * @param {Function} [props.onCancel] - Fonction appelée lors de l'annulation (mode édition)
  * @returns {JSX.Element} Formulaire de dépense
  */
-function ExpenseForm() {
-  const { addExpense, people } = useBudget()
-  const [formData, setFormData] = useState({
-    name: '',
-    amountMode: AMOUNT_MODES.FIXED, // Mode par défaut : montant fixe
-    amount: '', // Montant fixe
-    minAmount: '', // Montant minimum pour fourchette
-    maxAmount: '', // Montant maximum pour fourchette
-    frequency: '',
-    category: '',
-    assignedTo: ASSIGNMENT_OPTIONS.BOTH, // Défaut à 'Commun'
-    months: ALL_MONTHS // Tous les mois sélectionnés par défaut
-  })
+function ExpenseForm({ expense = null, onSuccess, onCancel }) {
+  const { addExpense, updateExpense, people, expenses, settings, savingsGoals, selectedYear } = useBudget()
+  const { currency, currencySymbol, formatCurrency } = useFormatters()
+  const isEditMode = Boolean(expense)
+  const fieldIdPrefix = useId() // Identifiants uniques même si plusieurs formulaires sont affichés
+  const [formData, setFormData] = useState(() =>
+    isEditMode ? getFormDataFromExpense(expense) : EMPTY_FORM_DATA
+  )
   const [errors, setErrors] = useState({})
   const [isSubmitting, setIsSubmitting] = useState(false)
 
@@ -96,6 +190,8 @@ function ExpenseForm() {
     if (field === 'amount' || field === 'minAmount' || field === 'maxAmount') {
       // Nettoie la saisie pour n'accepter que les nombres
       processedValue = value.replace(/[^0-9.,]/g, '').replace(',', '.')
+    } else if (field === 'dueDay' || field === 'intervalMonths') {
+      processedValue = value.replace(/[^0-9]/g, '')
     }
 
     setFormData(prev => ({
@@ -107,7 +203,9 @@ function ExpenseForm() {
     if (processedValue) {
       const validation = validateExpenseForm({
         ...formData,
-        [field]: (field === 'amount' || field === 'minAmount' || field === 'maxAmount')
+        dueDay: formData.dueDay ? Number(formData.dueDay) : undefined,
+        intervalMonths: formData.intervalMonths ? Number(formData.intervalMonths) : undefined,
+        [field]: (field === 'amount' || field === 'minAmount' || field === 'maxAmount' || field === 'dueDay' || field === 'intervalMonths')
           ? parseFloat(processedValue)
           : processedValue
       })
@@ -172,7 +270,7 @@ function ExpenseForm() {
     setFormData(prev => ({
       ...prev,
       months: checked
-        ? [...prev.months, month]
+        ? [...prev.months, month].sort((a, b) => a - b)
         : prev.months.filter(m => m !== month)
     }))
   }
@@ -183,13 +281,54 @@ function ExpenseForm() {
   const handleSelectAllMonths = (selectAll) => {
     setFormData(prev => ({
       ...prev,
-      months: selectAll ? ALL_MONTHS : []
+      months: selectAll ? MONTH_NUMBERS : []
+    }))
+  }
+
+  /**
+   * Active ou désactive le partage entre certaines personnes
+   * Par défaut, chaque personne reçoit une part égale
+   */
+  const handleHouseholdShareChange = (wholeHousehold) => {
+    setFormData(prev => ({
+      ...prev,
+      shares: wholeHousehold
+        ? {}
+        : Object.fromEntries(people.map(person => [person.id, '1']))
+    }))
+    setErrors(prev => ({ ...prev, shares: null }))
+  }
+
+  /**
+   * Ajoute ou retire une personne du partage
+   */
+  const handleSharePersonChange = (personId, checked) => {
+    setFormData(prev => {
+      const remainingShares = Object.fromEntries(
+        Object.entries(prev.shares).filter(([id]) => id !== personId)
+      )
+      return {
+        ...prev,
+        shares: checked ? { ...prev.shares, [personId]: '1' } : remainingShares
+      }
+    })
+    setErrors(prev => ({ ...prev, shares: null }))
+  }
+
+  /**
+   * Met à jour la part d'une personne
+   */
+  const handleShareWeightChange = (personId, value) => {
+    setFormData(prev => ({
+      ...prev,
+      shares: { ...prev.shares, [personId]: value.replace(/[^0-9.,]/g, '').replace(',', '.') }
     }))
+    setErrors(prev => ({ ...prev, shares: null }))
   }
 
   /**
    * Gère la soumission du formulaire
-   * Valide toutes les données et ajoute la dépense
+   * Valide toutes les données puis ajoute ou met à jour la dépense
    */
   const handleSubmit = async (event) => {
     event.preventDefault()
@@ -197,8 +336,12 @@ function ExpenseForm() {
 
     try {
       // Préparation des données pour validation selon le mode
+      const shares = formData.assignedTo === ASSIGNMENT_OPTIONS.BOTH
+        ? getSharesFromFormData(formData.shares)
+        : undefined
       const validationData = {
         ...formData,
+        shares,
         amount: formData.amountMode === AMOUNT_MODES.FIXED && formData.amount
           ? parseFloat(formData.amount)
           : undefined,
@@ -207,6 +350,10 @@ function ExpenseForm() {
           : undefined,
         maxAmount: formData.amountMode === AMOUNT_MODES.RANGE && formData.maxAmount
           ? parseFloat(formData.maxAmount)
+          : undefined,
+        dueDay: formData.dueDay ? Number(formData.dueDay) : undefined,
+        intervalMonths: formData.frequency === EXPENSE_FREQUENCIES.EVERY_N_MONTHS && formData.intervalMonths
+          ? Number(formData.intervalMonths)
           : undefined
       }
 
@@ -222,47 +369,91 @@ function ExpenseForm() {
         name: formData.name.trim(),
         amountMode: formData.amountMode,
         frequency: formData.frequency,
+        // Intervalle conservé uniquement pour la fréquence « tous les N mois »
+        intervalMonths: validationData.intervalMonths,
         category: formData.category,
         assignedTo: formData.assignedTo,
-        months: formData.months
+        months: formData.months,
+        shares,
+        paidBy: formData.paidBy || undefined,
+        // Devise vide ou identique à celle du ménage = pas de conversion
+        currency: formData.currency && formData.currency !== currency ? formData.currency : undefined,
+        // Période vide = dépense sans limite dans le temps
+        startMonth: formData.startMonth || undefined,
+        endMonth: formData.endMonth || undefined,
+        // Jour vide = échéance par défaut en début de mois
+        dueDay: validationData.dueDay
       }
 
       // Ajout du montant selon le mode
+      // Les champs de l'autre mode sont explicitement vidés pour ne pas survivre à une modification
       if (formData.amountMode === AMOUNT_MODES.FIXED) {
         expenseData.amount = parseFloat(formData.amount)
+        expenseData.minAmount = undefined
+        expenseData.maxAmount = undefined
       } else {
+        expenseData.amount = undefined
         expenseData.minAmount = parseFloat(formData.minAmount)
         expenseData.maxAmount = parseFloat(formData.maxAmount)
       }
 
-      // Ajout de la dépense dans le contexte
-      addExpense(expenseData)
-
-      // Réinitialisation du formulaire
-      setFormData({
-        name: '',
-        amountMode: AMOUNT_MODES.FIXED,
-        amount: '',
-        minAmount: '',
-        maxAmount: '',
-        frequency: '',
-        category: '',
-        assignedTo: ASSIGNMENT_OPTIONS.BOTH,
-        months: ALL_MONTHS
-      })
+      if (isEditMode) {
+        // Mise à jour de la dépense existante dans le contexte
+        updateExpense(expense.id, expenseData)
+      } else {
+        // Ajout de la dépense dans le contexte
+        addExpense(expenseData)
+
+        // Réinitialisation du formulaire
+        setFormData(EMPTY_FORM_DATA)
+      }
       setErrors({})
 
-      // Feedback de succès (optionnel)
-      console.log('Dépense ajoutée avec succès')
+      if (onSuccess) onSuccess()
 
     } catch (error) {
-      console.error('Erreur lors de l\'ajout de la dépense:', error)
+      console.error('Erreur lors de l\'enregistrement de la dépense:', error)
       setErrors({ general: 'Une erreur est survenue' })
     } finally {
       setIsSubmitting(false)
     }
   }
 
+  // Enveloppes de la catégorie que la dépense saisie ferait dépasser sur l'année sélectionnée
+  const exceededEnvelopes = useMemo(() => {
+    const envelopes = getCategoryEnvelopes(settings)
+    const isFixed = formData.amountMode === AMOUNT_MODES.FIXED
+    const amount = parseFloat(isFixed ? formData.amount : formData.maxAmount)
+    if (envelopes.length === 0 || !(amount > 0)) return []
+
+    const candidateExpense = {
+      id: expense?.id,
+      amount: isFixed ? amount : undefined,
+      minAmount: isFixed ? undefined : parseFloat(formData.minAmount) || amount,
+      maxAmount: isFixed ? undefined : amount,
+      amountMode: formData.amountMode,
+      frequency: formData.frequency,
+      intervalMonths: Number(formData.intervalMonths) || undefined,
+      category: formData.category,
+      assignedTo: formData.assignedTo,
+      shares: formData.assignedTo === ASSIGNMENT_OPTIONS.BOTH ? getSharesFromFormData(formData.shares) : undefined,
+      months: formData.months,
+      currency: formData.currency && formData.currency !== currency ? formData.currency : undefined,
+      startMonth: formData.startMonth || undefined,
+      endMonth: formData.endMonth || undefined
+    }
+    return getExceededEnvelopes(envelopes, people, expenses, candidateExpense, { year: selectedYear, settings, savingsGoals })
+  }, [formData, expense, people, expenses, settings, savingsGoals, selectedYear, currency])
+
+  /**
+   * Retourne le nom d'une personne
+   * @param {string} personId - ID de la personne
+   * @returns {string} Nom affiché
+   */
+  const getPersonName = (personId) => {
+    return people.find(person => person.id === personId)?.name || 'Sans nom'
+  }
+
   /**
    * Vérifie si le formulaire peut être soumis
    */
@@ -279,12 +470,12 @@ function ExpenseForm() {
   return (
     <form onSubmit={handleSubmit} className="space-y-4">
       <div className="space-y-2">
-        <Label htmlFor="expense-name" className="flex items-center">
+        <Label htmlFor={`${fieldIdPrefix}-name`} className="flex items-center">
           <Receipt className="w-4 h-4 mr-2" />
           {UI_LABELS.EXPENSE_NAME}
         </Label>
         <Input
-          id="expense-name"
+          id={`${fieldIdPrefix}-name`}
           type="text"
           value={formData.name}
           onChange={(e) => handleInputChange('name', e.target.value)}
@@ -301,14 +492,14 @@ function ExpenseForm() {
 
       <div className="space-y-2">
         <Label className="flex items-center">
-          <DollarSign className="w-4 h-4 mr-2" />
+          <Banknote className="w-4 h-4 mr-2" />
           Mode de montant
         </Label>
         <div className="flex space-x-4">
           <label className="flex items-center space-x-2 cursor-pointer">
             <input
               type="radio"
-              name="amountMode"
+              name={`${fieldIdPrefix}-amount-mode`}
               value={AMOUNT_MODES.FIXED}
               checked={formData.amountMode === AMOUNT_MODES.FIXED}
               onChange={(e) => handleAmountModeChange(e.target.value)}
@@ -320,7 +511,7 @@ function ExpenseForm() {
           <label className="flex items-center space-x-2 cursor-pointer">
             <input
               type="radio"
-              name="amountMode"
+              name={`${fieldIdPrefix}-amount-mode`}
               value={AMOUNT_MODES.RANGE}
               checked={formData.amountMode === AMOUNT_MODES.RANGE}
               onChange={(e) => handleAmountModeChange(e.target.value)}
@@ -334,13 +525,14 @@ function ExpenseForm() {
 
       <div className="space-y-2">
         <Label className="flex items-center">
-          <DollarSign className="w-4 h-4 mr-2" />
+          <Banknote className="w-4 h-4 mr-2" />
           {formData.amountMode === AMOUNT_MODES.FIXED ? 'Montant fixe' : 'Fourchette de montant'}
+          {!formData.currency || formData.currency === currency ? ` (${currencySymbol})` : ` (${formData.currency})`}
         </Label>
 
         {formData.amountMode === AMOUNT_MODES.FIXED ? (
           <Input
-            id="expense-amount"
+            id={`${fieldIdPrefix}-amount`}
             type="text"
             value={formData.amount}
             onChange={(e) => handleInputChange('amount', e.target.value)}
@@ -352,7 +544,7 @@ function ExpenseForm() {
           <div className="grid grid-cols-2 gap-2">
             <div>
               <Input
-                id="expense-min-amount"
+                id={`${fieldIdPrefix}-min-amount`}
                 type="text"
                 value={formData.minAmount}
                 onChange={(e) => handleInputChange('minAmount', e.target.value)}
@@ -368,7 +560,7 @@ function ExpenseForm() {
             </div>
             <div>
               <Input
-                id="expense-max-amount"
+                id={`${fieldIdPrefix}-max-amount`}
                 type="text"
                 value={formData.maxAmount}
                 onChange={(e) => handleInputChange('maxAmount', e.target.value)}
@@ -392,6 +584,29 @@ function ExpenseForm() {
         )}
       </div>
 
+      <div className="space-y-2">
+        <Label className="flex items-center">
+          <Coins className="w-4 h-4 mr-2" />
+          {UI_LABELS.CURRENCY}
+        </Label>
+        <Select
+          value={formData.currency || currency}
+          onValueChange={(value) => handleSelectChange('currency', value)}
+          disabled={isSubmitting}
+        >
+          <SelectTrigger className="select-trigger">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {Object.entries(CURRENCY_LABELS).map(([value, label]) => (
+              <SelectItem key={value} value={value}>
+                {label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
       <div className="space-y-2">
         <Label className="flex items-center">
           <Clock className="w-4 h-4 mr-2" />
@@ -420,37 +635,66 @@ function ExpenseForm() {
         )}
       </div>
 
+      {formData.frequency === EXPENSE_FREQUENCIES.EVERY_N_MONTHS && (
+        <div className="space-y-2">
+          <Label htmlFor={`${fieldIdPrefix}-interval-months`} className="flex items-center">
+            <Clock className="w-4 h-4 mr-2" />
+            {UI_LABELS.INTERVAL_MONTHS}
+          </Label>
+          <Input
+            id={`${fieldIdPrefix}-interval-months`}
+            type="text"
+            inputMode="numeric"
+            value={formData.intervalMonths}
+            onChange={(e) => handleInputChange('intervalMonths', e.target.value)}
+            placeholder="Ex : 5 pour tous les 5 mois"
+            className={errors.intervalMonths ? 'border-red-500' : ''}
+            disabled={isSubmitting}
+          />
+          {errors.intervalMonths && (
+            <p className="text-sm text-red-600">
+              {errors.intervalMonths}
+            </p>
+          )}
+        </div>
+      )}
+
       <div className="space-y-2">
         <Label className="flex items-center">
           <Calendar className="w-4 h-4 mr-2" />
           Mois associés
         </Label>
+        {isMultiMonthFrequency(formData.frequency, Number(formData.intervalMonths)) && (
+          <p className="text-sm text-muted-foreground">
+            Cochez les mois de paiement : le montant annuel est réparti sur les mois cochés.
+          </p>
+        )}
         <div className="space-y-2">
           <div className="flex items-center space-x-2">
             <input
               type="checkbox"
-              id="select-all-months"
-              checked={formData.months.length === ALL_MONTHS.length}
+              id={`${fieldIdPrefix}-all-months`}
+              checked={formData.months.length === MONTH_NUMBERS.length}
               onChange={(e) => handleSelectAllMonths(e.target.checked)}
               className="rounded border-gray-300"
             />
-            <Label htmlFor="select-all-months" className="text-sm font-medium">
+            <Label htmlFor={`${fieldIdPrefix}-all-months`} className="text-sm font-medium">
               Tous les mois
             </Label>
           </div>
-          {formData.months.length !== ALL_MONTHS.length && (
+          {formData.months.length !== MONTH_NUMBERS.length && (
             <div className="grid grid-cols-3 gap-2">
-              {ALL_MONTHS.map(month => (
+              {MONTH_NUMBERS.map(month => (
                 <div key={month} className="flex items-center space-x-2">
                   <input
                     type="checkbox"
-                    id={`month-${month}`}
+                    id={`${fieldIdPrefix}-month-${month}`}
                     checked={formData.months.includes(month)}
                     onChange={(e) => handleMonthChange(month, e.target.checked)}
                     className="rounded border-gray-300"
                   />
-                  <Label htmlFor={`month-${month}`} className="text-sm">
-                    {MONTH_LABELS[month]}
+                  <Label htmlFor={`${fieldIdPrefix}-month-${month}`} className="text-sm">
+                    {MONTH_NAMES[month]}
                   </Label>
                 </div>
               ))}
@@ -459,6 +703,67 @@ function ExpenseForm() {
         </div>
       </div>
 
+      <div className="space-y-2">
+        <Label className="flex items-center">
+          <CalendarRange className="w-4 h-4 mr-2" />
+          Période d’application (optionnelle)
+        </Label>
+        <div className="grid grid-cols-2 gap-2">
+          <div className="space-y-1">
+            <Label htmlFor={`${fieldIdPrefix}-start-month`} className="text-sm">
+              Début
+            </Label>
+            <Input
+              id={`${fieldIdPrefix}-start-month`}
+              type="month"
+              value={formData.startMonth}
+              onChange={(e) => handleSelectChange('startMonth', e.target.value)}
+              disabled={isSubmitting}
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor={`${fieldIdPrefix}-end-month`} className="text-sm">
+              Fin
+            </Label>
+            <Input
+              id={`${fieldIdPrefix}-end-month`}
+              type="month"
+              value={formData.endMonth}
+              onChange={(e) => handleSelectChange('endMonth', e.target.value)}
+              className={errors.endMonth ? 'border-red-500' : ''}
+              disabled={isSubmitting}
+            />
+          </div>
+        </div>
+        {errors.endMonth && (
+          <p className="text-sm text-red-600">
+            {errors.endMonth}
+          </p>
+        )}
+      </div>
+
+      <div className="space-y-2">
+        <Label htmlFor={`${fieldIdPrefix}-due-day`} className="flex items-center">
+          <CalendarDays className="w-4 h-4 mr-2" />
+          {UI_LABELS.DUE_DAY} (optionnel)
+        </Label>
+        <Input
+          id={`${fieldIdPrefix}-due-day`}
+          type="text"
+          inputMode="numeric"
+          value={formData.dueDay}
+          onChange={(e) => handleInputChange('dueDay', e.target.value)}
+          placeholder="Ex : 5 pour le 5 du mois"
+          className={errors.dueDay ? 'border-red-500' : ''}
+          disabled={isSubmitting}
+        />
+        {errors.dueDay && (
+          <p className="text-sm text-red-600">
+            {errors.dueDay}
+          </p>
+        )}
+      </div>
+
       <div className="space-y-2">
         <Label className="flex items-center">
           <Tag className="w-4 h-4 mr-2" />
@@ -537,22 +842,155 @@ function ExpenseForm() {
             {errors.assignedTo}
           </p>
         )}
+
+        {formData.assignedTo === ASSIGNMENT_OPTIONS.BOTH && people.length > 1 && (
+          <div className="space-y-2 pt-1">
+            <div className="flex items-center space-x-2">
+              <input
+                type="checkbox"
+                id={`${fieldIdPrefix}-whole-household`}
+                checked={Object.keys(formData.shares).length === 0}
+                onChange={(e) => handleHouseholdShareChange(e.target.checked)}
+                className="rounded border-gray-300"
+                disabled={isSubmitting}
+              />
+              <Label htmlFor={`${fieldIdPrefix}-whole-household`} className="text-sm font-medium">
+                Tout le ménage (répartition du ménage)
+              </Label>
+            </div>
+            {Object.keys(formData.shares).length > 0 && (
+              <div className="space-y-2">
+                {people.map(person => {
+                  const isIncluded = person.id in formData.shares
+
+                  return (
+                    <div key={person.id} className="flex items-center justify-between gap-4">
+                      <div className="flex items-center space-x-2">
+                        <input
+                          type="checkbox"
+                          id={`${fieldIdPrefix}-share-${person.id}`}
+                          checked={isIncluded}
+                          onChange={(e) => handleSharePersonChange(person.id, e.target.checked)}
+                          className="rounded border-gray-300"
+                          disabled={isSubmitting}
+                        />
+                        <Label htmlFor={`${fieldIdPrefix}-share-${person.id}`} className="text-sm">
+                          {person.name || 'Sans nom'}
+                        </Label>
+                      </div>
+                      {isIncluded && (
+                        <div className="flex items-center gap-2">
+                          <Input
+                            type="text"
+                            inputMode="decimal"
+                            value={formData.shares[person.id]}
+                            onChange={(e) => handleShareWeightChange(person.id, e.target.value)}
+                            aria-label={`Part de ${person.name || 'Sans nom'}`}
+                            className="w-20 text-right"
+                            disabled={isSubmitting}
+                          />
+                          <span className="text-sm text-gray-500">part(s)</span>
+                        </div>
+                      )}
+                    </div>
+                  )
+                })}
+              </div>
+            )}
+            {errors.shares && (
+              <p className="text-sm text-red-600">
+                {errors.shares}
+              </p>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className="space-y-2">
+        <Label className="flex items-center">
+          <Wallet className="w-4 h-4 mr-2" />
+          {UI_LABELS.PAID_BY}
+        </Label>
+        <Select
+          value={formData.paidBy || NO_PAYER}
+          onValueChange={(value) => handleSelectChange('paidBy', value === NO_PAYER ? '' : value)}
+          disabled={isSubmitting}
+        >
+          <SelectTrigger className="select-trigger">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value={NO_PAYER}>Non renseigné</SelectItem>
+            {people.map(person => (
+              <SelectItem key={person.id} value={person.id}>
+                <div className="flex items-center">
+                  <div
+                    className="w-3 h-3 rounded-full mr-2"
+                    style={{ backgroundColor: person.color }}
+                  />
+                  {person.name}
+                </div>
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
       </div>
 
+      {exceededEnvelopes.length > 0 && (
+        <div className="rounded-md border border-orange-300 bg-orange-50 p-3 text-sm text-orange-900">
+          <p className="flex items-center gap-2 font-semibold">
+            <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+            Cette dépense dépasse {exceededEnvelopes.length > 1 ? 'des enveloppes' : 'une enveloppe'} en {selectedYear}
+          </p>
+          <ul className="mt-1 space-y-1">
+            {exceededEnvelopes.map(({ envelope, usage }) => (
+              <li key={envelope.id}>
+                {COMMON_EXPENSE_CATEGORY_LABELS[envelope.category]}
+                {envelope.personId && ` (${getPersonName(envelope.personId)})`}
+                {' · '}{ENVELOPE_PERIOD_LABELS[envelope.period].toLowerCase()} : {formatCurrency(usage.planned)} prévus pour {formatCurrency(envelope.amount)}
+                {envelope.period === ENVELOPE_PERIODS.MONTHLY && usage.peakMonth && ` en ${getMonthLabel(usage.peakMonth).toLowerCase()}`}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {errors.general && (
         <p className="text-sm text-red-600">
           {errors.general}
         </p>
       )}
 
-      <Button
-        type="submit"
-        disabled={!canSubmit}
-        className="w-full transition-all duration-200 hover:scale-[1.02] focus:ring-2 focus:ring-primary focus:ring-offset-2"
-      >
-        <Plus className="w-4 h-4 mr-2" />
-        {isSubmitting ? UI_LABELS.LOADING : UI_LABELS.ADD}
-      </Button>
+      {isEditMode ? (
+        <div className="flex justify-end space-x-2">
+          <Button
+            type="button"
+            variant="outline"
+            onClick={onCancel}
+            disabled={isSubmitting}
+          >
+            <X className="w-4 h-4 mr-2" />
+            {UI_LABELS.CANCEL}
+          </Button>
+          <Button
+            type="submit"
+            disabled={!canSubmit}
+            className="transition-all duration-200 focus:ring-2 focus:ring-primary focus:ring-offset-2"
+          >
+            <Save className="w-4 h-4 mr-2" />
+            {isSubmitting ? UI_LABELS.LOADING : UI_LABELS.SAVE}
+          </Button>
+        </div>
+      ) : (
+        <Button
+          type="submit"
+          disabled={!canSubmit}
+          className="w-full transition-all duration-200 hover:scale-[1.02] focus:ring-2 focus:ring-primary focus:ring-offset-2"
+        >
+          <Plus className="w-4 h-4 mr-2" />
+          {isSubmitting ? UI_LABELS.LOADING : UI_LABELS.ADD}
+        </Button>
+      )}
     </form>
   )
 }
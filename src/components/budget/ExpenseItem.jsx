@@ -4,8 +4,12 @@
  * Fonctionnalités métier :
  * - Affichage détaillé d'une dépense (nom, montant, fréquence, catégorie)
  * - Indicateur visuel d'assignation avec codage couleur (Personne A, B ou Commun)
- * - Actions de modification et suppression
- * - Formatage approprié des montants
+ * - Détail des parts d'une dépense partagée entre certaines personnes
+ * - Affichage de la personne qui paie la dépense
+ * - Affichage du jour d'échéance
+ * - Montant d'origine en devise étrangère avec sa conversion dans la devise du ménage
+ * - Actions de modification (dialogue d'édition) et suppression
+ * - Formatage approprié des montants (fixes ou en fourchette)
  * - Interface utilisateur cohérente avec badges colorés
  *
  * Objectif : Présenter chaque dépense de manière claire avec
@@ -17,6 +21,13 @@
  */
 
 import { Button } from '@/components/ui/button'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle
+} from '@/components/ui/dialog'
 import {
   Edit,
   Trash2,
@@ -37,13 +48,17 @@ import {
 } from 'lucide-react'
 import { useState, useEffect } from 'react'
 import { useBudget } from '../../contexts/BudgetContext.jsx'
-import { formatExpenseAmount } from '../../utils/formatters.js'
+import ExpenseForm from './ExpenseForm.jsx'
+import { useFormatters } from '../../hooks/useFormatters.js'
+import { isRangeExpense, getExpenseShares } from '../../utils/calculations.js'
+import { getMonthLabel } from '../../utils/calendar.js'
+import { getFrequencyLabel } from '../../utils/frequencies.js'
+import { isForeignCurrencyExpense, hasMissingExchangeRate, convertToBaseCurrency } from '../../utils/currency.js'
 import {
-  EXPENSE_FREQUENCY_LABELS,
   COMMON_EXPENSE_CATEGORY_LABELS,
   UI_LABELS,
-  MONTH_LABELS,
-  ALL_MONTHS,
+  MONTH_NAMES,
+  MONTH_NUMBERS,
   ASSIGNMENT_LABELS,
   ASSIGNMENT_OPTIONS,
   EXPENSE_CATEGORY_COLORS,
@@ -59,10 +74,20 @@ import {
  * @returns {JSX.Element} Élément de dépense
  */
 function ExpenseItem({ expense }) {
-  const { deleteExpense, people } = useBudget()
+  const { deleteExpense, people, settings } = useBudget()
+  const { formatExpenseAmount, formatExpenseAmountRange } = useFormatters()
   const [showDeleteConfirmation, setShowDeleteConfirmation] = useState(false)
   const [countdown, setCountdown] = useState(5)
   const [isDeleting, setIsDeleting] = useState(false)
+  const [isEditDialogOpen, setIsEditDialogOpen] = useState(false)
+
+  // Personne qui paie effectivement la dépense (si renseignée)
+  const payer = people.find(person => person.id === expense.paidBy)
+
+  // Dépense en devise étrangère : conversion au taux le plus récent
+  const isForeignCurrency = isForeignCurrencyExpense(expense, settings)
+  const isRateMissing = hasMissingExchangeRate(expense, settings)
+  const toBaseCurrency = (amount) => convertToBaseCurrency(amount, expense.currency, undefined, settings)
 
   /**
     * Obtient le schéma de couleurs pour une catégorie de dépense
@@ -193,11 +218,17 @@ function ExpenseItem({ expense }) {
 
   /**
    * Gère la modification de la dépense
-   * Placeholder pour la fonctionnalité d'édition future
+   * Ouvre le dialogue d'édition pré-rempli avec la dépense
    */
   const handleEdit = () => {
-    // TODO: Implémenter la fonctionnalité d'édition
-    console.log('Édition de la dépense:', expense.id)
+    setIsEditDialogOpen(true)
+  }
+
+  /**
+   * Ferme le dialogue d'édition
+   */
+  const handleCloseEdit = () => {
+    setIsEditDialogOpen(false)
   }
 
   /**
@@ -207,10 +238,17 @@ function ExpenseItem({ expense }) {
   const renderAssignmentBadge = () => {
     // Vérifier si c'est une dépense commune
     if (expense.assignedTo === ASSIGNMENT_OPTIONS.BOTH) {
+      // Dépense partagée entre certaines personnes : affichage des parts
+      const expenseShares = getExpenseShares(expense, people)
+      const sharesLabel = expenseShares && people
+        .filter(person => expenseShares[person.id])
+        .map(person => `${person.name || 'Sans nom'} (${Math.round(expenseShares[person.id] * 100)}%)`)
+        .join(', ')
+
       return (
         <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium border ml-2 bg-gradient-to-r from-pink-500 to-blue-500 text-white border-transparent shadow-sm">
           <span className="w-2 h-2 rounded-full mr-2 bg-white opacity-80"></span>
-          Commun
+          {sharesLabel ? `Partagé : ${sharesLabel}` : 'Commun'}
         </span>
       )
     }
@@ -218,8 +256,17 @@ function ExpenseItem({ expense }) {
     // Trouver la personne assignée pour les dépenses individuelles
     const assignedPerson = people.find(person => person.id === expense.assignedTo)
 
+    // Dépense orpheline : la personne assignée a été supprimée
     if (!assignedPerson) {
-      return null
+      return (
+        <span
+          className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium border ml-2 bg-orange-100 text-orange-800 border-orange-300"
+          title="Réassignez cette dépense pour l'inclure dans les budgets individuels"
+        >
+          <AlertTriangle className="w-3 h-3 mr-1" />
+          Personne supprimée
+        </span>
+      )
     }
 
     // Classes de couleur selon la personne avec couleurs uniques et vibrantes
@@ -314,15 +361,30 @@ function ExpenseItem({ expense }) {
 
       <div className="mb-2">
         <span className="text-lg font-semibold text-green-600 block">
-          {formatExpenseAmount(expense.amount, expense.frequency)}
+          {isRangeExpense(expense)
+            ? formatExpenseAmountRange(expense.minAmount, expense.maxAmount, expense.frequency, expense.currency, expense.intervalMonths)
+            : formatExpenseAmount(expense.amount, expense.frequency, expense.currency, expense.intervalMonths)}
         </span>
+        {isForeignCurrency && !isRateMissing && (
+          <span className="text-xs text-muted-foreground block">
+            ≈ {isRangeExpense(expense)
+              ? formatExpenseAmountRange(toBaseCurrency(expense.minAmount), toBaseCurrency(expense.maxAmount), expense.frequency, undefined, expense.intervalMonths)
+              : formatExpenseAmount(toBaseCurrency(expense.amount), expense.frequency, undefined, expense.intervalMonths)}
+          </span>
+        )}
+        {isRateMissing && (
+          <span className="inline-flex items-center text-xs text-orange-700">
+            <AlertTriangle className="w-3 h-3 mr-1" />
+            Taux de change {expense.currency} manquant : montant compté sans conversion
+          </span>
+        )}
       </div>
 
       <div className="flex flex-col space-y-2 text-sm text-muted-foreground mb-4">
         <div className="flex items-center space-x-4">
           <span className="flex items-center">
             <span className="inline-block w-2 h-2 bg-blue-500 rounded-full mr-2 flex-shrink-0"></span>
-            {EXPENSE_FREQUENCY_LABELS[expense.frequency]}
+            {getFrequencyLabel(expense.frequency, expense.intervalMonths)}
           </span>
 
           <span className="flex items-center">
@@ -333,11 +395,40 @@ function ExpenseItem({ expense }) {
           </span>
         </div>
 
-        {expense.months && expense.months.length !== ALL_MONTHS.length && (
+        {expense.months && expense.months.length !== MONTH_NUMBERS.length && (
           <div className="flex items-center">
             <span className="inline-block w-2 h-2 bg-green-500 rounded-full mr-2"></span>
             <span className="text-xs">
-              Mois: {expense.months.map(month => MONTH_LABELS[month]).join(', ')}
+              Mois: {expense.months.map(month => MONTH_NAMES[month]).join(', ')}
+            </span>
+          </div>
+        )}
+
+        {(expense.startMonth || expense.endMonth) && (
+          <div className="flex items-center">
+            <span className="inline-block w-2 h-2 bg-purple-500 rounded-full mr-2"></span>
+            <span className="text-xs">
+              Période: {expense.startMonth ? `à partir de ${getMonthLabel(expense.startMonth, true)}` : ''}
+              {expense.startMonth && expense.endMonth ? ' ' : ''}
+              {expense.endMonth ? `jusqu'à ${getMonthLabel(expense.endMonth, true)}` : ''}
+            </span>
+          </div>
+        )}
+
+        {expense.dueDay && (
+          <div className="flex items-center">
+            <span className="inline-block w-2 h-2 bg-sky-500 rounded-full mr-2"></span>
+            <span className="text-xs">
+              {UI_LABELS.DUE_DAY}: le {expense.dueDay} du mois
+            </span>
+          </div>
+        )}
+
+        {payer && (
+          <div className="flex items-center">
+            <span className="inline-block w-2 h-2 bg-amber-500 rounded-full mr-2"></span>
+            <span className="text-xs">
+              {UI_LABELS.PAID_BY}: {payer.name || 'Sans nom'}
             </span>
           </div>
         )}
@@ -449,6 +540,25 @@ function ExpenseItem({ expense }) {
           </div>
         </div>
       )}
+
+      {/* Dialogue de modification de la dépense */}
+      <Dialog open={isEditDialogOpen} onOpenChange={setIsEditDialogOpen}>
+        <DialogContent className="max-h-[90vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle>Modifier la dépense</DialogTitle>
+            <DialogDescription>
+              Modifiez les informations de « {expense.name} » puis enregistrez.
+            </DialogDescription>
+          </DialogHeader>
+          {isEditDialogOpen && (
+            <ExpenseForm
+              expense={expense}
+              onSuccess={handleCloseEdit}
+              onCancel={handleCloseEdit}
+            />
+          )}
+        </DialogContent>
+      </Dialog>
     </div>
   )
 }
@@ -0,0 +1,136 @@
+/**
+ * Composant d'historique des modifications - Annulation et rétablissement
+ *
+ * Fonctionnalités métier :
+ * - Boutons d'annulation et de rétablissement de la dernière modification
+ * - Raccourcis clavier Ctrl+Z (annuler) et Ctrl+Maj+Z / Ctrl+Y (rétablir)
+ * - Panneau listant les modifications effectuées et annulées
+ * - Retour direct à n'importe quel point de l'historique
+ *
+ * Objectif : Rendre réversibles toutes les modifications du budget,
+ * y compris les suppressions et la réinitialisation complète.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+import { useState, useEffect } from 'react'
+import { Undo2, Redo2, History } from 'lucide-react'
+import { useBudget } from '../../contexts/BudgetContext.jsx'
+import { Button } from '../ui/button.jsx'
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card.jsx'
+
+/**
+ * Indique si un raccourci clavier vise un champ de saisie
+ * Les champs gardent leur propre annulation native
+ * @param {EventTarget} target - Élément ciblé par l'événement
+ * @returns {boolean} True si l'élément est un champ éditable
+ */
+const isEditableTarget = (target) => {
+  return target instanceof HTMLElement &&
+    (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))
+}
+
+/**
+ * Boutons d'annulation / rétablissement et panneau d'historique
+ * @returns {JSX.Element} Contrôles de l'historique
+ */
+function HistoryPanel() {
+  const { undo, redo, canUndo, canRedo, undoHistory, redoHistory } = useBudget()
+  const [isPanelOpen, setIsPanelOpen] = useState(false)
+
+  // Raccourcis clavier globaux
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || isEditableTarget(event.target)) return
+
+      const key = event.key.toLowerCase()
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault()
+        undo()
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault()
+        redo()
+      }
+    }
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [undo, redo])
+
+  return (
+    <div className="relative flex gap-2">
+      <Button
+        variant="outline"
+        onClick={() => undo()}
+        disabled={!canUndo}
+        title="Annuler (Ctrl+Z)"
+        className="flex items-center gap-2"
+      >
+        <Undo2 className="w-4 h-4" />
+        Annuler
+      </Button>
+      <Button
+        variant="outline"
+        onClick={() => redo()}
+        disabled={!canRedo}
+        title="Rétablir (Ctrl+Maj+Z)"
+        className="flex items-center gap-2"
+      >
+        <Redo2 className="w-4 h-4" />
+        Rétablir
+      </Button>
+      <Button
+        variant={isPanelOpen ? 'default' : 'outline'}
+        onClick={() => setIsPanelOpen(open => !open)}
+        aria-expanded={isPanelOpen}
+        className="flex items-center gap-2"
+      >
+        <History className="w-4 h-4" />
+        Historique
+      </Button>
+
+      {isPanelOpen && (
+        <Card className="absolute right-0 top-full z-20 mt-2 w-80 text-left shadow-xl">
+          <CardHeader className="pb-2">
+            <CardTitle className="text-base">Historique des modifications</CardTitle>
+          </CardHeader>
+          <CardContent className="max-h-80 overflow-y-auto">
+            {undoHistory.length === 0 && redoHistory.length === 0 ? (
+              <p className="text-sm text-muted-foreground">Aucune modification pour le moment</p>
+            ) : (
+              <ol className="space-y-1 text-sm">
+                {/* Modifications annulées, rétablissables (la plus lointaine en haut) */}
+                {[...redoHistory].reverse().map((label, index) => (
+                  <li key={`redo-${index}`}>
+                    <button
+                      type="button"
+                      onClick={() => redo(redoHistory.length - index)}
+                      className="w-full rounded px-2 py-1 text-left text-muted-foreground line-through hover:bg-gray-100"
+                    >
+                      {label}
+                    </button>
+                  </li>
+                ))}
+                {/* Modifications effectuées (la plus récente en haut) */}
+                {[...undoHistory].reverse().map((label, index) => (
+                  <li key={`undo-${index}`}>
+                    <button
+                      type="button"
+                      onClick={() => undo(index + 1)}
+                      title="Annuler jusqu'à cette modification incluse"
+                      className={`w-full rounded px-2 py-1 text-left hover:bg-gray-100 ${index === 0 ? 'font-semibold' : ''}`}
+                    >
+                      {label}
+                    </button>
+                  </li>
+                ))}
+              </ol>
+            )}
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  )
+}
+
+export default HistoryPanel
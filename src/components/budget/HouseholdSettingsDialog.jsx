@@ -0,0 +1,103 @@
+/**
+ * Composant des paramètres du ménage - Devise et format régional
+ *
+ * Fonctionnalités métier :
+ * - Choix de la devise du budget (EUR, CAD, CHF...)
+ * - Choix du format régional des nombres et des dates
+ * - Aperçu immédiat du format d'un montant
+ * - Table des taux de change pour les dépenses en devise étrangère
+ *
+ * Objectif : Afficher tous les montants de l'application dans
+ * la devise et le format du ménage, sauvegardés avec le budget.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+import { useState } from 'react'
+import { Settings } from 'lucide-react'
+import { useBudget } from '../../contexts/BudgetContext.jsx'
+import { useFormatters } from '../../hooks/useFormatters.js'
+import { CURRENCY_LABELS, LOCALE_LABELS, UI_LABELS } from '../../models/constants.js'
+import { Button } from '../ui/button.jsx'
+import { Label } from '../ui/label.jsx'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger
+} from '../ui/dialog.jsx'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select.jsx'
+import ExchangeRateTable from './ExchangeRateTable.jsx'
+
+/**
+ * Bouton et dialogue de paramétrage du ménage
+ * @returns {JSX.Element} Dialogue des paramètres
+ */
+function HouseholdSettingsDialog() {
+  const { updateSettings } = useBudget()
+  const { currency, locale, formatCurrency } = useFormatters()
+  const [isOpen, setIsOpen] = useState(false)
+
+  return (
+    <Dialog open={isOpen} onOpenChange={setIsOpen}>
+      <DialogTrigger asChild>
+        <Button variant="outline" className="flex items-center gap-2">
+          <Settings className="w-4 h-4" />
+          {UI_LABELS.SETTINGS}
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{UI_LABELS.SETTINGS}</DialogTitle>
+          <DialogDescription>
+            Devise et format d’affichage des montants du budget.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="space-y-2">
+            <Label>{UI_LABELS.CURRENCY}</Label>
+            <Select value={currency} onValueChange={(value) => updateSettings({ currency: value })}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(CURRENCY_LABELS).map(([value, label]) => (
+                  <SelectItem key={value} value={value}>
+                    {label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          <div className="space-y-2">
+            <Label>{UI_LABELS.LOCALE}</Label>
+            <Select value={locale} onValueChange={(value) => updateSettings({ locale: value })}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(LOCALE_LABELS).map(([value, label]) => (
+                  <SelectItem key={value} value={value}>
+                    {label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          <p className="text-sm text-muted-foreground">
+            Aperçu : {formatCurrency(1234.56)}
+          </p>
+
+          <ExchangeRateTable />
+        </div>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+export default HouseholdSettingsDialog
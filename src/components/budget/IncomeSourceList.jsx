@@ -0,0 +1,302 @@
+/**
+ * Composant des autres revenus - Sources de revenus complémentaires d'une personne
+ *
+ * Fonctionnalités métier :
+ * - Liste des revenus complémentaires au salaire (primes, indépendant, loyers, CAF...)
+ * - Ajout d'une source avec montant, fréquence (dont « tous les N mois »), mois et jour de perception, et imposition
+ * - Bascule imposable / non imposable et suppression d'une source
+ *
+ * Objectif : Prendre en compte dans le budget tous les revenus
+ * perçus par une personne, y compris irréguliers ou exceptionnels.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+import { useState, useId } from 'react'
+import { Plus, Trash2, Wallet } from 'lucide-react'
+import { useBudget } from '../../contexts/BudgetContext.jsx'
+import { useFormatters } from '../../hooks/useFormatters.js'
+import { validateIncomeSource } from '../../utils/validators.js'
+import { generateUniqueId } from '../../utils/idGenerator.js'
+import { getIncomeSources } from '../../utils/income.js'
+import {
+  EXPENSE_FREQUENCIES,
+  EXPENSE_FREQUENCY_LABELS,
+  INCOME_SOURCE_TYPES,
+  INCOME_SOURCE_TYPE_LABELS,
+  INCOME_SOURCE_TAXABLE_DEFAULTS,
+  MONTH_NUMBERS,
+  MONTH_NAMES,
+  UI_LABELS,
+  DEFAULT_INTERVAL_MONTHS
+} from '../../models/constants.js'
+import { Button } from '../ui/button.jsx'
+import { Input } from '../ui/input.jsx'
+import { Label } from '../ui/label.jsx'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select.jsx'
+
+// Valeurs initiales du formulaire d'ajout
+const EMPTY_SOURCE = {
+  name: '',
+  type: INCOME_SOURCE_TYPES.BONUS,
+  amount: '',
+  frequency: EXPENSE_FREQUENCIES.MONTHLY,
+  intervalMonths: String(DEFAULT_INTERVAL_MONTHS), // Mois entre deux perceptions (fréquence « tous les N mois »)
+  months: MONTH_NUMBERS,
+  dueDay: '', // Jour de perception dans le mois, optionnel
+  taxable: INCOME_SOURCE_TAXABLE_DEFAULTS[INCOME_SOURCE_TYPES.BONUS]
+}
+
+/**
+ * Liste et formulaire d'ajout des autres revenus d'une personne
+ * @param {object} props - Propriétés du composant
+ * @param {object} props.person - Personne concernée
+ * @returns {JSX.Element} Sources de revenus de la personne
+ */
+function IncomeSourceList({ person }) {
+  const { updatePerson } = useBudget()
+  const { currencySymbol, formatExpenseAmount } = useFormatters()
+  const fieldIdPrefix = useId()
+  const incomeSources = getIncomeSources(person)
+  const [formData, setFormData] = useState(EMPTY_SOURCE)
+  const [errors, setErrors] = useState({})
+
+  /**
+   * Enregistre la nouvelle liste des sources de la personne
+   * @param {Array} updatedSources - Sources de revenus
+   */
+  const saveSources = (updatedSources) => {
+    updatePerson(person.id, { incomeSources: updatedSources })
+  }
+
+  /**
+   * Change le type de revenu et propose l'imposition par défaut de ce type
+   * @param {string} type - Type de revenu
+   */
+  const handleTypeChange = (type) => {
+    setFormData(prev => ({ ...prev, type, taxable: INCOME_SOURCE_TAXABLE_DEFAULTS[type] }))
+  }
+
+  /**
+   * Coche ou décoche un mois de perception
+   * @param {number} month - Numéro du mois
+   * @param {boolean} checked - Mois coché
+   */
+  const handleMonthChange = (month, checked) => {
+    setFormData(prev => ({
+      ...prev,
+      months: checked
+        ? [...prev.months, month].sort((a, b) => a - b)
+        : prev.months.filter(m => m !== month)
+    }))
+  }
+
+  /**
+   * Ajoute la source saisie aux revenus de la personne
+   */
+  const handleAdd = () => {
+    const source = {
+      name: formData.name.trim(),
+      type: formData.type,
+      amount: parseFloat(formData.amount),
+      frequency: formData.frequency,
+      intervalMonths: formData.frequency === EXPENSE_FREQUENCIES.EVERY_N_MONTHS && formData.intervalMonths
+        ? Number(formData.intervalMonths)
+        : undefined,
+      months: formData.months,
+      dueDay: formData.dueDay ? Number(formData.dueDay) : undefined,
+      taxable: formData.taxable
+    }
+
+    const validation = validateIncomeSource(source)
+    if (!validation.isValid) {
+      setErrors(validation.errors)
+      return
+    }
+
+    saveSources([...incomeSources, { ...source, id: generateUniqueId() }])
+    setFormData(EMPTY_SOURCE)
+    setErrors({})
+  }
+
+  return (
+    <div className="space-y-3">
+      <Label className="flex items-center">
+        <Wallet className="w-4 h-4 mr-2" />
+        {UI_LABELS.INCOME_SOURCES}
+      </Label>
+
+      {incomeSources.length > 0 && (
+        <ul className="space-y-2 text-sm">
+          {incomeSources.map(source => (
+            <li key={source.id} className="flex items-center justify-between gap-2 rounded-md bg-gray-50 p-2">
+              <div>
+                <div className="font-medium">
+                  {source.name}
+                  <span className="text-muted-foreground"> · {INCOME_SOURCE_TYPE_LABELS[source.type] || INCOME_SOURCE_TYPE_LABELS[INCOME_SOURCE_TYPES.OTHER]}</span>
+                </div>
+                <div className="text-muted-foreground">
+                  {formatExpenseAmount(source.amount, source.frequency, undefined, source.intervalMonths)}
+                  {source.months && source.months.length !== MONTH_NUMBERS.length && (
+                    <> · {source.months.map(month => MONTH_NAMES[month]).join(', ')}</>
+                  )}
+                  {source.dueDay && <> · le {source.dueDay} du mois</>}
+                </div>
+              </div>
+              <div className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  id={`${fieldIdPrefix}-taxable-${source.id}`}
+                  checked={Boolean(source.taxable)}
+                  onChange={(e) => saveSources(incomeSources.map(s =>
+                    s.id === source.id ? { ...s, taxable: e.target.checked } : s
+                  ))}
+                  className="rounded border-gray-300"
+                />
+                <Label htmlFor={`${fieldIdPrefix}-taxable-${source.id}`} className="text-xs">
+                  {UI_LABELS.TAXABLE}
+                </Label>
+                <Button
+                  size="sm"
+                  variant="ghost"
+                  onClick={() => saveSources(incomeSources.filter(s => s.id !== source.id))}
+                  aria-label={`${UI_LABELS.DELETE} ${source.name}`}
+                >
+                  <Trash2 className="w-4 h-4" />
+                </Button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="space-y-2 rounded-md border border-dashed p-3">
+        <div className="grid grid-cols-2 gap-2">
+          <Input
+            aria-label="Libellé du revenu"
+            value={formData.name}
+            onChange={(e) => setFormData(prev => ({ ...prev, name: e.target.value }))}
+            placeholder="Ex: Prime de fin d'année"
+            className={errors.name ? 'border-red-500' : ''}
+          />
+          <Select value={formData.type} onValueChange={handleTypeChange}>
+            <SelectTrigger aria-label="Type de revenu">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {Object.entries(INCOME_SOURCE_TYPE_LABELS).map(([value, label]) => (
+                <SelectItem key={value} value={value}>
+                  {label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Input
+            aria-label={`${UI_LABELS.AMOUNT} (${currencySymbol})`}
+            type="text"
+            inputMode="decimal"
+            value={formData.amount}
+            onChange={(e) => setFormData(prev => ({
+              ...prev,
+              amount: e.target.value.replace(/[^0-9.,]/g, '').replace(',', '.')
+            }))}
+            placeholder={`${UI_LABELS.AMOUNT} (${currencySymbol})`}
+            className={errors.amount ? 'border-red-500' : ''}
+          />
+          <Select
+            value={formData.frequency}
+            onValueChange={(value) => setFormData(prev => ({ ...prev, frequency: value }))}
+          >
+            <SelectTrigger aria-label={UI_LABELS.FREQUENCY}>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {Object.entries(EXPENSE_FREQUENCY_LABELS).map(([value, label]) => (
+                <SelectItem key={value} value={value}>
+                  {label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          {formData.frequency === EXPENSE_FREQUENCIES.EVERY_N_MONTHS && (
+            <Input
+              aria-label={UI_LABELS.INTERVAL_MONTHS}
+              type="text"
+              inputMode="numeric"
+              value={formData.intervalMonths}
+              onChange={(e) => setFormData(prev => ({ ...prev, intervalMonths: e.target.value.replace(/[^0-9]/g, '') }))}
+              placeholder={UI_LABELS.INTERVAL_MONTHS}
+              className={errors.intervalMonths ? 'border-red-500' : ''}
+            />
+          )}
+          <Input
+            aria-label={`${UI_LABELS.DUE_DAY} (optionnel)`}
+            type="text"
+            inputMode="numeric"
+            value={formData.dueDay}
+            onChange={(e) => setFormData(prev => ({ ...prev, dueDay: e.target.value.replace(/[^0-9]/g, '') }))}
+            placeholder={`${UI_LABELS.DUE_DAY} (optionnel)`}
+            className={errors.dueDay ? 'border-red-500' : ''}
+          />
+        </div>
+
+        <div className="flex flex-wrap items-center gap-4">
+          <div className="flex items-center space-x-2">
+            <input
+              type="checkbox"
+              id={`${fieldIdPrefix}-all-months`}
+              checked={formData.months.length === MONTH_NUMBERS.length}
+              onChange={(e) => setFormData(prev => ({ ...prev, months: e.target.checked ? MONTH_NUMBERS : [] }))}
+              className="rounded border-gray-300"
+            />
+            <Label htmlFor={`${fieldIdPrefix}-all-months`} className="text-sm">
+              Tous les mois
+            </Label>
+          </div>
+          <div className="flex items-center space-x-2">
+            <input
+              type="checkbox"
+              id={`${fieldIdPrefix}-new-taxable`}
+              checked={formData.taxable}
+              onChange={(e) => setFormData(prev => ({ ...prev, taxable: e.target.checked }))}
+              className="rounded border-gray-300"
+            />
+            <Label htmlFor={`${fieldIdPrefix}-new-taxable`} className="text-sm">
+              {UI_LABELS.TAXABLE}
+            </Label>
+          </div>
+        </div>
+
+        {formData.months.length !== MONTH_NUMBERS.length && (
+          <div className="grid grid-cols-3 gap-2">
+            {MONTH_NUMBERS.map(month => (
+              <div key={month} className="flex items-center space-x-2">
+                <input
+                  type="checkbox"
+                  id={`${fieldIdPrefix}-month-${month}`}
+                  checked={formData.months.includes(month)}
+                  onChange={(e) => handleMonthChange(month, e.target.checked)}
+                  className="rounded border-gray-300"
+                />
+                <Label htmlFor={`${fieldIdPrefix}-month-${month}`} className="text-sm">
+                  {MONTH_NAMES[month]}
+                </Label>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {Object.values(errors).filter(Boolean).map(message => (
+          <p key={message} className="text-sm text-red-600">{message}</p>
+        ))}
+
+        <Button size="sm" variant="outline" onClick={handleAdd} className="flex items-center gap-2">
+          <Plus className="w-4 h-4" />
+          {UI_LABELS.ADD}
+        </Button>
+      </div>
+    </div>
+  )
+}
+
+export default IncomeSourceList
@@ -0,0 +1,193 @@
+/**
+ * Composant d'impôt sur le revenu - Paramétrage et estimation du foyer fiscal
+ *
+ * Fonctionnalités métier :
+ * - Activation de l'impôt estimé dans les résumés budgétaires
+ * - Choix du mode de déclaration (commune ou séparée) et des déclarants
+ * - Saisie du nombre d'enfants à charge et du déclarant des enfants
+ * - Affichage des parts, du revenu imposable et de l'impôt de chaque foyer
+ * - Montant annuel et prélèvement à la source mensuel
+ *
+ * Objectif : Éviter la saisie manuelle de l'impôt comme une dépense
+ * en l'estimant à partir des revenus et de la composition du foyer.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+import { useMemo } from 'react'
+import { Landmark } from 'lucide-react'
+import { useBudget } from '../../contexts/BudgetContext.jsx'
+import { useFormatters } from '../../hooks/useFormatters.js'
+import { calculateHouseholdIncomeTax } from '../../utils/incomeTax.js'
+import { TAX_FILING_MODES, TAX_FILING_MODE_LABELS } from '../../models/taxRules.js'
+import { UI_LABELS } from '../../models/constants.js'
+import { Input } from '../ui/input.jsx'
+import { Label } from '../ui/label.jsx'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select.jsx'
+
+/**
+ * Paramétrage de l'impôt sur le revenu du ménage
+ * @returns {JSX.Element} Options du foyer fiscal et estimation de l'impôt
+ */
+function IncomeTaxSettings() {
+  const { people, settings, selectedYear, updateSettings } = useBudget()
+  const { formatCurrency, formatNumber } = useFormatters()
+  const incomeTax = settings.incomeTax || {}
+  const filingMode = incomeTax.filingMode || TAX_FILING_MODES.JOINT
+  const jointPersonIds = (incomeTax.jointPersonIds || people.map(person => person.id)).slice(0, 2)
+
+  const estimate = useMemo(() => {
+    return calculateHouseholdIncomeTax(people, settings, { year: selectedYear })
+  }, [people, settings, selectedYear])
+
+  /**
+   * Met à jour les paramètres fiscaux du ménage
+   * @param {object} updates - Champs modifiés
+   */
+  const updateIncomeTax = (updates) => {
+    updateSettings({ incomeTax: { ...incomeTax, ...updates } })
+  }
+
+  /**
+   * Ajoute ou retire une personne de la déclaration commune (deux déclarants au plus)
+   * @param {string} personId - ID de la personne
+   * @param {boolean} isChecked - Personne cochée
+   */
+  const handleJointPersonToggle = (personId, isChecked) => {
+    const updatedIds = isChecked
+      ? [...jointPersonIds, personId].slice(-2)
+      : jointPersonIds.filter(id => id !== personId)
+    updateIncomeTax({ jointPersonIds: updatedIds })
+  }
+
+  /**
+   * Retourne le nom d'une personne
+   * @param {string} personId - ID de la personne
+   * @returns {string} Nom affiché
+   */
+  const getPersonName = (personId) => {
+    return people.find(person => person.id === personId)?.name || 'Sans nom'
+  }
+
+  return (
+    <div className="mt-6 space-y-3 rounded-lg border p-4">
+      <div className="flex items-center space-x-2">
+        <input
+          type="checkbox"
+          id="income-tax-enabled"
+          checked={Boolean(incomeTax.enabled)}
+          onChange={(e) => updateIncomeTax({ enabled: e.target.checked })}
+          className="rounded border-gray-300"
+        />
+        <Label htmlFor="income-tax-enabled" className="flex items-center">
+          <Landmark className="w-4 h-4 mr-2" />
+          Estimer l’{UI_LABELS.INCOME_TAX.toLowerCase()} dans le budget
+        </Label>
+      </div>
+
+      {incomeTax.enabled && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {people.length > 1 && (
+              <div className="space-y-2">
+                <Label>Mode de déclaration</Label>
+                <Select value={filingMode} onValueChange={(value) => updateIncomeTax({ filingMode: value })}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {Object.entries(TAX_FILING_MODE_LABELS).map(([value, label]) => (
+                      <SelectItem key={value} value={value}>
+                        {label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            )}
+
+            <div className="space-y-2">
+              <Label htmlFor="income-tax-children">Enfants à charge</Label>
+              <Input
+                id="income-tax-children"
+                type="number"
+                min="0"
+                step="1"
+                value={incomeTax.childrenCount ?? 0}
+                onChange={(e) => updateIncomeTax({ childrenCount: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+              />
+            </div>
+
+            {estimate.households.length > 1 && incomeTax.childrenCount > 0 && (
+              <div className="space-y-2">
+                <Label>Enfants déclarés par</Label>
+                <Select
+                  value={incomeTax.childrenDeclaredBy || estimate.households[0].personIds[0]}
+                  onValueChange={(value) => updateIncomeTax({ childrenDeclaredBy: value })}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {people.map(person => (
+                      <SelectItem key={person.id} value={person.id}>
+                        {person.name || 'Sans nom'}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            )}
+          </div>
+
+          {filingMode === TAX_FILING_MODES.JOINT && people.length > 2 && (
+            <div className="space-y-2">
+              <Label>Déclarants de la déclaration commune (deux au plus)</Label>
+              <div className="flex flex-wrap gap-4">
+                {people.map(person => (
+                  <div key={person.id} className="flex items-center space-x-2">
+                    <input
+                      type="checkbox"
+                      id={`income-tax-joint-${person.id}`}
+                      checked={jointPersonIds.includes(person.id)}
+                      onChange={(e) => handleJointPersonToggle(person.id, e.target.checked)}
+                      className="rounded border-gray-300"
+                    />
+                    <Label htmlFor={`income-tax-joint-${person.id}`} className="text-sm">
+                      {person.name || 'Sans nom'}
+                    </Label>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <ul className="space-y-1 text-sm">
+            {estimate.households.map(household => (
+              <li key={household.personIds.join('-')} className="flex flex-wrap justify-between gap-2">
+                <span>
+                  {household.personIds.map(getPersonName).join(' et ')}
+                  <span className="text-muted-foreground">
+                    {' '}({formatNumber(household.parts, 1)} parts, revenu imposable {formatCurrency(household.taxableIncome)})
+                  </span>
+                </span>
+                <span className="font-medium">{formatCurrency(household.annualTax)}</span>
+              </li>
+            ))}
+          </ul>
+
+          <p className="text-sm">
+            {UI_LABELS.INCOME_TAX} {selectedYear} : <span className="font-semibold">{formatCurrency(estimate.annualTax)}</span>
+            {' · '}
+            {UI_LABELS.WITHHOLDING_TAX} : <span className="font-semibold">{formatCurrency(estimate.monthlyWithholding)}</span> / mois
+          </p>
+          <p className="text-xs text-muted-foreground">
+            Estimation indicative selon le {estimate.rulesLabel}, à partir des salaires nets. Ne saisissez plus l’impôt comme une dépense.
+          </p>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default IncomeTaxSettings
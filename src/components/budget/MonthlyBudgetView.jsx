@@ -2,12 +2,20 @@
  * Composant de vue budgétaire mensuelle - Affichage du résumé budgétaire mensuel avec graphiques
  *
  * Fonctionnalités métier :
- * - Affichage des revenus, dépenses et budget restant mensuels
+ * - Affichage des revenus nets, dépenses et budget restant mensuels
  * - Calcul et affichage du ratio de dépenses en pourcentage
- * - Répartition des dépenses par fréquence (hebdomadaire/mensuel/annuel)
- * - Graphique en camembert des dépenses par catégorie pour le mois en cours
- * - Graphique linéaire des tendances budgétaires sur l'année
+ * - Répartition des dépenses par fréquence (de quotidienne à tous les N mois)
+ * - Graphique en camembert des dépenses par catégorie pour le mois sélectionné
+ * - Résumés ménage et individuels limités aux dépenses actives du mois sélectionné
+ * - Graphique linéaire des tendances budgétaires sur l'année budgétaire sélectionnée
  * - Codage couleur pour indiquer surplus ou déficit
+ * - Fourchettes basse / haute pour les dépenses saisies en fourchette
+ * - Montants et graphiques affichés dans la devise du ménage
+ * - Prélèvement à la source de l'impôt estimé inclus dans les dépenses
+ * - Versements du mois vers les objectifs d'épargne inclus dans les dépenses
+ * - Revenus du mois selon l'échéancier de versement des salaires (13e mois, primes...)
+ * - Comparaison prévu / réel du mois par catégorie, par personne et par dépense
+ * - Calendrier de trésorerie au jour le jour avec point bas du mois
  *
  * Objectif : Fournir une vue d'ensemble claire de la situation
  * budgétaire mensuelle, avec des indicateurs visuels et graphiques
@@ -18,12 +26,19 @@
  */
 import { useState } from 'react'
 import { useBudget } from '../../contexts/BudgetContext.jsx'
-import { getMonthlyAmount, calculatePersonMonthlyBudget } from '../../utils/calculations.js'
-import { formatCurrency } from '../../utils/formatters.js'
-import { EXPENSE_FREQUENCIES, EXPENSE_FREQUENCY_LABELS, EXPENSE_CATEGORIES, EXPENSE_CATEGORY_LABELS, MONTH_LABELS, ALL_MONTHS, COMMON_EXPENSE_CATEGORIES, COMMON_EXPENSE_CATEGORY_LABELS, EXPENSE_CATEGORY_COLORS } from '../../models/constants.js'
+import { getExpenseMonthlyProjection, calculateMonthlyBudget, calculatePersonMonthlyBudget } from '../../utils/calculations.js'
+import { useFormatters } from '../../hooks/useFormatters.js'
+import { getMonthKey, getYearMonths, getMonthLabel, getCurrentMonthNumber } from '../../utils/calendar.js'
+import { getAnnualSocialContributions, getSalaryMonthShare } from '../../utils/payroll.js'
+import { getPersonMonthlyIncome, getHouseholdMonthlyIncome } from '../../utils/income.js'
+import { FREQUENCY_REGISTRY, EXPENSE_FREQUENCY_LABELS, EXPENSE_CATEGORY_LABELS, MONTH_NUMBERS, MONTH_NAMES, COMMON_EXPENSE_CATEGORY_LABELS, EXPENSE_CATEGORY_COLORS, UI_LABELS } from '../../models/constants.js'
 import { Card, CardContent, CardHeader, CardTitle } from '../ui/card.jsx'
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select.jsx'
-import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, LineChart, Line, PieChart, Pie, Cell } from 'recharts'
+import { XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, LineChart, Line, PieChart, Pie, Cell } from 'recharts'
+import RangeHint from './RangeHint.jsx'
+import PersonBudgetCard from './PersonBudgetCard.jsx'
+import PlannedVsActual from './PlannedVsActual.jsx'
+import CashFlowCalendar from './CashFlowCalendar.jsx'
 
 /**
  * Composant d'affichage de la vue budgétaire mensuelle
@@ -31,41 +46,42 @@ import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, Responsive
  * Supporte les vues ménage et individuelles
  */
 function MonthlyBudgetView({ viewMode = 'household' }) {
-  const { people, expenses, monthlyBudgetSummary } = useBudget()
-  const [selectedMonth, setSelectedMonth] = useState(new Date().toISOString().slice(0, 7))
+  const { people, expenses, settings, savingsGoals, selectedYear } = useBudget()
+  const { formatCurrency } = useFormatters()
+  const [selectedMonthNumber, setSelectedMonthNumber] = useState(getCurrentMonthNumber)
+
+  // Mois analysé dans l'année budgétaire sélectionnée (format YYYY-MM)
+  const selectedMonth = getMonthKey(selectedYear, selectedMonthNumber)
+
+  // Résumé du mois sélectionné (seules les dépenses actives ce mois-ci sont comptées)
+  const monthlyBudgetSummary = calculateMonthlyBudget(people, expenses, { month: selectedMonth, settings, savingsGoals })
 
   // Calculs pour la vue individuelle
   const personBudgets = viewMode === 'per-person'
     ? people.map(person => ({
         ...person,
-        budget: calculatePersonMonthlyBudget(person.id, people, expenses)
+        income: getPersonMonthlyIncome(person, { month: selectedMonth }),
+        budget: calculatePersonMonthlyBudget(person.id, people, expenses, { month: selectedMonth, settings, savingsGoals })
       })).filter(person => person.budget) // Filtrer les personnes sans budget
     : []
 
-  // Mois en cours (format YYYY-MM)
-  const currentMonth = new Date().toISOString().slice(0, 7)
-
-  // Calcul de la répartition par fréquence
+  // Calcul de la répartition par fréquence pour le mois sélectionné
   const frequencyBreakdown = expenses.reduce((acc, expense) => {
-    const monthlyAmount = getMonthlyAmount(expense.amount, expense.frequency)
+    const monthlyAmount = getExpenseMonthlyProjection(expense, selectedMonth, settings).expected
     acc[expense.frequency] = (acc[expense.frequency] || 0) + monthlyAmount
     return acc
   }, {})
 
-  const weeklyExpenses = frequencyBreakdown[EXPENSE_FREQUENCIES.WEEKLY] || 0
-  const monthlyExpenses = frequencyBreakdown[EXPENSE_FREQUENCIES.MONTHLY] || 0
-  const annualExpenses = frequencyBreakdown[EXPENSE_FREQUENCIES.ANNUAL] || 0
+  // Fréquences utilisées par au moins une dépense, dans l'ordre du registre
+  const usedFrequencies = Object.keys(FREQUENCY_REGISTRY).filter(frequency => frequency in frequencyBreakdown)
 
-  // Revenus mensuels
-  const totalAnnualSalary = people.reduce((total, person) => total + (person.salary || 0), 0)
-  const monthlyIncome = totalAnnualSalary / 12
+  // Revenus nets du mois sélectionné (salaires et autres revenus)
+  const monthlyIncome = getHouseholdMonthlyIncome(people, { month: selectedMonth })
 
   // Données pour le graphique en camembert - Dépenses par catégorie pour le mois sélectionné
   const selectedMonthCategoryData = expenses.reduce((acc, expense) => {
-    if (expense.months && expense.months.includes(selectedMonth)) {
-      const monthlyAmount = getMonthlyAmount(expense.amount, expense.frequency)
-      acc[expense.category] = (acc[expense.category] || 0) + monthlyAmount
-    }
+    const monthlyAmount = getExpenseMonthlyProjection(expense, selectedMonth, settings).expected
+    acc[expense.category] = (acc[expense.category] || 0) + monthlyAmount
     return acc
   }, {})
 
@@ -102,27 +118,23 @@ function MonthlyBudgetView({ viewMode = 'household' }) {
     return colorMap[tailwindClass] || '#6b7280'
   }
 
-  // Données pour le graphique linéaire - Tendances budgétaires sur l'année
-  const budgetTrendsData = ALL_MONTHS.map(month => {
-    const monthlyExpensesForMonth = expenses.reduce((total, expense) => {
-      if (expense.months && expense.months.includes(month)) {
-        return total + getMonthlyAmount(expense.amount, expense.frequency)
-      }
-      return total
-    }, 0)
-
-    const totalAnnualSalaryForMonth = people.reduce((total, person) => total + (person.salary || 0), 0)
-    const monthlyIncomeForMonth = totalAnnualSalaryForMonth / 12
-    const remainingBudget = monthlyIncomeForMonth - monthlyExpensesForMonth
+  // Données pour le graphique linéaire - Tendances budgétaires sur l'année sélectionnée
+  const budgetTrendsData = getYearMonths(selectedYear).map(month => {
+    const summaryForMonth = calculateMonthlyBudget(people, expenses, { month, settings, savingsGoals })
 
     return {
-      month: MONTH_LABELS[month] || month,
-      expenses: Math.round(monthlyExpensesForMonth * 100) / 100,
-      income: Math.round(monthlyIncomeForMonth * 100) / 100,
-      remaining: Math.round(remainingBudget * 100) / 100
+      month: getMonthLabel(month),
+      expenses: summaryForMonth.totalExpenses,
+      expensesLow: summaryForMonth.totalExpensesLow,
+      expensesHigh: summaryForMonth.totalExpensesHigh,
+      income: Math.round(getHouseholdMonthlyIncome(people, { month }) * 100) / 100,
+      remaining: summaryForMonth.remainingBudget
     }
   })
 
+  // La fourchette est affichée dès qu'un mois de l'année en comporte une
+  const trendsHaveRange = budgetTrendsData.some(data => data.expensesLow !== data.expensesHigh)
+
   // Classes CSS pour le codage couleur
   const remainingColorClass = monthlyBudgetSummary.isPositive
     ? 'text-green-600'
@@ -136,14 +148,52 @@ function MonthlyBudgetView({ viewMode = 'household' }) {
 
   return (
     <div className="w-full space-y-6">
-      <h2 className="text-2xl font-bold text-center">Vue Budgétaire Mensuelle</h2>
+      <h2 className="text-2xl font-bold text-center">
+        Vue Budgétaire Mensuelle {viewMode === 'per-person' ? '- Individuelle' : '- Ménage'}
+      </h2>
 
+      {/* Sélection du mois analysé */}
+      <div className="flex justify-center">
+        <Select
+          value={String(selectedMonthNumber)}
+          onValueChange={(value) => setSelectedMonthNumber(Number(value))}
+        >
+          <SelectTrigger className="w-[180px]">
+            <SelectValue placeholder="Sélectionner un mois" />
+          </SelectTrigger>
+          <SelectContent>
+            {MONTH_NUMBERS.map(monthNumber => (
+              <SelectItem key={monthNumber} value={String(monthNumber)}>
+                {MONTH_NAMES[monthNumber]} {selectedYear}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      {viewMode === 'per-person' ? (
+        /* Vue Individuelle */
+        <div className="w-full space-y-6">
+          {personBudgets.map(person => (
+            <PersonBudgetCard
+              key={person.id}
+              person={person}
+              budget={person.budget}
+              income={person.income}
+              grossIncome={person.income + getAnnualSocialContributions(person) * getSalaryMonthShare(person, selectedMonthNumber)}
+              incomeLabel="Revenus Mensuels Nets"
+            />
+          ))}
+        </div>
+      ) : (
+        /* Vue Ménage */
+        <>
       {/* Métriques principales */}
       <div className="w-full grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
         <Card>
           <CardHeader className="pb-2">
             <CardTitle className="text-sm font-medium text-muted-foreground">
-              Revenus Mensuels
+              Revenus Mensuels Nets
             </CardTitle>
           </CardHeader>
           <CardContent>
@@ -163,6 +213,17 @@ function MonthlyBudgetView({ viewMode = 'household' }) {
             <div className="text-2xl font-bold">
               {formatCurrency(monthlyBudgetSummary.totalExpenses)}
             </div>
+            <RangeHint low={monthlyBudgetSummary.totalExpensesLow} high={monthlyBudgetSummary.totalExpensesHigh} />
+            {monthlyBudgetSummary.incomeTax > 0 && (
+              <p className="text-xs text-muted-foreground">
+                dont {UI_LABELS.WITHHOLDING_TAX.toLowerCase()} : {formatCurrency(monthlyBudgetSummary.incomeTax)}
+              </p>
+            )}
+            {monthlyBudgetSummary.savingsContributions > 0 && (
+              <p className="text-xs text-muted-foreground">
+                dont {UI_LABELS.SAVINGS_CONTRIBUTIONS.toLowerCase()} : {formatCurrency(monthlyBudgetSummary.savingsContributions)}
+              </p>
+            )}
           </CardContent>
         </Card>
 
@@ -176,6 +237,7 @@ function MonthlyBudgetView({ viewMode = 'household' }) {
             <div className={`text-2xl font-bold ${remainingColorClass}`}>
               {formatCurrency(monthlyBudgetSummary.remainingBudget)}
             </div>
+            <RangeHint low={monthlyBudgetSummary.remainingBudgetLow} high={monthlyBudgetSummary.remainingBudgetHigh} />
           </CardContent>
         </Card>
 
@@ -198,21 +260,7 @@ function MonthlyBudgetView({ viewMode = 'household' }) {
         {/* Graphique en camembert - Dépenses par catégorie ce mois */}
         <Card>
            <CardHeader>
-             <div className="flex items-center justify-between">
-               <CardTitle>Répartition des Dépenses - {MONTH_LABELS[selectedMonth] || selectedMonth}</CardTitle>
-               <Select value={selectedMonth} onValueChange={setSelectedMonth}>
-                 <SelectTrigger className="w-[180px]">
-                   <SelectValue placeholder="Sélectionner un mois" />
-                 </SelectTrigger>
-                 <SelectContent>
-                   {ALL_MONTHS.map(month => (
-                     <SelectItem key={month} value={month}>
-                       {MONTH_LABELS[month] || month}
-                     </SelectItem>
-                   ))}
-                 </SelectContent>
-               </Select>
-             </div>
+             <CardTitle>Répartition des Dépenses - {getMonthLabel(selectedMonth, true)}</CardTitle>
            </CardHeader>
            <CardContent>
              {pieChartData.length > 0 ? (
@@ -281,6 +329,28 @@ function MonthlyBudgetView({ viewMode = 'household' }) {
                   strokeWidth={2}
                   name="Dépenses"
                 />
+                {trendsHaveRange && (
+                  <Line
+                    type="monotone"
+                    dataKey="expensesLow"
+                    stroke="#fca5a5"
+                    strokeWidth={1}
+                    strokeDasharray="5 5"
+                    dot={false}
+                    name="Dépenses (basse)"
+                  />
+                )}
+                {trendsHaveRange && (
+                  <Line
+                    type="monotone"
+                    dataKey="expensesHigh"
+                    stroke="#b91c1c"
+                    strokeWidth={1}
+                    strokeDasharray="5 5"
+                    dot={false}
+                    name="Dépenses (haute)"
+                  />
+                )}
                 <Line
                   type="monotone"
                   dataKey="remaining"
@@ -294,6 +364,9 @@ function MonthlyBudgetView({ viewMode = 'household' }) {
         </Card>
       </div>
 
+      {/* Solde du compte jour par jour */}
+      <CashFlowCalendar month={selectedMonth} />
+
       {/* Répartition par fréquence (liste détaillée) */}
       <Card className="w-full">
         <CardHeader>
@@ -301,39 +374,33 @@ function MonthlyBudgetView({ viewMode = 'household' }) {
         </CardHeader>
         <CardContent>
           <div className="space-y-4">
-            <div className="flex justify-between items-center">
-              <span className="font-medium">
-                {EXPENSE_FREQUENCY_LABELS[EXPENSE_FREQUENCIES.WEEKLY]}
-              </span>
-              <span className="font-bold">
-                {formatCurrency(weeklyExpenses)}
-              </span>
-            </div>
-            <div className="flex justify-between items-center">
-              <span className="font-medium">
-                {EXPENSE_FREQUENCY_LABELS[EXPENSE_FREQUENCIES.MONTHLY]}
-              </span>
-              <span className="font-bold">
-                {formatCurrency(monthlyExpenses)}
-              </span>
-            </div>
-            <div className="flex justify-between items-center">
-              <span className="font-medium">
-                {EXPENSE_FREQUENCY_LABELS[EXPENSE_FREQUENCIES.ANNUAL]}
-              </span>
-              <span className="font-bold">
-                {formatCurrency(annualExpenses)}
-              </span>
-            </div>
+            {usedFrequencies.map(frequency => (
+              <div key={frequency} className="flex justify-between items-center">
+                <span className="font-medium">
+                  {EXPENSE_FREQUENCY_LABELS[frequency]}
+                </span>
+                <span className="font-bold">
+                  {formatCurrency(frequencyBreakdown[frequency])}
+                </span>
+              </div>
+            ))}
             <div className="border-t pt-4">
               <div className="flex justify-between items-center font-bold">
                 <span>Total</span>
-                <span>{formatCurrency(monthlyBudgetSummary.totalExpenses)}</span>
+                <div className="text-right">
+                  <span>{formatCurrency(monthlyBudgetSummary.totalExpenses)}</span>
+                  <RangeHint low={monthlyBudgetSummary.totalExpensesLow} high={monthlyBudgetSummary.totalExpensesHigh} />
+                </div>
               </div>
             </div>
           </div>
         </CardContent>
       </Card>
+      </>
+      )}
+
+      {/* Comparaison avec les dépenses réelles du mois */}
+      <PlannedVsActual month={selectedMonth} />
     </div>
   )
 }
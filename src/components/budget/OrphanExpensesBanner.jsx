@@ -0,0 +1,80 @@
+/**
+ * Composant d'alerte d'intégrité - Signalement des dépenses orphelines
+ *
+ * Fonctionnalités métier :
+ * - Détection des dépenses assignées à une personne supprimée
+ * - Réassignation groupée à une personne existante ou au commun
+ * - Suppression groupée des dépenses orphelines
+ *
+ * Objectif : Corriger les données enregistrées avant la gestion
+ * de la suppression des personnes, dont les dépenses sont exclues
+ * des budgets individuels.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+import { useState } from 'react'
+import { AlertTriangle, UserCheck, Trash2 } from 'lucide-react'
+import { useBudget } from '../../contexts/BudgetContext.jsx'
+import { ASSIGNMENT_OPTIONS } from '../../models/constants.js'
+import { Button } from '../ui/button.jsx'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select.jsx'
+
+/**
+ * Bandeau d'alerte affiché tant que des dépenses orphelines existent
+ * @returns {JSX.Element|null} Bandeau ou null si les données sont cohérentes
+ */
+function OrphanExpensesBanner() {
+  const { people, orphanExpenses, reassignExpenses, deleteExpenses } = useBudget()
+  const [targetId, setTargetId] = useState(ASSIGNMENT_OPTIONS.BOTH)
+
+  if (orphanExpenses.length === 0) return null
+
+  const orphanExpenseIds = orphanExpenses.map(expense => expense.id)
+
+  return (
+    <div className="mb-8 rounded-xl border border-orange-300 bg-orange-50 p-4 text-orange-900">
+      <p className="flex items-center gap-2 font-semibold">
+        <AlertTriangle className="w-5 h-5 flex-shrink-0" />
+        {orphanExpenses.length} dépense(s) assignée(s) à une personne supprimée
+      </p>
+      <p className="mt-1 text-sm">
+        {orphanExpenses.map(expense => expense.name).join(', ')} — ces dépenses ne sont comptées dans aucun budget individuel.
+      </p>
+      <div className="mt-3 flex flex-wrap items-center gap-2">
+        <Select value={targetId} onValueChange={setTargetId}>
+          <SelectTrigger className="w-[180px] bg-white">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {people.map(person => (
+              <SelectItem key={person.id} value={person.id}>
+                {person.name || 'Sans nom'}
+              </SelectItem>
+            ))}
+            <SelectItem value={ASSIGNMENT_OPTIONS.BOTH}>Commun</SelectItem>
+          </SelectContent>
+        </Select>
+        <Button
+          size="sm"
+          onClick={() => reassignExpenses(orphanExpenseIds, targetId)}
+          className="flex items-center gap-2"
+        >
+          <UserCheck className="w-4 h-4" />
+          Réassigner
+        </Button>
+        <Button
+          size="sm"
+          variant="destructive"
+          onClick={() => deleteExpenses(orphanExpenseIds)}
+          className="flex items-center gap-2"
+        >
+          <Trash2 className="w-4 h-4" />
+          Supprimer
+        </Button>
+      </div>
+    </div>
+  )
+}
+
+export default OrphanExpensesBanner
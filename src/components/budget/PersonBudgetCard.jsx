@@ -0,0 +1,99 @@
+/**
+ * Composant de carte budgétaire individuelle - Résumé du budget d'une personne
+ *
+ * Fonctionnalités métier :
+ * - Affichage du revenu net (et brut), des dépenses personnelles et de la part des dépenses communes
+ * - Pourcentage des dépenses communes supporté selon la politique de répartition
+ * - Budget restant et ratio de dépenses avec codage couleur
+ * - Fourchettes basse / haute lorsque des dépenses sont estimées
+ * - Part de l'impôt sur le revenu estimé de la personne
+ *
+ * Objectif : Présenter de manière identique le budget de chaque
+ * personne dans les vues annuelle et mensuelle, quelle que soit
+ * la période analysée.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+import { useFormatters } from '../../hooks/useFormatters.js'
+import { UI_LABELS } from '../../models/constants.js'
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card.jsx'
+import RangeHint from './RangeHint.jsx'
+
+/**
+ * Composant d'affichage du budget d'une personne sur une période
+ * @param {object} props - Propriétés du composant
+ * @param {object} props.person - Personne concernée
+ * @param {object} props.budget - Résumé budgétaire de la personne pour la période
+ * @param {number} props.income - Revenu net de la personne pour la période
+ * @param {number} [props.grossIncome] - Revenu brut de la personne pour la période
+ * @param {string} props.incomeLabel - Libellé du revenu (ex: "Salaire Annuel")
+ * @returns {JSX.Element} Carte budgétaire individuelle
+ */
+function PersonBudgetCard({ person, budget, income, grossIncome, incomeLabel }) {
+  const { formatCurrency } = useFormatters()
+  return (
+    <Card className="w-full">
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2">
+          <div
+            className="w-4 h-4 rounded-full"
+            style={{ backgroundColor: person.color === 'pink' ? '#ec4899' : '#3b82f6' }}
+          />
+          <span>{person.name}</span>
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+          <div>
+            <div className="text-sm font-medium text-muted-foreground">{incomeLabel}</div>
+            <div className="text-xl font-bold">{formatCurrency(income)}</div>
+            {grossIncome > income && (
+              <div className="text-xs text-muted-foreground">Brut : {formatCurrency(grossIncome)}</div>
+            )}
+          </div>
+          <div>
+            <div className="text-sm font-medium text-muted-foreground">Dépenses Personnelles</div>
+            <div className="text-xl font-bold">{formatCurrency(budget.personalExpenses)}</div>
+          </div>
+          <div>
+            <div className="text-sm font-medium text-muted-foreground">Part Dépenses Communes</div>
+            <div className="text-xl font-bold">{formatCurrency(budget.sharedExpenses)}</div>
+            <div className="text-xs text-muted-foreground">
+              {(budget.sharedExpensesShare * 100).toFixed(1)}% des dépenses communes du ménage
+            </div>
+          </div>
+          <div>
+            <div className="text-sm font-medium text-muted-foreground">Budget Restant</div>
+            <div className={`text-xl font-bold ${budget.isPositive ? 'text-green-600' : 'text-red-600'}`}>
+              {formatCurrency(budget.remainingBudget)}
+            </div>
+            <RangeHint low={budget.remainingBudgetLow} high={budget.remainingBudgetHigh} />
+          </div>
+        </div>
+        <div className="mt-4 pt-4 border-t">
+          <div className="flex justify-between items-center">
+            <span className="font-medium">Total Dépenses</span>
+            <div className="text-right">
+              <span className="font-bold">{formatCurrency(budget.totalExpenses)}</span>
+              <RangeHint low={budget.totalExpensesLow} high={budget.totalExpensesHigh} />
+              {budget.incomeTax > 0 && (
+                <div className="text-xs text-muted-foreground">
+                  dont {UI_LABELS.INCOME_TAX.toLowerCase()} : {formatCurrency(budget.incomeTax)}
+                </div>
+              )}
+            </div>
+          </div>
+          <div className="flex justify-between items-center mt-2">
+            <span className="font-medium">Ratio de Dépenses</span>
+            <span className={`font-bold ${budget.budgetRatio > 0.8 ? 'text-red-600' : budget.budgetRatio > 0.6 ? 'text-yellow-600' : 'text-green-600'}`}>
+              {(budget.budgetRatio * 100).toFixed(1)}%
+            </span>
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default PersonBudgetCard
@@ -0,0 +1,155 @@
+/**
+ * Composant de comparaison prévu / réel - Écarts entre le budget et les dépenses réelles
+ *
+ * Fonctionnalités métier :
+ * - Total prévu, réel et écart du mois
+ * - Écarts par catégorie, par personne et par dépense prévue
+ * - Codage couleur des écarts (rouge en cas de dépassement, vert en cas d'économie)
+ *
+ * Objectif : Montrer au ménage, mois par mois, où ses dépenses réelles
+ * s'écartent du budget prévisionnel.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+import { useMemo } from 'react'
+import { Scale } from 'lucide-react'
+import { useBudget } from '../../contexts/BudgetContext.jsx'
+import { useFormatters } from '../../hooks/useFormatters.js'
+import { calculatePlannedVsActual } from '../../utils/ledger.js'
+import { getMonthLabel } from '../../utils/calendar.js'
+import { COMMON_EXPENSE_CATEGORY_LABELS, EXPENSE_CATEGORY_LABELS, UI_LABELS } from '../../models/constants.js'
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card.jsx'
+
+/**
+ * Retourne la couleur d'un écart prévu / réel
+ * @param {number} variance - Écart (réel - prévu)
+ * @returns {string} Classe Tailwind de couleur
+ */
+const getVarianceColor = (variance) => {
+  if (variance > 0) return 'text-red-600'
+  if (variance < 0) return 'text-green-600'
+  return 'text-muted-foreground'
+}
+
+/**
+ * Tableau d'écarts prévu / réel
+ * @param {object} props - Propriétés du composant
+ * @param {string} props.title - Titre du tableau (première colonne)
+ * @param {Array} props.rows - Lignes { key, label, planned, actual, variance }
+ * @param {Function} props.formatCurrency - Fonction de formatage des montants
+ * @returns {JSX.Element} Tableau des écarts
+ */
+function VarianceTable({ title, rows, formatCurrency }) {
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="border-b text-left text-muted-foreground">
+            <th className="py-2 pr-2 font-medium">{title}</th>
+            <th className="py-2 pr-2 text-right font-medium">{UI_LABELS.PLANNED}</th>
+            <th className="py-2 pr-2 text-right font-medium">{UI_LABELS.ACTUAL}</th>
+            <th className="py-2 text-right font-medium">{UI_LABELS.VARIANCE}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.key} className="border-b last:border-0">
+              <td className="py-2 pr-2">{row.label}</td>
+              <td className="py-2 pr-2 text-right">{formatCurrency(row.planned)}</td>
+              <td className="py-2 pr-2 text-right">{formatCurrency(row.actual)}</td>
+              <td className={`py-2 text-right font-medium ${getVarianceColor(row.variance)}`}>
+                {row.variance > 0 ? '+' : ''}{formatCurrency(row.variance)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+/**
+ * Comparaison prévu / réel d'un mois
+ * @param {object} props - Propriétés du composant
+ * @param {string} props.month - Mois comparé (format YYYY-MM)
+ * @returns {JSX.Element} Écarts du mois par catégorie, par personne et par dépense
+ */
+function PlannedVsActual({ month }) {
+  const { people, expenses, transactions, settings } = useBudget()
+  const { formatCurrency } = useFormatters()
+
+  const comparison = useMemo(() => {
+    return calculatePlannedVsActual(people, expenses, transactions, { month, settings })
+  }, [people, expenses, transactions, month, settings])
+
+  const categoryRows = Object.entries(comparison.byCategory)
+    .map(([category, values]) => ({
+      key: category,
+      label: COMMON_EXPENSE_CATEGORY_LABELS[category] || EXPENSE_CATEGORY_LABELS[category] || category,
+      ...values
+    }))
+    .sort((a, b) => b.variance - a.variance)
+
+  const personRows = people.map(person => ({
+    key: person.id,
+    label: person.name || 'Sans nom',
+    ...comparison.byPerson[person.id]
+  }))
+
+  const expenseRows = expenses
+    .filter(expense => comparison.byExpense[expense.id])
+    .map(expense => ({
+      key: expense.id,
+      label: expense.name,
+      ...comparison.byExpense[expense.id]
+    }))
+    .sort((a, b) => b.variance - a.variance)
+
+  return (
+    <Card className="w-full">
+      <CardHeader>
+        <CardTitle className="flex items-center">
+          <Scale className="w-5 h-5 mr-2" />
+          {UI_LABELS.PLANNED} / {UI_LABELS.ACTUAL} - {getMonthLabel(month, true)}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {!transactions.some(transaction => transaction.date?.startsWith(month)) && (
+          <p className="text-sm text-muted-foreground">
+            Aucune dépense réelle enregistrée ce mois-ci : ajoutez-les dans le journal des {UI_LABELS.TRANSACTIONS.toLowerCase()}.
+          </p>
+        )}
+
+        <div className="grid grid-cols-3 gap-4 text-center">
+          <div>
+            <div className="text-sm text-muted-foreground">{UI_LABELS.PLANNED}</div>
+            <div className="text-xl font-bold">{formatCurrency(comparison.totals.planned)}</div>
+          </div>
+          <div>
+            <div className="text-sm text-muted-foreground">{UI_LABELS.ACTUAL}</div>
+            <div className="text-xl font-bold">{formatCurrency(comparison.totals.actual)}</div>
+          </div>
+          <div>
+            <div className="text-sm text-muted-foreground">{UI_LABELS.VARIANCE}</div>
+            <div className={`text-xl font-bold ${getVarianceColor(comparison.totals.variance)}`}>
+              {comparison.totals.variance > 0 ? '+' : ''}{formatCurrency(comparison.totals.variance)}
+            </div>
+          </div>
+        </div>
+
+        {categoryRows.length > 0 && (
+          <VarianceTable title={UI_LABELS.CATEGORY} rows={categoryRows} formatCurrency={formatCurrency} />
+        )}
+        {personRows.length > 1 && (
+          <VarianceTable title="Personne" rows={personRows} formatCurrency={formatCurrency} />
+        )}
+        {expenseRows.length > 0 && (
+          <VarianceTable title="Dépense prévue" rows={expenseRows} formatCurrency={formatCurrency} />
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default PlannedVsActual
@@ -0,0 +1,37 @@
+/**
+ * Composant d'indication de fourchette - Affichage de l'écart entre projections basse et haute
+ *
+ * Fonctionnalités métier :
+ * - Affichage discret de la fourchette sous un montant attendu
+ * - Masquage automatique lorsque toutes les dépenses sont à montant fixe
+ *
+ * Objectif : Rendre visible l'incertitude des dépenses saisies
+ * en fourchette dans les résumés budgétaires, sans alourdir
+ * l'affichage des budgets composés uniquement de montants fixes.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+import { useFormatters } from '../../hooks/useFormatters.js'
+
+/**
+ * Composant d'affichage d'une fourchette de montants
+ * @param {object} props - Propriétés du composant
+ * @param {number} props.low - Montant bas
+ * @param {number} props.high - Montant haut
+ * @param {string} [props.label] - Libellé précédant la fourchette
+ * @returns {JSX.Element|null} Fourchette formatée ou null si les bornes sont égales
+ */
+function RangeHint({ low, high, label = 'Fourchette' }) {
+  const { formatCurrencyRange } = useFormatters()
+
+  if (low === high) return null
+
+  return (
+    <div className="text-xs text-muted-foreground mt-1">
+      {label} : {formatCurrencyRange(Math.min(low, high), Math.max(low, high))}
+    </div>
+  )
+}
+
+export default RangeHint
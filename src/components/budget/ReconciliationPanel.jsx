@@ -0,0 +1,164 @@
+/**
+ * Composant de rapprochement bancaire - Dépenses réelles face aux dépenses prévues
+ *
+ * Fonctionnalités métier :
+ * - Rapprochements du mois, confirmés ou proposés automatiquement
+ * - Confirmation d'une proposition en un clic
+ * - Correction d'un rapprochement (autre dépense prévue, ou aucune)
+ * - Dépenses réelles sans dépense prévue correspondante
+ * - Alerte sur les paiements attendus non constatés (ex : loyer absent en mars)
+ *
+ * Objectif : Permettre au ménage de pointer ses dépenses réelles
+ * contre son budget et de repérer les paiements manquants.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+import { useMemo } from 'react'
+import { AlertTriangle, Check, Link2 } from 'lucide-react'
+import { useBudget } from '../../contexts/BudgetContext.jsx'
+import { useFormatters } from '../../hooks/useFormatters.js'
+import { reconcileTransactions } from '../../utils/reconciliation.js'
+import { getMonthLabel } from '../../utils/calendar.js'
+import { UI_LABELS } from '../../models/constants.js'
+import { Button } from '../ui/button.jsx'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select.jsx'
+
+// Valeur du sélecteur pour « aucune dépense prévue »
+const NONE = 'none'
+
+/**
+ * Rapprochement des dépenses réelles d'un mois
+ * @param {object} props - Propriétés du composant
+ * @param {string} props.month - Mois rapproché (format YYYY-MM)
+ * @returns {JSX.Element} Rapprochements, dépenses non rapprochées et paiements manquants
+ */
+function ReconciliationPanel({ month }) {
+  const { expenses, transactions, settings, updateTransaction } = useBudget()
+  const { formatCurrency, formatDate } = useFormatters()
+
+  const { matches, unmatched, missing } = useMemo(() => {
+    return reconcileTransactions(expenses, transactions, { month, settings })
+  }, [expenses, transactions, month, settings])
+
+  /**
+   * Associe une dépense réelle à une dépense prévue, ou écarte tout rapprochement
+   * La dépense réelle reprend la catégorie et l'assignation de la dépense prévue
+   * @param {object} transaction - Dépense réelle
+   * @param {string} expenseId - ID de la dépense prévue, ou NONE
+   */
+  const linkTransaction = (transaction, expenseId) => {
+    const expense = expenses.find(e => e.id === expenseId)
+    if (!expense) {
+      updateTransaction(transaction.id, { expenseId: undefined, matchIgnored: true })
+      return
+    }
+
+    updateTransaction(transaction.id, {
+      expenseId: expense.id,
+      category: expense.category,
+      assignedTo: expense.assignedTo,
+      matchIgnored: undefined
+    })
+  }
+
+  /**
+   * Affiche le sélecteur de dépense prévue d'une dépense réelle
+   * @param {object} transaction - Dépense réelle
+   * @param {string} value - Dépense prévue sélectionnée, ou NONE
+   * @returns {JSX.Element} Sélecteur
+   */
+  const renderExpenseSelect = (transaction, value) => (
+    <Select value={value} onValueChange={(expenseId) => linkTransaction(transaction, expenseId)}>
+      <SelectTrigger className="w-[200px]" aria-label={`${UI_LABELS.LINKED_EXPENSE} : ${transaction.label}`}>
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        <SelectItem value={NONE}>Aucune dépense prévue</SelectItem>
+        {expenses.map(expense => (
+          <SelectItem key={expense.id} value={expense.id}>
+            {expense.name}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  )
+
+  if (matches.length === 0 && unmatched.length === 0 && missing.length === 0) return null
+
+  return (
+    <div className="space-y-4">
+      <h4 className="flex items-center font-semibold">
+        <Link2 className="w-4 h-4 mr-2" />
+        {UI_LABELS.RECONCILIATION}
+      </h4>
+
+      {missing.length > 0 && (
+        <div className="rounded-md border border-orange-300 bg-orange-50 p-3 text-sm text-orange-900">
+          <p className="flex items-center font-medium">
+            <AlertTriangle className="w-4 h-4 mr-2" />
+            {UI_LABELS.MISSING_PAYMENTS}
+          </p>
+          <ul className="mt-1 list-disc pl-6">
+            {missing.map(expense => (
+              <li key={expense.id}>
+                {expense.name} non constaté en {getMonthLabel(month, true).toLowerCase()}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {matches.length > 0 && (
+        <ul className="divide-y rounded-lg border">
+          {matches.map(({ transaction, expense, isConfirmed }) => (
+            <li key={transaction.id} className="flex flex-wrap items-center justify-between gap-2 p-3 text-sm">
+              <div>
+                <div className="font-medium">{transaction.label}</div>
+                <div className="text-xs text-muted-foreground">
+                  {formatDate(transaction.date)} · {formatCurrency(transaction.amount)} · {isConfirmed ? 'rapprochée' : 'proposition automatique'}
+                </div>
+              </div>
+              <div className="flex items-center gap-2">
+                {renderExpenseSelect(transaction, expense.id)}
+                {!isConfirmed && (
+                  <Button
+                    size="sm"
+                    onClick={() => linkTransaction(transaction, expense.id)}
+                    className="flex items-center gap-2"
+                  >
+                    <Check className="w-4 h-4" />
+                    Confirmer
+                  </Button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {unmatched.length > 0 && (
+        <div className="space-y-2">
+          <p className="text-sm text-muted-foreground">
+            Dépenses réelles sans dépense prévue correspondante :
+          </p>
+          <ul className="divide-y rounded-lg border">
+            {unmatched.map(transaction => (
+              <li key={transaction.id} className="flex flex-wrap items-center justify-between gap-2 p-3 text-sm">
+                <div>
+                  <div className="font-medium">{transaction.label}</div>
+                  <div className="text-xs text-muted-foreground">
+                    {formatDate(transaction.date)} · {formatCurrency(transaction.amount)}
+                  </div>
+                </div>
+                {renderExpenseSelect(transaction, NONE)}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ReconciliationPanel
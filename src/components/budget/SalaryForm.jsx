@@ -7,6 +7,12 @@
  * - Sauvegarde automatique lors de changements valides
  * - Interface utilisateur en français avec sélecteur de couleur
  * - Gestion des erreurs de validation par personne
+ * - Suppression d'une personne avec réassignation ou suppression de ses dépenses
+ * - Saisie du salaire dans la devise du ménage
+ * - Salaire saisi en brut ou en net avec profil de cotisations sociales, affichage des deux montants
+ * - Revenus complémentaires au salaire de chaque personne
+ * - Échéancier de versement du salaire (12, 13, 14 mois ou mensualités personnalisées)
+ * - Jour de versement du salaire dans le mois
  *
  * Objectif : Permettre aux utilisateurs de gérer les informations
  * de chaque personne (nom, salaire, couleur) de manière intuitive
@@ -20,10 +26,28 @@ import { useState, useEffect } from 'react'
 import { Input } from '@/components/ui/input'
 import { Label } from '@/components/ui/label'
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
-import { DollarSign, User, Palette } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Banknote, User, Palette, Trash2, Percent, CalendarClock } from 'lucide-react'
 import { useBudget } from '../../contexts/BudgetContext.jsx'
-import { validatePersonForm } from '../../utils/validators.js'
-import { UI_LABELS } from '../../models/constants.js'
+import { validatePersonForm, isValidDueDay } from '../../utils/validators.js'
+import { useFormatters } from '../../hooks/useFormatters.js'
+import { getNetAnnualSalary, getGrossAnnualSalary, getSalaryInstalments } from '../../utils/payroll.js'
+import {
+  UI_LABELS,
+  SALARY_TYPE_LABELS,
+  CONTRIBUTION_PROFILES,
+  CONTRIBUTION_PROFILE_LABELS,
+  DEFAULT_SALARY_TYPE,
+  DEFAULT_CONTRIBUTION_PROFILE,
+  DEFAULT_INCOME_DAY,
+  PAYMENT_SCHEDULES,
+  PAYMENT_SCHEDULE_LABELS,
+  DEFAULT_PAYMENT_SCHEDULE,
+  MONTH_NUMBERS,
+  MONTH_NAMES
+} from '../../models/constants.js'
+import DeletePersonDialog from './DeletePersonDialog.jsx'
+import IncomeSourceList from './IncomeSourceList.jsx'
 
 /**
  * Composant de formulaire pour gérer les informations des personnes
@@ -31,8 +55,10 @@ import { UI_LABELS } from '../../models/constants.js'
  */
 function SalaryForm() {
   const { people, updatePerson } = useBudget()
+  const { currencySymbol, formatCurrency } = useFormatters()
   const [formData, setFormData] = useState({})
   const [errors, setErrors] = useState({})
+  const [personToDelete, setPersonToDelete] = useState(null)
 
   // Initialisation des données de formulaire pour chaque personne
   useEffect(() => {
@@ -41,12 +67,29 @@ function SalaryForm() {
       initialFormData[person.id] = {
         name: person.name || '',
         salary: person.salary || '',
+        salaryType: person.salaryType || DEFAULT_SALARY_TYPE,
+        contributionProfile: person.contributionProfile || DEFAULT_CONTRIBUTION_PROFILE,
+        customContributionRate: person.customContributionRate ?? '',
         color: person.color || 'pink'
       }
     })
     setFormData(initialFormData)
   }, [people])
 
+  /**
+   * Extrait les paramètres de paie d'une personne depuis le formulaire
+   * Le taux personnalisé n'est conservé que pour le profil personnalisé
+   * @param {object} personData - Données du formulaire de la personne
+   * @returns {object} { salaryType, contributionProfile, customContributionRate }
+   */
+  const getPayrollData = (personData) => ({
+    salaryType: personData.salaryType,
+    contributionProfile: personData.contributionProfile,
+    customContributionRate: personData.contributionProfile === CONTRIBUTION_PROFILES.CUSTOM
+      ? parseFloat(personData.customContributionRate)
+      : undefined
+  })
+
   /**
    * Gère les changements dans les champs d'une personne
    * Met à jour l'état local, valide et sauvegarde automatiquement si valide
@@ -67,6 +110,8 @@ function SalaryForm() {
       const validation = validatePersonForm({
         name: personData.name,
         salary: parseFloat(personData.salary) || 0,
+        contributionProfile: personData.contributionProfile,
+        customContributionRate: personData.customContributionRate,
         color: personData.color
       })
 
@@ -78,14 +123,19 @@ function SalaryForm() {
       // Sauvegarde automatique si valide
       if (validation.isValid) {
         const person = people.find(p => p.id === personId)
+        const payrollData = getPayrollData(personData)
         const hasChanged = person.name !== personData.name ||
                           person.salary !== parseFloat(personData.salary) ||
+                          (person.salaryType || DEFAULT_SALARY_TYPE) !== payrollData.salaryType ||
+                          (person.contributionProfile || DEFAULT_CONTRIBUTION_PROFILE) !== payrollData.contributionProfile ||
+                          person.customContributionRate !== payrollData.customContributionRate ||
                           person.color !== personData.color
 
         if (hasChanged) {
           updatePerson(personId, {
             name: personData.name,
             salary: parseFloat(personData.salary),
+            ...payrollData,
             color: personData.color
           })
         }
@@ -98,6 +148,48 @@ function SalaryForm() {
     }
   }
 
+  /**
+   * Change l'échéancier de versement du salaire
+   * Un échéancier personnalisé part des mensualités de l'échéancier précédent
+   * @param {object} person - Personne concernée
+   * @param {string} paymentSchedule - Nouvel échéancier
+   */
+  const handlePaymentScheduleChange = (person, paymentSchedule) => {
+    updatePerson(person.id, {
+      paymentSchedule,
+      customInstalments: paymentSchedule === PAYMENT_SCHEDULES.CUSTOM
+        ? getSalaryInstalments(person)
+        : undefined
+    })
+  }
+
+  /**
+   * Met à jour le jour de versement du salaire
+   * Un jour vide ou invalide rétablit le jour par défaut
+   * @param {object} person - Personne concernée
+   * @param {string} value - Jour saisi
+   */
+  const handleSalaryDayChange = (person, value) => {
+    const salaryDay = parseInt(value, 10)
+    updatePerson(person.id, { salaryDay: isValidDueDay(salaryDay) ? salaryDay : undefined })
+  }
+
+  /**
+   * Met à jour le nombre de mensualités versées un mois donné (échéancier personnalisé)
+   * @param {object} person - Personne concernée
+   * @param {number} month - Numéro du mois
+   * @param {string} value - Nombre de mensualités saisi
+   */
+  const handleInstalmentChange = (person, month, value) => {
+    const instalments = parseFloat(value)
+    updatePerson(person.id, {
+      customInstalments: {
+        ...getSalaryInstalments(person),
+        [month]: isNaN(instalments) ? 0 : Math.max(0, instalments)
+      }
+    })
+  }
+
   /**
    * Gère les changements dans le sélecteur de couleur
    */
@@ -109,10 +201,21 @@ function SalaryForm() {
     <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
       {people.map(person => (
         <div key={person.id} className="space-y-4 p-4 border rounded-lg">
-          <h3 className="text-lg font-semibold flex items-center">
-            <User className="w-5 h-5 mr-2" />
-            {person.name || `Personne ${person.id.split('-')[1]}`}
-          </h3>
+          <div className="flex items-center justify-between">
+            <h3 className="text-lg font-semibold flex items-center">
+              <User className="w-5 h-5 mr-2" />
+              {person.name || `Personne ${person.id.split('-')[1]}`}
+            </h3>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => setPersonToDelete(person)}
+              aria-label={`${UI_LABELS.DELETE} ${person.name || 'la personne'}`}
+              className="text-red-600 hover:text-red-800 hover:bg-red-50"
+            >
+              <Trash2 className="w-4 h-4" />
+            </Button>
+          </div>
 
           {/* Champ nom */}
           <div className="space-y-2">
@@ -138,8 +241,8 @@ function SalaryForm() {
           {/* Champ salaire */}
           <div className="space-y-2">
             <Label htmlFor={`salary-${person.id}`} className="flex items-center">
-              <DollarSign className="w-4 h-4 mr-2" />
-              {UI_LABELS.SALARY}
+              <Banknote className="w-4 h-4 mr-2" />
+              {UI_LABELS.SALARY} ({currencySymbol})
             </Label>
             <Input
               id={`salary-${person.id}`}
@@ -159,6 +262,142 @@ function SalaryForm() {
             )}
           </div>
 
+          {/* Nature du salaire et profil de cotisations */}
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor={`salary-type-${person.id}`}>{UI_LABELS.SALARY_TYPE}</Label>
+              <Select
+                value={formData[person.id]?.salaryType || DEFAULT_SALARY_TYPE}
+                onValueChange={(value) => handleInputChange(person.id, 'salaryType', value)}
+              >
+                <SelectTrigger id={`salary-type-${person.id}`}>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(SALARY_TYPE_LABELS).map(([value, label]) => (
+                    <SelectItem key={value} value={value}>
+                      {label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor={`contribution-profile-${person.id}`}>{UI_LABELS.CONTRIBUTION_PROFILE}</Label>
+              <Select
+                value={formData[person.id]?.contributionProfile || DEFAULT_CONTRIBUTION_PROFILE}
+                onValueChange={(value) => handleInputChange(person.id, 'contributionProfile', value)}
+              >
+                <SelectTrigger id={`contribution-profile-${person.id}`}>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(CONTRIBUTION_PROFILE_LABELS).map(([value, label]) => (
+                    <SelectItem key={value} value={value}>
+                      {label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+
+          {formData[person.id]?.contributionProfile === CONTRIBUTION_PROFILES.CUSTOM && (
+            <div className="space-y-2">
+              <Label htmlFor={`contribution-rate-${person.id}`} className="flex items-center">
+                <Percent className="w-4 h-4 mr-2" />
+                {UI_LABELS.CONTRIBUTION_RATE}
+              </Label>
+              <Input
+                id={`contribution-rate-${person.id}`}
+                type="text"
+                inputMode="decimal"
+                value={formData[person.id]?.customContributionRate ?? ''}
+                onChange={(e) => {
+                  const numericValue = e.target.value.replace(/[^0-9.,]/g, '').replace(',', '.')
+                  handleInputChange(person.id, 'customContributionRate', numericValue)
+                }}
+                placeholder="Ex: 23"
+                className={errors[person.id]?.customContributionRate ? 'border-red-500' : ''}
+              />
+              {errors[person.id]?.customContributionRate && (
+                <p className="text-sm text-red-600">
+                  {errors[person.id].customContributionRate}
+                </p>
+              )}
+            </div>
+          )}
+
+          {person.salary > 0 && (
+            <p className="text-sm text-muted-foreground">
+              {UI_LABELS.GROSS_SALARY} : {formatCurrency(getGrossAnnualSalary(person))}
+              {' · '}
+              {UI_LABELS.NET_SALARY} : <span className="font-medium text-foreground">{formatCurrency(getNetAnnualSalary(person))}</span>
+            </p>
+          )}
+
+          {/* Échéancier de versement du salaire */}
+          <div className="space-y-2">
+            <Label htmlFor={`payment-schedule-${person.id}`} className="flex items-center">
+              <CalendarClock className="w-4 h-4 mr-2" />
+              {UI_LABELS.PAYMENT_SCHEDULE}
+            </Label>
+            <Select
+              value={person.paymentSchedule || DEFAULT_PAYMENT_SCHEDULE}
+              onValueChange={(value) => handlePaymentScheduleChange(person, value)}
+            >
+              <SelectTrigger id={`payment-schedule-${person.id}`}>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(PAYMENT_SCHEDULE_LABELS).map(([value, label]) => (
+                  <SelectItem key={value} value={value}>
+                    {label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            {person.paymentSchedule === PAYMENT_SCHEDULES.CUSTOM && (
+              <>
+                <p className="text-xs text-muted-foreground">
+                  Nombre de mensualités versées chaque mois (ex : 2 pour un mois avec prime équivalente à un salaire).
+                </p>
+                <div className="grid grid-cols-4 gap-2">
+                  {MONTH_NUMBERS.map(month => (
+                    <div key={month} className="space-y-1">
+                      <Label htmlFor={`instalments-${person.id}-${month}`} className="text-xs">
+                        {MONTH_NAMES[month].slice(0, 4)}
+                      </Label>
+                      <Input
+                        id={`instalments-${person.id}-${month}`}
+                        type="number"
+                        min="0"
+                        step="0.5"
+                        value={person.customInstalments?.[month] ?? 0}
+                        onChange={(e) => handleInstalmentChange(person, month, e.target.value)}
+                      />
+                    </div>
+                  ))}
+                </div>
+              </>
+            )}
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor={`salary-day-${person.id}`}>{UI_LABELS.SALARY_DAY}</Label>
+            <Input
+              id={`salary-day-${person.id}`}
+              type="number"
+              min="1"
+              max="31"
+              value={person.salaryDay ?? ''}
+              onChange={(e) => handleSalaryDayChange(person, e.target.value)}
+              placeholder={`Par défaut : le ${DEFAULT_INCOME_DAY}`}
+            />
+          </div>
+
+          <IncomeSourceList person={person} />
+
           {/* Sélecteur de couleur */}
           <div className="space-y-2">
             <Label htmlFor={`color-${person.id}`} className="flex items-center">
@@ -195,6 +434,11 @@ function SalaryForm() {
           </div>
         </div>
       ))}
+
+      <DeletePersonDialog
+        person={personToDelete}
+        onClose={() => setPersonToDelete(null)}
+      />
     </div>
   )
 }
@@ -0,0 +1,335 @@
+/**
+ * Composant des objectifs d'épargne - Suivi des projets d'épargne du ménage
+ *
+ * Fonctionnalités métier :
+ * - Liste des objectifs avec barre de progression (déjà épargné sur montant cible)
+ * - Versement mensuel nécessaire pour tenir la date cible
+ * - Date d'atteinte projetée selon le versement prévu, signalée si elle dépasse la date cible
+ * - Enregistrement d'un versement effectué et suppression d'un objectif
+ * - Ajout d'un objectif avec montant cible, date cible, versement prévu et répartition par personne
+ *
+ * Objectif : Transformer l'épargne en projets chiffrés et datés,
+ * dont les versements mensuels sont réservés dans le budget.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+import { useState, useId } from 'react'
+import { PiggyBank, Plus, Trash2, Target } from 'lucide-react'
+import { useBudget } from '../../contexts/BudgetContext.jsx'
+import { useFormatters } from '../../hooks/useFormatters.js'
+import { validateSavingsGoalForm, isPositiveNumber } from '../../utils/validators.js'
+import { getCurrentMonthKey, getMonthLabel } from '../../utils/calendar.js'
+import {
+  getSavingsGoalProgress,
+  getRequiredMonthlyContribution,
+  getProjectedCompletionMonth,
+  isSavingsGoalLate
+} from '../../utils/savings.js'
+import { ASSIGNMENT_OPTIONS, UI_LABELS } from '../../models/constants.js'
+import { Button } from '../ui/button.jsx'
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card.jsx'
+import { Input } from '../ui/input.jsx'
+import { Label } from '../ui/label.jsx'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select.jsx'
+
+// Valeurs initiales du formulaire d'ajout
+const EMPTY_GOAL = {
+  name: '',
+  targetAmount: '',
+  targetMonth: '',
+  savedAmount: '',
+  monthlyContribution: '',
+  assignedTo: ASSIGNMENT_OPTIONS.BOTH,
+  shares: {} // Parts par personne ; vide = répartition du ménage
+}
+
+/**
+ * Nettoie un montant saisi (chiffres et séparateur décimal uniquement)
+ * @param {string} value - Valeur saisie
+ * @returns {string} Montant nettoyé
+ */
+const sanitizeAmount = (value) => value.replace(/[^0-9.,]/g, '').replace(',', '.')
+
+/**
+ * Panneau des objectifs d'épargne du ménage
+ * @returns {JSX.Element} Objectifs, progression et formulaire d'ajout
+ */
+function SavingsGoalsPanel() {
+  const { people, savingsGoals, addSavingsGoal, updateSavingsGoal, deleteSavingsGoal } = useBudget()
+  const { currencySymbol, formatCurrency } = useFormatters()
+  const fieldIdPrefix = useId()
+  const [formData, setFormData] = useState(EMPTY_GOAL)
+  const [errors, setErrors] = useState({})
+  const [depositAmounts, setDepositAmounts] = useState({})
+  const currentMonth = getCurrentMonthKey()
+
+  /**
+   * Retourne le libellé de répartition des versements d'un objectif
+   * @param {object} goal - Objectif d'épargne
+   * @returns {string} Personne, personnes partageant l'objectif ou ménage
+   */
+  const getAllocationLabel = (goal) => {
+    if (goal.assignedTo !== ASSIGNMENT_OPTIONS.BOTH) {
+      return people.find(person => person.id === goal.assignedTo)?.name || 'Sans nom'
+    }
+    if (!goal.shares) return 'Commun'
+
+    return people
+      .filter(person => Number(goal.shares[person.id]) > 0)
+      .map(person => `${person.name || 'Sans nom'} (${goal.shares[person.id]})`)
+      .join(', ')
+  }
+
+  /**
+   * Enregistre un versement effectué sur un objectif
+   * @param {object} goal - Objectif d'épargne
+   */
+  const handleDeposit = (goal) => {
+    const amount = parseFloat(depositAmounts[goal.id])
+    if (!isPositiveNumber(amount)) return
+
+    updateSavingsGoal(goal.id, { savedAmount: (Number(goal.savedAmount) || 0) + amount })
+    setDepositAmounts(prev => ({ ...prev, [goal.id]: '' }))
+  }
+
+  /**
+   * Ajoute l'objectif saisi
+   */
+  const handleAdd = () => {
+    const shareEntries = Object.entries(formData.shares).filter(([, weight]) => isPositiveNumber(weight))
+    const goal = {
+      name: formData.name.trim(),
+      targetAmount: parseFloat(formData.targetAmount),
+      targetMonth: formData.targetMonth,
+      savedAmount: parseFloat(formData.savedAmount) || 0,
+      monthlyContribution: parseFloat(formData.monthlyContribution) || undefined,
+      startMonth: currentMonth,
+      assignedTo: formData.assignedTo,
+      shares: formData.assignedTo === ASSIGNMENT_OPTIONS.BOTH && shareEntries.length > 0
+        ? Object.fromEntries(shareEntries.map(([personId, weight]) => [personId, parseFloat(weight)]))
+        : undefined
+    }
+
+    const validation = validateSavingsGoalForm(goal)
+    if (!validation.isValid) {
+      setErrors(validation.errors)
+      return
+    }
+
+    addSavingsGoal(goal)
+    setFormData(EMPTY_GOAL)
+    setErrors({})
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center text-xl">
+          <PiggyBank className="w-5 h-5 mr-2" />
+          {UI_LABELS.SAVINGS_GOALS}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {savingsGoals.length === 0 ? (
+          <p className="text-sm text-muted-foreground">
+            Aucun objectif d’épargne. Les versements mensuels des objectifs sont inclus dans le budget.
+          </p>
+        ) : (
+          <ul className="space-y-4">
+            {savingsGoals.map(goal => {
+              const progress = getSavingsGoalProgress(goal)
+              const completionMonth = getProjectedCompletionMonth(goal, currentMonth)
+              const isLate = isSavingsGoalLate(goal, currentMonth)
+
+              return (
+                <li key={goal.id} className="space-y-2 rounded-lg border p-4">
+                  <div className="flex flex-wrap items-start justify-between gap-2">
+                    <div>
+                      <div className="font-medium flex items-center">
+                        <Target className="w-4 h-4 mr-2" />
+                        {goal.name}
+                      </div>
+                      <div className="text-sm text-muted-foreground">
+                        {formatCurrency(goal.targetAmount)} d’ici {getMonthLabel(goal.targetMonth, true).toLowerCase()} · {getAllocationLabel(goal)}
+                      </div>
+                    </div>
+                    <Button
+                      size="sm"
+                      variant="ghost"
+                      onClick={() => deleteSavingsGoal(goal.id)}
+                      aria-label={`${UI_LABELS.DELETE} ${goal.name}`}
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </Button>
+                  </div>
+
+                  <div
+                    className="h-2 w-full overflow-hidden rounded-full bg-gray-200"
+                    role="progressbar"
+                    aria-valuemin={0}
+                    aria-valuemax={100}
+                    aria-valuenow={Math.round(progress * 100)}
+                  >
+                    <div className="h-full rounded-full bg-green-500" style={{ width: `${progress * 100}%` }} />
+                  </div>
+                  <div className="text-sm">
+                    {formatCurrency(goal.savedAmount || 0)} / {formatCurrency(goal.targetAmount)} ({Math.round(progress * 100)} %)
+                  </div>
+
+                  {completionMonth === null ? (
+                    <p className="text-sm font-medium text-green-700">Objectif atteint</p>
+                  ) : (
+                    <div className="space-y-1 text-sm">
+                      <p>
+                        {UI_LABELS.REQUIRED_CONTRIBUTION} : <span className="font-semibold">{formatCurrency(getRequiredMonthlyContribution(goal, currentMonth))}</span> / mois
+                        {goal.monthlyContribution > 0 && (
+                          <span className="text-muted-foreground">
+                            {' · '}{UI_LABELS.MONTHLY_CONTRIBUTION.toLowerCase()} : {formatCurrency(goal.monthlyContribution)} / mois
+                          </span>
+                        )}
+                      </p>
+                      <p className={isLate ? 'text-red-600' : 'text-green-700'}>
+                        Atteinte projetée : {getMonthLabel(completionMonth, true).toLowerCase()}
+                        {isLate && ' (après la date cible)'}
+                      </p>
+                    </div>
+                  )}
+
+                  <div className="flex items-center gap-2">
+                    <Input
+                      aria-label={`Versement effectué (${currencySymbol})`}
+                      type="text"
+                      inputMode="decimal"
+                      value={depositAmounts[goal.id] || ''}
+                      onChange={(e) => setDepositAmounts(prev => ({ ...prev, [goal.id]: sanitizeAmount(e.target.value) }))}
+                      placeholder={`Versement effectué (${currencySymbol})`}
+                      className="max-w-[220px]"
+                    />
+                    <Button size="sm" variant="outline" onClick={() => handleDeposit(goal)}>
+                      Enregistrer le versement
+                    </Button>
+                  </div>
+                </li>
+              )
+            })}
+          </ul>
+        )}
+
+        <div className="space-y-3 rounded-md border border-dashed p-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <div className="space-y-1">
+              <Label htmlFor={`${fieldIdPrefix}-name`}>Nom de l’objectif</Label>
+              <Input
+                id={`${fieldIdPrefix}-name`}
+                value={formData.name}
+                onChange={(e) => setFormData(prev => ({ ...prev, name: e.target.value }))}
+                placeholder="Ex: Apport maison"
+                className={errors.name ? 'border-red-500' : ''}
+              />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor={`${fieldIdPrefix}-target-amount`}>{UI_LABELS.TARGET_AMOUNT} ({currencySymbol})</Label>
+              <Input
+                id={`${fieldIdPrefix}-target-amount`}
+                type="text"
+                inputMode="decimal"
+                value={formData.targetAmount}
+                onChange={(e) => setFormData(prev => ({ ...prev, targetAmount: sanitizeAmount(e.target.value) }))}
+                placeholder="Ex: 30000"
+                className={errors.targetAmount ? 'border-red-500' : ''}
+              />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor={`${fieldIdPrefix}-target-month`}>{UI_LABELS.TARGET_MONTH}</Label>
+              <Input
+                id={`${fieldIdPrefix}-target-month`}
+                type="month"
+                min={currentMonth}
+                value={formData.targetMonth}
+                onChange={(e) => setFormData(prev => ({ ...prev, targetMonth: e.target.value }))}
+                className={errors.targetMonth ? 'border-red-500' : ''}
+              />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor={`${fieldIdPrefix}-saved-amount`}>{UI_LABELS.SAVED_AMOUNT} ({currencySymbol})</Label>
+              <Input
+                id={`${fieldIdPrefix}-saved-amount`}
+                type="text"
+                inputMode="decimal"
+                value={formData.savedAmount}
+                onChange={(e) => setFormData(prev => ({ ...prev, savedAmount: sanitizeAmount(e.target.value) }))}
+                placeholder="0"
+                className={errors.savedAmount ? 'border-red-500' : ''}
+              />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor={`${fieldIdPrefix}-monthly-contribution`}>{UI_LABELS.MONTHLY_CONTRIBUTION} ({currencySymbol})</Label>
+              <Input
+                id={`${fieldIdPrefix}-monthly-contribution`}
+                type="text"
+                inputMode="decimal"
+                value={formData.monthlyContribution}
+                onChange={(e) => setFormData(prev => ({ ...prev, monthlyContribution: sanitizeAmount(e.target.value) }))}
+                placeholder="Versement nécessaire si vide"
+                className={errors.monthlyContribution ? 'border-red-500' : ''}
+              />
+            </div>
+            <div className="space-y-1">
+              <Label>Versé par</Label>
+              <Select
+                value={formData.assignedTo}
+                onValueChange={(value) => setFormData(prev => ({ ...prev, assignedTo: value, shares: {} }))}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {people.map(person => (
+                    <SelectItem key={person.id} value={person.id}>
+                      {person.name || 'Sans nom'}
+                    </SelectItem>
+                  ))}
+                  <SelectItem value={ASSIGNMENT_OPTIONS.BOTH}>Commun</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+
+          {formData.assignedTo === ASSIGNMENT_OPTIONS.BOTH && people.length > 1 && (
+            <div className="space-y-2">
+              <Label>Parts de chaque personne (répartition du ménage si vide)</Label>
+              <div className="grid grid-cols-2 md:grid-cols-3 gap-2">
+                {people.map(person => (
+                  <Input
+                    key={person.id}
+                    aria-label={`Part de ${person.name || 'Sans nom'}`}
+                    type="text"
+                    inputMode="decimal"
+                    value={formData.shares[person.id] || ''}
+                    onChange={(e) => setFormData(prev => ({
+                      ...prev,
+                      shares: { ...prev.shares, [person.id]: sanitizeAmount(e.target.value) }
+                    }))}
+                    placeholder={person.name || 'Sans nom'}
+                  />
+                ))}
+              </div>
+            </div>
+          )}
+
+          {Object.values(errors).filter(Boolean).map(message => (
+            <p key={message} className="text-sm text-red-600">{message}</p>
+          ))}
+
+          <Button size="sm" variant="outline" onClick={handleAdd} className="flex items-center gap-2">
+            <Plus className="w-4 h-4" />
+            {UI_LABELS.ADD}
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default SavingsGoalsPanel
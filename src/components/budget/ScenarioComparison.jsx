@@ -0,0 +1,153 @@
+/**
+ * Composant de comparaison des scénarios - Budget actuel et scénarios côte à côte
+ *
+ * Fonctionnalités métier :
+ * - Comparaison sur l'année budgétaire ou sur un mois de l'année
+ * - Revenus, dépenses et reste du ménage de chaque scénario
+ * - Dépenses par catégorie et budget restant par personne
+ * - Écart de chaque scénario par rapport au budget actuel
+ *
+ * Objectif : Voir d'un coup d'œil ce que change chaque scénario
+ * « et si » par rapport au budget actuel.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+import { useState, useMemo } from 'react'
+import { GitCompare } from 'lucide-react'
+import { useBudget } from '../../contexts/BudgetContext.jsx'
+import { useFormatters } from '../../hooks/useFormatters.js'
+import { compareScenario } from '../../utils/scenarios.js'
+import { getMonthKey } from '../../utils/calendar.js'
+import { COMMON_EXPENSE_CATEGORY_LABELS, MONTH_NUMBERS, MONTH_NAMES, UI_LABELS } from '../../models/constants.js'
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card.jsx'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select.jsx'
+
+// Valeur du sélecteur pour une comparaison sur l'année entière
+const WHOLE_YEAR = 'year'
+
+/**
+ * Tableau comparant le budget actuel à chaque scénario
+ * @returns {JSX.Element|null} Tableau de comparaison, ou null sans scénario
+ */
+function ScenarioComparison() {
+  const { baseBudget, scenarios, settings, savingsGoals, selectedYear } = useBudget()
+  const { formatCurrency } = useFormatters()
+  const [period, setPeriod] = useState(WHOLE_YEAR)
+
+  const comparisons = useMemo(() => {
+    const options = {
+      year: selectedYear,
+      month: period === WHOLE_YEAR ? undefined : getMonthKey(selectedYear, Number(period)),
+      settings,
+      savingsGoals
+    }
+    return scenarios.map(scenario => ({ scenario, ...compareScenario(baseBudget, scenario, options) }))
+  }, [baseBudget, scenarios, settings, savingsGoals, selectedYear, period])
+
+  if (scenarios.length === 0) return null
+
+  // Lignes du tableau : catégories et personnes présentes dans au moins un budget
+  const categories = [...new Set(comparisons.flatMap(comparison => Object.keys(comparison.byCategory)))]
+  const personIds = [...new Set(comparisons.flatMap(comparison => Object.keys(comparison.byPerson)))]
+
+  /**
+   * Construit une ligne du tableau à partir des écarts de chaque scénario
+   * @param {Function} getDelta - Retourne l'écart { base, scenario, delta } d'une comparaison
+   * @returns {object} Montant du budget actuel et écarts de chaque scénario { base, deltas }
+   */
+  const buildRow = (getDelta) => {
+    const deltas = comparisons.map(comparison => getDelta(comparison) || { base: 0, scenario: 0, delta: 0 })
+    return { base: deltas.find(delta => delta.base !== 0)?.base || 0, deltas }
+  }
+
+  const rows = [
+    { key: 'income', label: 'Revenus', ...buildRow(comparison => comparison.totals.income) },
+    { key: 'expenses', label: 'Dépenses', ...buildRow(comparison => comparison.totals.totalExpenses) },
+    { key: 'remaining', label: 'Reste', isTotal: true, ...buildRow(comparison => comparison.totals.remainingBudget) },
+    { key: 'category-title', title: 'Dépenses par catégorie' },
+    ...categories.map(category => ({
+      key: `category-${category}`,
+      label: COMMON_EXPENSE_CATEGORY_LABELS[category] || category,
+      ...buildRow(comparison => comparison.byCategory[category])
+    })),
+    { key: 'person-title', title: 'Reste par personne' },
+    ...personIds.map(personId => ({
+      key: `person-${personId}`,
+      label: comparisons.find(comparison => comparison.byPerson[personId])?.byPerson[personId].name,
+      ...buildRow(comparison => comparison.byPerson[personId])
+    }))
+  ]
+
+  /**
+   * Couleur d'un écart : une hausse des dépenses est défavorable, une hausse des revenus ou du reste favorable
+   * @param {string} rowKey - Clé de la ligne
+   * @param {number} delta - Écart par rapport au budget actuel
+   * @returns {string} Classe de couleur
+   */
+  const getDeltaClassName = (rowKey, delta) => {
+    if (delta === 0) return 'text-muted-foreground'
+    const isExpense = rowKey === 'expenses' || rowKey.startsWith('category-')
+    return (delta > 0) !== isExpense ? 'text-green-600' : 'text-red-600'
+  }
+
+  return (
+    <Card className="mt-8">
+      <CardHeader className="flex flex-row flex-wrap items-center justify-between gap-4">
+        <CardTitle className="flex items-center text-xl">
+          <GitCompare className="w-5 h-5 mr-2" />
+          {UI_LABELS.SCENARIO_COMPARISON}
+        </CardTitle>
+        <Select value={period} onValueChange={setPeriod}>
+          <SelectTrigger className="w-[180px]">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value={WHOLE_YEAR}>Année {selectedYear}</SelectItem>
+            {MONTH_NUMBERS.map(monthNumber => (
+              <SelectItem key={monthNumber} value={String(monthNumber)}>
+                {MONTH_NAMES[monthNumber]} {selectedYear}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </CardHeader>
+
+      <CardContent className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b text-left">
+              <th className="py-2 pr-4" />
+              <th className="py-2 pr-4 text-right">{UI_LABELS.CURRENT_BUDGET}</th>
+              {comparisons.map(({ scenario }) => (
+                <th key={scenario.id} className="py-2 pr-4 text-right">{scenario.name}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => row.title ? (
+              <tr key={row.key}>
+                <td colSpan={comparisons.length + 2} className="pt-4 pb-1 font-semibold">{row.title}</td>
+              </tr>
+            ) : (
+              <tr key={row.key} className={`border-b ${row.isTotal ? 'font-bold' : ''}`}>
+                <td className="py-2 pr-4">{row.label}</td>
+                <td className="py-2 pr-4 text-right">{formatCurrency(row.base)}</td>
+                {row.deltas.map((delta, index) => (
+                  <td key={comparisons[index].scenario.id} className="py-2 pr-4 text-right">
+                    <div>{formatCurrency(delta.scenario)}</div>
+                    <div className={`text-xs ${getDeltaClassName(row.key, delta.delta)}`}>
+                      {delta.delta > 0 ? '+' : ''}{formatCurrency(delta.delta)}
+                    </div>
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default ScenarioComparison
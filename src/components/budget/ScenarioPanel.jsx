@@ -0,0 +1,162 @@
+/**
+ * Composant des scénarios « et si » - Création et ouverture des copies du budget
+ *
+ * Fonctionnalités métier :
+ * - Création d'un scénario nommé à partir d'une copie du budget actuel
+ * - Ouverture d'un scénario à la place du budget actuel (formulaires et résumés)
+ * - Renommage et suppression du scénario ouvert
+ * - Rappel visible tant qu'un scénario est ouvert
+ *
+ * Objectif : Tester un déménagement, un passage à temps partiel ou un
+ * nouveau crédit avec les formulaires habituels, sans modifier le budget actuel.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+import { useState, useId } from 'react'
+import { FlaskConical, Plus, Trash2, AlertTriangle } from 'lucide-react'
+import { useBudget } from '../../contexts/BudgetContext.jsx'
+import { validateScenarioForm } from '../../utils/validators.js'
+import { UI_LABELS } from '../../models/constants.js'
+import { Button } from '../ui/button.jsx'
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card.jsx'
+import { Input } from '../ui/input.jsx'
+import { Label } from '../ui/label.jsx'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select.jsx'
+
+// Valeur du sélecteur pour le budget actuel
+const CURRENT_BUDGET = 'current'
+
+/**
+ * Sélection, création et suppression des scénarios « et si »
+ * @returns {JSX.Element} Sélecteur de scénario et formulaire de création
+ */
+function ScenarioPanel() {
+  const { scenarios, activeScenario, selectScenario, addScenario, renameScenario, deleteScenario } = useBudget()
+  const fieldIdPrefix = useId()
+  const [newName, setNewName] = useState('')
+  const [renameInput, setRenameInput] = useState(null)
+  const [errors, setErrors] = useState({})
+
+  /**
+   * Crée un scénario à partir du budget actuel
+   */
+  const handleAdd = () => {
+    const validation = validateScenarioForm({ name: newName }, scenarios)
+    if (!validation.isValid) {
+      setErrors(validation.errors)
+      return
+    }
+
+    addScenario(newName.trim())
+    setNewName('')
+    setErrors({})
+  }
+
+  /**
+   * Enregistre le nouveau nom du scénario ouvert
+   */
+  const handleRenameBlur = () => {
+    if (renameInput === null) return
+
+    const validation = validateScenarioForm({ id: activeScenario.id, name: renameInput }, scenarios)
+    if (!validation.isValid) {
+      setErrors(validation.errors)
+      return
+    }
+
+    renameScenario(activeScenario.id, renameInput.trim())
+    setRenameInput(null)
+    setErrors({})
+  }
+
+  /**
+   * Ouvre un scénario ou revient au budget actuel
+   * @param {string} value - ID du scénario ou valeur du budget actuel
+   */
+  const handleSelect = (value) => {
+    selectScenario(value === CURRENT_BUDGET ? null : value)
+    setRenameInput(null)
+    setErrors({})
+  }
+
+  return (
+    <Card className="mb-8">
+      <CardHeader className="flex flex-row flex-wrap items-center justify-between gap-4">
+        <CardTitle className="flex items-center text-xl">
+          <FlaskConical className="w-5 h-5 mr-2" />
+          {UI_LABELS.SCENARIOS}
+        </CardTitle>
+        <Select value={activeScenario?.id || CURRENT_BUDGET} onValueChange={handleSelect}>
+          <SelectTrigger className="w-[220px]">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value={CURRENT_BUDGET}>{UI_LABELS.CURRENT_BUDGET}</SelectItem>
+            {scenarios.map(scenario => (
+              <SelectItem key={scenario.id} value={scenario.id}>
+                {scenario.name}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </CardHeader>
+
+      <CardContent className="space-y-4">
+        {activeScenario ? (
+          <>
+            <div className="flex items-start gap-2 rounded-md border border-orange-300 bg-orange-50 p-3 text-sm text-orange-900">
+              <AlertTriangle className="w-4 h-4 mt-0.5 shrink-0" />
+              <span>
+                Scénario « {activeScenario.name} » ouvert : les revenus et les dépenses modifiés ci-dessous
+                ne changent pas le budget actuel. Les règlements, l’épargne et le journal restent ceux du budget actuel.
+              </span>
+            </div>
+            <div className="flex flex-wrap items-end gap-2">
+              <div className="space-y-1">
+                <Label htmlFor={`${fieldIdPrefix}-rename`}>Nom du scénario</Label>
+                <Input
+                  id={`${fieldIdPrefix}-rename`}
+                  value={renameInput ?? activeScenario.name}
+                  onChange={(e) => setRenameInput(e.target.value)}
+                  onBlur={handleRenameBlur}
+                  className={`w-[240px] ${errors.name ? 'border-red-500' : ''}`}
+                />
+              </div>
+              <Button
+                size="sm"
+                variant="ghost"
+                onClick={() => deleteScenario(activeScenario.id)}
+                className="flex items-center gap-2 text-red-600"
+              >
+                <Trash2 className="w-4 h-4" />
+                {UI_LABELS.DELETE}
+              </Button>
+            </div>
+          </>
+        ) : (
+          <div className="flex flex-wrap items-end gap-2">
+            <div className="space-y-1">
+              <Label htmlFor={`${fieldIdPrefix}-name`}>Nouveau scénario (copie du budget actuel)</Label>
+              <Input
+                id={`${fieldIdPrefix}-name`}
+                value={newName}
+                onChange={(e) => setNewName(e.target.value)}
+                placeholder="Ex : Appartement plus grand"
+                className={`w-[240px] ${errors.name ? 'border-red-500' : ''}`}
+              />
+            </div>
+            <Button size="sm" variant="outline" onClick={handleAdd} className="flex items-center gap-2">
+              <Plus className="w-4 h-4" />
+              {UI_LABELS.ADD}
+            </Button>
+          </div>
+        )}
+
+        {errors.name && <p className="text-sm text-red-600">{errors.name}</p>}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default ScenarioPanel
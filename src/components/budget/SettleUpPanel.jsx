@@ -0,0 +1,177 @@
+/**
+ * Composant d'équilibrage des comptes - Remboursements entre personnes
+ *
+ * Fonctionnalités métier :
+ * - Solde de chaque personne sur le mois sélectionné (à recevoir ou à rembourser)
+ * - Liste minimale des virements à effectuer pour solder les comptes
+ * - Marquage d'un virement comme payé
+ * - Historique des règlements du mois avec annulation
+ *
+ * Objectif : Permettre au ménage de savoir simplement qui doit
+ * combien à qui lorsque les dépenses sont avancées par une seule personne.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+import { useState, useMemo } from 'react'
+import { HandCoins, ArrowRight, CheckCircle, Undo2 } from 'lucide-react'
+import { useBudget } from '../../contexts/BudgetContext.jsx'
+import { calculateSettlement } from '../../utils/settlement.js'
+import { useFormatters } from '../../hooks/useFormatters.js'
+import { getMonthKey, getCurrentMonthNumber } from '../../utils/calendar.js'
+import { MONTH_NUMBERS, MONTH_NAMES } from '../../models/constants.js'
+import { Button } from '../ui/button.jsx'
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card.jsx'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select.jsx'
+
+/**
+ * Panneau d'équilibrage des comptes du mois sélectionné
+ * @returns {JSX.Element} Soldes, virements à effectuer et règlements enregistrés
+ */
+function SettleUpPanel() {
+  const {
+    people,
+    expenses,
+    settings,
+    settlements,
+    selectedYear,
+    addSettlement,
+    deleteSettlement
+  } = useBudget()
+  const { formatCurrency, formatDate } = useFormatters()
+  const [selectedMonthNumber, setSelectedMonthNumber] = useState(getCurrentMonthNumber)
+
+  // Mois soldé dans l'année budgétaire sélectionnée (format YYYY-MM)
+  const selectedMonth = getMonthKey(selectedYear, selectedMonthNumber)
+
+  const { balances, transfers, paidSettlements } = useMemo(() => {
+    return calculateSettlement(people, expenses, settlements, { month: selectedMonth, settings })
+  }, [people, expenses, settlements, selectedMonth, settings])
+
+  const hasPayers = expenses.some(expense => people.some(person => person.id === expense.paidBy))
+
+  /**
+   * Retourne le nom d'une personne
+   * @param {string} personId - ID de la personne
+   * @returns {string} Nom affiché
+   */
+  const getPersonName = (personId) => {
+    return people.find(person => person.id === personId)?.name || 'Sans nom'
+  }
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row flex-wrap items-center justify-between gap-4">
+        <CardTitle className="flex items-center text-xl">
+          <HandCoins className="w-5 h-5 mr-2" />
+          Équilibrage des comptes
+        </CardTitle>
+        <Select
+          value={String(selectedMonthNumber)}
+          onValueChange={(value) => setSelectedMonthNumber(Number(value))}
+        >
+          <SelectTrigger className="w-[180px]">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {MONTH_NUMBERS.map(monthNumber => (
+              <SelectItem key={monthNumber} value={String(monthNumber)}>
+                {MONTH_NAMES[monthNumber]} {selectedYear}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </CardHeader>
+
+      <CardContent className="space-y-6">
+        {!hasPayers ? (
+          <p className="text-sm text-muted-foreground">
+            Indiquez qui paie les dépenses (champ « Payé par ») pour calculer les remboursements.
+          </p>
+        ) : (
+          <>
+            <div className="grid gap-2 sm:grid-cols-2">
+              {people.map(person => {
+                const balance = balances[person.id] || 0
+
+                return (
+                  <div key={person.id} className="flex items-center justify-between rounded-lg border p-3">
+                    <span className="flex items-center font-medium">
+                      <span
+                        className="w-3 h-3 rounded-full mr-2"
+                        style={{ backgroundColor: person.color }}
+                      />
+                      {person.name || 'Sans nom'}
+                    </span>
+                    <span className={`text-sm font-semibold ${balance > 0 ? 'text-green-600' : balance < 0 ? 'text-red-600' : 'text-muted-foreground'}`}>
+                      {balance > 0 ? 'À recevoir ' : balance < 0 ? 'À rembourser ' : ''}
+                      {formatCurrency(Math.abs(balance))}
+                    </span>
+                  </div>
+                )
+              })}
+            </div>
+
+            {transfers.length === 0 ? (
+              <p className="flex items-center gap-2 text-sm text-green-700">
+                <CheckCircle className="w-4 h-4" />
+                Les comptes sont équilibrés pour ce mois.
+              </p>
+            ) : (
+              <ul className="space-y-2">
+                {transfers.map(transfer => (
+                  <li
+                    key={`${transfer.from}-${transfer.to}`}
+                    className="flex flex-wrap items-center justify-between gap-2 rounded-lg bg-gray-50 p-3"
+                  >
+                    <span className="flex items-center gap-2 text-sm">
+                      <span className="font-medium">{getPersonName(transfer.from)}</span>
+                      <ArrowRight className="w-4 h-4" />
+                      <span className="font-medium">{getPersonName(transfer.to)}</span>
+                      <span className="font-semibold">{formatCurrency(transfer.amount)}</span>
+                    </span>
+                    <Button
+                      size="sm"
+                      onClick={() => addSettlement({ period: selectedMonth, ...transfer })}
+                      className="flex items-center gap-2"
+                    >
+                      <CheckCircle className="w-4 h-4" />
+                      Marquer comme payé
+                    </Button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </>
+        )}
+
+        {paidSettlements.length > 0 && (
+          <div className="space-y-2">
+            <p className="text-sm font-medium text-muted-foreground">Règlements effectués</p>
+            <ul className="space-y-2">
+              {paidSettlements.map(settlement => (
+                <li key={settlement.id} className="flex flex-wrap items-center justify-between gap-2 text-sm">
+                  <span>
+                    {getPersonName(settlement.from)} a remboursé {formatCurrency(settlement.amount)} à {getPersonName(settlement.to)}
+                    {' '}le {formatDate(settlement.paidAt)}
+                  </span>
+                  <Button
+                    size="sm"
+                    variant="ghost"
+                    onClick={() => deleteSettlement(settlement.id)}
+                    className="flex items-center gap-2"
+                  >
+                    <Undo2 className="w-4 h-4" />
+                    Annuler
+                  </Button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default SettleUpPanel
@@ -0,0 +1,103 @@
+/**
+ * Composant de répartition des dépenses communes - Paramétrage de la politique du ménage
+ *
+ * Fonctionnalités métier :
+ * - Choix de la politique : parts égales, proportionnelle au salaire,
+ *   au revenu restant ou pourcentages personnalisés
+ * - Saisie des pourcentages personnalisés par personne
+ * - Contrôle de la somme des pourcentages personnalisés
+ *
+ * Objectif : Permettre au ménage de partager les dépenses communes
+ * de manière équitable lorsque les revenus sont différents.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+import { Scale } from 'lucide-react'
+import { useBudget } from '../../contexts/BudgetContext.jsx'
+import { SPLIT_POLICIES, SPLIT_POLICY_LABELS } from '../../models/constants.js'
+import { Input } from '../ui/input.jsx'
+import { Label } from '../ui/label.jsx'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select.jsx'
+
+/**
+ * Paramétrage de la répartition des dépenses communes
+ * @returns {JSX.Element} Sélecteur de politique et pourcentages personnalisés
+ */
+function SplitPolicySettings() {
+  const { people, settings, updateSettings } = useBudget()
+  const splitPolicy = settings.splitPolicy || SPLIT_POLICIES.EQUAL
+  const customSplitShares = settings.customSplitShares || {}
+
+  const customTotal = people.reduce((total, person) => total + (Number(customSplitShares[person.id]) || 0), 0)
+
+  /**
+   * Met à jour le pourcentage personnalisé d'une personne
+   * @param {string} personId - ID de la personne
+   * @param {string} value - Pourcentage saisi
+   */
+  const handleShareChange = (personId, value) => {
+    const percentage = parseFloat(value.replace(/[^0-9.,]/g, '').replace(',', '.'))
+    updateSettings({
+      customSplitShares: {
+        ...customSplitShares,
+        [personId]: isNaN(percentage) ? 0 : percentage
+      }
+    })
+  }
+
+  return (
+    <div className="w-full max-w-xl mx-auto space-y-3 rounded-lg border p-4">
+      <Label className="flex items-center">
+        <Scale className="w-4 h-4 mr-2" />
+        Répartition des dépenses communes
+      </Label>
+      <Select
+        value={splitPolicy}
+        onValueChange={(value) => updateSettings({ splitPolicy: value })}
+      >
+        <SelectTrigger>
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          {Object.entries(SPLIT_POLICY_LABELS).map(([value, label]) => (
+            <SelectItem key={value} value={value}>
+              {label}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+
+      {splitPolicy === SPLIT_POLICIES.CUSTOM && (
+        <div className="space-y-2">
+          {people.map(person => (
+            <div key={person.id} className="flex items-center justify-between gap-4">
+              <Label htmlFor={`split-share-${person.id}`} className="text-sm">
+                {person.name || 'Sans nom'}
+              </Label>
+              <div className="flex items-center gap-2">
+                <Input
+                  id={`split-share-${person.id}`}
+                  type="text"
+                  inputMode="decimal"
+                  value={customSplitShares[person.id] ?? ''}
+                  onChange={(e) => handleShareChange(person.id, e.target.value)}
+                  placeholder="0"
+                  className="w-24 text-right"
+                />
+                <span className="text-sm">%</span>
+              </div>
+            </div>
+          ))}
+          {customTotal !== 100 && (
+            <p className="text-xs text-orange-600">
+              Total : {customTotal}% — les pourcentages seront ramenés à 100%.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default SplitPolicySettings
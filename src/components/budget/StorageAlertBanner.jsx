@@ -0,0 +1,67 @@
+/**
+ * Composant d'alerte de sauvegarde - Signalement des problèmes du stockage local
+ *
+ * Fonctionnalités métier :
+ * - Alerte lorsque le budget sauvegardé n'a pas pu être restauré
+ * - Rappel de la copie de secours conservée dans le navigateur
+ * - Reprise de la sauvegarde automatique, suspendue pour ne pas écraser la sauvegarde illisible
+ * - Alerte lorsque la sauvegarde automatique échoue (stockage plein ou inaccessible)
+ *
+ * Objectif : Ne jamais perdre un budget sauvegardé sans que l'utilisateur
+ * en soit averti.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+import { AlertTriangle, Save } from 'lucide-react'
+import { useBudget } from '../../contexts/BudgetContext.jsx'
+import { STORAGE_KEYS, VALIDATION_MESSAGES } from '../../models/constants.js'
+import { Button } from '../ui/button.jsx'
+
+/**
+ * Bandeau d'alerte affiché tant que la sauvegarde locale pose problème
+ * @returns {JSX.Element|null} Bandeau ou null si la sauvegarde fonctionne
+ */
+function StorageAlertBanner() {
+  const { storageStatus, resumeAutoSave } = useBudget()
+  const { loadError, isBackedUp, isAutoSaveSuspended, hasSaveFailed } = storageStatus
+
+  if (isAutoSaveSuspended) {
+    return (
+      <div className="mb-8 rounded-xl border border-orange-300 bg-orange-50 p-4 text-orange-900">
+        <p className="flex items-center gap-2 font-semibold">
+          <AlertTriangle className="w-5 h-5 flex-shrink-0" />
+          Votre budget sauvegardé n’a pas pu être restauré : {loadError}
+        </p>
+        <p className="mt-1 text-sm">
+          {isBackedUp
+            ? `Une copie des données d'origine est conservée dans le navigateur (clé « ${STORAGE_KEYS.BUDGET_BACKUP} »).`
+            : 'Aucune copie des données d\'origine n\'a pu être faite : reprendre la sauvegarde les remplacera définitivement.'}
+          {' '}La sauvegarde automatique est suspendue : vos modifications ne seront pas conservées tant qu’elle n’est pas reprise.
+        </p>
+        <Button size="sm" onClick={resumeAutoSave} className="mt-3 flex items-center gap-2">
+          <Save className="w-4 h-4" />
+          Reprendre la sauvegarde automatique
+        </Button>
+      </div>
+    )
+  }
+
+  if (hasSaveFailed) {
+    return (
+      <div className="mb-8 rounded-xl border border-orange-300 bg-orange-50 p-4 text-orange-900">
+        <p className="flex items-center gap-2 font-semibold">
+          <AlertTriangle className="w-5 h-5 flex-shrink-0" />
+          {VALIDATION_MESSAGES.SAVE_FAILED}
+        </p>
+        <p className="mt-1 text-sm">
+          Exportez votre budget dans un fichier pour ne pas perdre vos modifications.
+        </p>
+      </div>
+    )
+  }
+
+  return null
+}
+
+export default StorageAlertBanner
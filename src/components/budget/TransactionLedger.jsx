@@ -0,0 +1,307 @@
+/**
+ * Composant du journal des dépenses réelles - Saisie et suivi de ce qui a été dépensé
+ *
+ * Fonctionnalités métier :
+ * - Liste des dépenses réelles du mois sélectionné avec total
+ * - Ajout d'une dépense réelle (date, libellé, montant, payeur)
+ * - Rattachement à une dépense prévue ou, à défaut, à une catégorie et une assignation
+ * - Suppression d'une dépense réelle
+ * - Rapprochement des dépenses réelles du mois avec les dépenses prévues
+ *
+ * Objectif : Tenir le compte de ce que le ménage dépense réellement,
+ * pour le comparer au budget prévisionnel.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+import { useState, useId, useMemo } from 'react'
+import { ReceiptText, Plus, Trash2 } from 'lucide-react'
+import { useBudget } from '../../contexts/BudgetContext.jsx'
+import { useFormatters } from '../../hooks/useFormatters.js'
+import { validateTransactionForm } from '../../utils/validators.js'
+import { getMonthKey, getCurrentMonthNumber, getTodayKey } from '../../utils/calendar.js'
+import { getMonthTransactions, getTransactionCategory } from '../../utils/ledger.js'
+import {
+  ASSIGNMENT_OPTIONS,
+  COMMON_EXPENSE_CATEGORIES,
+  COMMON_EXPENSE_CATEGORY_LABELS,
+  MONTH_NUMBERS,
+  MONTH_NAMES,
+  UI_LABELS
+} from '../../models/constants.js'
+import { Button } from '../ui/button.jsx'
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card.jsx'
+import { Input } from '../ui/input.jsx'
+import { Label } from '../ui/label.jsx'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select.jsx'
+import ReconciliationPanel from './ReconciliationPanel.jsx'
+
+// Valeur des sélecteurs pour « aucun payeur » et « aucune dépense prévue associée »
+const NONE = 'none'
+
+/**
+ * Crée les valeurs initiales du formulaire d'ajout
+ * @returns {object} Formulaire vide daté du jour
+ */
+const createEmptyTransaction = () => ({
+  date: getTodayKey(),
+  label: '',
+  amount: '',
+  paidBy: NONE,
+  expenseId: NONE,
+  category: COMMON_EXPENSE_CATEGORIES.FOOD,
+  assignedTo: ASSIGNMENT_OPTIONS.BOTH
+})
+
+/**
+ * Journal des dépenses réelles du mois sélectionné avec formulaire d'ajout
+ * @returns {JSX.Element} Dépenses réelles du mois et formulaire d'ajout
+ */
+function TransactionLedger() {
+  const { people, expenses, transactions, selectedYear, addTransaction, deleteTransaction } = useBudget()
+  const { currencySymbol, formatCurrency, formatDate } = useFormatters()
+  const fieldIdPrefix = useId()
+  const [selectedMonthNumber, setSelectedMonthNumber] = useState(getCurrentMonthNumber)
+  const [formData, setFormData] = useState(createEmptyTransaction)
+  const [errors, setErrors] = useState({})
+
+  // Mois affiché dans l'année budgétaire sélectionnée (format YYYY-MM)
+  const selectedMonth = getMonthKey(selectedYear, selectedMonthNumber)
+
+  const monthTransactions = useMemo(() => {
+    return getMonthTransactions(transactions, selectedMonth)
+  }, [transactions, selectedMonth])
+
+  const monthTotal = monthTransactions.reduce((total, transaction) => total + transaction.amount, 0)
+
+  /**
+   * Retourne le nom d'une personne
+   * @param {string} personId - ID de la personne
+   * @returns {string} Nom affiché
+   */
+  const getPersonName = (personId) => {
+    return people.find(person => person.id === personId)?.name || 'Sans nom'
+  }
+
+  /**
+   * Retourne le rattachement affiché d'une dépense réelle
+   * @param {object} transaction - Dépense réelle
+   * @returns {string} Nom de la dépense prévue, ou catégorie
+   */
+  const getAllocationLabel = (transaction) => {
+    const linkedExpense = expenses.find(expense => expense.id === transaction.expenseId)
+    if (linkedExpense) return linkedExpense.name
+
+    const category = getTransactionCategory(transaction, expenses)
+    return COMMON_EXPENSE_CATEGORY_LABELS[category] || category
+  }
+
+  /**
+   * Ajoute la dépense réelle saisie
+   * Une dépense rattachée à une dépense prévue en reprend la catégorie et l'assignation
+   */
+  const handleAdd = () => {
+    const linkedExpense = expenses.find(expense => expense.id === formData.expenseId)
+    const transaction = {
+      date: formData.date,
+      label: formData.label.trim(),
+      amount: parseFloat(formData.amount),
+      paidBy: formData.paidBy === NONE ? undefined : formData.paidBy,
+      expenseId: linkedExpense?.id,
+      category: linkedExpense ? linkedExpense.category : formData.category,
+      assignedTo: linkedExpense ? linkedExpense.assignedTo : formData.assignedTo
+    }
+
+    const validation = validateTransactionForm(transaction)
+    if (!validation.isValid) {
+      setErrors(validation.errors)
+      return
+    }
+
+    addTransaction(transaction)
+    setFormData(createEmptyTransaction())
+    setErrors({})
+  }
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row flex-wrap items-center justify-between gap-4">
+        <CardTitle className="flex items-center text-xl">
+          <ReceiptText className="w-5 h-5 mr-2" />
+          {UI_LABELS.TRANSACTIONS}
+        </CardTitle>
+        <Select
+          value={String(selectedMonthNumber)}
+          onValueChange={(value) => setSelectedMonthNumber(Number(value))}
+        >
+          <SelectTrigger className="w-[180px]">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {MONTH_NUMBERS.map(monthNumber => (
+              <SelectItem key={monthNumber} value={String(monthNumber)}>
+                {MONTH_NAMES[monthNumber]} {selectedYear}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </CardHeader>
+
+      <CardContent className="space-y-6">
+        {monthTransactions.length === 0 ? (
+          <p className="text-sm text-muted-foreground">
+            Aucune dépense réelle enregistrée ce mois-ci.
+          </p>
+        ) : (
+          <ul className="divide-y rounded-lg border">
+            {monthTransactions.map(transaction => (
+              <li key={transaction.id} className="flex flex-wrap items-center justify-between gap-2 p-3">
+                <div className="space-y-0.5">
+                  <div className="font-medium">{transaction.label}</div>
+                  <div className="text-xs text-muted-foreground">
+                    {formatDate(transaction.date)} · {getAllocationLabel(transaction)}
+                    {transaction.paidBy && ` · ${UI_LABELS.PAID_BY.toLowerCase()} ${getPersonName(transaction.paidBy)}`}
+                  </div>
+                </div>
+                <div className="flex items-center gap-2">
+                  <span className="font-semibold">{formatCurrency(transaction.amount)}</span>
+                  <Button
+                    size="sm"
+                    variant="ghost"
+                    onClick={() => deleteTransaction(transaction.id)}
+                    aria-label={`${UI_LABELS.DELETE} ${transaction.label}`}
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </Button>
+                </div>
+              </li>
+            ))}
+            <li className="flex justify-between p-3 font-bold">
+              <span>Total</span>
+              <span>{formatCurrency(monthTotal)}</span>
+            </li>
+          </ul>
+        )}
+
+        <ReconciliationPanel month={selectedMonth} />
+
+        <div className="space-y-3 rounded-md border border-dashed p-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <div className="space-y-1">
+              <Label htmlFor={`${fieldIdPrefix}-date`}>Date</Label>
+              <Input
+                id={`${fieldIdPrefix}-date`}
+                type="date"
+                value={formData.date}
+                onChange={(e) => setFormData(prev => ({ ...prev, date: e.target.value }))}
+                className={errors.date ? 'border-red-500' : ''}
+              />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor={`${fieldIdPrefix}-label`}>Libellé</Label>
+              <Input
+                id={`${fieldIdPrefix}-label`}
+                value={formData.label}
+                onChange={(e) => setFormData(prev => ({ ...prev, label: e.target.value }))}
+                placeholder="Ex : Courses Carrefour"
+                className={errors.label ? 'border-red-500' : ''}
+              />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor={`${fieldIdPrefix}-amount`}>{UI_LABELS.AMOUNT} ({currencySymbol})</Label>
+              <Input
+                id={`${fieldIdPrefix}-amount`}
+                type="text"
+                inputMode="decimal"
+                value={formData.amount}
+                onChange={(e) => setFormData(prev => ({
+                  ...prev,
+                  amount: e.target.value.replace(/[^0-9.,]/g, '').replace(',', '.')
+                }))}
+                className={errors.amount ? 'border-red-500' : ''}
+              />
+            </div>
+            <div className="space-y-1">
+              <Label>{UI_LABELS.PAID_BY}</Label>
+              <Select value={formData.paidBy} onValueChange={(value) => setFormData(prev => ({ ...prev, paidBy: value }))}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={NONE}>Non renseigné</SelectItem>
+                  {people.map(person => (
+                    <SelectItem key={person.id} value={person.id}>
+                      {person.name || 'Sans nom'}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-1 md:col-span-2">
+              <Label>{UI_LABELS.LINKED_EXPENSE}</Label>
+              <Select value={formData.expenseId} onValueChange={(value) => setFormData(prev => ({ ...prev, expenseId: value }))}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={NONE}>Aucune (choisir une catégorie)</SelectItem>
+                  {expenses.map(expense => (
+                    <SelectItem key={expense.id} value={expense.id}>
+                      {expense.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            {formData.expenseId === NONE && (
+              <>
+                <div className="space-y-1">
+                  <Label>{UI_LABELS.CATEGORY}</Label>
+                  <Select value={formData.category} onValueChange={(value) => setFormData(prev => ({ ...prev, category: value }))}>
+                    <SelectTrigger className={errors.category ? 'border-red-500' : ''}>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {Object.entries(COMMON_EXPENSE_CATEGORY_LABELS).map(([value, label]) => (
+                        <SelectItem key={value} value={value}>
+                          {label}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div className="space-y-1">
+                  <Label>Pour</Label>
+                  <Select value={formData.assignedTo} onValueChange={(value) => setFormData(prev => ({ ...prev, assignedTo: value }))}>
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value={ASSIGNMENT_OPTIONS.BOTH}>Commun</SelectItem>
+                      {people.map(person => (
+                        <SelectItem key={person.id} value={person.id}>
+                          {person.name || 'Sans nom'}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              </>
+            )}
+          </div>
+
+          {Object.values(errors).filter(Boolean).map(message => (
+            <p key={message} className="text-sm text-red-600">{message}</p>
+          ))}
+
+          <Button size="sm" variant="outline" onClick={handleAdd} className="flex items-center gap-2">
+            <Plus className="w-4 h-4" />
+            {UI_LABELS.ADD}
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default TransactionLedger
@@ -7,6 +7,7 @@
  * - Bouton d'annulation pour interrompre l'action
  * - Interface accessible avec gestion du clavier
  * - Animation de progression du compte à rebours
+ * - Contenu personnalisé (choix complémentaires) et désactivation de l'exécution automatique
  *
  * Objectif : Fournir une expérience utilisateur intuitive pour les actions
  * destructives, permettant à l'utilisateur de confirmer ou annuler
@@ -32,6 +33,8 @@ import { AlertTriangle, Clock, X } from 'lucide-react'
  * @param {Function} props.onConfirm - Fonction appelée lors de la confirmation
  * @param {Function} props.onCancel - Fonction appelée lors de l'annulation
  * @param {number} props.countdownSeconds - Durée du compte à rebours en secondes (par défaut: 5)
+ * @param {boolean} props.autoConfirm - Confirme automatiquement à la fin du compte à rebours (par défaut: true)
+ * @param {React.ReactNode} props.children - Contenu affiché sous le message (optionnel)
  * @returns {JSX.Element} Dialogue de confirmation
  */
 function ConfirmationDialog({
@@ -42,20 +45,22 @@ function ConfirmationDialog({
   cancelText = 'Annuler',
   onConfirm,
   onCancel,
-  countdownSeconds = 5
+  countdownSeconds = 5,
+  autoConfirm = true,
+  children
 }) {
   const [timeLeft, setTimeLeft] = useState(countdownSeconds)
   const [isActive, setIsActive] = useState(false)
 
   // Réinitialise le compte à rebours quand le dialogue s'ouvre
   useEffect(() => {
-    if (isOpen) {
+    if (isOpen && autoConfirm) {
       setTimeLeft(countdownSeconds)
       setIsActive(true)
     } else {
       setIsActive(false)
     }
-  }, [isOpen, countdownSeconds])
+  }, [isOpen, countdownSeconds, autoConfirm])
 
   // Gestion du compte à rebours
   useEffect(() => {
@@ -118,59 +123,63 @@ function ConfirmationDialog({
           </DialogDescription>
         </DialogHeader>
 
-        <div className="flex flex-col items-center space-y-4 py-4">
-          {/* Animation du compte à rebours circulaire */}
-          <div className="relative">
-            <div className="w-16 h-16 rounded-full border-4 border-muted flex items-center justify-center">
-              <Clock className="w-6 h-6 text-muted-foreground" />
-            </div>
-            {/* Cercle de progression SVG */}
-            <svg className="absolute top-0 left-0 w-16 h-16 -rotate-90" viewBox="0 0 36 36">
-              <path
-                d="M18 2.0845
-                  a 15.9155 15.9155 0 0 1 0 31.831
-                  a 15.9155 15.9155 0 0 1 0 -31.831"
-                fill="none"
-                stroke="currentColor"
-                strokeWidth="2"
-                strokeDasharray="100, 100"
-                className="text-muted-foreground/20"
-              />
-              <path
-                d="M18 2.0845
-                  a 15.9155 15.9155 0 0 1 0 31.831
-                  a 15.9155 15.9155 0 0 1 0 -31.831"
-                fill="none"
-                stroke="currentColor"
-                strokeWidth="2"
-                strokeDasharray={`${progressPercentage}, 100`}
-                className="text-destructive transition-all duration-1000 ease-linear"
-              />
-            </svg>
-            {/* Texte du compte à rebours */}
-            <div className="absolute inset-0 flex items-center justify-center">
-              <span className="text-sm font-mono font-bold text-destructive">
-                {timeLeft}
-              </span>
+        {children}
+
+        {autoConfirm && (
+          <div className="flex flex-col items-center space-y-4 py-4">
+            {/* Animation du compte à rebours circulaire */}
+            <div className="relative">
+              <div className="w-16 h-16 rounded-full border-4 border-muted flex items-center justify-center">
+                <Clock className="w-6 h-6 text-muted-foreground" />
+              </div>
+              {/* Cercle de progression SVG */}
+              <svg className="absolute top-0 left-0 w-16 h-16 -rotate-90" viewBox="0 0 36 36">
+                <path
+                  d="M18 2.0845
+                    a 15.9155 15.9155 0 0 1 0 31.831
+                    a 15.9155 15.9155 0 0 1 0 -31.831"
+                  fill="none"
+                  stroke="currentColor"
+                  strokeWidth="2"
+                  strokeDasharray="100, 100"
+                  className="text-muted-foreground/20"
+                />
+                <path
+                  d="M18 2.0845
+                    a 15.9155 15.9155 0 0 1 0 31.831
+                    a 15.9155 15.9155 0 0 1 0 -31.831"
+                  fill="none"
+                  stroke="currentColor"
+                  strokeWidth="2"
+                  strokeDasharray={`${progressPercentage}, 100`}
+                  className="text-destructive transition-all duration-1000 ease-linear"
+                />
+              </svg>
+              {/* Texte du compte à rebours */}
+              <div className="absolute inset-0 flex items-center justify-center">
+                <span className="text-sm font-mono font-bold text-destructive">
+                  {timeLeft}
+                </span>
+              </div>
             </div>
-          </div>
 
-          {/* Message d'information sur le compte à rebours */}
-          <p className="text-sm text-muted-foreground text-center">
-            {timeLeft > 0 ? (
-              `L'action sera automatiquement confirmée dans ${timeLeft} seconde${timeLeft > 1 ? 's' : ''}`
-            ) : (
-              'Confirmation automatique...'
-            )}
-          </p>
-        </div>
+            {/* Message d'information sur le compte à rebours */}
+            <p className="text-sm text-muted-foreground text-center">
+              {timeLeft > 0 ? (
+                `L'action sera automatiquement confirmée dans ${timeLeft} seconde${timeLeft > 1 ? 's' : ''}`
+              ) : (
+                'Confirmation automatique...'
+              )}
+            </p>
+          </div>
+        )}
 
         {/* Boutons d'action */}
         <div className="flex justify-end space-x-2">
           <Button
             variant="outline"
             onClick={handleCancel}
-            disabled={timeLeft === 0}
+            disabled={autoConfirm && timeLeft === 0}
             className="flex items-center gap-2"
           >
             <X className="w-4 h-4" />
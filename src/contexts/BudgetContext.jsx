@@ -6,7 +6,19 @@
  * - Gestion de la liste des dépenses avec CRUD complet et assignation
  * - État de chargement pour les opérations asynchrones
  * - Actions pour modifier l'état du budget et gérer les personnes
- * - Migration automatique des données existantes
+ * - Sauvegarde et restauration automatiques dans le navigateur
+ * - Sauvegarde automatique suspendue si le budget sauvegardé n'a pas pu être restauré
+ * - Migration versionnée des données sauvegardées
+ * - Sélection de l'année budgétaire affichée
+ * - Import d'un fichier de budget en remplacement ou en fusion
+ * - Historique des modifications avec annulation et rétablissement
+ * - Suppression d'une personne avec réassignation ou suppression de ses dépenses
+ * - Détection des dépenses orphelines (assignées à une personne supprimée)
+ * - Enregistrement des règlements entre personnes (équilibrage des comptes)
+ * - Gestion des objectifs d'épargne, dont les versements sont inclus dans les résumés budgétaires
+ * - Journal des dépenses réelles, rattachées à une dépense prévue ou à une catégorie
+ * - Scénarios « et si » : copies modifiables des personnes et des dépenses,
+ *   ouvertes à la place du budget actuel dans les formulaires et les résumés
  *
  * Objectif : Fournir un état global cohérent et réactif
  * pour la gestion du budget familial/multi-personnes, permettant
@@ -17,58 +29,166 @@
  * @author Équipe Développement
  */
 
-import { createContext, useContext, useReducer, useMemo } from 'react'
-import { BUDGET_ACTIONS, ALL_MONTHS, DEFAULT_PEOPLE } from '../models/constants.js'
+import { createContext, useContext, useReducer, useMemo, useEffect, useState } from 'react'
+import { BUDGET_ACTIONS, HISTORY_ACTIONS, MONTH_NUMBERS, SCENARIO_ACTION_TYPES } from '../models/constants.js'
 import { calculateAnnualBudget, calculateMonthlyBudget } from '../utils/calculations.js'
 import { generateUniqueId } from '../utils/idGenerator.js'
+import { loadBudgetState, saveBudgetState } from '../utils/storage.js'
+import { applyBudgetImport } from '../utils/budgetFile.js'
+import { createHistoryReducer, createHistoryState } from '../utils/history.js'
+import { removePerson, findOrphanExpenses, detachTransactions } from '../utils/integrity.js'
+import { getCurrentYear, getAvailableYears } from '../utils/calendar.js'
+import { copyBudgetForScenario } from '../utils/scenarios.js'
 
 // État initial du budget
 const initialState = {
   people: [], // Liste des personnes avec leurs salaires (vide par défaut)
   expenses: [], // Liste des dépenses
+  settings: {}, // Paramètres du ménage
+  settlements: [], // Règlements effectués entre personnes
+  savingsGoals: [], // Objectifs d'épargne du ménage
+  transactions: [], // Dépenses réelles (journal)
+  scenarios: [], // Scénarios « et si » (copies des personnes et des dépenses)
   isLoading: false // État de chargement
 }
 
 /**
- * Migre l'état existant vers la nouvelle structure avec personnes
- * Convertit un salaire unique en première personne si nécessaire
- * Évite la duplication en ne migrant que si nécessaire
- * @param {object} state - État actuel à migrer
- * @returns {object} État migré
+ * Construit l'état de départ du reducer
+ * Restaure le budget sauvegardé (déjà migré) s'il existe, sinon l'état initial
+ * L'historique démarre vide : les modifications d'une session précédente ne sont pas annulables
+ * @param {object|null} savedState - Budget restauré depuis le stockage local
+ * @returns {object} Historique de départ { past, present, future }
  */
-const migrateState = (state) => {
-  // Si l'état a déjà la structure people (y compris tableau vide), pas de migration nécessaire
-  if (state.people !== undefined) {
-    return state
-  }
-
-  // Si l'état est complètement vide ou n'a pas de données à migrer, retourner l'état initial
-  if (!state || Object.keys(state).length === 0) {
-    return state
-  }
+const initializeState = (savedState) => {
+  if (!savedState) return createHistoryState(initialState)
+
+  return createHistoryState({
+    ...initialState,
+    people: savedState.people,
+    expenses: savedState.expenses,
+    settings: savedState.settings,
+    settlements: savedState.settlements,
+    savingsGoals: savedState.savingsGoals,
+    transactions: savedState.transactions,
+    scenarios: savedState.scenarios
+  })
+}
 
-  // Migration : convertir salary en première personne seulement si nécessaire
-  let migratedPeople = []
+/**
+ * Retrouve le scénario visé par une action sur les personnes ou les dépenses
+ * @param {object} action - Action effectuée
+ * @param {object} state - État du budget
+ * @returns {object|undefined} Scénario modifié, undefined si l'action vise le budget actuel
+ */
+const getRoutedScenario = (action, state) => {
+  if (!action.scenarioId || !SCENARIO_ACTION_TYPES.includes(action.type)) return undefined
+  return state.scenarios.find(scenario => scenario.id === action.scenarioId)
+}
 
-  // Si on a un ancien salaire à migrer, créer seulement la première personne avec ce salaire
-  if (state.salary && state.salary > 0) {
-    migratedPeople = [{
-      ...DEFAULT_PEOPLE[0],
-      salary: state.salary
-    }]
+/**
+ * Décrit une action du budget pour l'historique
+ * @param {object} action - Action effectuée
+ * @param {object} state - État avant l'action
+ * @returns {string|null} Libellé de l'action, ou null si elle n'est pas annulable
+ */
+const describeBudgetAction = (action, state) => {
+  // Modification d'un scénario : décrite avec ses personnes et ses dépenses
+  const scenario = getRoutedScenario(action, state)
+  if (scenario) {
+    const label = describeBudgetAction({ ...action, scenarioId: undefined }, { ...state, ...scenario })
+    return label && `Scénario « ${scenario.name} » : ${label}`
   }
-  // Sinon, démarrer avec un tableau vide (pas de personnes par défaut automatiques)
 
-  return {
-    ...state,
-    people: migratedPeople,
-    expenses: state.expenses || [], // Assurer que expenses existe
-    isLoading: state.isLoading || false, // Assurer que isLoading existe
-    // Supprimer l'ancien champ salary seulement s'il existait
-    ...(state.salary !== undefined && { salary: undefined })
+  const findPersonName = (id) => state.people.find(person => person.id === id)?.name || 'sans nom'
+  const findExpenseName = (id) => state.expenses.find(expense => expense.id === id)?.name || ''
+  const findSavingsGoalName = (id) => state.savingsGoals.find(goal => goal.id === id)?.name || ''
+  const findTransactionLabel = (id) => state.transactions.find(transaction => transaction.id === id)?.label || ''
+  const findScenarioName = (id) => state.scenarios.find(item => item.id === id)?.name || ''
+
+  switch (action.type) {
+    case BUDGET_ACTIONS.SET_PEOPLE:
+      return 'Remplacement des personnes'
+    case BUDGET_ACTIONS.ADD_PERSON:
+      return `Ajout de la personne « ${action.payload.name || 'sans nom'} »`
+    case BUDGET_ACTIONS.UPDATE_PERSON:
+      return `Modification de la personne « ${findPersonName(action.payload.id)} »`
+    case BUDGET_ACTIONS.DELETE_PERSON:
+      return `Suppression de la personne « ${findPersonName(action.payload.id)} »`
+    case BUDGET_ACTIONS.SET_PERSON_SALARY:
+      return `Salaire de « ${findPersonName(action.payload.personId)} »`
+    case BUDGET_ACTIONS.ADD_EXPENSE:
+      return `Ajout de la dépense « ${action.payload.name} »`
+    case BUDGET_ACTIONS.ADD_EXPENSES:
+      return `Import CSV (${action.payload.length} dépense(s))`
+    case BUDGET_ACTIONS.UPDATE_EXPENSE:
+      return `Modification de la dépense « ${findExpenseName(action.payload.id)} »`
+    case BUDGET_ACTIONS.DELETE_EXPENSE:
+      return `Suppression de la dépense « ${findExpenseName(action.payload)} »`
+    case BUDGET_ACTIONS.REASSIGN_EXPENSES:
+      return `Réassignation de ${action.payload.expenseIds.length} dépense(s)`
+    case BUDGET_ACTIONS.DELETE_EXPENSES:
+      return `Suppression de ${action.payload.expenseIds.length} dépense(s)`
+    case BUDGET_ACTIONS.ADD_FAKE_DATA:
+      return `Chargement des données fictives (${action.payload.people.length} personne(s), ${action.payload.expenses.length} dépense(s))`
+    case BUDGET_ACTIONS.UPDATE_SETTINGS:
+      return 'Modification des paramètres'
+    case BUDGET_ACTIONS.IMPORT_BUDGET:
+      return 'Import d\'un fichier de budget'
+    case BUDGET_ACTIONS.ADD_SETTLEMENT:
+      return `Règlement de ${findPersonName(action.payload.from)} à ${findPersonName(action.payload.to)}`
+    case BUDGET_ACTIONS.DELETE_SETTLEMENT:
+      return 'Annulation d\'un règlement'
+    case BUDGET_ACTIONS.ADD_SAVINGS_GOAL:
+      return `Ajout de l'objectif d'épargne « ${action.payload.name} »`
+    case BUDGET_ACTIONS.UPDATE_SAVINGS_GOAL:
+      return `Modification de l'objectif d'épargne « ${findSavingsGoalName(action.payload.id)} »`
+    case BUDGET_ACTIONS.DELETE_SAVINGS_GOAL:
+      return `Suppression de l'objectif d'épargne « ${findSavingsGoalName(action.payload)} »`
+    case BUDGET_ACTIONS.ADD_TRANSACTION:
+      return `Ajout de la dépense réelle « ${action.payload.label} »`
+    case BUDGET_ACTIONS.UPDATE_TRANSACTION:
+      return `Modification de la dépense réelle « ${findTransactionLabel(action.payload.id)} »`
+    case BUDGET_ACTIONS.DELETE_TRANSACTION:
+      return `Suppression de la dépense réelle « ${findTransactionLabel(action.payload)} »`
+    case BUDGET_ACTIONS.ADD_SCENARIO:
+      return `Création du scénario « ${action.payload.name} »`
+    case BUDGET_ACTIONS.UPDATE_SCENARIO:
+      return `Renommage du scénario « ${findScenarioName(action.payload.id)} »`
+    case BUDGET_ACTIONS.DELETE_SCENARIO:
+      return `Suppression du scénario « ${findScenarioName(action.payload)} »`
+    case BUDGET_ACTIONS.RESET_BUDGET:
+      return 'Réinitialisation du budget'
+    default:
+      // Actions techniques (chargement) : non annulables
+      return null
   }
 }
 
+/**
+ * Crée une personne à ajouter au budget avec ses valeurs par défaut
+ * @param {object} person - Données de la personne (id facultatif)
+ * @returns {object} Personne complète
+ */
+const createPerson = (person) => ({
+  ...person,
+  id: person.id || `person-${Date.now()}`, // ID unique basé sur timestamp
+  salary: person.salary || 0
+})
+
+/**
+ * Crée une dépense à ajouter au budget avec ses valeurs par défaut
+ * @param {object} state - État actuel
+ * @param {object} expense - Données de la dépense (sans id et createdAt)
+ * @returns {object} Dépense complète
+ */
+const createExpense = (state, expense) => ({
+  ...expense,
+  assignedTo: expense.assignedTo || state.people[0]?.id, // Défaut à première personne si non spécifié
+  months: expense.months || MONTH_NUMBERS, // Défaut à tous les mois si non spécifié
+  id: generateUniqueId(), // ID unique garanti sans collision
+  createdAt: new Date()
+})
+
 /**
  * Reducer pour gérer les actions sur l'état du budget
  * @param {object} state - État actuel
@@ -86,11 +206,7 @@ function budgetReducer(state, action) {
     case BUDGET_ACTIONS.ADD_PERSON:
       return {
         ...state,
-        people: [...state.people, {
-          ...action.payload,
-          id: action.payload.id || `person-${Date.now()}`, // ID unique basé sur timestamp
-          salary: action.payload.salary || 0
-        }]
+        people: [...state.people, createPerson(action.payload)]
       }
 
     case BUDGET_ACTIONS.UPDATE_PERSON:
@@ -104,9 +220,10 @@ function budgetReducer(state, action) {
       }
 
     case BUDGET_ACTIONS.DELETE_PERSON:
+      // Les dépenses de la personne sont réassignées ou supprimées, jamais laissées orphelines
       return {
         ...state,
-        people: state.people.filter(person => person.id !== action.payload)
+        ...removePerson(state, action.payload)
       }
 
     case BUDGET_ACTIONS.SET_PERSON_SALARY:
@@ -122,14 +239,24 @@ function budgetReducer(state, action) {
     case BUDGET_ACTIONS.ADD_EXPENSE:
       return {
         ...state,
-        expenses: [...state.expenses, {
-          ...action.payload,
-          assignedTo: action.payload.assignedTo || state.people[0]?.id, // Défaut à première personne si non spécifié
-          months: action.payload.months || ALL_MONTHS, // Défaut à tous les mois si non spécifié
-          id: generateUniqueId(), // ID unique garanti sans collision
-          createdAt: new Date()
-        }]
+        expenses: [...state.expenses, createExpense(state, action.payload)]
+      }
+
+    case BUDGET_ACTIONS.ADD_EXPENSES:
+      return {
+        ...state,
+        expenses: [...state.expenses, ...action.payload.map(expense => createExpense(state, expense))]
+      }
+
+    case BUDGET_ACTIONS.ADD_FAKE_DATA: {
+      // Personnes ajoutées d'abord : les dépenses sans assignation reviennent à la première personne
+      const people = [...state.people, ...action.payload.people.map(createPerson)]
+      return {
+        ...state,
+        people,
+        expenses: [...state.expenses, ...action.payload.expenses.map(expense => createExpense({ ...state, people }, expense))]
       }
+    }
 
     case BUDGET_ACTIONS.UPDATE_EXPENSE:
       return {
@@ -141,10 +268,141 @@ function budgetReducer(state, action) {
         )
       }
 
-    case BUDGET_ACTIONS.DELETE_EXPENSE:
+    case BUDGET_ACTIONS.DELETE_EXPENSE: {
+      // Les dépenses réelles associées restent dans le journal, détachées de la dépense prévue
+      const expenses = state.expenses.filter(expense => expense.id !== action.payload)
+      return {
+        ...state,
+        expenses,
+        transactions: detachTransactions(state.transactions, expenses)
+      }
+    }
+
+    case BUDGET_ACTIONS.REASSIGN_EXPENSES:
+      return {
+        ...state,
+        expenses: state.expenses.map(expense =>
+          action.payload.expenseIds.includes(expense.id)
+            ? { ...expense, assignedTo: action.payload.assignedTo }
+            : expense
+        )
+      }
+
+    case BUDGET_ACTIONS.DELETE_EXPENSES: {
+      const expenses = state.expenses.filter(expense => !action.payload.expenseIds.includes(expense.id))
       return {
         ...state,
-        expenses: state.expenses.filter(expense => expense.id !== action.payload)
+        expenses,
+        transactions: detachTransactions(state.transactions, expenses)
+      }
+    }
+
+    case BUDGET_ACTIONS.UPDATE_SETTINGS:
+      return {
+        ...state,
+        settings: { ...state.settings, ...action.payload }
+      }
+
+    case BUDGET_ACTIONS.IMPORT_BUDGET:
+      return {
+        ...state,
+        ...applyBudgetImport(state, action.payload.budget, action.payload.mode)
+      }
+
+    case BUDGET_ACTIONS.ADD_SETTLEMENT:
+      return {
+        ...state,
+        settlements: [...state.settlements, {
+          ...action.payload,
+          id: generateUniqueId(),
+          paidAt: new Date().toISOString()
+        }]
+      }
+
+    case BUDGET_ACTIONS.DELETE_SETTLEMENT:
+      return {
+        ...state,
+        settlements: state.settlements.filter(settlement => settlement.id !== action.payload)
+      }
+
+    case BUDGET_ACTIONS.ADD_SAVINGS_GOAL:
+      return {
+        ...state,
+        savingsGoals: [...state.savingsGoals, {
+          ...action.payload,
+          id: generateUniqueId(),
+          createdAt: new Date().toISOString()
+        }]
+      }
+
+    case BUDGET_ACTIONS.UPDATE_SAVINGS_GOAL:
+      return {
+        ...state,
+        savingsGoals: state.savingsGoals.map(goal =>
+          goal.id === action.payload.id
+            ? { ...goal, ...action.payload }
+            : goal
+        )
+      }
+
+    case BUDGET_ACTIONS.DELETE_SAVINGS_GOAL:
+      return {
+        ...state,
+        savingsGoals: state.savingsGoals.filter(goal => goal.id !== action.payload)
+      }
+
+    case BUDGET_ACTIONS.ADD_TRANSACTION:
+      return {
+        ...state,
+        transactions: [...state.transactions, {
+          ...action.payload,
+          id: generateUniqueId(),
+          createdAt: new Date().toISOString()
+        }]
+      }
+
+    case BUDGET_ACTIONS.UPDATE_TRANSACTION:
+      return {
+        ...state,
+        transactions: state.transactions.map(transaction =>
+          transaction.id === action.payload.id
+            ? { ...transaction, ...action.payload }
+            : transaction
+        )
+      }
+
+    case BUDGET_ACTIONS.DELETE_TRANSACTION:
+      return {
+        ...state,
+        transactions: state.transactions.filter(transaction => transaction.id !== action.payload)
+      }
+
+    case BUDGET_ACTIONS.ADD_SCENARIO:
+      // Le scénario part d'une copie du budget actuel
+      return {
+        ...state,
+        scenarios: [...state.scenarios, {
+          ...copyBudgetForScenario(state.people, state.expenses),
+          name: action.payload.name,
+          id: generateUniqueId(),
+          createdAt: new Date().toISOString()
+        }]
+      }
+
+    case BUDGET_ACTIONS.UPDATE_SCENARIO:
+      return {
+        ...state,
+        scenarios: state.scenarios.map(scenario =>
+          scenario.id === action.payload.id
+            ? { ...scenario, ...action.payload }
+            : scenario
+        )
+      }
+
+    case BUDGET_ACTIONS.DELETE_SCENARIO:
+      return {
+        ...state,
+        scenarios: state.scenarios.filter(scenario => scenario.id !== action.payload)
       }
 
     case BUDGET_ACTIONS.SET_LOADING:
@@ -159,6 +417,11 @@ function budgetReducer(state, action) {
       return {
         people: [],
         expenses: [],
+        settings: {},
+        settlements: [],
+        savingsGoals: [],
+        transactions: [],
+        scenarios: [],
         isLoading: false
       }
 
@@ -167,6 +430,36 @@ function budgetReducer(state, action) {
   }
 }
 
+/**
+ * Reducer aiguillant les modifications de personnes et de dépenses vers le scénario ouvert
+ * Le scénario est modifié par les mêmes actions que le budget actuel, sans toucher
+ * au journal des dépenses réelles, aux règlements ni aux objectifs d'épargne
+ * @param {object} state - État actuel
+ * @param {object} action - Action à effectuer (scenarioId renseigné pour un scénario)
+ * @returns {object} Nouvel état
+ */
+function scenarioAwareReducer(state, action) {
+  const scenario = getRoutedScenario(action, state)
+  if (!scenario) return budgetReducer(state, action)
+
+  const { people, expenses } = budgetReducer({
+    ...state,
+    people: scenario.people,
+    expenses: scenario.expenses,
+    transactions: []
+  }, action)
+
+  return {
+    ...state,
+    scenarios: state.scenarios.map(item =>
+      item.id === scenario.id ? { ...item, people, expenses } : item
+    )
+  }
+}
+
+// Reducer du budget avec historique d'annulation
+const budgetHistoryReducer = createHistoryReducer(scenarioAwareReducer, { describeAction: describeBudgetAction })
+
 // Création du contexte
 const BudgetContext = createContext()
 
@@ -175,28 +468,83 @@ const BudgetContext = createContext()
  * Fournit l'état et les actions aux composants enfants
  */
 export function BudgetProvider({ children }) {
-  const [rawState, dispatch] = useReducer(budgetReducer, initialState)
-  const state = useMemo(() => {
-    const migratedState = migrateState(rawState)
-    console.log('BudgetContext: state migration - rawState:', rawState, 'migratedState:', migratedState)
-    return migratedState
-  }, [rawState])
+  // Lecture unique du budget sauvegardé au montage
+  const [storageLoad] = useState(loadBudgetState)
+  const [history, dispatch] = useReducer(budgetHistoryReducer, storageLoad.state, initializeState)
+  const state = history.present
+
+  // Une sauvegarde illisible n'est pas écrasée tant que l'utilisateur n'a pas repris la sauvegarde automatique
+  const [isAutoSaveSuspended, setIsAutoSaveSuspended] = useState(() => Boolean(storageLoad.error))
+  const [hasSaveFailed, setHasSaveFailed] = useState(false)
+
+  // Année budgétaire affichée (préférence d'affichage, non sauvegardée)
+  const [selectedYear, setSelectedYear] = useState(getCurrentYear)
+
+  // Scénario ouvert dans les formulaires et les résumés (null : budget actuel, non sauvegardé)
+  const [activeScenarioId, setActiveScenarioId] = useState(null)
+  const activeScenario = state.scenarios.find(scenario => scenario.id === activeScenarioId) || null
+
+  // Un scénario supprimé (ou retiré par une annulation) referme la vue sur le budget actuel
+  useEffect(() => {
+    if (activeScenarioId && !activeScenario) setActiveScenarioId(null)
+  }, [activeScenarioId, activeScenario])
+
+  // Personnes et dépenses affichées : celles du scénario ouvert, sinon celles du budget actuel
+  const people = activeScenario ? activeScenario.people : state.people
+  const expenses = activeScenario ? activeScenario.expenses : state.expenses
+
+  // Sauvegarde automatique à chaque modification des données persistantes
+  const { settlements, savingsGoals, transactions, scenarios } = state
+  const basePeople = state.people
+  const baseExpenses = state.expenses
+  const baseSettings = state.settings
+  useEffect(() => {
+    if (isAutoSaveSuspended) return
+    const isSaved = saveBudgetState({
+      people: basePeople,
+      expenses: baseExpenses,
+      settings: baseSettings,
+      settlements,
+      savingsGoals,
+      transactions,
+      scenarios
+    })
+    setHasSaveFailed(!isSaved)
+  }, [isAutoSaveSuspended, basePeople, baseExpenses, baseSettings, settlements, savingsGoals, transactions, scenarios])
 
   // Calculs budgétaires automatiques avec mémorisation
   const annualBudgetSummary = useMemo(() => {
-    return calculateAnnualBudget(state.people, state.expenses)
-  }, [state.people, state.expenses])
+    return calculateAnnualBudget(people, expenses, {
+      year: selectedYear,
+      settings: state.settings,
+      savingsGoals: state.savingsGoals
+    })
+  }, [people, expenses, state.settings, state.savingsGoals, selectedYear])
 
   const monthlyBudgetSummary = useMemo(() => {
-    return calculateMonthlyBudget(state.people, state.expenses)
-  }, [state.people, state.expenses])
+    return calculateMonthlyBudget(people, expenses, {
+      year: selectedYear,
+      settings: state.settings,
+      savingsGoals: state.savingsGoals
+    })
+  }, [people, expenses, state.settings, state.savingsGoals, selectedYear])
+
+  // Dépenses assignées à une personne qui n'existe plus (anciennes données)
+  const orphanExpenses = useMemo(() => {
+    return findOrphanExpenses(people, expenses)
+  }, [people, expenses])
+
+  // Années proposées dans le sélecteur, étendues aux périodes des dépenses
+  const availableYears = useMemo(() => {
+    return getAvailableYears(expenses)
+  }, [expenses])
 
   /**
    * Définit la liste complète des personnes
    * @param {Array} people - Liste des personnes
    */
   const setPeople = (people) => {
-    dispatch({ type: BUDGET_ACTIONS.SET_PEOPLE, payload: people })
+    dispatch({ type: BUDGET_ACTIONS.SET_PEOPLE, scenarioId: activeScenarioId, payload: people })
   }
 
   /**
@@ -204,7 +552,7 @@ export function BudgetProvider({ children }) {
    * @param {object} person - Données de la personne (sans id)
    */
   const addPerson = (person) => {
-    dispatch({ type: BUDGET_ACTIONS.ADD_PERSON, payload: person })
+    dispatch({ type: BUDGET_ACTIONS.ADD_PERSON, scenarioId: activeScenarioId, payload: person })
   }
 
   /**
@@ -214,17 +562,20 @@ export function BudgetProvider({ children }) {
    */
   const updatePerson = (id, updates) => {
     dispatch({
-      type: BUDGET_ACTIONS.UPDATE_PERSON,
+      type: BUDGET_ACTIONS.UPDATE_PERSON, scenarioId: activeScenarioId,
       payload: { id, ...updates }
     })
   }
 
   /**
-   * Supprime une personne
+   * Supprime une personne et traite ses dépenses
    * @param {string} id - ID de la personne à supprimer
+   * @param {object} [options] - Traitement des dépenses de la personne
+   * @param {string} [options.strategy] - Réassigner ou supprimer les dépenses (défaut: réassigner)
+   * @param {string} [options.targetId] - Nouvelle assignation des dépenses (défaut: commun)
    */
-  const deletePerson = (id) => {
-    dispatch({ type: BUDGET_ACTIONS.DELETE_PERSON, payload: id })
+  const deletePerson = (id, { strategy, targetId } = {}) => {
+    dispatch({ type: BUDGET_ACTIONS.DELETE_PERSON, scenarioId: activeScenarioId, payload: { id, strategy, targetId } })
   }
 
   /**
@@ -234,7 +585,7 @@ export function BudgetProvider({ children }) {
    */
   const setPersonSalary = (personId, salary) => {
     dispatch({
-      type: BUDGET_ACTIONS.SET_PERSON_SALARY,
+      type: BUDGET_ACTIONS.SET_PERSON_SALARY, scenarioId: activeScenarioId,
       payload: { personId, salary }
     })
   }
@@ -244,7 +595,24 @@ export function BudgetProvider({ children }) {
    * @param {object} expense - Données de la dépense (sans id et createdAt)
    */
   const addExpense = (expense) => {
-    dispatch({ type: BUDGET_ACTIONS.ADD_EXPENSE, payload: expense })
+    dispatch({ type: BUDGET_ACTIONS.ADD_EXPENSE, scenarioId: activeScenarioId, payload: expense })
+  }
+
+  /**
+   * Ajoute plusieurs dépenses en une seule modification (une seule entrée d'historique)
+   * @param {Array} expenses - Données des dépenses (sans id et createdAt)
+   */
+  const addExpenses = (expenses) => {
+    dispatch({ type: BUDGET_ACTIONS.ADD_EXPENSES, scenarioId: activeScenarioId, payload: expenses })
+  }
+
+  /**
+   * Ajoute des personnes et des dépenses fictives en une seule modification (une seule entrée d'historique)
+   * @param {Array} people - Personnes fictives
+   * @param {Array} expenses - Dépenses fictives (sans id et createdAt)
+   */
+  const addFakeData = (people, expenses) => {
+    dispatch({ type: BUDGET_ACTIONS.ADD_FAKE_DATA, scenarioId: activeScenarioId, payload: { people, expenses } })
   }
 
   /**
@@ -254,7 +622,7 @@ export function BudgetProvider({ children }) {
    */
   const updateExpense = (id, updates) => {
     dispatch({
-      type: BUDGET_ACTIONS.UPDATE_EXPENSE,
+      type: BUDGET_ACTIONS.UPDATE_EXPENSE, scenarioId: activeScenarioId,
       payload: { id, ...updates }
     })
   }
@@ -264,7 +632,164 @@ export function BudgetProvider({ children }) {
    * @param {string} id - ID de la dépense à supprimer
    */
   const deleteExpense = (id) => {
-    dispatch({ type: BUDGET_ACTIONS.DELETE_EXPENSE, payload: id })
+    dispatch({ type: BUDGET_ACTIONS.DELETE_EXPENSE, scenarioId: activeScenarioId, payload: id })
+  }
+
+  /**
+   * Réassigne plusieurs dépenses à une personne ou au commun
+   * @param {Array<string>} expenseIds - IDs des dépenses
+   * @param {string} assignedTo - Nouvelle assignation
+   */
+  const reassignExpenses = (expenseIds, assignedTo) => {
+    dispatch({ type: BUDGET_ACTIONS.REASSIGN_EXPENSES, scenarioId: activeScenarioId, payload: { expenseIds, assignedTo } })
+  }
+
+  /**
+   * Supprime plusieurs dépenses
+   * @param {Array<string>} expenseIds - IDs des dépenses à supprimer
+   */
+  const deleteExpenses = (expenseIds) => {
+    dispatch({ type: BUDGET_ACTIONS.DELETE_EXPENSES, scenarioId: activeScenarioId, payload: { expenseIds } })
+  }
+
+  /**
+   * Met à jour les paramètres du ménage
+   * @param {object} updates - Paramètres à modifier
+   */
+  const updateSettings = (updates) => {
+    dispatch({ type: BUDGET_ACTIONS.UPDATE_SETTINGS, payload: updates })
+  }
+
+  /**
+   * Enregistre un remboursement entre deux personnes
+   * @param {object} settlement - Règlement { period, from, to, amount }
+   */
+  const addSettlement = (settlement) => {
+    dispatch({ type: BUDGET_ACTIONS.ADD_SETTLEMENT, payload: settlement })
+  }
+
+  /**
+   * Annule un règlement enregistré
+   * @param {string} id - ID du règlement
+   */
+  const deleteSettlement = (id) => {
+    dispatch({ type: BUDGET_ACTIONS.DELETE_SETTLEMENT, payload: id })
+  }
+
+  /**
+   * Ajoute un objectif d'épargne
+   * @param {object} goal - Objectif { name, targetAmount, targetMonth, savedAmount, monthlyContribution, startMonth, assignedTo, shares }
+   */
+  const addSavingsGoal = (goal) => {
+    dispatch({ type: BUDGET_ACTIONS.ADD_SAVINGS_GOAL, payload: goal })
+  }
+
+  /**
+   * Met à jour un objectif d'épargne (montant épargné, versement prévu...)
+   * @param {string} id - ID de l'objectif
+   * @param {object} updates - Champs modifiés
+   */
+  const updateSavingsGoal = (id, updates) => {
+    dispatch({ type: BUDGET_ACTIONS.UPDATE_SAVINGS_GOAL, payload: { id, ...updates } })
+  }
+
+  /**
+   * Supprime un objectif d'épargne
+   * @param {string} id - ID de l'objectif
+   */
+  const deleteSavingsGoal = (id) => {
+    dispatch({ type: BUDGET_ACTIONS.DELETE_SAVINGS_GOAL, payload: id })
+  }
+
+  /**
+   * Enregistre une dépense réelle dans le journal
+   * @param {object} transaction - Dépense réelle { date, label, amount, paidBy, expenseId, category, assignedTo }
+   */
+  const addTransaction = (transaction) => {
+    dispatch({ type: BUDGET_ACTIONS.ADD_TRANSACTION, payload: transaction })
+  }
+
+  /**
+   * Met à jour une dépense réelle (rattachement à une dépense prévue, montant...)
+   * @param {string} id - ID de la dépense réelle
+   * @param {object} updates - Champs modifiés
+   */
+  const updateTransaction = (id, updates) => {
+    dispatch({ type: BUDGET_ACTIONS.UPDATE_TRANSACTION, payload: { id, ...updates } })
+  }
+
+  /**
+   * Supprime une dépense réelle du journal
+   * @param {string} id - ID de la dépense réelle
+   */
+  const deleteTransaction = (id) => {
+    dispatch({ type: BUDGET_ACTIONS.DELETE_TRANSACTION, payload: id })
+  }
+
+  /**
+   * Reprend la sauvegarde automatique après un échec de restauration
+   * Le budget affiché remplace alors la sauvegarde illisible (conservée sous la clé de secours si possible)
+   */
+  const resumeAutoSave = () => {
+    setIsAutoSaveSuspended(false)
+  }
+
+  /**
+   * Ouvre un scénario à la place du budget actuel, ou revient au budget actuel
+   * @param {string|null} id - ID du scénario, null pour le budget actuel
+   */
+  const selectScenario = (id) => {
+    setActiveScenarioId(id)
+  }
+
+  /**
+   * Crée un scénario à partir d'une copie du budget actuel
+   * @param {string} name - Nom du scénario
+   */
+  const addScenario = (name) => {
+    dispatch({ type: BUDGET_ACTIONS.ADD_SCENARIO, payload: { name } })
+  }
+
+  /**
+   * Renomme un scénario
+   * @param {string} id - ID du scénario
+   * @param {string} name - Nouveau nom
+   */
+  const renameScenario = (id, name) => {
+    dispatch({ type: BUDGET_ACTIONS.UPDATE_SCENARIO, payload: { id, name } })
+  }
+
+  /**
+   * Supprime un scénario
+   * @param {string} id - ID du scénario
+   */
+  const deleteScenario = (id) => {
+    dispatch({ type: BUDGET_ACTIONS.DELETE_SCENARIO, payload: id })
+  }
+
+  /**
+   * Importe un budget validé depuis un fichier
+   * @param {object} budget - Budget importé { people, expenses, settings, settlements, savingsGoals, transactions, scenarios }
+   * @param {string} mode - Mode d'import (replace ou merge)
+   */
+  const importBudget = (budget, mode) => {
+    dispatch({ type: BUDGET_ACTIONS.IMPORT_BUDGET, payload: { budget, mode } })
+  }
+
+  /**
+   * Annule une ou plusieurs modifications
+   * @param {number} steps - Nombre de modifications à annuler (défaut: 1)
+   */
+  const undo = (steps = 1) => {
+    dispatch({ type: HISTORY_ACTIONS.UNDO, payload: { steps } })
+  }
+
+  /**
+   * Rétablit une ou plusieurs modifications annulées
+   * @param {number} steps - Nombre de modifications à rétablir (défaut: 1)
+   */
+  const redo = (steps = 1) => {
+    dispatch({ type: HISTORY_ACTIONS.REDO, payload: { steps } })
   }
 
   /**
@@ -287,9 +812,35 @@ export function BudgetProvider({ children }) {
   // Valeur fournie par le contexte
   const value = {
     // État
-    people: state.people,
-    expenses: state.expenses,
+    people,
+    expenses,
+    settings: state.settings,
+    settlements: state.settlements,
+    savingsGoals: state.savingsGoals,
+    transactions: state.transactions,
+    scenarios: state.scenarios,
+    activeScenario,
+    // Budget actuel, même lorsqu'un scénario est ouvert (export, comparaison)
+    baseBudget: { people: state.people, expenses: state.expenses },
     isLoading: state.isLoading,
+    selectedYear,
+    availableYears,
+
+    orphanExpenses,
+
+    // Sauvegarde locale (restauration impossible, sauvegarde suspendue ou en échec)
+    storageStatus: {
+      loadError: storageLoad.error,
+      isBackedUp: storageLoad.isBackedUp,
+      isAutoSaveSuspended,
+      hasSaveFailed
+    },
+
+    // Historique des modifications (libellés, du plus ancien au plus récent)
+    undoHistory: history.past.map(entry => entry.label),
+    redoHistory: history.future.map(entry => entry.label),
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
 
     // Calculs budgétaires
     annualBudgetSummary,
@@ -302,10 +853,32 @@ export function BudgetProvider({ children }) {
     deletePerson,
     setPersonSalary,
     addExpense,
+    addExpenses,
+    addFakeData,
     updateExpense,
     deleteExpense,
+    reassignExpenses,
+    deleteExpenses,
+    updateSettings,
+    addSettlement,
+    deleteSettlement,
+    addSavingsGoal,
+    updateSavingsGoal,
+    deleteSavingsGoal,
+    addTransaction,
+    updateTransaction,
+    deleteTransaction,
+    selectScenario,
+    addScenario,
+    renameScenario,
+    deleteScenario,
+    importBudget,
+    resumeAutoSave,
+    setSelectedYear,
     setLoading,
-    resetBudget
+    resetBudget,
+    undo,
+    redo
   }
 
   return (
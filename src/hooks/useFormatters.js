@@ -0,0 +1,59 @@
+/**
+ * Hook personnalisé de formatage - Formatage selon les paramètres du ménage
+ *
+ * Fonctionnalités métier :
+ * - Formatage des montants dans la devise choisie par le ménage
+ * - Formatage des montants saisis dans une autre devise
+ * - Formatage des nombres et des dates dans le format régional choisi
+ * - Symbole de la devise pour les libellés des champs de saisie
+ *
+ * Objectif : Éviter à chaque composant de transmettre les paramètres
+ * de devise et de format régional aux fonctions de formatage.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+
+import { useMemo } from 'react'
+import { useBudget } from '../contexts/BudgetContext.jsx'
+import {
+  getFormatSettings,
+  getCurrencySymbol,
+  formatCurrency,
+  formatCurrencyRange,
+  formatExpenseAmount,
+  formatExpenseAmountRange,
+  formatNumber,
+  formatDate
+} from '../utils/formatters.js'
+
+/**
+ * Hook personnalisé pour obtenir les fonctions de formatage du ménage
+ * Les fonctions retournées ont la même signature que celles de formatters.js, sans le paramètre settings ;
+ * les fonctions de montant acceptent ensuite une devise (défaut: devise du ménage) et, pour les montants
+ * avec fréquence, l'intervalle de la fréquence « tous les N mois »
+ * @returns {object} Fonctions de formatage, symbole de la devise et paramètres { currency, locale }
+ */
+export function useFormatters() {
+  const { settings } = useBudget()
+  const { currency, locale } = getFormatSettings(settings)
+
+  return useMemo(() => {
+    const formatSettings = { currency, locale }
+
+    return {
+      ...formatSettings,
+      currencySymbol: getCurrencySymbol(formatSettings),
+      formatCurrency: (amount, amountCurrency = currency) =>
+        formatCurrency(amount, { locale, currency: amountCurrency }),
+      formatCurrencyRange: (low, high, amountCurrency = currency) =>
+        formatCurrencyRange(low, high, { locale, currency: amountCurrency }),
+      formatExpenseAmount: (amount, frequency, amountCurrency = currency, intervalMonths) =>
+        formatExpenseAmount(amount, frequency, { locale, currency: amountCurrency }, intervalMonths),
+      formatExpenseAmountRange: (minAmount, maxAmount, frequency, amountCurrency = currency, intervalMonths) =>
+        formatExpenseAmountRange(minAmount, maxAmount, frequency, { locale, currency: amountCurrency }, intervalMonths),
+      formatNumber: (number, decimals) => formatNumber(number, decimals, formatSettings),
+      formatDate: (date) => formatDate(date, formatSettings)
+    }
+  }, [currency, locale])
+}
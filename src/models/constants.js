@@ -2,10 +2,16 @@
  * Constantes de l'application de budget
  *
  * Fonctionnalités métier :
- * - Définition des fréquences de dépenses
+ * - Registre des fréquences de dépenses et de revenus (libellés, suffixes, échéances par an)
  * - Définition des catégories de dépenses
  * - Constantes pour les actions du reducer
+ * - Clés de persistance du budget dans le navigateur
  * - Messages d'erreur et de validation
+ * - Modes d'import et colonnes / mots-clés de l'import CSV bancaire
+ * - Profils de cotisations sociales pour la conversion du salaire brut en net
+ * - Types de sources de revenus complémentaires
+ * - Échéanciers de versement du salaire (12, 13, 14 mois ou personnalisé)
+ * - Actions et libellés des scénarios « et si »
  *
  * Objectif : Centraliser toutes les constantes utilisées
  * dans l'application pour faciliter la maintenance
@@ -15,20 +21,43 @@
  * @author Équipe Développement
  */
 
-// Fréquences de dépenses
+// Fréquences de dépenses et de revenus
 export const EXPENSE_FREQUENCIES = {
+  DAILY: 'daily',
   WEEKLY: 'weekly',
+  BIWEEKLY: 'biweekly',
   MONTHLY: 'monthly',
-  ANNUAL: 'annual'
+  QUARTERLY: 'quarterly',
+  SEMIANNUAL: 'semiannual',
+  ANNUAL: 'annual',
+  EVERY_N_MONTHS: 'every_n_months'
 }
 
-// Labels français pour les fréquences
-export const EXPENSE_FREQUENCY_LABELS = {
-  [EXPENSE_FREQUENCIES.WEEKLY]: 'Hebdomadaire',
-  [EXPENSE_FREQUENCIES.MONTHLY]: 'Mensuel',
-  [EXPENSE_FREQUENCIES.ANNUAL]: 'Annuel'
+// Registre des fréquences : seule définition des libellés, suffixes et conversions
+// - occurrencesPerYear : nombre d'échéances par an (null si l'intervalle est saisi par l'utilisateur)
+// - dayInterval : nombre de jours entre deux échéances d'une fréquence infra-mensuelle
+// - monthInterval : nombre de mois entre deux échéances (null si saisi par l'utilisateur)
+export const FREQUENCY_REGISTRY = {
+  [EXPENSE_FREQUENCIES.DAILY]: { label: 'Quotidien', suffix: 'jour', occurrencesPerYear: 365, dayInterval: 1 },
+  [EXPENSE_FREQUENCIES.WEEKLY]: { label: 'Hebdomadaire', suffix: 'semaine', occurrencesPerYear: 52, dayInterval: 7 },
+  [EXPENSE_FREQUENCIES.BIWEEKLY]: { label: 'Toutes les deux semaines', suffix: '2 semaines', occurrencesPerYear: 26, dayInterval: 14 },
+  [EXPENSE_FREQUENCIES.MONTHLY]: { label: 'Mensuel', suffix: 'mois', occurrencesPerYear: 12, monthInterval: 1 },
+  [EXPENSE_FREQUENCIES.QUARTERLY]: { label: 'Trimestriel', suffix: 'trimestre', occurrencesPerYear: 4, monthInterval: 3 },
+  [EXPENSE_FREQUENCIES.SEMIANNUAL]: { label: 'Semestriel', suffix: 'semestre', occurrencesPerYear: 2, monthInterval: 6 },
+  [EXPENSE_FREQUENCIES.ANNUAL]: { label: 'Annuel', suffix: 'an', occurrencesPerYear: 1, monthInterval: 12 },
+  [EXPENSE_FREQUENCIES.EVERY_N_MONTHS]: { label: 'Tous les N mois', suffix: null, occurrencesPerYear: null, monthInterval: null }
 }
 
+// Labels français pour les fréquences
+export const EXPENSE_FREQUENCY_LABELS = Object.fromEntries(
+  Object.entries(FREQUENCY_REGISTRY).map(([frequency, definition]) => [frequency, definition.label])
+)
+
+// Intervalle « tous les N mois » : bornes acceptées et valeur proposée par défaut
+export const MIN_INTERVAL_MONTHS = 2
+export const MAX_INTERVAL_MONTHS = 24
+export const DEFAULT_INTERVAL_MONTHS = 2
+
 // Catégories de dépenses
 export const EXPENSE_CATEGORIES = {
   FIXED: 'fixed',
@@ -173,18 +202,71 @@ export const BUDGET_ACTIONS = {
   DELETE_PERSON: 'DELETE_PERSON',
   SET_PERSON_SALARY: 'SET_PERSON_SALARY',
   ADD_EXPENSE: 'ADD_EXPENSE',
+  ADD_EXPENSES: 'ADD_EXPENSES', // Ajout groupé (import d'un relevé CSV), annulable en une fois
   UPDATE_EXPENSE: 'UPDATE_EXPENSE',
   DELETE_EXPENSE: 'DELETE_EXPENSE',
+  REASSIGN_EXPENSES: 'REASSIGN_EXPENSES',
+  DELETE_EXPENSES: 'DELETE_EXPENSES',
+  ADD_FAKE_DATA: 'ADD_FAKE_DATA', // Personnes et dépenses fictives ajoutées en une fois, annulables en une fois
+  UPDATE_SETTINGS: 'UPDATE_SETTINGS',
+  IMPORT_BUDGET: 'IMPORT_BUDGET',
+  ADD_SETTLEMENT: 'ADD_SETTLEMENT',
+  DELETE_SETTLEMENT: 'DELETE_SETTLEMENT',
+  ADD_SAVINGS_GOAL: 'ADD_SAVINGS_GOAL',
+  UPDATE_SAVINGS_GOAL: 'UPDATE_SAVINGS_GOAL',
+  DELETE_SAVINGS_GOAL: 'DELETE_SAVINGS_GOAL',
+  ADD_TRANSACTION: 'ADD_TRANSACTION',
+  UPDATE_TRANSACTION: 'UPDATE_TRANSACTION',
+  DELETE_TRANSACTION: 'DELETE_TRANSACTION',
+  ADD_SCENARIO: 'ADD_SCENARIO',
+  UPDATE_SCENARIO: 'UPDATE_SCENARIO',
+  DELETE_SCENARIO: 'DELETE_SCENARIO',
   SET_LOADING: 'SET_LOADING',
   RESET_BUDGET: 'RESET_BUDGET'
 }
 
+// Actions de l'historique d'annulation (traitées avant le reducer du budget)
+export const HISTORY_ACTIONS = {
+  UNDO: 'UNDO',
+  REDO: 'REDO'
+}
+
+// Clés utilisées pour la persistance dans le stockage local du navigateur
+export const STORAGE_KEYS = {
+  BUDGET_STATE: 'projet-fawzi-budget:state',
+  BUDGET_BACKUP: 'projet-fawzi-budget:backup' // Copie d'une sauvegarde qui n'a pas pu être restaurée
+}
+
 // Messages d'erreur de validation
 export const VALIDATION_MESSAGES = {
   REQUIRED_FIELD: 'Ce champ est obligatoire',
   INVALID_NUMBER: 'Veuillez entrer un nombre valide',
   POSITIVE_NUMBER: 'Le montant doit être positif',
-  INVALID_NAME: 'Le nom doit contenir au moins 2 caractères'
+  INVALID_NAME: 'Le nom doit contenir au moins 2 caractères',
+  INVALID_PERIOD: 'Le mois de fin doit être postérieur au mois de début',
+  INVALID_VALUE: 'Valeur non reconnue',
+  INVALID_MONTHS: 'Les mois doivent être compris entre 1 et 12',
+  INVALID_DUE_DAY: 'Le jour doit être un nombre entier compris entre 1 et 31',
+  DUPLICATE_SCENARIO_NAME: 'Un scénario porte déjà ce nom',
+  INVALID_SCENARIO_RECORDS: 'Le scénario contient des personnes ou des dépenses invalides',
+  INVALID_INTERVAL_MONTHS: 'L\'intervalle doit être un nombre entier de mois compris entre 2 et 24',
+  INVALID_JSON_FILE: 'Le fichier n\'est pas un fichier JSON valide',
+  UNREADABLE_SAVED_BUDGET: 'Le budget enregistré dans le navigateur est illisible',
+  STORAGE_UNAVAILABLE: 'Le stockage du navigateur est inaccessible',
+  SAVE_FAILED: 'La sauvegarde automatique a échoué (stockage plein ou inaccessible)',
+  FILE_READ_FAILED: 'Le fichier n\'a pas pu être lu',
+  EXPORT_FAILED: 'Le fichier de budget n\'a pas pu être créé',
+  INVALID_BUDGET_FILE: 'Le fichier ne contient pas de budget (listes de personnes et de dépenses attendues)',
+  DUPLICATE_ID: 'Identifiant déjà présent dans le fichier',
+  INVALID_SHARES: 'Sélectionnez au moins une personne avec une part positive',
+  SAME_PERSON_SETTLEMENT: 'Le débiteur et le créancier doivent être différents',
+  INVALID_DATE: 'Veuillez entrer une date valide',
+  BASE_CURRENCY_RATE: 'La devise du ménage n\'a pas besoin de taux de change',
+  INVALID_CONTRIBUTION_RATE: 'Le taux de cotisations doit être compris entre 0 et 100 %',
+  INVALID_PAYMENT_SCHEDULE: 'Indiquez au moins un mois de versement avec un nombre de mensualités positif',
+  INVALID_TARGET_MONTH: 'La date cible doit être postérieure au mois de début',
+  DUPLICATE_ENVELOPE: 'Une enveloppe existe déjà pour cette catégorie, cette période et cette personne',
+  NEGATIVE_AMOUNT: 'Le montant ne peut pas être négatif'
 }
 
 // Labels d'interface utilisateur
@@ -200,33 +282,99 @@ export const UI_LABELS = {
   DELETE: 'Supprimer',
   CANCEL: 'Annuler',
   LOADING: 'Chargement...',
-  NO_EXPENSES: 'Aucune dépense enregistrée'
+  NO_EXPENSES: 'Aucune dépense enregistrée',
+  YEAR: 'Année',
+  SETTINGS: 'Paramètres',
+  CURRENCY: 'Devise',
+  LOCALE: 'Format régional',
+  EXCHANGE_RATES: 'Taux de change',
+  PAID_BY: 'Payé par',
+  SALARY_TYPE: 'Salaire saisi en',
+  CONTRIBUTION_PROFILE: 'Statut (cotisations sociales)',
+  CONTRIBUTION_RATE: 'Taux de cotisations (%)',
+  GROSS_SALARY: 'Brut',
+  NET_SALARY: 'Net',
+  INCOME_TAX: 'Impôt sur le revenu',
+  WITHHOLDING_TAX: 'Prélèvement à la source',
+  PAYMENT_SCHEDULE: 'Versement du salaire',
+  INCOME_SOURCES: 'Autres revenus',
+  TAXABLE: 'Imposable',
+  SAVINGS_GOALS: 'Objectifs d\'épargne',
+  SAVINGS_CONTRIBUTIONS: 'Versements d\'épargne',
+  TARGET_AMOUNT: 'Montant cible',
+  TARGET_MONTH: 'Date cible',
+  SAVED_AMOUNT: 'Déjà épargné',
+  MONTHLY_CONTRIBUTION: 'Versement mensuel prévu',
+  REQUIRED_CONTRIBUTION: 'Versement mensuel nécessaire',
+  CATEGORY_ENVELOPES: 'Enveloppes par catégorie',
+  ENVELOPE_LIMIT: 'Plafond',
+  PLANNED: 'Prévu',
+  ACTUAL: 'Réel',
+  VARIANCE: 'Écart',
+  TRANSACTIONS: 'Dépenses réelles',
+  LINKED_EXPENSE: 'Dépense prévue associée',
+  RECONCILIATION: 'Rapprochement',
+  MISSING_PAYMENTS: 'Paiements attendus non constatés',
+  DUE_DAY: 'Jour d\'échéance',
+  INTERVAL_MONTHS: 'Intervalle (en mois)',
+  SALARY_DAY: 'Jour de versement du salaire',
+  CASH_FLOW: 'Trésorerie au jour le jour',
+  OPENING_BALANCE: 'Solde du compte au 1er janvier',
+  LOWEST_BALANCE: 'Point bas',
+  SCENARIOS: 'Scénarios « et si »',
+  SCENARIO_COMPARISON: 'Comparaison des scénarios',
+  CURRENT_BUDGET: 'Budget actuel'
 }
 
-// Multiplicateurs pour les conversions de fréquence budgétaire
-export const FREQUENCY_MULTIPLIERS = {
-  [EXPENSE_FREQUENCIES.WEEKLY]: 52, // 52 semaines par an
-  [EXPENSE_FREQUENCIES.MONTHLY]: 12, // 12 mois par an
-  [EXPENSE_FREQUENCIES.ANNUAL]: 1 // 1 an
+// Devises proposées pour le budget du ménage (codes ISO 4217)
+export const CURRENCIES = {
+  EUR: 'EUR',
+  USD: 'USD',
+  CAD: 'CAD',
+  CHF: 'CHF',
+  GBP: 'GBP'
 }
 
-// Mois de l'année (format YYYY-MM)
-export const ALL_MONTHS = Array.from({ length: 12 }, (_, i) => `2025-${String(i + 1).padStart(2, '0')}`)
+// Labels français pour les devises
+export const CURRENCY_LABELS = {
+  [CURRENCIES.EUR]: 'Euro (€)',
+  [CURRENCIES.USD]: 'Dollar américain ($)',
+  [CURRENCIES.CAD]: 'Dollar canadien ($ CA)',
+  [CURRENCIES.CHF]: 'Franc suisse (CHF)',
+  [CURRENCIES.GBP]: 'Livre sterling (£)'
+}
 
-// Labels français pour les mois
-export const MONTH_LABELS = {
-  '2025-01': 'Janvier',
-  '2025-02': 'Février',
-  '2025-03': 'Mars',
-  '2025-04': 'Avril',
-  '2025-05': 'Mai',
-  '2025-06': 'Juin',
-  '2025-07': 'Juillet',
-  '2025-08': 'Août',
-  '2025-09': 'Septembre',
-  '2025-10': 'Octobre',
-  '2025-11': 'Novembre',
-  '2025-12': 'Décembre'
+// Formats régionaux proposés pour l'affichage des nombres et des dates
+export const LOCALE_LABELS = {
+  'fr-FR': 'Français (France)',
+  'fr-BE': 'Français (Belgique)',
+  'fr-CA': 'Français (Canada)',
+  'fr-CH': 'Français (Suisse)',
+  'en-US': 'Anglais (États-Unis)',
+  'en-GB': 'Anglais (Royaume-Uni)'
+}
+
+// Devise et format régional par défaut du ménage
+export const DEFAULT_CURRENCY = CURRENCIES.EUR
+export const DEFAULT_LOCALE = 'fr-FR'
+
+// Numéros des mois de l'année (1 = janvier, 12 = décembre)
+export const MONTH_NUMBERS = Array.from({ length: 12 }, (_, i) => i + 1)
+
+// Labels français pour les mois, indexés par numéro de mois
+export const MONTH_NAMES = {
+  1: 'Janvier',
+  2: 'Février',
+  3: 'Mars',
+  4: 'Avril',
+  5: 'Mai',
+  6: 'Juin',
+  7: 'Juillet',
+  8: 'Août',
+  9: 'Septembre',
+  10: 'Octobre',
+  11: 'Novembre',
+  12: 'Décembre'
 }
 
 // Palette de couleurs disponibles pour les personnes
@@ -317,4 +465,221 @@ export const AMOUNT_MODES = {
 export const AMOUNT_MODE_LABELS = {
   [AMOUNT_MODES.FIXED]: 'Montant fixe',
   [AMOUNT_MODES.RANGE]: 'Fourchette de montant'
-}
\ No newline at end of file
+}
+
+// Modes d'import d'un fichier de budget
+export const IMPORT_MODES = {
+  REPLACE: 'replace', // Le fichier remplace entièrement le budget actuel
+  MERGE: 'merge' // Le fichier est fusionné avec le budget actuel
+}
+
+// Labels français pour les modes d'import
+export const IMPORT_MODE_LABELS = {
+  [IMPORT_MODES.REPLACE]: 'Remplacer le budget actuel',
+  [IMPORT_MODES.MERGE]: 'Fusionner avec le budget actuel'
+}
+
+// Colonnes attendues dans un relevé bancaire CSV
+export const CSV_COLUMNS = {
+  DATE: 'date',
+  LABEL: 'label',
+  AMOUNT: 'amount', // Montant signé (négatif = débit)
+  DEBIT: 'debit', // Colonne séparée des débits
+  CREDIT: 'credit' // Colonne séparée des crédits
+}
+
+// Labels français des colonnes CSV
+export const CSV_COLUMN_LABELS = {
+  [CSV_COLUMNS.DATE]: 'Date',
+  [CSV_COLUMNS.LABEL]: 'Libellé',
+  [CSV_COLUMNS.AMOUNT]: 'Montant',
+  [CSV_COLUMNS.DEBIT]: 'Débit',
+  [CSV_COLUMNS.CREDIT]: 'Crédit'
+}
+
+// Mots-clés des en-têtes CSV permettant de deviner chaque colonne (en minuscules, sans accents)
+export const CSV_COLUMN_KEYWORDS = {
+  [CSV_COLUMNS.DATE]: ['date'],
+  [CSV_COLUMNS.LABEL]: ['libelle', 'label', 'description', 'intitule', 'operation'],
+  [CSV_COLUMNS.AMOUNT]: ['montant', 'amount', 'somme', 'valeur'],
+  [CSV_COLUMNS.DEBIT]: ['debit'],
+  [CSV_COLUMNS.CREDIT]: ['credit']
+}
+
+// Mots-clés des libellés bancaires pour deviner la catégorie (en minuscules, sans accents)
+export const CATEGORY_KEYWORDS = {
+  [COMMON_EXPENSE_CATEGORIES.HOUSING]: ['loyer', 'credit immo', 'syndic', 'foncier'],
+  [COMMON_EXPENSE_CATEGORIES.FOOD]: ['carrefour', 'leclerc', 'auchan', 'lidl', 'intermarche', 'monoprix', 'franprix', 'boulangerie', 'restaurant', 'supermarche'],
+  [COMMON_EXPENSE_CATEGORIES.TRANSPORTATION]: ['sncf', 'ratp', 'navigo', 'total', 'essence', 'carburant', 'peage', 'uber', 'parking'],
+  [COMMON_EXPENSE_CATEGORIES.UTILITIES]: ['edf', 'engie', 'veolia', 'eau', 'orange', 'sfr', 'bouygues', 'free'],
+  [COMMON_EXPENSE_CATEGORIES.HEALTHCARE]: ['pharmacie', 'medecin', 'docteur', 'dentiste', 'mutuelle', 'hopital'],
+  [COMMON_EXPENSE_CATEGORIES.ENTERTAINMENT]: ['netflix', 'spotify', 'cinema', 'deezer', 'disney', 'concert'],
+  [COMMON_EXPENSE_CATEGORIES.SHOPPING]: ['amazon', 'fnac', 'zara', 'decathlon', 'ikea', 'darty'],
+  [COMMON_EXPENSE_CATEGORIES.EDUCATION]: ['ecole', 'cantine', 'creche', 'universite', 'formation'],
+  [COMMON_EXPENSE_CATEGORIES.INSURANCE]: ['assurance', 'maif', 'macif', 'axa', 'matmut'],
+  [COMMON_EXPENSE_CATEGORIES.SAVINGS]: ['livret', 'epargne', 'virement vers'],
+  [COMMON_EXPENSE_CATEGORIES.TRAVEL]: ['hotel', 'airbnb', 'booking', 'air france', 'easyjet', 'ryanair']
+}
+
+// Traitement des dépenses d'une personne supprimée
+export const PERSON_DELETE_STRATEGIES = {
+  REASSIGN: 'reassign', // Les dépenses sont réassignées
+  DELETE_EXPENSES: 'delete-expenses' // Les dépenses sont supprimées avec la personne
+}
+
+// Labels français des traitements de dépenses
+export const PERSON_DELETE_STRATEGY_LABELS = {
+  [PERSON_DELETE_STRATEGIES.REASSIGN]: 'Réassigner ses dépenses à',
+  [PERSON_DELETE_STRATEGIES.DELETE_EXPENSES]: 'Supprimer ses dépenses'
+}
+
+// Politiques de répartition des dépenses communes entre les personnes
+export const SPLIT_POLICIES = {
+  EQUAL: 'equal', // Parts égales
+  SALARY: 'salary', // Proportionnelle au salaire
+  REMAINING_INCOME: 'remaining-income', // Proportionnelle au revenu restant après dépenses personnelles
+  CUSTOM: 'custom' // Pourcentages personnalisés
+}
+
+// Labels français des politiques de répartition
+export const SPLIT_POLICY_LABELS = {
+  [SPLIT_POLICIES.EQUAL]: 'Parts égales',
+  [SPLIT_POLICIES.SALARY]: 'Proportionnelle au salaire',
+  [SPLIT_POLICIES.REMAINING_INCOME]: 'Proportionnelle au revenu restant',
+  [SPLIT_POLICIES.CUSTOM]: 'Pourcentages personnalisés'
+}
+
+// Nature du salaire saisi pour une personne
+export const SALARY_TYPES = {
+  GROSS: 'gross', // Salaire brut, avant cotisations sociales
+  NET: 'net' // Salaire net, après cotisations sociales
+}
+
+// Labels français des natures de salaire
+export const SALARY_TYPE_LABELS = {
+  [SALARY_TYPES.GROSS]: 'Brut',
+  [SALARY_TYPES.NET]: 'Net'
+}
+
+// Les salaires saisis avant la distinction brut / net étaient comparés tels quels aux dépenses
+export const DEFAULT_SALARY_TYPE = SALARY_TYPES.NET
+
+// Profils de cotisations sociales salariales (paie française)
+export const CONTRIBUTION_PROFILES = {
+  NON_CADRE: 'non-cadre', // Salarié du privé non cadre
+  CADRE: 'cadre', // Salarié du privé cadre
+  PUBLIC_SERVICE: 'fonction-publique', // Agent de la fonction publique
+  CUSTOM: 'custom' // Taux personnalisé
+}
+
+// Labels français des profils de cotisations
+export const CONTRIBUTION_PROFILE_LABELS = {
+  [CONTRIBUTION_PROFILES.NON_CADRE]: 'Non-cadre',
+  [CONTRIBUTION_PROFILES.CADRE]: 'Cadre',
+  [CONTRIBUTION_PROFILES.PUBLIC_SERVICE]: 'Fonction publique',
+  [CONTRIBUTION_PROFILES.CUSTOM]: 'Taux personnalisé'
+}
+
+// Taux moyens de cotisations salariales appliqués au brut (estimations usuelles)
+export const CONTRIBUTION_RATES = {
+  [CONTRIBUTION_PROFILES.NON_CADRE]: 0.22,
+  [CONTRIBUTION_PROFILES.CADRE]: 0.25,
+  [CONTRIBUTION_PROFILES.PUBLIC_SERVICE]: 0.15
+}
+
+export const DEFAULT_CONTRIBUTION_PROFILE = CONTRIBUTION_PROFILES.NON_CADRE
+
+// Types de sources de revenus complémentaires au salaire
+export const INCOME_SOURCE_TYPES = {
+  BONUS: 'bonus', // Prime, intéressement, participation
+  FREELANCE: 'freelance', // Activité indépendante
+  RENTAL: 'rental', // Revenus locatifs
+  ALLOWANCE: 'allowance', // Allocations (CAF, etc.)
+  WINDFALL: 'windfall', // Rentrée exceptionnelle
+  OTHER: 'other' // Autre revenu
+}
+
+// Labels français des types de revenus
+export const INCOME_SOURCE_TYPE_LABELS = {
+  [INCOME_SOURCE_TYPES.BONUS]: 'Prime',
+  [INCOME_SOURCE_TYPES.FREELANCE]: 'Activité indépendante',
+  [INCOME_SOURCE_TYPES.RENTAL]: 'Revenus locatifs',
+  [INCOME_SOURCE_TYPES.ALLOWANCE]: 'Allocations (CAF)',
+  [INCOME_SOURCE_TYPES.WINDFALL]: 'Rentrée exceptionnelle',
+  [INCOME_SOURCE_TYPES.OTHER]: 'Autre'
+}
+
+// Imposition proposée par défaut selon le type de revenu (les allocations familiales ne sont pas imposables)
+export const INCOME_SOURCE_TAXABLE_DEFAULTS = {
+  [INCOME_SOURCE_TYPES.BONUS]: true,
+  [INCOME_SOURCE_TYPES.FREELANCE]: true,
+  [INCOME_SOURCE_TYPES.RENTAL]: true,
+  [INCOME_SOURCE_TYPES.ALLOWANCE]: false,
+  [INCOME_SOURCE_TYPES.WINDFALL]: false,
+  [INCOME_SOURCE_TYPES.OTHER]: true
+}
+
+// Échéanciers de versement du salaire annuel
+export const PAYMENT_SCHEDULES = {
+  TWELVE: '12', // Douze mensualités égales
+  THIRTEEN: '13', // Treizième mois versé en décembre
+  FOURTEEN: '14', // Quatorzième mois versé en juin, treizième en décembre
+  CUSTOM: 'custom' // Nombre de mensualités personnalisé pour chaque mois
+}
+
+// Labels français des échéanciers
+export const PAYMENT_SCHEDULE_LABELS = {
+  [PAYMENT_SCHEDULES.TWELVE]: '12 mois',
+  [PAYMENT_SCHEDULES.THIRTEEN]: '13 mois (décembre)',
+  [PAYMENT_SCHEDULES.FOURTEEN]: '14 mois (juin et décembre)',
+  [PAYMENT_SCHEDULES.CUSTOM]: 'Personnalisé'
+}
+
+// Nombre de mensualités versées chaque mois selon l'échéancier
+export const PAYMENT_SCHEDULE_INSTALMENTS = {
+  [PAYMENT_SCHEDULES.TWELVE]: Object.fromEntries(MONTH_NUMBERS.map(month => [month, 1])),
+  [PAYMENT_SCHEDULES.THIRTEEN]: Object.fromEntries(MONTH_NUMBERS.map(month => [month, month === 12 ? 2 : 1])),
+  [PAYMENT_SCHEDULES.FOURTEEN]: Object.fromEntries(MONTH_NUMBERS.map(month => [month, month === 6 || month === 12 ? 2 : 1]))
+}
+
+export const DEFAULT_PAYMENT_SCHEDULE = PAYMENT_SCHEDULES.TWELVE
+
+// Périodes des enveloppes (plafonds de dépenses par catégorie)
+export const ENVELOPE_PERIODS = {
+  MONTHLY: 'monthly', // Plafond respecté chaque mois
+  ANNUAL: 'annual' // Plafond sur l'année budgétaire
+}
+
+// Labels français des périodes d'enveloppe
+export const ENVELOPE_PERIOD_LABELS = {
+  [ENVELOPE_PERIODS.MONTHLY]: 'Mensuelle',
+  [ENVELOPE_PERIODS.ANNUAL]: 'Annuelle'
+}
+
+// Écart de montant toléré pour rapprocher une dépense réelle d'une dépense prévue (10 %)
+export const RECONCILIATION_AMOUNT_TOLERANCE = 0.1
+
+// Longueur minimale d'un mot du nom d'une dépense prévue pour être recherché dans les libellés bancaires
+export const RECONCILIATION_MIN_WORD_LENGTH = 3
+
+// Jours du mois retenus par défaut pour la trésorerie au jour le jour
+// Hypothèse prudente : les dépenses tombent en début de mois, les revenus en fin de mois
+export const DEFAULT_EXPENSE_DUE_DAY = 1
+export const DEFAULT_INCOME_DAY = 28
+
+// Actions du budget qui modifient les personnes ou les dépenses :
+// lorsqu'un scénario est ouvert, elles s'appliquent à sa copie et non au budget actuel
+export const SCENARIO_ACTION_TYPES = [
+  BUDGET_ACTIONS.SET_PEOPLE,
+  BUDGET_ACTIONS.ADD_PERSON,
+  BUDGET_ACTIONS.UPDATE_PERSON,
+  BUDGET_ACTIONS.DELETE_PERSON,
+  BUDGET_ACTIONS.SET_PERSON_SALARY,
+  BUDGET_ACTIONS.ADD_EXPENSE,
+  BUDGET_ACTIONS.ADD_EXPENSES,
+  BUDGET_ACTIONS.UPDATE_EXPENSE,
+  BUDGET_ACTIONS.DELETE_EXPENSE,
+  BUDGET_ACTIONS.REASSIGN_EXPENSES,
+  BUDGET_ACTIONS.DELETE_EXPENSES,
+  BUDGET_ACTIONS.ADD_FAKE_DATA
+]
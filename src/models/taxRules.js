@@ -0,0 +1,58 @@
+/**
+ * Règles de l'impôt sur le revenu - Barèmes versionnés par année de revenus
+ *
+ * Fonctionnalités métier :
+ * - Tranches progressives du barème de l'impôt sur le revenu
+ * - Abattement forfaitaire de 10 % pour frais professionnels (plancher et plafond)
+ * - Plafonnement de l'avantage procuré par chaque demi-part de quotient familial
+ * - Décote pour les foyers faiblement imposés
+ *
+ * Objectif : Conserver localement les paramètres fiscaux de chaque
+ * année afin d'estimer l'impôt sans service externe ; une nouvelle
+ * année s'ajoute en recopiant la version précédente.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+
+// Barèmes indexés par année de perception des revenus (déclarés l'année suivante)
+export const TAX_RULES = {
+  2023: {
+    label: 'Barème 2024 (revenus 2023)',
+    brackets: [
+      { upTo: 11294, rate: 0 },
+      { upTo: 28797, rate: 0.11 },
+      { upTo: 82341, rate: 0.30 },
+      { upTo: 177106, rate: 0.41 },
+      { upTo: null, rate: 0.45 } // Dernière tranche sans plafond
+    ],
+    professionalExpenses: { rate: 0.10, min: 495, max: 14171 },
+    halfPartCap: 1759, // Avantage maximal par demi-part supplémentaire
+    decote: { single: 873, couple: 1444, rate: 0.4525 }
+  },
+  2024: {
+    label: 'Barème 2025 (revenus 2024)',
+    brackets: [
+      { upTo: 11497, rate: 0 },
+      { upTo: 29315, rate: 0.11 },
+      { upTo: 83823, rate: 0.30 },
+      { upTo: 180294, rate: 0.41 },
+      { upTo: null, rate: 0.45 }
+    ],
+    professionalExpenses: { rate: 0.10, min: 504, max: 14426 },
+    halfPartCap: 1791,
+    decote: { single: 889, couple: 1470, rate: 0.4525 }
+  }
+}
+
+// Modes de déclaration du foyer fiscal
+export const TAX_FILING_MODES = {
+  JOINT: 'joint', // Déclaration commune (mariage ou PACS)
+  SEPARATE: 'separate' // Une déclaration par personne
+}
+
+// Labels français des modes de déclaration
+export const TAX_FILING_MODE_LABELS = {
+  [TAX_FILING_MODES.JOINT]: 'Déclaration commune (mariage, PACS)',
+  [TAX_FILING_MODES.SEPARATE]: 'Déclarations séparées'
+}
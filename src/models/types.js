@@ -17,29 +17,167 @@
 export const PersonType = {
   id: 'string', // Identifiant unique de la personne
   name: 'string', // Nom de la personne
-  salary: 'number', // Salaire annuel
+  salary: 'number', // Salaire annuel, brut ou net selon salaryType
+  salaryType: 'string', // Nature du salaire saisi (gross, net ; défaut: net)
+  contributionProfile: 'string', // Profil de cotisations sociales (non-cadre, cadre, fonction-publique, custom)
+  customContributionRate: 'number', // Taux de cotisations en % du brut (profil custom)
+  paymentSchedule: 'string', // Échéancier de versement du salaire (12, 13, 14, custom ; défaut: 12)
+  customInstalments: 'object', // Nombre de mensualités versées par numéro de mois (échéancier custom)
+  salaryDay: 'number', // Jour du mois où le salaire est versé (1 à 31, optionnel)
+  incomeSources: 'Array<IncomeSourceType>', // Revenus complémentaires au salaire (optionnel)
   color: 'string' // Couleur associée pour l'interface
 }
 
+export const IncomeSourceType = {
+  id: 'string', // Identifiant unique de la source de revenus
+  name: 'string', // Libellé du revenu
+  type: 'string', // Type de revenu (bonus, freelance, rental, allowance, windfall, other)
+  amount: 'number', // Montant net perçu, dans la devise du ménage
+  frequency: 'string', // Fréquence (voir FREQUENCY_REGISTRY : daily, weekly, biweekly, monthly, quarterly, semiannual, annual, every_n_months)
+  intervalMonths: 'number', // Nombre de mois entre deux échéances pour la fréquence every_n_months (2 à 24)
+  months: 'Array<number>', // Mois de l'année où le revenu est perçu (1 à 12, défaut tous les mois)
+  dueDay: 'number', // Jour du mois où le revenu est perçu (1 à 31, optionnel)
+  taxable: 'boolean' // Revenu soumis à l'impôt sur le revenu
+}
+
 export const ExpenseType = {
   id: 'string', // Identifiant unique de la dépense
   name: 'string', // Nom de la dépense
   amount: 'number', // Montant de la dépense
-  frequency: 'string', // Fréquence (weekly, monthly, annual)
+  frequency: 'string', // Fréquence (voir FREQUENCY_REGISTRY : daily, weekly, biweekly, monthly, quarterly, semiannual, annual, every_n_months)
+  intervalMonths: 'number', // Nombre de mois entre deux échéances pour la fréquence every_n_months (2 à 24)
   category: 'string', // Catégorie (fixed, variable)
   assignedTo: 'string', // ID de la personne assignée à cette dépense
-  months: 'Array<string>', // Mois associés (format YYYY-MM, défaut tous les mois)
+  shares: 'object', // Parts par ID de personne pour une dépense commune partagée par certaines personnes (optionnel)
+  paidBy: 'string', // ID de la personne qui paie effectivement la dépense (optionnel)
+  currency: 'string', // Devise du montant (code ISO 4217, défaut: devise du ménage)
+  months: 'Array<number>', // Mois de l'année où la dépense s'applique (1 à 12, défaut tous les mois)
+  startMonth: 'string', // Premier mois d'application (format YYYY-MM, optionnel)
+  endMonth: 'string', // Dernier mois d'application (format YYYY-MM, optionnel)
+  dueDay: 'number', // Jour du mois où la dépense est prélevée (1 à 31, optionnel)
   createdAt: 'Date' // Date de création
 }
 
 export const BudgetStateType = {
   people: 'Array<PersonType>', // Liste des personnes avec leurs salaires
   expenses: 'Array<ExpenseType>', // Liste des dépenses
+  settings: 'HouseholdSettingsType', // Paramètres du ménage
+  settlements: 'Array<SettlementType>', // Règlements effectués entre personnes
+  savingsGoals: 'Array<SavingsGoalType>', // Objectifs d'épargne du ménage
+  transactions: 'Array<TransactionType>', // Dépenses réelles (journal)
+  scenarios: 'Array<ScenarioType>', // Scénarios « et si » (copies modifiables des personnes et des dépenses)
   isLoading: 'boolean' // État de chargement
 }
 
+export const SettlementType = {
+  id: 'string', // Identifiant unique du règlement
+  period: 'string', // Mois soldé (format YYYY-MM)
+  from: 'string', // ID de la personne qui rembourse
+  to: 'string', // ID de la personne remboursée
+  amount: 'number', // Montant remboursé
+  paidAt: 'string' // Date du règlement (format ISO)
+}
+
+export const SavingsGoalType = {
+  id: 'string', // Identifiant unique de l'objectif
+  name: 'string', // Nom de l'objectif (ex: Apport maison)
+  targetAmount: 'number', // Montant à atteindre
+  targetMonth: 'string', // Date cible (format YYYY-MM)
+  savedAmount: 'number', // Montant déjà épargné
+  monthlyContribution: 'number', // Versement mensuel prévu (optionnel, défaut: versement nécessaire)
+  startMonth: 'string', // Premier mois de versement (format YYYY-MM)
+  assignedTo: 'string', // ID de la personne qui verse, ou 'commun'
+  shares: 'object', // Parts par ID de personne pour un objectif commun (optionnel, défaut: répartition du ménage)
+  createdAt: 'string' // Date de création (format ISO)
+}
+
+export const TransactionType = {
+  id: 'string', // Identifiant unique de la dépense réelle
+  date: 'string', // Date de la dépense (format YYYY-MM-DD)
+  label: 'string', // Libellé (ex: Courses Carrefour)
+  amount: 'number', // Montant payé, dans la devise du ménage
+  paidBy: 'string', // ID de la personne qui a payé (optionnel)
+  expenseId: 'string', // ID de la dépense prévue associée (optionnel)
+  category: 'string', // Catégorie (celle de la dépense prévue associée le cas échéant)
+  assignedTo: 'string', // ID de la personne concernée, ou 'commun'
+  matchIgnored: 'boolean', // Aucune dépense prévue ne correspond : pas de rapprochement automatique (optionnel)
+  createdAt: 'string' // Date d'enregistrement (format ISO)
+}
+
+export const ScenarioType = {
+  id: 'string', // Identifiant unique du scénario
+  name: 'string', // Nom du scénario (ex: Appartement plus grand)
+  people: 'Array<PersonType>', // Copie modifiable des personnes
+  expenses: 'Array<ExpenseType>', // Copie modifiable des dépenses
+  createdAt: 'string' // Date de création (format ISO)
+}
+
+export const HistoryEntryType = {
+  state: 'BudgetStateType', // État du budget à restaurer
+  label: 'string' // Libellé de la modification concernée
+}
+
+export const BudgetHistoryType = {
+  past: 'Array<HistoryEntryType>', // Modifications annulables (de la plus ancienne à la plus récente)
+  present: 'BudgetStateType', // État courant du budget
+  future: 'Array<HistoryEntryType>' // Modifications annulées, rétablissables
+}
+
+export const HouseholdSettingsType = {
+  splitPolicy: 'string', // Politique de répartition des dépenses communes (equal, salary, remaining-income, custom)
+  customSplitShares: 'object', // Pourcentages personnalisés par ID de personne (politique custom)
+  currency: 'string', // Devise du budget (code ISO 4217, défaut EUR)
+  locale: 'string', // Format régional d'affichage (défaut fr-FR)
+  exchangeRates: 'Array<ExchangeRateType>', // Taux de change saisis par le ménage
+  incomeTax: 'IncomeTaxSettingsType', // Estimation de l'impôt sur le revenu
+  categoryEnvelopes: 'Array<CategoryEnvelopeType>', // Plafonds de dépenses par catégorie
+  openingBalance: 'number' // Solde du compte au 1er janvier de l'année budgétaire (trésorerie au jour le jour)
+}
+
+export const CategoryEnvelopeType = {
+  id: 'string', // Identifiant unique de l'enveloppe
+  category: 'string', // Catégorie de dépenses (COMMON_EXPENSE_CATEGORIES)
+  period: 'string', // Période du plafond (monthly, annual)
+  amount: 'number', // Plafond de dépenses
+  personId: 'string' // ID de la personne concernée (optionnel, défaut: tout le ménage)
+}
+
+export const IncomeTaxSettingsType = {
+  enabled: 'boolean', // Impôt estimé inclus dans les résumés budgétaires
+  filingMode: 'string', // Mode de déclaration (joint, separate)
+  jointPersonIds: 'Array<string>', // IDs des deux déclarants en déclaration commune (défaut: deux premières personnes)
+  childrenCount: 'number', // Nombre d'enfants à charge
+  childrenDeclaredBy: 'string' // ID de la personne qui déclare les enfants (défaut: premier déclarant)
+}
+
+export const ExchangeRateType = {
+  id: 'string', // Identifiant unique du taux
+  currency: 'string', // Devise concernée (code ISO 4217)
+  rate: 'number', // Valeur d'une unité de la devise dans la devise du ménage
+  effectiveDate: 'string' // Date d'effet (format YYYY-MM-DD)
+}
+
+export const PersistedBudgetStateType = {
+  schemaVersion: 'number', // Version du schéma de données sauvegardé
+  people: 'Array<PersonType>', // Liste des personnes avec leurs salaires
+  expenses: 'Array<ExpenseType>', // Liste des dépenses
+  settings: 'HouseholdSettingsType', // Paramètres du ménage
+  settlements: 'Array<SettlementType>', // Règlements effectués entre personnes
+  savingsGoals: 'Array<SavingsGoalType>', // Objectifs d'épargne du ménage
+  transactions: 'Array<TransactionType>', // Dépenses réelles (journal)
+  scenarios: 'Array<ScenarioType>' // Scénarios « et si »
+}
+
+export const BudgetExportFileType = {
+  ...PersistedBudgetStateType, // Mêmes données que la sauvegarde locale
+  exportedAt: 'string' // Date de l'export (format ISO)
+}
+
 export const SalaryFormDataType = {
-  salary: 'number' // Données du formulaire de salaire
+  salary: 'number', // Données du formulaire de salaire
+  salaryType: 'string', // Nature du salaire saisi (gross, net)
+  contributionProfile: 'string', // Profil de cotisations sociales
+  customContributionRate: 'number' // Taux de cotisations personnalisé (%)
 }
 
 export const ExpenseFormDataType = {
@@ -48,7 +186,12 @@ export const ExpenseFormDataType = {
   frequency: 'string', // Fréquence
   category: 'string', // Catégorie
   assignedTo: 'string', // ID de la personne assignée
-  months: 'Array<string>' // Mois sélectionnés
+  shares: 'object', // Parts par ID de personne (dépense commune partagée par certaines personnes)
+  paidBy: 'string', // ID de la personne qui paie la dépense (optionnel)
+  currency: 'string', // Devise du montant (optionnel)
+  months: 'Array<number>', // Mois de l'année sélectionnés
+  startMonth: 'string', // Premier mois d'application (optionnel)
+  endMonth: 'string' // Dernier mois d'application (optionnel)
 }
 
 export const BudgetSummaryType = {
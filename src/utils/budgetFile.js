@@ -0,0 +1,394 @@
+/**
+ * Fichier de budget - Export et import du budget complet au format JSON
+ *
+ * Fonctionnalités métier :
+ * - Export des personnes, dépenses, paramètres, règlements, objectifs d'épargne, dépenses réelles et scénarios dans un fichier téléchargeable
+ * - Lecture d'un fichier importé avec migration vers le schéma courant
+ * - Validation de chaque personne, dépense, règlement, objectif d'épargne, dépense réelle et scénario avec les règles métier de l'application
+ * - Validation des paramètres du ménage : un paramètre invalide est écarté au profit
+ *   de la valeur actuelle (fusion) ou de la valeur par défaut (remplacement)
+ * - Rapport d'erreurs détaillé par enregistrement rejeté
+ * - Application de l'import en remplacement ou en fusion du budget actuel
+ *
+ * Objectif : Permettre de sauvegarder un budget et de le déplacer
+ * d'un appareil à l'autre sans jamais introduire de données
+ * incohérentes dans l'application.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+
+import { VALIDATION_MESSAGES, IMPORT_MODES, DEFAULT_CURRENCY } from '../models/constants.js'
+import { migrateState, getSchemaVersion, CURRENT_SCHEMA_VERSION } from './migrations.js'
+import { serializeBudgetState, reviveExpenseDates, reviveScenarioDates } from './storage.js'
+import {
+  validateImportedPerson,
+  validateImportedExpense,
+  validateImportedSettlement,
+  validateImportedSavingsGoal,
+  validateImportedTransaction,
+  validateImportedScenario,
+  validateImportedSettings,
+  validateExchangeRate,
+  validateCategoryEnvelope
+} from './validators.js'
+
+// Libellés des champs utilisés dans le rapport d'erreurs
+const FIELD_LABELS = {
+  id: 'Identifiant',
+  name: 'Nom',
+  salary: 'Salaire',
+  salaryType: 'Salaire saisi en',
+  contributionProfile: 'Statut',
+  customContributionRate: 'Taux de cotisations',
+  paymentSchedule: 'Versement du salaire',
+  customInstalments: 'Mensualités',
+  incomeSources: 'Autres revenus',
+  amount: 'Montant',
+  amountMode: 'Type de montant',
+  minAmount: 'Montant minimum',
+  maxAmount: 'Montant maximum',
+  frequency: 'Fréquence',
+  intervalMonths: 'Intervalle (en mois)',
+  category: 'Catégorie',
+  assignedTo: 'Assignation',
+  months: 'Mois',
+  startMonth: 'Mois de début',
+  endMonth: 'Mois de fin',
+  shares: 'Parts',
+  paidBy: 'Payé par',
+  period: 'Mois',
+  from: 'Débiteur',
+  to: 'Créancier',
+  currency: 'Devise',
+  targetAmount: 'Montant cible',
+  targetMonth: 'Date cible',
+  savedAmount: 'Déjà épargné',
+  monthlyContribution: 'Versement mensuel prévu',
+  date: 'Date',
+  label: 'Libellé',
+  dueDay: 'Jour d\'échéance',
+  salaryDay: 'Jour de versement du salaire',
+  people: 'Personnes',
+  expenses: 'Dépenses',
+  locale: 'Format régional',
+  splitPolicy: 'Répartition des dépenses communes',
+  customSplitShares: 'Pourcentages personnalisés',
+  incomeTax: 'Impôt sur le revenu',
+  exchangeRates: 'Taux de change',
+  categoryEnvelopes: 'Enveloppes',
+  openingBalance: 'Solde au 1er janvier',
+  rate: 'Taux',
+  effectiveDate: 'Date d\'effet',
+  expense: 'Dépense',
+  savingsGoal: 'Objectif d\'épargne',
+  transaction: 'Dépense réelle',
+  scenario: 'Scénario'
+}
+
+/**
+ * Construit le contenu du fichier d'export
+ * @param {object} state - État complet du budget
+ * @returns {object} Données exportées, versionnées et horodatées
+ *
+ * @example
+ * // Entrée
+ * createBudgetExport({ people: [...], expenses: [...], settings: {} })
+ *
+ * // Sortie
+ * { schemaVersion: 6, people: [...], expenses: [...], settings: {}, settlements: [], savingsGoals: [], transactions: [], scenarios: [], exportedAt: '2026-10-19T08:00:00.000Z' }
+ */
+export const createBudgetExport = (state) => {
+  return {
+    ...serializeBudgetState(state),
+    exportedAt: new Date().toISOString()
+  }
+}
+
+/**
+ * Génère le nom du fichier d'export
+ * @param {Date} date - Date de l'export (défaut: maintenant)
+ * @returns {string} Nom du fichier
+ *
+ * @example
+ * // Entrée
+ * getBudgetExportFileName(new Date('2026-10-19'))
+ *
+ * // Sortie
+ * "budget-2026-10-19.json"
+ */
+export const getBudgetExportFileName = (date = new Date()) => {
+  return `budget-${date.toISOString().slice(0, 10)}.json`
+}
+
+/**
+ * Télécharge le budget sous forme de fichier JSON
+ * @param {object} state - État complet du budget
+ * @returns {boolean} True si le téléchargement a été déclenché
+ */
+export const downloadBudgetExport = (state) => {
+  try {
+    const content = JSON.stringify(createBudgetExport(state), null, 2)
+    const url = URL.createObjectURL(new Blob([content], { type: 'application/json' }))
+
+    const link = document.createElement('a')
+    link.href = url
+    link.download = getBudgetExportFileName()
+    link.click()
+
+    URL.revokeObjectURL(url)
+    return true
+  } catch (error) {
+    // Navigateur sans téléchargement possible : l'appelant affiche l'erreur
+    return false
+  }
+}
+
+/**
+ * Valide une liste d'enregistrements et sépare les valides des rejetés
+ * @param {Array} records - Enregistrements importés
+ * @param {Function} validate - Fonction de validation d'un enregistrement
+ * @param {string} recordType - Type d'enregistrement ('person', 'expense', 'settlement', 'savingsGoal', 'transaction', 'scenario', 'exchangeRate' ou 'categoryEnvelope')
+ * @returns {object} Enregistrements valides et erreurs { validRecords, recordErrors }
+ */
+const validateRecords = (records, validate, recordType) => {
+  const seenIds = new Set()
+  const validRecords = []
+  const recordErrors = []
+
+  records.forEach((record, index) => {
+    const validation = validate(record)
+    const errors = { ...validation.errors }
+
+    if (record?.id && seenIds.has(record.id)) {
+      errors.id = VALIDATION_MESSAGES.DUPLICATE_ID
+    }
+    if (record?.id) seenIds.add(record.id)
+
+    if (Object.keys(errors).length === 0) {
+      validRecords.push(record)
+      return
+    }
+
+    recordErrors.push({
+      recordType,
+      index,
+      name: record?.name || '',
+      messages: Object.entries(errors).map(([field, message]) => `${FIELD_LABELS[field] || field} : ${message}`)
+    })
+  })
+
+  return { validRecords, recordErrors }
+}
+
+/**
+ * Valide les paramètres du ménage importés et écarte les valeurs invalides
+ * Un paramètre écarté garde sa valeur actuelle lors d'une fusion, sa valeur par défaut lors d'un remplacement
+ * @param {*} rawSettings - Paramètres lus dans le fichier
+ * @returns {object} Paramètres valides et erreurs { settings, recordErrors }
+ *
+ * @example
+ * // Entrée
+ * validateSettings({ currency: 'USD', locale: 'fr_FR', exchangeRates: [{ id: 'r1', currency: 'EUR', rate: 1.1 }] })
+ *
+ * // Sortie
+ * { settings: { currency: 'USD', exchangeRates: [] }, recordErrors: [{ recordType: 'settings', ... }, { recordType: 'exchangeRate', ... }] }
+ */
+const validateSettings = (rawSettings) => {
+  if (!rawSettings || typeof rawSettings !== 'object' || Array.isArray(rawSettings)) {
+    return { settings: {}, recordErrors: [] }
+  }
+
+  const validation = validateImportedSettings(rawSettings)
+  const settings = Object.fromEntries(
+    Object.entries(rawSettings).filter(([field]) => !validation.errors[field])
+  )
+  const recordErrors = validation.isValid
+    ? []
+    : [{
+        recordType: 'settings',
+        index: 0,
+        name: '',
+        messages: Object.entries(validation.errors).map(([field, message]) => `${FIELD_LABELS[field] || field} : ${message}`)
+      }]
+
+  if (Array.isArray(settings.exchangeRates)) {
+    const currency = settings.currency || DEFAULT_CURRENCY
+    const ratesResult = validateRecords(settings.exchangeRates, rate => validateExchangeRate(rate || {}, currency), 'exchangeRate')
+    settings.exchangeRates = ratesResult.validRecords
+    recordErrors.push(...ratesResult.recordErrors)
+  }
+
+  if (Array.isArray(settings.categoryEnvelopes)) {
+    // Chaque enveloppe est comparée aux enveloppes déjà acceptées pour écarter les doublons
+    const acceptedEnvelopes = []
+    const envelopesResult = validateRecords(settings.categoryEnvelopes, envelope => {
+      const envelopeValidation = validateCategoryEnvelope(envelope || {}, acceptedEnvelopes)
+      if (envelopeValidation.isValid) acceptedEnvelopes.push(envelope)
+      return envelopeValidation
+    }, 'categoryEnvelope')
+    settings.categoryEnvelopes = envelopesResult.validRecords
+    recordErrors.push(...envelopesResult.recordErrors)
+  }
+
+  return { settings, recordErrors }
+}
+
+/**
+ * Indique si le contenu d'un fichier ressemble à un budget
+ * Les anciens budgets non versionnés peuvent avoir un salaire unique au lieu de la liste des personnes
+ * @param {*} rawState - Contenu JSON du fichier, avant migration
+ * @returns {boolean} True si le contenu a une liste de dépenses et une liste de personnes (ou un ancien salaire)
+ *
+ * @example
+ * // Entrée
+ * isBudgetContent({})
+ *
+ * // Sortie
+ * false
+ */
+const isBudgetContent = (rawState) => {
+  if (!rawState || typeof rawState !== 'object' || Array.isArray(rawState)) return false
+
+  const hasPeople = Array.isArray(rawState.people) ||
+    (getSchemaVersion(rawState) === 0 && rawState.people === undefined && rawState.salary !== undefined)
+  return hasPeople && Array.isArray(rawState.expenses)
+}
+
+/**
+ * Lit et valide le contenu d'un fichier de budget importé
+ * Les enregistrements invalides sont écartés et détaillés dans le rapport
+ * @param {string} fileContent - Contenu texte du fichier
+ * @returns {object} Résultat { fileError, people, expenses, settings, settlements, savingsGoals, transactions, scenarios, recordErrors }
+ *
+ * @example
+ * // Entrée
+ * parseBudgetFile('{"schemaVersion":2,"people":[],"expenses":[{"id":"e1","name":"L"}]}')
+ *
+ * // Sortie
+ * { fileError: null, people: [], expenses: [], settings: {}, settlements: [], savingsGoals: [], transactions: [], scenarios: [], recordErrors: [{ recordType: 'expense', index: 0, name: 'L', messages: ['Nom : Le nom doit contenir au moins 2 caractères', ...] }] }
+ */
+export const parseBudgetFile = (fileContent) => {
+  const emptyResult = { people: [], expenses: [], settings: {}, settlements: [], savingsGoals: [], transactions: [], scenarios: [], recordErrors: [] }
+
+  let rawState
+  try {
+    rawState = JSON.parse(fileContent)
+  } catch (error) {
+    return { ...emptyResult, fileError: VALIDATION_MESSAGES.INVALID_JSON_FILE }
+  }
+
+  // Contrôle fait avant les migrations, qui complètent les listes manquantes par des listes vides :
+  // un fichier '{}' ou '[]' viderait sinon le budget en mode remplacement
+  if (!isBudgetContent(rawState)) {
+    return { ...emptyResult, fileError: VALIDATION_MESSAGES.INVALID_BUDGET_FILE }
+  }
+
+  let migratedState
+  try {
+    migratedState = migrateState(rawState)
+  } catch (error) {
+    // Seule une version trop récente a un message dédié ; toute autre erreur signale un fichier mal formé
+    const fileError = getSchemaVersion(rawState) > CURRENT_SCHEMA_VERSION
+      ? error.message
+      : VALIDATION_MESSAGES.INVALID_BUDGET_FILE
+    return { ...emptyResult, fileError }
+  }
+
+  const peopleResult = validateRecords(migratedState.people, validateImportedPerson, 'person')
+  const expensesResult = validateRecords(migratedState.expenses, validateImportedExpense, 'expense')
+  const settlementsResult = validateRecords(
+    Array.isArray(migratedState.settlements) ? migratedState.settlements : [],
+    validateImportedSettlement,
+    'settlement'
+  )
+  const savingsGoalsResult = validateRecords(
+    Array.isArray(migratedState.savingsGoals) ? migratedState.savingsGoals : [],
+    validateImportedSavingsGoal,
+    'savingsGoal'
+  )
+  const transactionsResult = validateRecords(
+    Array.isArray(migratedState.transactions) ? migratedState.transactions : [],
+    validateImportedTransaction,
+    'transaction'
+  )
+  const scenariosResult = validateRecords(
+    Array.isArray(migratedState.scenarios) ? migratedState.scenarios : [],
+    validateImportedScenario,
+    'scenario'
+  )
+  const settingsResult = validateSettings(migratedState.settings)
+
+  return {
+    fileError: null,
+    people: peopleResult.validRecords,
+    expenses: reviveExpenseDates(expensesResult.validRecords),
+    settings: settingsResult.settings,
+    settlements: settlementsResult.validRecords,
+    savingsGoals: savingsGoalsResult.validRecords,
+    transactions: transactionsResult.validRecords,
+    scenarios: reviveScenarioDates(scenariosResult.validRecords),
+    recordErrors: [
+      ...peopleResult.recordErrors,
+      ...expensesResult.recordErrors,
+      ...settlementsResult.recordErrors,
+      ...savingsGoalsResult.recordErrors,
+      ...transactionsResult.recordErrors,
+      ...scenariosResult.recordErrors,
+      ...settingsResult.recordErrors
+    ]
+  }
+}
+
+/**
+ * Remplace ou complète une liste par des enregistrements importés
+ * Un enregistrement importé remplace l'enregistrement existant de même identifiant
+ * @param {Array} currentRecords - Enregistrements actuels
+ * @param {Array} importedRecords - Enregistrements importés
+ * @returns {Array} Liste fusionnée
+ */
+const mergeRecordsById = (currentRecords, importedRecords) => {
+  const importedIds = new Set(importedRecords.map(record => record.id))
+  return [
+    ...currentRecords.filter(record => !importedIds.has(record.id)),
+    ...importedRecords
+  ]
+}
+
+/**
+ * Applique un budget importé à l'état actuel
+ * @param {object} state - État actuel du budget
+ * @param {object} importedBudget - Budget importé { people, expenses, settings, settlements, savingsGoals, transactions, scenarios }
+ * @param {string} mode - Mode d'import (replace ou merge)
+ * @returns {object} Données résultantes { people, expenses, settings, settlements, savingsGoals, transactions, scenarios }
+ *
+ * @example
+ * // Entrée
+ * applyBudgetImport({ people: [{ id: 'a' }], expenses: [], settings: {}, settlements: [], savingsGoals: [], transactions: [], scenarios: [] }, { people: [{ id: 'b' }], expenses: [], settings: {}, settlements: [], savingsGoals: [], transactions: [], scenarios: [] }, 'merge')
+ *
+ * // Sortie
+ * { people: [{ id: 'a' }, { id: 'b' }], expenses: [], settings: {}, settlements: [], savingsGoals: [], transactions: [], scenarios: [] }
+ */
+export const applyBudgetImport = (state, importedBudget, mode) => {
+  if (mode === IMPORT_MODES.MERGE) {
+    return {
+      people: mergeRecordsById(state.people, importedBudget.people),
+      expenses: mergeRecordsById(state.expenses, importedBudget.expenses),
+      settings: { ...state.settings, ...importedBudget.settings },
+      settlements: mergeRecordsById(state.settlements, importedBudget.settlements),
+      savingsGoals: mergeRecordsById(state.savingsGoals, importedBudget.savingsGoals),
+      transactions: mergeRecordsById(state.transactions, importedBudget.transactions),
+      scenarios: mergeRecordsById(state.scenarios, importedBudget.scenarios)
+    }
+  }
+
+  return {
+    people: importedBudget.people,
+    expenses: importedBudget.expenses,
+    settings: importedBudget.settings,
+    settlements: importedBudget.settlements,
+    savingsGoals: importedBudget.savingsGoals,
+    transactions: importedBudget.transactions,
+    scenarios: importedBudget.scenarios
+  }
+}
@@ -5,10 +5,20 @@
  * - Conversion des montants selon les fréquences de dépenses
  * - Calcul des montants mensuels et annuels
  * - Calcul des budgets annuels et mensuels avec soldes
- * - Gestion des multiplicateurs de fréquence pour les conversions
+ * - Conversions entre toutes les fréquences du registre (quotidienne à tous les N mois)
  * - Suivi budgétaire par personne avec dépenses individuelles et partagées
  * - Calcul des budgets personnels annuels et mensuels
  * - Filtrage des dépenses par personne et des dépenses communes
+ * - Projections basse / attendue / haute pour les dépenses en fourchette
+ * - Prise en compte des mois actifs de chaque dépense (dépenses saisonnières)
+ * - Calculs pour n'importe quelle année, avec périodes de début et de fin des dépenses
+ * - Répartition des dépenses communes selon la politique du ménage
+ * - Dépenses partagées entre une partie des personnes avec des parts pondérées
+ * - Conversion des dépenses en devise étrangère vers la devise du ménage
+ * - Comparaison des dépenses au salaire net (après cotisations sociales)
+ * - Revenus complémentaires au salaire selon leur fréquence et leurs mois actifs
+ * - Intégration de l'impôt sur le revenu estimé (prélèvement à la source mensuel)
+ * - Intégration des versements des objectifs d'épargne comme dépenses d'épargne
  *
  * Objectif : Fournir des calculs précis et cohérents pour
  * l'analyse budgétaire, permettant aux utilisateurs de comprendre
@@ -19,20 +29,20 @@
  * @author Équipe Développement
  */
 
-import { EXPENSE_FREQUENCIES } from '../models/constants.js'
-
-// Multiplicateurs pour convertir vers une base annuelle
-export const FREQUENCY_MULTIPLIERS = {
-  [EXPENSE_FREQUENCIES.WEEKLY]: 52, // 52 semaines par an
-  [EXPENSE_FREQUENCIES.MONTHLY]: 12, // 12 mois par an
-  [EXPENSE_FREQUENCIES.ANNUAL]: 1 // 1 an
-}
+import { EXPENSE_FREQUENCIES, AMOUNT_MODES, MONTH_NUMBERS, SPLIT_POLICIES, ASSIGNMENT_OPTIONS } from '../models/constants.js'
+import { getYearMonths, parseMonthKey, getCurrentYear } from './calendar.js'
+import { convertToBaseCurrency } from './currency.js'
+import { getOccurrencesPerYear, isMultiMonthFrequency } from './frequencies.js'
+import { getPersonAnnualIncome, getPersonMonthlyIncome, getHouseholdAnnualIncome, getHouseholdMonthlyIncome } from './income.js'
+import { calculateHouseholdIncomeTax } from './incomeTax.js'
+import { getSavingsContributionExpenses } from './savings.js'
 
 /**
  * Convertit un montant d'une fréquence à une autre
  * @param {number} amount - Montant à convertir
  * @param {string} fromFrequency - Fréquence source
  * @param {string} toFrequency - Fréquence cible
+ * @param {number} [intervalMonths] - Intervalle de la fréquence « tous les N mois »
  * @returns {number} Montant converti
  *
  * @example
@@ -42,20 +52,21 @@ export const FREQUENCY_MULTIPLIERS = {
  * // Sortie
  * 433.33 (100 * 52 / 12)
  */
-export const convertAmount = (amount, fromFrequency, toFrequency) => {
+export const convertAmount = (amount, fromFrequency, toFrequency, intervalMonths) => {
   if (!amount || amount <= 0) return 0
 
   // Convertir d'abord vers annuel
-  const annualAmount = amount * FREQUENCY_MULTIPLIERS[fromFrequency]
+  const annualAmount = amount * getOccurrencesPerYear(fromFrequency, intervalMonths)
 
   // Puis convertir vers la fréquence cible
-  return annualAmount / FREQUENCY_MULTIPLIERS[toFrequency]
+  return annualAmount / getOccurrencesPerYear(toFrequency, intervalMonths)
 }
 
 /**
  * Convertit un montant vers un montant mensuel
  * @param {number} amount - Montant à convertir
  * @param {string} frequency - Fréquence actuelle
+ * @param {number} [intervalMonths] - Intervalle de la fréquence « tous les N mois »
  * @returns {number} Montant mensuel équivalent
  *
  * @example
@@ -65,14 +76,15 @@ export const convertAmount = (amount, fromFrequency, toFrequency) => {
  * // Sortie
  * 433.33
  */
-export const getMonthlyAmount = (amount, frequency) => {
-  return convertAmount(amount, frequency, EXPENSE_FREQUENCIES.MONTHLY)
+export const getMonthlyAmount = (amount, frequency, intervalMonths) => {
+  return convertAmount(amount, frequency, EXPENSE_FREQUENCIES.MONTHLY, intervalMonths)
 }
 
 /**
  * Convertit un montant vers un montant annuel
  * @param {number} amount - Montant à convertir
  * @param {string} frequency - Fréquence actuelle
+ * @param {number} [intervalMonths] - Intervalle de la fréquence « tous les N mois »
  * @returns {number} Montant annuel équivalent
  *
  * @example
@@ -82,84 +94,345 @@ export const getMonthlyAmount = (amount, frequency) => {
  * // Sortie
  * 1200
  */
-export const getAnnualAmount = (amount, frequency) => {
-  return convertAmount(amount, frequency, EXPENSE_FREQUENCIES.ANNUAL)
+export const getAnnualAmount = (amount, frequency, intervalMonths) => {
+  return convertAmount(amount, frequency, EXPENSE_FREQUENCIES.ANNUAL, intervalMonths)
+}
+
+/**
+ * Arrondit un montant à 2 décimales
+ * @param {number} amount - Montant à arrondir
+ * @returns {number} Montant arrondi
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100
+
+/**
+ * Indique si une dépense est saisie sous forme de fourchette (minAmount/maxAmount)
+ * @param {object} expense - Dépense à analyser
+ * @returns {boolean} True si la dépense est en mode fourchette
+ */
+export const isRangeExpense = (expense) => {
+  if (expense.amountMode) return expense.amountMode === AMOUNT_MODES.RANGE
+  return expense.amount === undefined && expense.minAmount !== undefined && expense.maxAmount !== undefined
+}
+
+/**
+ * Obtient les montants bas, attendu et haut d'une dépense dans sa propre fréquence
+ * Le montant attendu d'une fourchette est le milieu entre le minimum et le maximum
+ * @param {object} expense - Dépense (montant fixe ou fourchette)
+ * @returns {object} Montants { low, expected, high }
+ *
+ * @example
+ * // Entrée
+ * getExpenseAmountRange({ amountMode: 'range', minAmount: 80, maxAmount: 120 })
+ *
+ * // Sortie
+ * { low: 80, expected: 100, high: 120 }
+ */
+export const getExpenseAmountRange = (expense) => {
+  if (isRangeExpense(expense)) {
+    const low = Number(expense.minAmount) || 0
+    const high = Number(expense.maxAmount) || 0
+    return { low, expected: (low + high) / 2, high }
+  }
+
+  const amount = Number(expense.amount) || 0
+  return { low: amount, expected: amount, high: amount }
+}
+
+/**
+ * Projette une dépense vers une fréquence cible en montants bas, attendu et haut
+ * @param {object} expense - Dépense à projeter
+ * @param {string} toFrequency - Fréquence cible
+ * @returns {object} Montants convertis { low, expected, high }
+ *
+ * @example
+ * // Entrée
+ * getExpenseProjection({ amountMode: 'range', minAmount: 80, maxAmount: 120, frequency: 'monthly' }, 'annual')
+ *
+ * // Sortie
+ * { low: 960, expected: 1200, high: 1440 }
+ */
+export const getExpenseProjection = (expense, toFrequency) => {
+  const { low, expected, high } = getExpenseAmountRange(expense)
+
+  return {
+    low: convertAmount(low, expense.frequency, toFrequency, expense.intervalMonths),
+    expected: convertAmount(expected, expense.frequency, toFrequency, expense.intervalMonths),
+    high: convertAmount(high, expense.frequency, toFrequency, expense.intervalMonths)
+  }
+}
+
+/**
+ * Additionne des projections { low, expected, high }
+ * @param {Array<object>} projections - Projections à additionner
+ * @returns {object} Totaux { low, expected, high }
+ */
+const sumProjections = (projections) => {
+  return projections.reduce((totals, projection) => ({
+    low: totals.low + projection.low,
+    expected: totals.expected + projection.expected,
+    high: totals.high + projection.high
+  }), { low: 0, expected: 0, high: 0 })
+}
+
+/**
+ * Obtient les mois de l'année où une dépense s'applique
+ * Une dépense sans sélection de mois est active toute l'année
+ * @param {object} expense - Dépense à analyser
+ * @returns {Array<number>} Numéros des mois actifs (1 à 12)
+ */
+export const getExpenseMonths = (expense) => {
+  return Array.isArray(expense.months) ? expense.months : MONTH_NUMBERS
+}
+
+/**
+ * Indique si un mois est compris dans la période de début et de fin d'une dépense
+ * @param {object} expense - Dépense à analyser
+ * @param {string} monthKey - Mois (format YYYY-MM)
+ * @returns {boolean} True si le mois est dans la période (bornes incluses)
+ */
+export const isMonthInExpensePeriod = (expense, monthKey) => {
+  // Les clés YYYY-MM se comparent correctement par ordre alphabétique
+  if (expense.startMonth && monthKey < expense.startMonth) return false
+  if (expense.endMonth && monthKey > expense.endMonth) return false
+  return true
+}
+
+/**
+ * Indique si une dépense est active pour un mois donné
+ * La dépense doit être récurrente ce mois de l'année et comprise dans sa période
+ * @param {object} expense - Dépense à analyser
+ * @param {string} monthKey - Mois (format YYYY-MM)
+ * @returns {boolean} True si la dépense s'applique ce mois-ci
+ */
+export const isExpenseActiveInMonth = (expense, monthKey) => {
+  return getExpenseMonths(expense).includes(parseMonthKey(monthKey).month) &&
+    isMonthInExpensePeriod(expense, monthKey)
+}
+
+/**
+ * Projette le coût d'une dépense pour un mois précis, dans la devise du ménage
+ * - Dépenses quotidiennes à mensuelles : équivalent mensuel, uniquement les mois actifs
+ * - Dépenses espacées de plusieurs mois (trimestrielles, annuelles...) : montant annuel
+ *   réparti sur les mois actifs de l'année, qui sont leurs mois de paiement
+ * - Dépenses en devise étrangère : converties au taux en vigueur ce mois-ci
+ * @param {object} expense - Dépense à projeter
+ * @param {string} monthKey - Mois (format YYYY-MM)
+ * @param {object} [settings] - Paramètres du ménage (devise et taux de change)
+ * @returns {object} Montants du mois { low, expected, high }
+ *
+ * @example
+ * // Entrée
+ * getExpenseMonthlyProjection({ amount: 150, frequency: 'monthly', months: [12, 1, 2, 3] }, '2026-01')
+ *
+ * // Sortie
+ * { low: 150, expected: 150, high: 150 }
+ */
+export const getExpenseMonthlyProjection = (expense, monthKey, settings) => {
+  if (!isExpenseActiveInMonth(expense, monthKey)) {
+    return { low: 0, expected: 0, high: 0 }
+  }
+
+  const toBaseCurrency = (amount) => convertToBaseCurrency(amount, expense.currency, monthKey, settings)
+
+  if (isMultiMonthFrequency(expense.frequency, expense.intervalMonths)) {
+    const annualProjection = getExpenseProjection(expense, EXPENSE_FREQUENCIES.ANNUAL)
+    const activeMonthsCount = getExpenseMonths(expense).length
+    return {
+      low: toBaseCurrency(annualProjection.low / activeMonthsCount),
+      expected: toBaseCurrency(annualProjection.expected / activeMonthsCount),
+      high: toBaseCurrency(annualProjection.high / activeMonthsCount)
+    }
+  }
+
+  const monthlyProjection = getExpenseProjection(expense, EXPENSE_FREQUENCIES.MONTHLY)
+  return {
+    low: toBaseCurrency(monthlyProjection.low),
+    expected: toBaseCurrency(monthlyProjection.expected),
+    high: toBaseCurrency(monthlyProjection.high)
+  }
+}
+
+/**
+ * Projette le coût annuel d'une dépense en fonction de ses mois actifs sur une année
+ * Une dépense mensuelle active 4 mois coûte 4 fois son montant sur l'année
+ * @param {object} expense - Dépense à projeter
+ * @param {number} year - Année budgétaire
+ * @param {object} [settings] - Paramètres du ménage (devise et taux de change)
+ * @returns {object} Montants annuels { low, expected, high }
+ *
+ * @example
+ * // Entrée
+ * getExpenseAnnualProjection({ amount: 150, frequency: 'monthly', months: [12, 1, 2, 3] }, 2026)
+ *
+ * // Sortie
+ * { low: 600, expected: 600, high: 600 }
+ */
+export const getExpenseAnnualProjection = (expense, year, settings) => {
+  return sumProjections(getYearMonths(year).map(monthKey => getExpenseMonthlyProjection(expense, monthKey, settings)))
+}
+
+/**
+ * Additionne les coûts d'une liste de dépenses pour un mois précis
+ * @param {Array} expenses - Liste des dépenses
+ * @param {string} monthKey - Mois (format YYYY-MM)
+ * @param {object} [settings] - Paramètres du ménage (devise et taux de change)
+ * @returns {object} Totaux { low, expected, high }
+ */
+export const sumMonthlyProjections = (expenses, monthKey, settings) => {
+  return sumProjections(expenses.map(expense => getExpenseMonthlyProjection(expense, monthKey, settings)))
+}
+
+/**
+ * Additionne les coûts annuels d'une liste de dépenses sur une année
+ * @param {Array} expenses - Liste des dépenses
+ * @param {number} year - Année budgétaire
+ * @param {object} [settings] - Paramètres du ménage (devise et taux de change)
+ * @returns {object} Totaux { low, expected, high }
+ */
+export const sumAnnualProjections = (expenses, year, settings) => {
+  return sumProjections(expenses.map(expense => getExpenseAnnualProjection(expense, year, settings)))
+}
+
+/**
+ * Additionne les coûts d'une liste de dépenses pour un mois donné,
+ * ou pour un mois moyen de l'année (douzième) si aucun mois n'est précisé
+ * @param {Array} expenses - Liste des dépenses
+ * @param {object} period - Période { month, year }
+ * @param {object} [settings] - Paramètres du ménage (devise et taux de change)
+ * @returns {object} Totaux { low, expected, high }
+ */
+const sumMonthOrAverageProjections = (expenses, { month, year }, settings) => {
+  if (month) return sumMonthlyProjections(expenses, month, settings)
+
+  const annualTotals = sumAnnualProjections(expenses, year, settings)
+  return {
+    low: annualTotals.low / 12,
+    expected: annualTotals.expected / 12,
+    high: annualTotals.high / 12
+  }
+}
+
+/**
+ * Construit un résumé budgétaire à partir d'un revenu et de totaux de dépenses projetés
+ * Le budget restant bas correspond aux dépenses hautes, et inversement
+ * L'impôt sur le revenu de la période est compté dans les dépenses
+ * @param {number} income - Revenu de la période
+ * @param {object} expenseTotals - Totaux de dépenses { low, expected, high }
+ * @param {number} [incomeTax] - Impôt sur le revenu de la période
+ * @returns {object} Résumé budgétaire avec fourchette
+ */
+const buildBudgetSummary = (income, expenseTotals, incomeTax = 0) => {
+  const totals = {
+    low: expenseTotals.low + incomeTax,
+    expected: expenseTotals.expected + incomeTax,
+    high: expenseTotals.high + incomeTax
+  }
+  const remainingBudget = income - totals.expected
+  const budgetRatio = income ? totals.expected / income : 0
+
+  return {
+    incomeTax: roundAmount(incomeTax),
+    totalExpenses: roundAmount(totals.expected),
+    remainingBudget: roundAmount(remainingBudget),
+    budgetRatio: Math.round(budgetRatio * 1000) / 1000, // Ratio en pourcentage
+    isPositive: remainingBudget >= 0,
+    // Fourchette des projections (identique aux valeurs attendues sans dépense en fourchette)
+    totalExpensesLow: roundAmount(totals.low),
+    totalExpensesHigh: roundAmount(totals.high),
+    remainingBudgetLow: roundAmount(income - totals.high),
+    remainingBudgetHigh: roundAmount(income - totals.low),
+    hasRange: roundAmount(totals.high) !== roundAmount(totals.low)
+  }
 }
 
 /**
  * Calcule le résumé budgétaire annuel
- * Compare les salaires annuels totaux avec les dépenses annuelles totales
+ * Compare les revenus annuels nets totaux (salaires et autres revenus) avec les dépenses annuelles totales
+ * Chaque dépense n'est comptée que pour ses mois actifs de l'année
  * @param {Array} people - Liste des personnes avec leurs salaires
  * @param {Array} expenses - Liste des dépenses
+ * @param {object} [options] - Options de calcul
+ * @param {number} [options.year] - Année budgétaire (défaut: année en cours)
+ * @param {object} [options.settings] - Paramètres du ménage (devise et taux de change)
+ * @param {Array} [options.savingsGoals] - Objectifs d'épargne dont les versements sont comptés dans les dépenses
  * @returns {object} Résumé budgétaire annuel
  *
  * @example
  * // Entrée
- * calculateAnnualBudget([{salary: 30000}, {salary: 25000}], [{amount: 100, frequency: 'monthly', ...}])
+ * calculateAnnualBudget([{salary: 30000}, {salary: 25000}], [{amount: 100, frequency: 'monthly', ...}], { year: 2026 })
  *
  * // Sortie
  * {
+ *   incomeTax: 0,
+ *   savingsContributions: 0,
  *   totalExpenses: 1200,
  *   remainingBudget: 53800,
  *   budgetRatio: 0.021,
- *   isPositive: true
+ *   isPositive: true,
+ *   totalExpensesLow: 1200,
+ *   totalExpensesHigh: 1200,
+ *   remainingBudgetLow: 53800,
+ *   remainingBudgetHigh: 53800,
+ *   hasRange: false
  * }
  */
-export const calculateAnnualBudget = (people, expenses) => {
-  const totalAnnualSalary = people.reduce((total, person) => total + (person.salary || 0), 0)
-
-  const totalExpenses = expenses.reduce((total, expense) => {
-    return total + getAnnualAmount(expense.amount, expense.frequency)
-  }, 0)
-
-  const remainingBudget = totalAnnualSalary - totalExpenses
-  const budgetRatio = totalAnnualSalary ? totalExpenses / totalAnnualSalary : 0
-  const isPositive = remainingBudget >= 0
+export const calculateAnnualBudget = (people, expenses, { year = getCurrentYear(), settings, savingsGoals } = {}) => {
+  const totalAnnualIncome = getHouseholdAnnualIncome(people, year)
+  const savingsExpenses = getSavingsContributionExpenses(savingsGoals, year)
+  const totals = sumAnnualProjections([...expenses, ...savingsExpenses], year, settings)
+  const { annualTax } = calculateHouseholdIncomeTax(people, settings, { year })
 
   return {
-    totalExpenses: Math.round(totalExpenses * 100) / 100, // Arrondi à 2 décimales
-    remainingBudget: Math.round(remainingBudget * 100) / 100,
-    budgetRatio: Math.round(budgetRatio * 1000) / 1000, // Ratio en pourcentage
-    isPositive
+    ...buildBudgetSummary(totalAnnualIncome, totals, annualTax),
+    savingsContributions: roundAmount(sumAnnualProjections(savingsExpenses, year, settings).expected)
   }
 }
 
 /**
  * Calcule le résumé budgétaire mensuel
- * Compare les salaires mensuels totaux avec les dépenses mensuelles totales
+ * Compare les revenus nets totaux du mois (salaires et autres revenus) avec les dépenses mensuelles totales
+ * Pour un mois précis, seules les dépenses actives ce mois-ci sont incluses ;
+ * sans mois, le résumé porte sur un mois moyen (douzième de l'année)
  * @param {Array} people - Liste des personnes avec leurs salaires
  * @param {Array} expenses - Liste des dépenses
+ * @param {object} [options] - Options de calcul
+ * @param {string} [options.month] - Mois (format YYYY-MM)
+ * @param {number} [options.year] - Année du mois moyen (défaut: année en cours)
+ * @param {object} [options.settings] - Paramètres du ménage (devise et taux de change)
+ * @param {Array} [options.savingsGoals] - Objectifs d'épargne dont les versements sont comptés dans les dépenses
  * @returns {object} Résumé budgétaire mensuel
  *
  * @example
  * // Entrée
- * calculateMonthlyBudget([{salary: 30000}, {salary: 25000}], [{amount: 100, frequency: 'monthly', ...}])
+ * calculateMonthlyBudget([{salary: 30000}, {salary: 25000}], [{amount: 100, frequency: 'monthly', ...}], { month: '2026-01' })
  *
  * // Sortie
  * {
+ *   incomeTax: 0,
+ *   savingsContributions: 0,
  *   totalExpenses: 100,
  *   remainingBudget: 4483.33,
  *   budgetRatio: 0.021,
- *   isPositive: true
+ *   isPositive: true,
+ *   totalExpensesLow: 100,
+ *   totalExpensesHigh: 100,
+ *   remainingBudgetLow: 4483.33,
+ *   remainingBudgetHigh: 4483.33,
+ *   hasRange: false
  * }
  */
-export const calculateMonthlyBudget = (people, expenses) => {
-  const totalAnnualSalary = people.reduce((total, person) => total + (person.salary || 0), 0)
-  const totalMonthlySalary = totalAnnualSalary / 12
-
-  const totalExpenses = expenses.reduce((total, expense) => {
-    return total + getMonthlyAmount(expense.amount, expense.frequency)
-  }, 0)
-
-  const remainingBudget = totalMonthlySalary - totalExpenses
-  const budgetRatio = totalMonthlySalary ? totalExpenses / totalMonthlySalary : 0
-  const isPositive = remainingBudget >= 0
+export const calculateMonthlyBudget = (people, expenses, { month, year = getCurrentYear(), settings, savingsGoals } = {}) => {
+  const budgetYear = month ? parseMonthKey(month).year : year
+  const totalMonthlyIncome = getHouseholdMonthlyIncome(people, { month, year })
+  const savingsExpenses = getSavingsContributionExpenses(savingsGoals, budgetYear)
+  const totals = sumMonthOrAverageProjections([...expenses, ...savingsExpenses], { month, year }, settings)
+  // L'impôt est prélevé à la source par douzièmes
+  const { annualTax } = calculateHouseholdIncomeTax(people, settings, { year: budgetYear })
 
   return {
-    totalExpenses: Math.round(totalExpenses * 100) / 100,
-    remainingBudget: Math.round(remainingBudget * 100) / 100,
-    budgetRatio: Math.round(budgetRatio * 1000) / 1000,
-    isPositive
+    ...buildBudgetSummary(totalMonthlyIncome, totals, annualTax / 12),
+    savingsContributions: roundAmount(sumMonthOrAverageProjections(savingsExpenses, { month, year }, settings).expected)
   }
 }
 
@@ -196,114 +469,221 @@ export const getSharedExpenses = (expenses) => {
   return expenses.filter(expense => expense.assignedTo === 'commun')
 }
 
+/**
+ * Calcule les parts d'une dépense partagée entre une partie des personnes
+ * Les poids sont normalisés sur les personnes existantes ; une dépense commune
+ * sans parts définies suit la politique de répartition du ménage
+ * @param {object} expense - Dépense à analyser
+ * @param {Array} people - Liste des personnes
+ * @returns {object|null} Part (entre 0 et 1) par ID de personne, ou null si la dépense n'est pas partagée par sous-ensemble
+ *
+ * @example
+ * // Entrée
+ * getExpenseShares({ assignedTo: 'commun', shares: { 'person-a': 2, 'person-c': 1 } }, [{id: 'person-a'}, {id: 'person-b'}, {id: 'person-c'}])
+ *
+ * // Sortie
+ * { 'person-a': 0.667, 'person-c': 0.333 }
+ */
+export const getExpenseShares = (expense, people) => {
+  if (expense.assignedTo !== ASSIGNMENT_OPTIONS.BOTH || !expense.shares) return null
+
+  const weights = people
+    .map(person => [person.id, Math.max(0, Number(expense.shares[person.id]) || 0)])
+    .filter(([, weight]) => weight > 0)
+  const totalWeight = weights.reduce((total, [, weight]) => total + weight, 0)
+  if (totalWeight === 0) return null
+
+  return Object.fromEntries(weights.map(([personId, weight]) => [personId, weight / totalWeight]))
+}
+
+/**
+ * Calcule la part de chaque personne dans les dépenses communes
+ * - equal : parts égales
+ * - salary : proportionnelle au revenu
+ * - remaining-income : proportionnelle au revenu restant après dépenses personnelles
+ * - custom : pourcentages personnalisés (normalisés si leur somme diffère de 100)
+ * Les parts égales s'appliquent si aucune base de répartition n'est disponible (revenus nuls...)
+ * @param {Array} people - Liste des personnes
+ * @param {object} [settings] - Paramètres du ménage { splitPolicy, customSplitShares }
+ * @param {object} [bases] - Bases de calcul sur la période
+ * @param {object} [bases.incomes] - Revenu par ID de personne
+ * @param {object} [bases.personalExpenses] - Dépenses personnelles par ID de personne
+ * @returns {object} Part (entre 0 et 1) par ID de personne
+ *
+ * @example
+ * // Entrée
+ * calculateSplitShares([{id: 'person-a'}, {id: 'person-b'}], { splitPolicy: 'salary' }, { incomes: { 'person-a': 3000, 'person-b': 1000 } })
+ *
+ * // Sortie
+ * { 'person-a': 0.75, 'person-b': 0.25 }
+ */
+export const calculateSplitShares = (people, settings = {}, { incomes = {}, personalExpenses = {} } = {}) => {
+  const { splitPolicy = SPLIT_POLICIES.EQUAL, customSplitShares = {} } = settings
+
+  const weights = people.map(person => {
+    switch (splitPolicy) {
+      case SPLIT_POLICIES.SALARY:
+        return Math.max(0, incomes[person.id] || 0)
+      case SPLIT_POLICIES.REMAINING_INCOME:
+        return Math.max(0, (incomes[person.id] || 0) - (personalExpenses[person.id] || 0))
+      case SPLIT_POLICIES.CUSTOM:
+        return Math.max(0, Number(customSplitShares[person.id]) || 0)
+      default:
+        return 1
+    }
+  })
+  const totalWeight = weights.reduce((total, weight) => total + weight, 0)
+
+  return people.reduce((shares, person, index) => {
+    shares[person.id] = totalWeight > 0 ? weights[index] / totalWeight : 1 / people.length
+    return shares
+  }, {})
+}
+
+/**
+ * Calcule le budget d'une personne sur une période
+ * Inclut les dépenses personnelles, sa part des dépenses communes selon la politique du ménage
+ * et sa part des dépenses partagées avec seulement certaines personnes
+ * @param {object} person - Personne concernée
+ * @param {Array} people - Liste des personnes
+ * @param {Array} expenses - Liste des dépenses
+ * @param {object} period - Fonctions de calcul sur la période
+ * @param {Function} period.getIncome - Revenu d'une personne sur la période
+ * @param {Function} period.sumTotals - Fonction de totalisation des dépenses sur la période
+ * @param {number} [period.incomeTax] - Part de l'impôt sur le revenu de la personne sur la période
+ * @param {object} [settings] - Paramètres du ménage (politique de répartition)
+ * @returns {object} Résumé budgétaire de la personne
+ */
+const calculatePersonBudget = (person, people, expenses, { getIncome, sumTotals, incomeTax = 0 }, settings) => {
+  const personalTotals = sumTotals(getPersonExpenses(person.id, expenses))
+  const sharedExpenses = getSharedExpenses(expenses)
+
+  // Dépenses communes à tout le ménage (politique de répartition) et partagées par sous-ensemble (parts propres)
+  const householdTotals = sumTotals(sharedExpenses.filter(expense => !getExpenseShares(expense, people)))
+  const subsetTotals = sharedExpenses.reduce((totals, expense) => {
+    const expenseShare = getExpenseShares(expense, people)?.[person.id]
+    if (!expenseShare) return totals
+
+    const expenseTotals = sumTotals([expense])
+    return {
+      low: totals.low + expenseTotals.low * expenseShare,
+      expected: totals.expected + expenseTotals.expected * expenseShare,
+      high: totals.high + expenseTotals.high * expenseShare
+    }
+  }, { low: 0, expected: 0, high: 0 })
+
+  // Bases de répartition de toutes les personnes sur la même période
+  const incomes = {}
+  const personalExpenses = {}
+  people.forEach(p => {
+    incomes[p.id] = getIncome(p)
+    personalExpenses[p.id] = p.id === person.id
+      ? personalTotals.expected
+      : sumTotals(getPersonExpenses(p.id, expenses)).expected
+  })
+  const share = calculateSplitShares(people, settings, { incomes, personalExpenses })[person.id] || 0
+
+  const totals = {
+    low: personalTotals.low + householdTotals.low * share + subsetTotals.low,
+    expected: personalTotals.expected + householdTotals.expected * share + subsetTotals.expected,
+    high: personalTotals.high + householdTotals.high * share + subsetTotals.high
+  }
+
+  return {
+    personalExpenses: roundAmount(personalTotals.expected),
+    sharedExpenses: roundAmount(householdTotals.expected * share + subsetTotals.expected),
+    sharedExpensesShare: share,
+    ...buildBudgetSummary(getIncome(person), totals, incomeTax)
+  }
+}
+
 /**
  * Calcule le budget annuel pour une personne spécifique
  * Inclut les dépenses personnelles et la part des dépenses communes
  * @param {string} personId - ID de la personne
  * @param {Array} people - Liste des personnes avec leurs salaires
  * @param {Array} expenses - Liste des dépenses
+ * @param {object} [options] - Options de calcul
+ * @param {number} [options.year] - Année budgétaire (défaut: année en cours)
+ * @param {object} [options.settings] - Paramètres du ménage (répartition des dépenses communes, devise et taux de change)
+ * @param {Array} [options.savingsGoals] - Objectifs d'épargne (versements répartis comme les dépenses)
  * @returns {object} Résumé budgétaire annuel pour la personne
  *
  * @example
  * // Entrée
- * calculatePersonAnnualBudget('person-a', [{id: 'person-a', salary: 30000}], [...expenses])
+ * calculatePersonAnnualBudget('person-a', [{id: 'person-a', salary: 30000}], [...expenses], { year: 2026 })
  *
  * // Sortie
  * {
  *   personalExpenses: 5000,
  *   sharedExpenses: 2000,
+ *   sharedExpensesShare: 0.5,
  *   totalExpenses: 7000,
  *   remainingBudget: 23000,
  *   budgetRatio: 0.233,
- *   isPositive: true
+ *   isPositive: true,
+ *   totalExpensesLow: 6500,
+ *   totalExpensesHigh: 7500,
+ *   remainingBudgetLow: 22500,
+ *   remainingBudgetHigh: 23500,
+ *   hasRange: true
  * }
  */
-export const calculatePersonAnnualBudget = (personId, people, expenses) => {
+export const calculatePersonAnnualBudget = (personId, people, expenses, { year = getCurrentYear(), settings, savingsGoals } = {}) => {
   const person = people.find(p => p.id === personId)
   if (!person) return null
 
-  const personSalary = person.salary || 0
-  const personExpenses = getPersonExpenses(personId, expenses)
-  const sharedExpenses = getSharedExpenses(expenses)
-
-  // Calcul des dépenses personnelles annuelles
-  const personalExpensesTotal = personExpenses.reduce((total, expense) => {
-    return total + getAnnualAmount(expense.amount, expense.frequency)
-  }, 0)
-
-  // Calcul de la part des dépenses communes (réparties équitablement)
-  const numberOfPeople = people.length
-  const sharedExpensesTotal = sharedExpenses.reduce((total, expense) => {
-    return total + getAnnualAmount(expense.amount, expense.frequency)
-  }, 0) / numberOfPeople
-
-  const totalExpenses = personalExpensesTotal + sharedExpensesTotal
-  const remainingBudget = personSalary - totalExpenses
-  const budgetRatio = personSalary ? totalExpenses / personSalary : 0
-  const isPositive = remainingBudget >= 0
-
-  return {
-    personalExpenses: Math.round(personalExpensesTotal * 100) / 100,
-    sharedExpenses: Math.round(sharedExpensesTotal * 100) / 100,
-    totalExpenses: Math.round(totalExpenses * 100) / 100,
-    remainingBudget: Math.round(remainingBudget * 100) / 100,
-    budgetRatio: Math.round(budgetRatio * 1000) / 1000,
-    isPositive
-  }
+  const budgetExpenses = [...expenses, ...getSavingsContributionExpenses(savingsGoals, year)]
+  return calculatePersonBudget(person, people, budgetExpenses, {
+    getIncome: (p) => getPersonAnnualIncome(p, year),
+    sumTotals: (personExpenses) => sumAnnualProjections(personExpenses, year, settings),
+    incomeTax: calculateHouseholdIncomeTax(people, settings, { year }).byPerson[personId] || 0
+  }, settings)
 }
 
 /**
  * Calcule le budget mensuel pour une personne spécifique
  * Inclut les dépenses personnelles et la part des dépenses communes
+ * actives pour le mois donné (ou pour un mois moyen si aucun mois n'est précisé)
  * @param {string} personId - ID de la personne
  * @param {Array} people - Liste des personnes avec leurs salaires
  * @param {Array} expenses - Liste des dépenses
+ * @param {object} [options] - Options de calcul
+ * @param {string} [options.month] - Mois (format YYYY-MM)
+ * @param {number} [options.year] - Année du mois moyen (défaut: année en cours)
+ * @param {object} [options.settings] - Paramètres du ménage (répartition des dépenses communes, devise et taux de change)
+ * @param {Array} [options.savingsGoals] - Objectifs d'épargne (versements répartis comme les dépenses)
  * @returns {object} Résumé budgétaire mensuel pour la personne
  *
  * @example
  * // Entrée
- * calculatePersonMonthlyBudget('person-a', [{id: 'person-a', salary: 30000}], [...expenses])
+ * calculatePersonMonthlyBudget('person-a', [{id: 'person-a', salary: 30000}], [...expenses], { month: '2026-01' })
  *
  * // Sortie
  * {
  *   personalExpenses: 416.67,
  *   sharedExpenses: 166.67,
+ *   sharedExpensesShare: 0.5,
  *   totalExpenses: 583.33,
  *   remainingBudget: 1916.67,
  *   budgetRatio: 0.233,
- *   isPositive: true
+ *   isPositive: true,
+ *   totalExpensesLow: 583.33,
+ *   totalExpensesHigh: 583.33,
+ *   remainingBudgetLow: 1916.67,
+ *   remainingBudgetHigh: 1916.67,
+ *   hasRange: false
  * }
  */
-export const calculatePersonMonthlyBudget = (personId, people, expenses) => {
+export const calculatePersonMonthlyBudget = (personId, people, expenses, { month, year = getCurrentYear(), settings, savingsGoals } = {}) => {
   const person = people.find(p => p.id === personId)
   if (!person) return null
 
-  const personMonthlySalary = (person.salary || 0) / 12
-  const personExpenses = getPersonExpenses(personId, expenses)
-  const sharedExpenses = getSharedExpenses(expenses)
-
-  // Calcul des dépenses personnelles mensuelles
-  const personalExpensesTotal = personExpenses.reduce((total, expense) => {
-    return total + getMonthlyAmount(expense.amount, expense.frequency)
-  }, 0)
-
-  // Calcul de la part des dépenses communes (réparties équitablement)
-  const numberOfPeople = people.length
-  const sharedExpensesTotal = sharedExpenses.reduce((total, expense) => {
-    return total + getMonthlyAmount(expense.amount, expense.frequency)
-  }, 0) / numberOfPeople
-
-  const totalExpenses = personalExpensesTotal + sharedExpensesTotal
-  const remainingBudget = personMonthlySalary - totalExpenses
-  const budgetRatio = personMonthlySalary ? totalExpenses / personMonthlySalary : 0
-  const isPositive = remainingBudget >= 0
-
-  return {
-    personalExpenses: Math.round(personalExpensesTotal * 100) / 100,
-    sharedExpenses: Math.round(sharedExpensesTotal * 100) / 100,
-    totalExpenses: Math.round(totalExpenses * 100) / 100,
-    remainingBudget: Math.round(remainingBudget * 100) / 100,
-    budgetRatio: Math.round(budgetRatio * 1000) / 1000,
-    isPositive
-  }
-}
\ No newline at end of file
+  const budgetYear = month ? parseMonthKey(month).year : year
+  const budgetExpenses = [...expenses, ...getSavingsContributionExpenses(savingsGoals, budgetYear)]
+  return calculatePersonBudget(person, people, budgetExpenses, {
+    getIncome: (p) => getPersonMonthlyIncome(p, { month, year }),
+    sumTotals: (personExpenses) => sumMonthOrAverageProjections(personExpenses, { month, year }, settings),
+    incomeTax: (calculateHouseholdIncomeTax(people, settings, { year: budgetYear }).byPerson[personId] || 0) / 12
+  }, settings)
+}
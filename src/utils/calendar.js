@@ -0,0 +1,222 @@
+/**
+ * Utilitaires de calendrier budgétaire - Génération des mois et années du budget
+ *
+ * Fonctionnalités métier :
+ * - Génération des clés de mois (format YYYY-MM) pour n'importe quelle année
+ * - Conversion entre clé de mois, année et numéro de mois
+ * - Libellés français des mois, avec ou sans année
+ * - Calcul des années disponibles selon les périodes des dépenses
+ * - Décalage d'un mois et nombre de mois entre deux mois (objectifs à date cible)
+ * - Lecture des dates sans heure (YYYY-MM-DD) en date locale
+ *
+ * Objectif : Permettre de budgétiser sur plusieurs années sans
+ * calendrier figé, en fournissant une source unique pour tous
+ * les calculs de mois et d'années de l'application.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+
+import { MONTH_NUMBERS, MONTH_NAMES } from '../models/constants.js'
+
+/**
+ * Construit la clé d'un mois
+ * @param {number} year - Année (ex: 2026)
+ * @param {number} monthNumber - Numéro du mois (1 à 12)
+ * @returns {string} Clé du mois au format YYYY-MM
+ *
+ * @example
+ * // Entrée
+ * getMonthKey(2026, 3)
+ *
+ * // Sortie
+ * "2026-03"
+ */
+export const getMonthKey = (year, monthNumber) => {
+  return `${year}-${String(monthNumber).padStart(2, '0')}`
+}
+
+/**
+ * Décompose une clé de mois en année et numéro de mois
+ * @param {string} monthKey - Clé du mois au format YYYY-MM
+ * @returns {object} Année et numéro du mois { year, month }
+ *
+ * @example
+ * // Entrée
+ * parseMonthKey('2026-03')
+ *
+ * // Sortie
+ * { year: 2026, month: 3 }
+ */
+export const parseMonthKey = (monthKey) => {
+  const [year, month] = monthKey.split('-').map(Number)
+  return { year, month }
+}
+
+/**
+ * Génère les douze clés de mois d'une année
+ * @param {number} year - Année
+ * @returns {Array<string>} Clés des mois de janvier à décembre
+ *
+ * @example
+ * // Entrée
+ * getYearMonths(2026)
+ *
+ * // Sortie
+ * ["2026-01", "2026-02", ..., "2026-12"]
+ */
+export const getYearMonths = (year) => {
+  return MONTH_NUMBERS.map(monthNumber => getMonthKey(year, monthNumber))
+}
+
+/**
+ * Obtient le libellé français d'un mois
+ * @param {string} monthKey - Clé du mois au format YYYY-MM
+ * @param {boolean} withYear - Ajoute l'année au libellé (défaut: false)
+ * @returns {string} Libellé du mois
+ *
+ * @example
+ * // Entrée
+ * getMonthLabel('2026-03', true)
+ *
+ * // Sortie
+ * "Mars 2026"
+ */
+export const getMonthLabel = (monthKey, withYear = false) => {
+  const { year, month } = parseMonthKey(monthKey)
+  const monthName = MONTH_NAMES[month] || monthKey
+  return withYear ? `${monthName} ${year}` : monthName
+}
+
+/**
+ * Obtient l'année civile en cours
+ * @returns {number} Année en cours
+ */
+export const getCurrentYear = () => {
+  return new Date().getFullYear()
+}
+
+/**
+ * Obtient le numéro du mois en cours
+ * @returns {number} Numéro du mois en cours (1 à 12)
+ */
+export const getCurrentMonthNumber = () => {
+  return new Date().getMonth() + 1
+}
+
+/**
+ * Obtient la clé du mois en cours
+ * @returns {string} Clé du mois en cours au format YYYY-MM
+ */
+export const getCurrentMonthKey = () => {
+  return getMonthKey(getCurrentYear(), getCurrentMonthNumber())
+}
+
+/**
+ * Obtient la date du jour en heure locale
+ * toISOString() donnerait la date UTC, déjà le lendemain le soir dans les fuseaux en retard sur UTC
+ * @returns {string} Date du jour au format YYYY-MM-DD
+ */
+export const getTodayKey = () => {
+  return `${getCurrentMonthKey()}-${String(new Date().getDate()).padStart(2, '0')}`
+}
+
+/**
+ * Décale une clé de mois d'un nombre de mois (positif ou négatif)
+ * @param {string} monthKey - Clé du mois au format YYYY-MM
+ * @param {number} count - Nombre de mois à ajouter
+ * @returns {string} Clé du mois décalé
+ *
+ * @example
+ * // Entrée
+ * addMonths('2026-11', 3)
+ *
+ * // Sortie
+ * "2027-02"
+ */
+export const addMonths = (monthKey, count) => {
+  const { year, month } = parseMonthKey(monthKey)
+  const monthIndex = year * 12 + (month - 1) + count
+  return getMonthKey(Math.floor(monthIndex / 12), (monthIndex % 12) + 1)
+}
+
+/**
+ * Compte les mois de la période entre deux mois, bornes incluses
+ * @param {string} fromMonthKey - Premier mois (format YYYY-MM)
+ * @param {string} toMonthKey - Dernier mois (format YYYY-MM)
+ * @returns {number} Nombre de mois (0 si le dernier mois précède le premier)
+ *
+ * @example
+ * // Entrée
+ * countMonthsBetween('2026-10', '2027-03')
+ *
+ * // Sortie
+ * 6
+ */
+export const countMonthsBetween = (fromMonthKey, toMonthKey) => {
+  const from = parseMonthKey(fromMonthKey)
+  const to = parseMonthKey(toMonthKey)
+  return Math.max(0, (to.year - from.year) * 12 + (to.month - from.month) + 1)
+}
+
+/**
+ * Compte les jours d'un mois
+ * @param {string} monthKey - Clé du mois au format YYYY-MM
+ * @returns {number} Nombre de jours (28 à 31)
+ *
+ * @example
+ * // Entrée
+ * getDaysInMonth('2028-02')
+ *
+ * // Sortie
+ * 29
+ */
+export const getDaysInMonth = (monthKey) => {
+  const { year, month } = parseMonthKey(monthKey)
+  return new Date(year, month, 0).getDate()
+}
+
+/**
+ * Convertit une date sans heure en date locale
+ * new Date('YYYY-MM-DD') la lirait à minuit UTC, soit la veille dans les fuseaux en retard sur UTC
+ * @param {string} dateKey - Date au format YYYY-MM-DD
+ * @returns {Date} Date à minuit, heure locale
+ *
+ * @example
+ * // Entrée
+ * parseDateKey('2026-03-05')
+ *
+ * // Sortie
+ * Date du 5 mars 2026 à 00:00 (heure locale)
+ */
+export const parseDateKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number)
+  return new Date(year, month - 1, day)
+}
+
+/**
+ * Calcule les années proposées à l'utilisateur
+ * Couvre l'année précédente, l'année en cours, les deux suivantes
+ * et toutes les années des périodes de dépenses
+ * @param {Array} expenses - Liste des dépenses
+ * @returns {Array<number>} Années triées par ordre croissant
+ *
+ * @example
+ * // Entrée (en 2026)
+ * getAvailableYears([{ startMonth: '2030-01' }])
+ *
+ * // Sortie
+ * [2025, 2026, 2027, 2028, 2029, 2030]
+ */
+export const getAvailableYears = (expenses) => {
+  const currentYear = getCurrentYear()
+  const boundaryYears = expenses
+    .flatMap(expense => [expense.startMonth, expense.endMonth])
+    .filter(Boolean)
+    .map(monthKey => parseMonthKey(monthKey).year)
+
+  const firstYear = Math.min(currentYear - 1, ...boundaryYears)
+  const lastYear = Math.max(currentYear + 2, ...boundaryYears)
+
+  return Array.from({ length: lastYear - firstYear + 1 }, (_, index) => firstYear + index)
+}
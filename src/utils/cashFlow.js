@@ -0,0 +1,208 @@
+/**
+ * Trésorerie au jour le jour - Projection du solde du compte jour par jour
+ *
+ * Fonctionnalités métier :
+ * - Jour d'échéance des dépenses et jour de versement des salaires et autres revenus
+ * - Échéances quotidiennes, hebdomadaires ou toutes les deux semaines réparties dans le mois
+ * - Prélèvement à la source de l'impôt le jour du versement du salaire
+ * - Versements des objectifs d'épargne en début de mois
+ * - Solde de fin de journée, solde de fin de mois et point bas de chaque mois
+ * - Enchaînement des mois de l'année à partir du solde au 1er janvier
+ *
+ * Objectif : Montrer au ménage à quel moment du mois son compte est
+ * au plus bas (loyer le 1er, salaire le 28...) et l'alerter avant
+ * un découvert, même lorsque le budget mensuel est équilibré.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+
+import { EXPENSE_FREQUENCIES, FREQUENCY_REGISTRY, DEFAULT_EXPENSE_DUE_DAY, DEFAULT_INCOME_DAY } from '../models/constants.js'
+import { getYearMonths, getDaysInMonth, parseMonthKey } from './calendar.js'
+import { getExpenseMonthlyProjection } from './calculations.js'
+import { isSubMonthlyFrequency } from './frequencies.js'
+import { getIncomeSources, getIncomeSourceMonthlyAmount } from './income.js'
+import { getNetAnnualSalary, getSalaryMonthShare } from './payroll.js'
+import { calculateHouseholdIncomeTax } from './incomeTax.js'
+import { getSavingsContributionExpenses } from './savings.js'
+
+/**
+ * Arrondit un montant au centime
+ * @param {number} amount - Montant à arrondir
+ * @returns {number} Montant arrondi
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100
+
+/**
+ * Calcule les jours d'un mois où tombe une échéance
+ * - Fréquences infra-mensuelles : tous les N jours du registre, à partir du premier jour
+ *   du mois qui tombe au même rang que le jour d'échéance
+ * - Autres fréquences : le jour d'échéance, ramené au dernier jour des mois plus courts
+ * @param {string} frequency - Fréquence de l'échéance
+ * @param {number} dueDay - Jour d'échéance (1 à 31)
+ * @param {string} monthKey - Mois (format YYYY-MM)
+ * @returns {Array<number>} Jours du mois concernés
+ *
+ * @example
+ * // Entrée
+ * getDueDays('weekly', 10, '2026-03')
+ *
+ * // Sortie
+ * [3, 10, 17, 24, 31]
+ */
+export const getDueDays = (frequency, dueDay, monthKey) => {
+  const daysInMonth = getDaysInMonth(monthKey)
+  if (!isSubMonthlyFrequency(frequency)) return [Math.min(dueDay, daysInMonth)]
+
+  const { dayInterval } = FREQUENCY_REGISTRY[frequency]
+  const days = []
+  for (let day = ((dueDay - 1) % dayInterval) + 1; day <= daysInMonth; day += dayInterval) days.push(day)
+  return days
+}
+
+/**
+ * Répartit le montant d'un mois sur les jours d'échéance
+ * @param {string} label - Libellé de l'opération
+ * @param {number} amount - Montant du mois (positif pour un revenu, négatif pour une dépense)
+ * @param {Array<number>} days - Jours d'échéance
+ * @returns {Array} Opérations { day, label, amount }
+ */
+const spreadOverDays = (label, amount, days) => {
+  if (amount === 0) return []
+  return days.map(day => ({ day, label, amount: amount / days.length }))
+}
+
+/**
+ * Liste les opérations d'un mois : revenus, dépenses, impôt prélevé à la source et épargne
+ * @param {Array} people - Liste des personnes
+ * @param {Array} expenses - Liste des dépenses
+ * @param {object} options - Période et paramètres
+ * @param {string} options.month - Mois (format YYYY-MM)
+ * @param {object} [options.settings] - Paramètres du ménage
+ * @param {Array} [options.savingsGoals] - Objectifs d'épargne
+ * @param {object} [options.taxByPerson] - Impôt annuel par ID de personne (défaut: estimation de l'année)
+ * @returns {Array} Opérations { day, label, amount } (montant négatif pour une sortie)
+ *
+ * @example
+ * // Entrée
+ * getMonthCashFlowEvents([{ id: 'a', name: 'Alice', salary: 30000, salaryDay: 28 }], [{ name: 'Loyer', amount: 900, frequency: 'monthly', dueDay: 1 }], { month: '2026-03' })
+ *
+ * // Sortie
+ * [{ day: 28, label: 'Salaire de Alice', amount: 2500 }, { day: 1, label: 'Loyer', amount: -900 }]
+ */
+export const getMonthCashFlowEvents = (people, expenses, { month, settings, savingsGoals, taxByPerson } = {}) => {
+  const { year, month: monthNumber } = parseMonthKey(month)
+  const taxes = taxByPerson || calculateHouseholdIncomeTax(people, settings, { year }).byPerson
+
+  const incomeEvents = people.flatMap(person => {
+    const salaryDays = getDueDays(EXPENSE_FREQUENCIES.MONTHLY, person.salaryDay || DEFAULT_INCOME_DAY, month)
+    const personName = person.name || 'Sans nom'
+
+    return [
+      ...spreadOverDays(`Salaire de ${personName}`, getNetAnnualSalary(person) * getSalaryMonthShare(person, monthNumber), salaryDays),
+      ...spreadOverDays(`Impôt prélevé à la source de ${personName}`, -(taxes[person.id] || 0) / 12, salaryDays),
+      ...getIncomeSources(person).flatMap(source => spreadOverDays(
+        source.name,
+        getIncomeSourceMonthlyAmount(source, month),
+        getDueDays(source.frequency, source.dueDay || DEFAULT_INCOME_DAY, month)
+      ))
+    ]
+  })
+
+  const expenseEvents = [...expenses, ...getSavingsContributionExpenses(savingsGoals, year)]
+    .flatMap(expense => spreadOverDays(
+      expense.savingsGoalId ? `Épargne : ${expense.name}` : expense.name,
+      -getExpenseMonthlyProjection(expense, month, settings).expected,
+      getDueDays(expense.frequency, expense.dueDay || DEFAULT_EXPENSE_DUE_DAY, month)
+    ))
+
+  return [...incomeEvents, ...expenseEvents]
+}
+
+/**
+ * Projette le solde du compte jour par jour sur un mois
+ * Le solde de chaque jour est celui de fin de journée, toutes opérations du jour passées
+ * @param {Array} people - Liste des personnes
+ * @param {Array} expenses - Liste des dépenses
+ * @param {object} options - Période, solde initial et paramètres
+ * @param {string} options.month - Mois (format YYYY-MM)
+ * @param {number} [options.openingBalance] - Solde au début du mois (défaut: 0)
+ * @param {object} [options.settings] - Paramètres du ménage
+ * @param {Array} [options.savingsGoals] - Objectifs d'épargne
+ * @param {object} [options.taxByPerson] - Impôt annuel par ID de personne (défaut: estimation de l'année)
+ * @returns {object} Trésorerie du mois { month, openingBalance, closingBalance, lowestBalance, lowestDay, days }
+ *
+ * @example
+ * // Entrée
+ * calculateMonthCashFlow(people, [{ name: 'Loyer', amount: 900, frequency: 'monthly', dueDay: 1 }], { month: '2026-03', openingBalance: 500 })
+ *
+ * // Sortie
+ * {
+ *   month: '2026-03',
+ *   openingBalance: 500,
+ *   closingBalance: 2100,
+ *   lowestBalance: -400,
+ *   lowestDay: 1,
+ *   days: [{ day: 1, date: '2026-03-01', events: [{ day: 1, label: 'Loyer', amount: -900 }], net: -900, balance: -400 }, ...]
+ * }
+ */
+export const calculateMonthCashFlow = (people, expenses, { month, openingBalance = 0, settings, savingsGoals, taxByPerson } = {}) => {
+  const events = getMonthCashFlowEvents(people, expenses, { month, settings, savingsGoals, taxByPerson })
+  let balance = Number(openingBalance) || 0
+  let lowestBalance = null
+  let lowestDay = null
+
+  const days = Array.from({ length: getDaysInMonth(month) }, (_, index) => {
+    const day = index + 1
+    const dayEvents = events
+      .filter(event => event.day === day)
+      .map(event => ({ ...event, amount: roundAmount(event.amount) }))
+    const net = roundAmount(dayEvents.reduce((total, event) => total + event.amount, 0))
+    balance = roundAmount(balance + net)
+
+    if (lowestBalance === null || balance < lowestBalance) {
+      lowestBalance = balance
+      lowestDay = day
+    }
+
+    return { day, date: `${month}-${String(day).padStart(2, '0')}`, events: dayEvents, net, balance }
+  })
+
+  return {
+    month,
+    openingBalance: roundAmount(Number(openingBalance) || 0),
+    closingBalance: balance,
+    lowestBalance,
+    lowestDay,
+    days
+  }
+}
+
+/**
+ * Projette la trésorerie de chaque mois d'une année, le solde de fin de mois
+ * servant de solde initial au mois suivant
+ * @param {Array} people - Liste des personnes
+ * @param {Array} expenses - Liste des dépenses
+ * @param {object} options - Année, solde initial et paramètres
+ * @param {number} options.year - Année budgétaire
+ * @param {number} [options.openingBalance] - Solde au 1er janvier (défaut: 0)
+ * @param {object} [options.settings] - Paramètres du ménage
+ * @param {Array} [options.savingsGoals] - Objectifs d'épargne
+ * @returns {Array} Trésorerie de chaque mois (voir calculateMonthCashFlow)
+ */
+export const calculateYearCashFlow = (people, expenses, { year, openingBalance = 0, settings, savingsGoals } = {}) => {
+  const taxByPerson = calculateHouseholdIncomeTax(people, settings, { year }).byPerson
+  let monthOpeningBalance = openingBalance
+
+  return getYearMonths(year).map(month => {
+    const monthCashFlow = calculateMonthCashFlow(people, expenses, {
+      month,
+      openingBalance: monthOpeningBalance,
+      settings,
+      savingsGoals,
+      taxByPerson
+    })
+    monthOpeningBalance = monthCashFlow.closingBalance
+    return monthCashFlow
+  })
+}
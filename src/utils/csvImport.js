@@ -0,0 +1,366 @@
+/**
+ * Import CSV de relevés bancaires - Conversion des opérations en dépenses
+ *
+ * Fonctionnalités métier :
+ * - Lecture d'un fichier CSV (séparateur détecté, champs entre guillemets)
+ * - Détection automatique des colonnes date, libellé, montant, débit et crédit
+ * - Lecture des nombres au format français ou anglais (virgule ou point décimal)
+ * - Lecture des dates aux formats JJ/MM/AAAA et AAAA-MM-JJ
+ * - Catégorisation automatique des opérations à partir de mots-clés
+ * - Assignation automatique à la personne citée dans le libellé
+ * - Conversion de chaque débit en dépense ponctuelle sur son mois
+ *
+ * Objectif : Permettre de reporter les dépenses réelles d'un relevé
+ * bancaire dans le budget sans les saisir une par une.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+
+import {
+  CSV_COLUMNS,
+  CSV_COLUMN_KEYWORDS,
+  CATEGORY_KEYWORDS,
+  COMMON_EXPENSE_CATEGORIES,
+  EXPENSE_FREQUENCIES,
+  AMOUNT_MODES
+} from '../models/constants.js'
+import { getMonthKey, getDaysInMonth } from './calendar.js'
+
+// Séparateurs de colonnes reconnus, par ordre de préférence
+const CSV_DELIMITERS = [';', ',', '\t']
+
+/**
+ * Normalise un texte pour les comparaisons par mots-clés
+ * @param {string} text - Texte à normaliser
+ * @returns {string} Texte en minuscules sans accents
+ */
+export const normalizeText = (text) => {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim()
+}
+
+/**
+ * Indique si un texte normalisé contient un mot-clé (mot entier)
+ * @param {string} normalizedText - Texte normalisé
+ * @param {string} keyword - Mot-clé normalisé
+ * @returns {boolean} True si le mot-clé est présent
+ */
+export const containsKeyword = (normalizedText, keyword) => {
+  const escapedKeyword = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  return new RegExp(`(^|[^a-z0-9])${escapedKeyword}($|[^a-z0-9])`).test(normalizedText)
+}
+
+/**
+ * Détecte le séparateur de colonnes d'un fichier CSV
+ * Retient le séparateur le plus fréquent sur la première ligne
+ * @param {string} text - Contenu du fichier
+ * @returns {string} Séparateur détecté
+ *
+ * @example
+ * // Entrée
+ * detectCsvDelimiter('Date;Libellé;Montant\n01/02/2026;Loyer;-900,00')
+ *
+ * // Sortie
+ * ";"
+ */
+export const detectCsvDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/)[0] || ''
+  const counts = CSV_DELIMITERS.map(delimiter => firstLine.split(delimiter).length - 1)
+  const bestIndex = counts.indexOf(Math.max(...counts))
+  return CSV_DELIMITERS[bestIndex]
+}
+
+/**
+ * Découpe un contenu CSV en lignes et cellules
+ * Gère les champs entre guillemets (séparateurs, retours à la ligne et guillemets doublés)
+ * @param {string} text - Contenu du fichier
+ * @param {string} delimiter - Séparateur de colonnes (défaut: détecté)
+ * @returns {Array<Array<string>>} Lignes non vides du fichier
+ *
+ * @example
+ * // Entrée
+ * parseCsv('Date;Libellé\n01/02/2026;"Loyer; février"')
+ *
+ * // Sortie
+ * [["Date", "Libellé"], ["01/02/2026", "Loyer; février"]]
+ */
+export const parseCsv = (text, delimiter = detectCsvDelimiter(text)) => {
+  const rows = []
+  let row = []
+  let cell = ''
+  let isQuoted = false
+
+  // Suppression de l'éventuel BOM ajouté par les tableurs
+  const content = text.replace(/^\uFEFF/, '')
+
+  for (let index = 0; index < content.length; index++) {
+    const char = content[index]
+
+    if (isQuoted) {
+      if (char === '"' && content[index + 1] === '"') {
+        cell += '"'
+        index++
+      } else if (char === '"') {
+        isQuoted = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"') {
+      isQuoted = true
+    } else if (char === delimiter) {
+      row.push(cell.trim())
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[index + 1] === '\n') index++
+      row.push(cell.trim())
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+
+  row.push(cell.trim())
+  rows.push(row)
+
+  return rows.filter(cells => cells.some(value => value !== ''))
+}
+
+/**
+ * Convertit un montant saisi au format local en nombre
+ * Le dernier séparateur (virgule ou point) est considéré comme séparateur décimal
+ * @param {string} value - Montant textuel (ex: "1 234,56", "-12.50", "1,234.56 €")
+ * @returns {number|null} Montant ou null si illisible
+ *
+ * @example
+ * // Entrée
+ * parseLocaleNumber('-1 234,56 €')
+ *
+ * // Sortie
+ * -1234.56
+ */
+export const parseLocaleNumber = (value) => {
+  if (value === undefined || value === null) return null
+
+  let cleaned = String(value).replace(/[^0-9.,-]/g, '')
+  if (!/\d/.test(cleaned)) return null
+
+  const lastComma = cleaned.lastIndexOf(',')
+  const lastDot = cleaned.lastIndexOf('.')
+
+  if (lastComma > lastDot) {
+    // Format français : les points éventuels sont des séparateurs de milliers
+    cleaned = cleaned.replace(/\./g, '').replace(',', '.')
+  } else {
+    // Format anglais : les virgules éventuelles sont des séparateurs de milliers
+    cleaned = cleaned.replace(/,/g, '')
+  }
+
+  const number = parseFloat(cleaned)
+  return isNaN(number) ? null : number
+}
+
+/**
+ * Convertit une date de relevé bancaire en date ISO
+ * @param {string} value - Date textuelle (JJ/MM/AAAA, JJ-MM-AAAA, JJ.MM.AAAA ou AAAA-MM-JJ)
+ * @returns {string|null} Date au format AAAA-MM-JJ ou null si illisible
+ *
+ * @example
+ * // Entrée
+ * parseCsvDate('05/02/2026')
+ *
+ * // Sortie
+ * "2026-02-05"
+ */
+export const parseCsvDate = (value) => {
+  const text = String(value || '').trim()
+
+  const isoMatch = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/)
+  const frenchMatch = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/)
+
+  let year, month, day
+  if (isoMatch) {
+    [, year, month, day] = isoMatch.map(Number)
+  } else if (frenchMatch) {
+    [, day, month, year] = frenchMatch.map(Number)
+    if (year < 100) year += 2000
+  } else {
+    return null
+  }
+
+  if (month < 1 || month > 12 || day < 1) return null
+
+  // Jour contrôlé selon le mois : '31/02/2026' est refusé au lieu de glisser au 3 mars
+  const monthKey = getMonthKey(year, month)
+  if (day > getDaysInMonth(monthKey)) return null
+
+  return `${monthKey}-${String(day).padStart(2, '0')}`
+}
+
+/**
+ * Devine la correspondance entre les colonnes du fichier et les champs attendus
+ * @param {Array<string>} headers - En-têtes du fichier
+ * @returns {object} Index de colonne par champ (-1 si non trouvé)
+ *
+ * @example
+ * // Entrée
+ * guessColumnMapping(['Date opération', 'Libellé', 'Débit', 'Crédit'])
+ *
+ * // Sortie
+ * { date: 0, label: 1, amount: -1, debit: 2, credit: 3 }
+ */
+export const guessColumnMapping = (headers) => {
+  const normalizedHeaders = headers.map(normalizeText)
+  const usedIndexes = new Set()
+
+  // Une colonne déjà attribuée n'est plus proposée ("Date opération" n'est pas un libellé)
+  return Object.values(CSV_COLUMNS).reduce((mapping, column) => {
+    mapping[column] = normalizedHeaders.findIndex((header, index) =>
+      !usedIndexes.has(index) &&
+      CSV_COLUMN_KEYWORDS[column].some(keyword => header.includes(keyword))
+    )
+    if (mapping[column] >= 0) usedIndexes.add(mapping[column])
+    return mapping
+  }, {})
+}
+
+/**
+ * Devine la catégorie d'une opération à partir de son libellé
+ * @param {string} label - Libellé bancaire
+ * @returns {string} Catégorie courante (Divers si aucun mot-clé ne correspond)
+ *
+ * @example
+ * // Entrée
+ * guessExpenseCategory('CB CARREFOUR MARKET 04/02')
+ *
+ * // Sortie
+ * "food"
+ */
+export const guessExpenseCategory = (label) => {
+  const normalizedLabel = normalizeText(label)
+  const match = Object.entries(CATEGORY_KEYWORDS).find(([, keywords]) =>
+    keywords.some(keyword => containsKeyword(normalizedLabel, keyword))
+  )
+  return match ? match[0] : COMMON_EXPENSE_CATEGORIES.MISCELLANEOUS
+}
+
+/**
+ * Indique si une personne a un nom exploitable pour la détection
+ * @param {object} person - Personne
+ * @returns {boolean} True si le nom contient au moins 2 caractères
+ */
+const hasNamedPerson = (person) => normalizeText(person.name).length >= 2
+
+/**
+ * Devine la personne concernée par une opération
+ * Une personne dont le nom apparaît dans le libellé est retenue, sinon l'assignation par défaut
+ * @param {string} label - Libellé bancaire
+ * @param {Array} people - Liste des personnes
+ * @param {string} defaultAssignedTo - Assignation par défaut (compte importé)
+ * @returns {string} ID de la personne ou assignation commune
+ */
+export const guessExpenseAssignee = (label, people, defaultAssignedTo) => {
+  const normalizedLabel = normalizeText(label)
+  const person = people.find(p =>
+    hasNamedPerson(p) && containsKeyword(normalizedLabel, normalizeText(p.name))
+  )
+  return person ? person.id : defaultAssignedTo
+}
+
+/**
+ * Calcule le montant débité d'une ligne selon la correspondance des colonnes
+ * @param {Array<string>} cells - Cellules de la ligne
+ * @param {object} mapping - Correspondance des colonnes
+ * @returns {number|null} Montant débité (positif), 0 pour un crédit, null si illisible
+ */
+const getRowDebitAmount = (cells, mapping) => {
+  if (mapping[CSV_COLUMNS.DEBIT] >= 0) {
+    const debit = parseLocaleNumber(cells[mapping[CSV_COLUMNS.DEBIT]])
+    if (debit !== null && debit !== 0) return Math.abs(debit)
+
+    // Ligne sans débit : crédit ou ligne vide
+    const credit = mapping[CSV_COLUMNS.CREDIT] >= 0
+      ? parseLocaleNumber(cells[mapping[CSV_COLUMNS.CREDIT]])
+      : null
+    return credit !== null ? 0 : null
+  }
+
+  const amount = parseLocaleNumber(cells[mapping[CSV_COLUMNS.AMOUNT]])
+  if (amount === null) return null
+  return amount < 0 ? Math.abs(amount) : 0
+}
+
+/**
+ * Construit les lignes d'aperçu de l'import
+ * Seuls les débits lisibles sont présélectionnés ; les crédits et lignes invalides sont signalés
+ * @param {Array<Array<string>>} rows - Lignes de données (sans en-tête)
+ * @param {object} mapping - Correspondance des colonnes
+ * @param {object} options - Options d'assignation
+ * @param {Array} options.people - Liste des personnes
+ * @param {string} options.defaultAssignedTo - Assignation par défaut
+ * @returns {Array} Lignes d'aperçu { index, date, label, amount, category, assignedTo, selected, issue }
+ *
+ * @example
+ * // Entrée
+ * buildCsvPreviewRows([['05/02/2026', 'CB LIDL', '-42,30']], { date: 0, label: 1, amount: 2, debit: -1, credit: -1 }, { people: [], defaultAssignedTo: 'commun' })
+ *
+ * // Sortie
+ * [{ index: 0, date: '2026-02-05', label: 'CB LIDL', amount: 42.3, category: 'food', assignedTo: 'commun', selected: true, issue: null }]
+ */
+export const buildCsvPreviewRows = (rows, mapping, { people, defaultAssignedTo }) => {
+  return rows.map((cells, index) => {
+    const date = parseCsvDate(cells[mapping[CSV_COLUMNS.DATE]])
+    const label = cells[mapping[CSV_COLUMNS.LABEL]] || ''
+    const amount = getRowDebitAmount(cells, mapping)
+
+    let issue = null
+    if (!date) issue = 'Date illisible'
+    else if (amount === null) issue = 'Montant illisible'
+    else if (amount === 0) issue = 'Crédit ignoré'
+
+    return {
+      index,
+      date,
+      label,
+      amount,
+      category: guessExpenseCategory(label),
+      assignedTo: guessExpenseAssignee(label, people, defaultAssignedTo),
+      selected: issue === null,
+      issue
+    }
+  })
+}
+
+/**
+ * Convertit une ligne d'aperçu en dépense
+ * L'opération devient une dépense ponctuelle limitée à son mois
+ * @param {object} row - Ligne d'aperçu validée
+ * @returns {object} Données de dépense prêtes pour addExpense
+ *
+ * @example
+ * // Entrée
+ * createExpenseFromCsvRow({ date: '2026-02-05', label: 'CB LIDL', amount: 42.3, category: 'food', assignedTo: 'commun' })
+ *
+ * // Sortie
+ * { name: 'CB LIDL', amountMode: 'fixed', amount: 42.3, frequency: 'annual', category: 'food', assignedTo: 'commun', months: [2], startMonth: '2026-02', endMonth: '2026-02' }
+ */
+export const createExpenseFromCsvRow = (row) => {
+  const monthKey = row.date.slice(0, 7)
+
+  return {
+    name: row.label.trim() || 'Opération bancaire',
+    amountMode: AMOUNT_MODES.FIXED,
+    amount: row.amount,
+    frequency: EXPENSE_FREQUENCIES.ANNUAL,
+    category: row.category,
+    assignedTo: row.assignedTo,
+    months: [Number(monthKey.slice(5, 7))],
+    startMonth: monthKey,
+    endMonth: monthKey
+  }
+}
@@ -0,0 +1,89 @@
+/**
+ * Conversion des devises - Taux de change saisis par le ménage
+ *
+ * Fonctionnalités métier :
+ * - Recherche du taux de change en vigueur pour une devise et un mois
+ * - Conversion des montants vers la devise du ménage
+ * - Détection des dépenses dont la devise n'a aucun taux renseigné
+ *
+ * Objectif : Additionner des dépenses facturées dans des devises
+ * différentes en les ramenant toutes à la devise du ménage.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+
+import { getFormatSettings } from './formatters.js'
+
+/**
+ * Indique si une dépense est saisie dans une autre devise que celle du ménage
+ * @param {object} expense - Dépense à analyser
+ * @param {object} [settings] - Paramètres du ménage { currency }
+ * @returns {boolean} True si la dépense est en devise étrangère
+ */
+export const isForeignCurrencyExpense = (expense, settings) => {
+  return Boolean(expense.currency) && expense.currency !== getFormatSettings(settings).currency
+}
+
+/**
+ * Obtient le taux de change en vigueur pour une devise
+ * Le taux retenu est le plus récent dont la date d'effet précède la fin du mois ;
+ * avant la première date d'effet, le plus ancien taux connu s'applique
+ * @param {string} currency - Devise du montant (code ISO 4217)
+ * @param {string} [monthKey] - Mois concerné (format YYYY-MM, défaut: taux le plus récent)
+ * @param {object} [settings] - Paramètres du ménage { currency, exchangeRates }
+ * @returns {number|null} Valeur d'une unité de la devise dans la devise du ménage, ou null si aucun taux
+ *
+ * @example
+ * // Entrée
+ * getExchangeRate('USD', '2026-10', { currency: 'EUR', exchangeRates: [{ currency: 'USD', rate: 0.92, effectiveDate: '2026-01-01' }] })
+ *
+ * // Sortie
+ * 0.92
+ */
+export const getExchangeRate = (currency, monthKey, settings = {}) => {
+  if (!currency || currency === getFormatSettings(settings).currency) return 1
+
+  const currencyRates = (settings.exchangeRates || [])
+    .filter(exchangeRate => exchangeRate.currency === currency)
+    .sort((a, b) => a.effectiveDate.localeCompare(b.effectiveDate))
+  if (currencyRates.length === 0) return null
+
+  // Les dates ISO se comparent par ordre alphabétique ; "-31" couvre tout le mois
+  const effectiveRates = monthKey
+    ? currencyRates.filter(exchangeRate => exchangeRate.effectiveDate <= `${monthKey}-31`)
+    : currencyRates
+
+  return (effectiveRates[effectiveRates.length - 1] || currencyRates[0]).rate
+}
+
+/**
+ * Convertit un montant vers la devise du ménage
+ * Sans taux connu, le montant est conservé tel quel (voir hasMissingExchangeRate)
+ * @param {number} amount - Montant dans la devise d'origine
+ * @param {string} currency - Devise d'origine
+ * @param {string} [monthKey] - Mois concerné (format YYYY-MM)
+ * @param {object} [settings] - Paramètres du ménage { currency, exchangeRates }
+ * @returns {number} Montant dans la devise du ménage
+ *
+ * @example
+ * // Entrée
+ * convertToBaseCurrency(100, 'USD', '2026-10', { currency: 'EUR', exchangeRates: [{ currency: 'USD', rate: 0.92, effectiveDate: '2026-01-01' }] })
+ *
+ * // Sortie
+ * 92
+ */
+export const convertToBaseCurrency = (amount, currency, monthKey, settings) => {
+  return amount * (getExchangeRate(currency, monthKey, settings) ?? 1)
+}
+
+/**
+ * Indique si la devise d'une dépense n'a aucun taux de change renseigné
+ * @param {object} expense - Dépense à analyser
+ * @param {object} [settings] - Paramètres du ménage { currency, exchangeRates }
+ * @returns {boolean} True si le montant ne peut pas être converti
+ */
+export const hasMissingExchangeRate = (expense, settings) => {
+  return isForeignCurrencyExpense(expense, settings) &&
+    getExchangeRate(expense.currency, undefined, settings) === null
+}
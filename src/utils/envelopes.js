@@ -0,0 +1,159 @@
+/**
+ * Enveloppes budgétaires - Plafonds de dépenses par catégorie
+ *
+ * Fonctionnalités métier :
+ * - Plafond mensuel ou annuel par catégorie, pour le ménage ou pour une personne
+ * - Montant prévu dans la catégorie (part de la personne pour une enveloppe individuelle)
+ * - Consommation de l'enveloppe : reste disponible, ratio et dépassement
+ * - Enveloppe mensuelle évaluée sur un mois précis ou sur le mois le plus chargé de l'année
+ * - Détection des enveloppes dépassées par l'ajout ou la modification d'une dépense
+ *
+ * Objectif : Permettre au ménage de fixer un budget par poste de dépenses
+ * (alimentation, loisirs...) et d'être alerté avant de le dépasser.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+
+import { ENVELOPE_PERIODS } from '../models/constants.js'
+import { getYearMonths, parseMonthKey, getCurrentYear } from './calendar.js'
+import {
+  sumMonthlyProjections,
+  sumAnnualProjections,
+  getPersonExpenses,
+  getSharedExpenses,
+  getExpenseShares,
+  calculatePersonMonthlyBudget,
+  calculatePersonAnnualBudget
+} from './calculations.js'
+import { getSavingsContributionExpenses } from './savings.js'
+
+/**
+ * Obtient les enveloppes définies par le ménage
+ * @param {object} [settings] - Paramètres du ménage
+ * @returns {Array} Enveloppes (liste vide si aucune)
+ */
+export const getCategoryEnvelopes = (settings = {}) => {
+  return Array.isArray(settings.categoryEnvelopes) ? settings.categoryEnvelopes : []
+}
+
+/**
+ * Calcule le montant prévu dans la catégorie d'une enveloppe sur un mois ou sur une année
+ * Pour une enveloppe individuelle, seule la part de la personne est comptée :
+ * ses dépenses personnelles, sa part des dépenses communes et des dépenses partagées
+ * Les versements des objectifs d'épargne comptent dans la catégorie Épargne
+ * @param {object} envelope - Enveloppe { category, personId }
+ * @param {Array} people - Liste des personnes
+ * @param {Array} expenses - Liste des dépenses
+ * @param {object} options - Période et paramètres
+ * @param {string} [options.month] - Mois (format YYYY-MM) ; sans mois, toute l'année
+ * @param {number} [options.year] - Année budgétaire (défaut: année en cours)
+ * @param {object} [options.settings] - Paramètres du ménage
+ * @param {Array} [options.savingsGoals] - Objectifs d'épargne
+ * @returns {number} Montant prévu
+ *
+ * @example
+ * // Entrée
+ * getEnvelopePlannedAmount({ category: 'food' }, people, [{ amount: 400, frequency: 'monthly', category: 'food', assignedTo: 'commun' }], { month: '2026-03' })
+ *
+ * // Sortie
+ * 400
+ */
+export const getEnvelopePlannedAmount = (envelope, people, expenses, { month, year = getCurrentYear(), settings, savingsGoals } = {}) => {
+  const budgetYear = month ? parseMonthKey(month).year : year
+  const categoryExpenses = [...expenses, ...getSavingsContributionExpenses(savingsGoals, budgetYear)]
+    .filter(expense => expense.category === envelope.category)
+  const sumTotals = (list) => month
+    ? sumMonthlyProjections(list, month, settings).expected
+    : sumAnnualProjections(list, budgetYear, settings).expected
+
+  if (!envelope.personId) return sumTotals(categoryExpenses)
+
+  // Part de la personne dans les dépenses communes, calculée sur l'ensemble du budget
+  const personBudget = month
+    ? calculatePersonMonthlyBudget(envelope.personId, people, expenses, { month, settings, savingsGoals })
+    : calculatePersonAnnualBudget(envelope.personId, people, expenses, { year: budgetYear, settings, savingsGoals })
+  const householdShare = personBudget?.sharedExpensesShare || 0
+
+  return getSharedExpenses(categoryExpenses).reduce((total, expense) => {
+    const expenseShares = getExpenseShares(expense, people)
+    const share = expenseShares ? expenseShares[envelope.personId] || 0 : householdShare
+    return total + sumTotals([expense]) * share
+  }, sumTotals(getPersonExpenses(envelope.personId, categoryExpenses)))
+}
+
+/**
+ * Calcule la consommation d'une enveloppe
+ * - Enveloppe annuelle : montant prévu sur l'année budgétaire
+ * - Enveloppe mensuelle : montant prévu du mois donné, ou du mois le plus chargé de l'année
+ * @param {object} envelope - Enveloppe { category, period, amount, personId }
+ * @param {Array} people - Liste des personnes
+ * @param {Array} expenses - Liste des dépenses
+ * @param {object} [options] - Période et paramètres { month, year, settings, savingsGoals }
+ * @returns {object} Consommation { planned, remaining, ratio, isOverLimit, peakMonth }
+ *
+ * @example
+ * // Entrée
+ * calculateEnvelopeUsage({ category: 'food', period: 'monthly', amount: 350 }, people, [{ amount: 400, frequency: 'monthly', category: 'food', assignedTo: 'commun' }], { year: 2026 })
+ *
+ * // Sortie
+ * { planned: 400, remaining: -50, ratio: 1.143, isOverLimit: true, peakMonth: '2026-01' }
+ */
+export const calculateEnvelopeUsage = (envelope, people, expenses, { month, year = getCurrentYear(), settings, savingsGoals } = {}) => {
+  let planned
+  let peakMonth = null
+
+  if (envelope.period === ENVELOPE_PERIODS.MONTHLY && !month) {
+    getYearMonths(year).forEach(monthKey => {
+      const monthPlanned = getEnvelopePlannedAmount(envelope, people, expenses, { month: monthKey, settings, savingsGoals })
+      if (peakMonth === null || monthPlanned > planned) {
+        planned = monthPlanned
+        peakMonth = monthKey
+      }
+    })
+  } else {
+    const period = envelope.period === ENVELOPE_PERIODS.MONTHLY ? { month } : { year }
+    planned = getEnvelopePlannedAmount(envelope, people, expenses, { ...period, settings, savingsGoals })
+  }
+
+  const limit = Number(envelope.amount) || 0
+  planned = Math.round(planned * 100) / 100
+
+  return {
+    planned,
+    remaining: Math.round((limit - planned) * 100) / 100,
+    ratio: limit > 0 ? Math.round((planned / limit) * 1000) / 1000 : 0,
+    isOverLimit: planned > limit,
+    peakMonth
+  }
+}
+
+/**
+ * Liste les enveloppes qu'une dépense ajoutée ou modifiée ferait dépasser (ou dépasser davantage)
+ * @param {Array} envelopes - Enveloppes du ménage
+ * @param {Array} people - Liste des personnes
+ * @param {Array} expenses - Dépenses actuelles
+ * @param {object} candidateExpense - Dépense saisie (avec l'ID de la dépense modifiée le cas échéant)
+ * @param {object} [options] - Période et paramètres { year, settings, savingsGoals }
+ * @returns {Array} Enveloppes dépassées { envelope, usage }
+ *
+ * @example
+ * // Entrée
+ * getExceededEnvelopes([{ id: 'v1', category: 'food', period: 'monthly', amount: 350 }], people, [], { amount: 400, frequency: 'monthly', category: 'food', assignedTo: 'commun' }, { year: 2026 })
+ *
+ * // Sortie
+ * [{ envelope: { id: 'v1', ... }, usage: { planned: 400, remaining: -50, ratio: 1.143, isOverLimit: true, peakMonth: '2026-01' } }]
+ */
+export const getExceededEnvelopes = (envelopes, people, expenses, candidateExpense, options = {}) => {
+  const otherExpenses = expenses.filter(expense => !candidateExpense.id || expense.id !== candidateExpense.id)
+
+  return envelopes
+    .filter(envelope => envelope.category === candidateExpense.category)
+    .map(envelope => ({
+      envelope,
+      previousPlanned: calculateEnvelopeUsage(envelope, people, otherExpenses, options).planned,
+      usage: calculateEnvelopeUsage(envelope, people, [...otherExpenses, candidateExpense], options)
+    }))
+    .filter(({ usage, previousPlanned }) => usage.isOverLimit && usage.planned > previousPlanned)
+    .map(({ envelope, usage }) => ({ envelope, usage }))
+}
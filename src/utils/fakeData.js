@@ -14,7 +14,7 @@
  * @author Équipe Développement
  */
 
-import { EXPENSE_FREQUENCIES, COMMON_EXPENSE_CATEGORIES, ALL_MONTHS, DEFAULT_PEOPLE, ASSIGNMENT_OPTIONS } from '../models/constants.js'
+import { EXPENSE_FREQUENCIES, COMMON_EXPENSE_CATEGORIES, DEFAULT_PEOPLE, ASSIGNMENT_OPTIONS } from '../models/constants.js'
 
 /**
  * Génère un ensemble complet de données fictives pour les dépenses
@@ -161,7 +161,7 @@ export function generateFakeExpenses() {
       frequency: EXPENSE_FREQUENCIES.MONTHLY,
       category: COMMON_EXPENSE_CATEGORIES.UTILITIES,
       assignedTo: ASSIGNMENT_OPTIONS.BOTH,
-      months: ['2025-06', '2025-07', '2025-08'] // Juin à août
+      months: [6, 7, 8] // Juin à août
     },
     {
       name: 'Chauffage hiver',
@@ -169,7 +169,7 @@ export function generateFakeExpenses() {
       frequency: EXPENSE_FREQUENCIES.MONTHLY,
       category: COMMON_EXPENSE_CATEGORIES.UTILITIES,
       assignedTo: ASSIGNMENT_OPTIONS.BOTH,
-      months: ['2025-12', '2025-01', '2025-02', '2025-03'] // Décembre à mars
+      months: [1, 2, 3, 12] // Décembre à mars
     }
   ]
 
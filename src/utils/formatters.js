@@ -2,8 +2,9 @@
  * Utilitaires de formatage - Fonctions de formatage réutilisables
  *
  * Fonctionnalités métier :
- * - Formatage des montants en dollars américains avec séparateurs
+ * - Formatage des montants dans la devise et le format régional du ménage
  * - Formatage des nombres avec précision contrôlée
+ * - Formatage des fourchettes de montants (dépenses estimées)
  * - Formatage des dates en français
  * - Fonctions utilitaires pour l'affichage des données budgétaires
  *
@@ -15,35 +16,79 @@
  * @author Équipe Développement
  */
 
+import { DEFAULT_CURRENCY, DEFAULT_LOCALE } from '../models/constants.js'
+import { getOccurrencesPerYear, getFrequencySuffix } from './frequencies.js'
+import { parseDateKey } from './calendar.js'
+
+/**
+ * Complète les paramètres d'affichage avec les valeurs par défaut
+ * @param {object} [settings] - Paramètres du ménage { currency, locale }
+ * @returns {object} Paramètres complets { currency, locale }
+ *
+ * @example
+ * // Entrée
+ * getFormatSettings({ currency: 'CHF' })
+ *
+ * // Sortie
+ * { currency: 'CHF', locale: 'fr-FR' }
+ */
+export const getFormatSettings = (settings = {}) => {
+  return {
+    currency: settings.currency || DEFAULT_CURRENCY,
+    locale: settings.locale || DEFAULT_LOCALE
+  }
+}
+
 /**
- * Formate un montant en dollars américains
+ * Formate un montant dans la devise du ménage
  * @param {number} amount - Montant à formater
- * @returns {string} Montant formaté en dollars américains
+ * @param {object} [settings] - Paramètres du ménage { currency, locale } (défaut: EUR, fr-FR)
+ * @returns {string} Montant formaté
  *
  * @example
  * // Entrée
  * formatCurrency(1234.56)
  *
  * // Sortie
- * "$1,234.56"
+ * "1 234,56 €"
  */
-export const formatCurrency = (amount) => {
-  if (amount === null || amount === undefined || isNaN(amount)) {
-    return '$0.00'
-  }
+export const formatCurrency = (amount, settings) => {
+  const { currency, locale } = getFormatSettings(settings)
+  const value = amount === null || amount === undefined || isNaN(amount) ? 0 : amount
 
-  return new Intl.NumberFormat('en-US', {
+  return new Intl.NumberFormat(locale, {
     style: 'currency',
-    currency: 'USD',
+    currency,
     minimumFractionDigits: 2,
     maximumFractionDigits: 2
-  }).format(amount)
+  }).format(value)
+}
+
+/**
+ * Obtient le symbole de la devise du ménage
+ * @param {object} [settings] - Paramètres du ménage { currency, locale }
+ * @returns {string} Symbole de la devise
+ *
+ * @example
+ * // Entrée
+ * getCurrencySymbol({ currency: 'EUR', locale: 'fr-FR' })
+ *
+ * // Sortie
+ * "€"
+ */
+export const getCurrencySymbol = (settings) => {
+  const { currency, locale } = getFormatSettings(settings)
+
+  return new Intl.NumberFormat(locale, { style: 'currency', currency })
+    .formatToParts(0)
+    .find(part => part.type === 'currency')?.value || currency
 }
 
 /**
  * Formate un nombre avec séparateur de milliers
  * @param {number} number - Nombre à formater
  * @param {number} decimals - Nombre de décimales (défaut: 2)
+ * @param {object} [settings] - Paramètres du ménage { locale } (défaut: fr-FR)
  * @returns {string} Nombre formaté
  *
  * @example
@@ -53,35 +98,39 @@ export const formatCurrency = (amount) => {
  * // Sortie
  * "1 234,57"
  */
-export const formatNumber = (number, decimals = 2) => {
+export const formatNumber = (number, decimals = 2, settings) => {
   if (number === null || number === undefined || isNaN(number)) {
     return '0'
   }
 
-  return new Intl.NumberFormat('fr-FR', {
+  return new Intl.NumberFormat(getFormatSettings(settings).locale, {
     minimumFractionDigits: decimals,
     maximumFractionDigits: decimals
   }).format(number)
 }
 
 /**
- * Formate une date en français
+ * Formate une date dans le format régional du ménage
  * @param {Date|string} date - Date à formater
- * @returns {string} Date formatée en français
+ * @param {object} [settings] - Paramètres du ménage { locale } (défaut: fr-FR)
+ * @returns {string} Date formatée
  *
  * @example
  * // Entrée
- * formatDate(new Date('2025-09-29'))
+ * formatDate('2025-09-29')
  *
  * // Sortie
  * "29/09/2025"
  */
-export const formatDate = (date) => {
+export const formatDate = (date, settings) => {
   if (!date) return ''
 
-  const dateObj = typeof date === 'string' ? new Date(date) : date
+  // Les dates sans heure (dépenses réelles, taux de change) restent le jour saisi quel que soit le fuseau
+  const dateObj = typeof date === 'string'
+    ? (/^\d{4}-\d{2}-\d{2}$/.test(date) ? parseDateKey(date) : new Date(date))
+    : date
 
-  return new Intl.DateTimeFormat('fr-FR', {
+  return new Intl.DateTimeFormat(getFormatSettings(settings).locale, {
     day: '2-digit',
     month: '2-digit',
     year: 'numeric'
@@ -91,34 +140,29 @@ export const formatDate = (date) => {
 /**
  * Calcule le montant annuel d'une dépense selon sa fréquence
  * @param {number} amount - Montant de base
- * @param {string} frequency - Fréquence (weekly, monthly, annual)
- * @returns {number} Montant annuel
+ * @param {string} frequency - Fréquence (voir FREQUENCY_REGISTRY)
+ * @param {number} [intervalMonths] - Intervalle de la fréquence « tous les N mois »
+ * @returns {number} Montant annuel (montant inchangé si la fréquence est inconnue)
  *
  * @example
  * // Entrée
- * calculateAnnualAmount(100, 'monthly')
+ * calculateAnnualAmount(100, 'quarterly')
  *
  * // Sortie
- * 1200
+ * 400
  */
-export const calculateAnnualAmount = (amount, frequency) => {
+export const calculateAnnualAmount = (amount, frequency, intervalMonths) => {
   if (!amount || isNaN(amount)) return 0
 
-  switch (frequency) {
-    case 'weekly':
-      return amount * 52
-    case 'monthly':
-      return amount * 12
-    case 'annual':
-    default:
-      return amount
-  }
+  return amount * (getOccurrencesPerYear(frequency, intervalMonths) ?? 1)
 }
 
 /**
  * Formate le montant d'une dépense avec sa fréquence
  * @param {number} amount - Montant
  * @param {string} frequency - Fréquence
+ * @param {object} [settings] - Paramètres du ménage { currency, locale }
+ * @param {number} [intervalMonths] - Intervalle de la fréquence « tous les N mois »
  * @returns {string} Montant formaté avec fréquence
  *
  * @example
@@ -126,21 +170,51 @@ export const calculateAnnualAmount = (amount, frequency) => {
  * formatExpenseAmount(100, 'monthly')
  *
  * // Sortie
- * "$100.00 / mois"
+ * "100,00 € / mois"
  */
-export const formatExpenseAmount = (amount, frequency) => {
-  if (!amount || isNaN(amount)) return '$0.00'
-
-  const formattedAmount = formatCurrency(amount)
-
-  switch (frequency) {
-    case 'weekly':
-      return `${formattedAmount} / semaine`
-    case 'monthly':
-      return `${formattedAmount} / mois`
-    case 'annual':
-      return `${formattedAmount} / an`
-    default:
-      return formattedAmount
-  }
-}
\ No newline at end of file
+export const formatExpenseAmount = (amount, frequency, settings, intervalMonths) => {
+  if (!amount || isNaN(amount)) return formatCurrency(0, settings)
+
+  return `${formatCurrency(amount, settings)}${getFrequencySuffix(frequency, intervalMonths)}`
+}
+
+/**
+ * Formate une fourchette de montants
+ * Affiche un seul montant si les bornes sont identiques
+ * @param {number} low - Montant bas
+ * @param {number} high - Montant haut
+ * @param {object} [settings] - Paramètres du ménage { currency, locale }
+ * @returns {string} Fourchette formatée
+ *
+ * @example
+ * // Entrée
+ * formatCurrencyRange(80, 120)
+ *
+ * // Sortie
+ * "80,00 € – 120,00 €"
+ */
+export const formatCurrencyRange = (low, high, settings) => {
+  if (low === high) return formatCurrency(low, settings)
+
+  return `${formatCurrency(low, settings)} – ${formatCurrency(high, settings)}`
+}
+
+/**
+ * Formate une fourchette de montants de dépense avec sa fréquence
+ * @param {number} minAmount - Montant minimum
+ * @param {number} maxAmount - Montant maximum
+ * @param {string} frequency - Fréquence
+ * @param {object} [settings] - Paramètres du ménage { currency, locale }
+ * @param {number} [intervalMonths] - Intervalle de la fréquence « tous les N mois »
+ * @returns {string} Fourchette formatée avec fréquence
+ *
+ * @example
+ * // Entrée
+ * formatExpenseAmountRange(80, 120, 'monthly')
+ *
+ * // Sortie
+ * "80,00 € – 120,00 € / mois"
+ */
+export const formatExpenseAmountRange = (minAmount, maxAmount, frequency, settings, intervalMonths) => {
+  return `${formatCurrencyRange(minAmount, maxAmount, settings)}${getFrequencySuffix(frequency, intervalMonths)}`
+}
@@ -0,0 +1,106 @@
+/**
+ * Fréquences des dépenses et des revenus - Lecture du registre des fréquences
+ *
+ * Fonctionnalités métier :
+ * - Nombre d'échéances par an de chaque fréquence (quotidienne à annuelle)
+ * - Fréquence « tous les N mois » avec un intervalle saisi par l'utilisateur
+ * - Distinction des fréquences infra-mensuelles (plusieurs échéances par mois)
+ *   et des fréquences espacées de plusieurs mois (montant réparti sur les mois de paiement)
+ * - Libellé et suffixe d'affichage d'une fréquence (ex : " / trimestre", " / 5 mois")
+ *
+ * Objectif : Que les conversions de montants, les formulaires et les vues
+ * s'appuient tous sur le même registre de fréquences (FREQUENCY_REGISTRY)
+ * au lieu de répéter leurs propres tables.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+
+import { EXPENSE_FREQUENCIES, FREQUENCY_REGISTRY, DEFAULT_INTERVAL_MONTHS } from '../models/constants.js'
+
+/**
+ * Obtient le nombre de mois entre deux échéances
+ * @param {string} frequency - Fréquence
+ * @param {number} [intervalMonths] - Intervalle saisi pour la fréquence « tous les N mois »
+ * @returns {number|undefined} Nombre de mois, undefined pour une fréquence infra-mensuelle ou inconnue
+ *
+ * @example
+ * // Entrée
+ * getMonthInterval('every_n_months', 5)
+ *
+ * // Sortie
+ * 5
+ */
+export const getMonthInterval = (frequency, intervalMonths) => {
+  if (frequency === EXPENSE_FREQUENCIES.EVERY_N_MONTHS) {
+    return Number(intervalMonths) || DEFAULT_INTERVAL_MONTHS
+  }
+  return FREQUENCY_REGISTRY[frequency]?.monthInterval
+}
+
+/**
+ * Obtient le nombre d'échéances par an d'une fréquence
+ * @param {string} frequency - Fréquence
+ * @param {number} [intervalMonths] - Intervalle saisi pour la fréquence « tous les N mois »
+ * @returns {number|undefined} Échéances par an, undefined si la fréquence est inconnue
+ *
+ * @example
+ * // Entrée
+ * getOccurrencesPerYear('quarterly')
+ *
+ * // Sortie
+ * 4
+ */
+export const getOccurrencesPerYear = (frequency, intervalMonths) => {
+  const definition = FREQUENCY_REGISTRY[frequency]
+  if (!definition) return undefined
+
+  return definition.occurrencesPerYear ?? 12 / getMonthInterval(frequency, intervalMonths)
+}
+
+/**
+ * Indique si une fréquence tombe plusieurs fois par mois (quotidienne, hebdomadaire...)
+ * @param {string} frequency - Fréquence
+ * @returns {boolean} True si la fréquence est infra-mensuelle
+ */
+export const isSubMonthlyFrequency = (frequency) => {
+  return Boolean(FREQUENCY_REGISTRY[frequency]?.dayInterval)
+}
+
+/**
+ * Indique si les échéances d'une fréquence sont espacées de plusieurs mois
+ * (trimestrielle, semestrielle, annuelle, tous les N mois)
+ * @param {string} frequency - Fréquence
+ * @param {number} [intervalMonths] - Intervalle saisi pour la fréquence « tous les N mois »
+ * @returns {boolean} True si l'intervalle entre deux échéances dépasse un mois
+ */
+export const isMultiMonthFrequency = (frequency, intervalMonths) => {
+  return getMonthInterval(frequency, intervalMonths) > 1
+}
+
+/**
+ * Obtient le libellé d'une fréquence
+ * @param {string} frequency - Fréquence
+ * @param {number} [intervalMonths] - Intervalle saisi pour la fréquence « tous les N mois »
+ * @returns {string} Libellé (ex: "Trimestriel", "Tous les 5 mois"), chaîne vide si inconnue
+ */
+export const getFrequencyLabel = (frequency, intervalMonths) => {
+  if (frequency === EXPENSE_FREQUENCIES.EVERY_N_MONTHS) {
+    return `Tous les ${getMonthInterval(frequency, intervalMonths)} mois`
+  }
+  return FREQUENCY_REGISTRY[frequency]?.label || ''
+}
+
+/**
+ * Obtient le suffixe d'affichage d'une fréquence
+ * @param {string} frequency - Fréquence
+ * @param {number} [intervalMonths] - Intervalle saisi pour la fréquence « tous les N mois »
+ * @returns {string} Suffixe (ex: " / mois", " / 5 mois") ou chaîne vide si inconnue
+ */
+export const getFrequencySuffix = (frequency, intervalMonths) => {
+  if (frequency === EXPENSE_FREQUENCIES.EVERY_N_MONTHS) {
+    return ` / ${getMonthInterval(frequency, intervalMonths)} mois`
+  }
+  const suffix = FREQUENCY_REGISTRY[frequency]?.suffix
+  return suffix ? ` / ${suffix}` : ''
+}
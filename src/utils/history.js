@@ -0,0 +1,102 @@
+/**
+ * Historique des modifications - Annulation et rétablissement des actions
+ *
+ * Fonctionnalités métier :
+ * - Enregistrement de chaque modification du budget avec un libellé lisible
+ * - Annulation et rétablissement d'une ou plusieurs modifications
+ * - Limitation du nombre de modifications conservées
+ * - Exclusion des actions purement techniques (chargement)
+ *
+ * Objectif : Permettre de revenir sur une erreur de saisie,
+ * une suppression ou une réinitialisation sans perdre
+ * les données budgétaires.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+
+import { HISTORY_ACTIONS } from '../models/constants.js'
+
+// Nombre maximum de modifications conservées dans l'historique
+export const HISTORY_LIMIT = 50
+
+/**
+ * Construit l'état initial d'un historique
+ * @param {object} present - État courant
+ * @returns {object} Historique vide { past, present, future }
+ */
+export const createHistoryState = (present) => {
+  return { past: [], present, future: [] }
+}
+
+/**
+ * Déplace l'historique d'un certain nombre de pas vers le passé ou le futur
+ * @param {object} history - Historique actuel
+ * @param {number} steps - Nombre de pas (négatif = annuler, positif = rétablir)
+ * @returns {object} Nouvel historique
+ */
+const moveInHistory = (history, steps) => {
+  let { past, present, future } = history
+
+  for (let step = 0; step < Math.abs(steps); step++) {
+    if (steps < 0) {
+      if (past.length === 0) break
+      const previous = past[past.length - 1]
+      past = past.slice(0, -1)
+      future = [{ state: present, label: previous.label }, ...future]
+      present = previous.state
+    } else {
+      if (future.length === 0) break
+      const next = future[0]
+      future = future.slice(1)
+      past = [...past, { state: present, label: next.label }]
+      present = next.state
+    }
+  }
+
+  return { past, present, future }
+}
+
+/**
+ * Enveloppe un reducer pour lui ajouter l'annulation et le rétablissement
+ * Chaque entrée du passé conserve l'état avant l'action et le libellé de l'action
+ * @param {Function} reducer - Reducer d'origine
+ * @param {object} options - Options de l'historique
+ * @param {Function} options.describeAction - Retourne le libellé d'une action, ou null si elle n'est pas historisée
+ * @param {number} [options.limit] - Nombre maximum d'entrées conservées (défaut: HISTORY_LIMIT)
+ * @returns {Function} Reducer opérant sur { past, present, future }
+ *
+ * @example
+ * // Entrée
+ * const historyReducer = createHistoryReducer(budgetReducer, { describeAction })
+ * historyReducer(createHistoryState(state), { type: 'UNDO', payload: { steps: 1 } })
+ *
+ * // Sortie
+ * { past: [...], present: {...}, future: [...] }
+ */
+export const createHistoryReducer = (reducer, { describeAction, limit = HISTORY_LIMIT }) => {
+  return (history, action) => {
+    switch (action.type) {
+      case HISTORY_ACTIONS.UNDO:
+        return moveInHistory(history, -(action.payload?.steps || 1))
+
+      case HISTORY_ACTIONS.REDO:
+        return moveInHistory(history, action.payload?.steps || 1)
+
+      default: {
+        const present = reducer(history.present, action)
+        if (present === history.present) return history
+
+        const label = describeAction(action, history.present)
+        if (!label) return { ...history, present }
+
+        // Une nouvelle modification efface les actions annulées
+        return {
+          past: [...history.past, { state: history.present, label }].slice(-limit),
+          present,
+          future: []
+        }
+      }
+    }
+  }
+}
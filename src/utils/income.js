@@ -0,0 +1,159 @@
+/**
+ * Revenus des personnes - Salaire et sources de revenus complémentaires
+ *
+ * Fonctionnalités métier :
+ * - Sources de revenus par personne (primes, activité indépendante, loyers, allocations, rentrées exceptionnelles)
+ * - Montant de chaque source selon sa fréquence et ses mois actifs
+ * - Revenu mensuel et annuel d'une personne et du ménage (salaire net et autres revenus)
+ * - Salaire du mois selon l'échéancier de versement (13e mois, 14e mois...)
+ * - Part imposable des autres revenus pour l'estimation de l'impôt
+ *
+ * Objectif : Comparer les dépenses à l'ensemble des revenus perçus
+ * par le ménage, et non au seul salaire de chaque personne.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+
+import { EXPENSE_FREQUENCIES, MONTH_NUMBERS } from '../models/constants.js'
+import { getYearMonths, parseMonthKey } from './calendar.js'
+import { getNetAnnualSalary, getSalaryMonthShare } from './payroll.js'
+import { getOccurrencesPerYear, isMultiMonthFrequency } from './frequencies.js'
+
+/**
+ * Obtient les sources de revenus complémentaires d'une personne
+ * @param {object} person - Personne
+ * @returns {Array} Sources de revenus (liste vide si aucune)
+ */
+export const getIncomeSources = (person) => {
+  return Array.isArray(person.incomeSources) ? person.incomeSources : []
+}
+
+/**
+ * Obtient les mois de l'année où une source de revenus est perçue
+ * Une source sans sélection de mois est perçue toute l'année
+ * @param {object} source - Source de revenus
+ * @returns {Array<number>} Numéros des mois actifs (1 à 12)
+ */
+export const getIncomeSourceMonths = (source) => {
+  return Array.isArray(source.months) ? source.months : MONTH_NUMBERS
+}
+
+/**
+ * Calcule le montant perçu d'une source de revenus pour un mois précis
+ * - Sources quotidiennes à mensuelles : équivalent mensuel, uniquement les mois actifs
+ * - Sources espacées de plusieurs mois (trimestrielles, annuelles...) : montant annuel réparti sur les mois actifs
+ * @param {object} source - Source de revenus { amount, frequency, intervalMonths, months }
+ * @param {string} monthKey - Mois (format YYYY-MM)
+ * @returns {number} Montant perçu ce mois-ci
+ *
+ * @example
+ * // Entrée
+ * getIncomeSourceMonthlyAmount({ amount: 2000, frequency: 'annual', months: [6, 12] }, '2026-06')
+ *
+ * // Sortie
+ * 1000
+ */
+export const getIncomeSourceMonthlyAmount = (source, monthKey) => {
+  const activeMonths = getIncomeSourceMonths(source)
+  if (!activeMonths.includes(parseMonthKey(monthKey).month)) return 0
+
+  const amount = Number(source.amount) || 0
+  if (amount <= 0) return 0
+
+  const annualAmount = amount * (getOccurrencesPerYear(source.frequency, source.intervalMonths) ?? getOccurrencesPerYear(EXPENSE_FREQUENCIES.MONTHLY))
+  return isMultiMonthFrequency(source.frequency, source.intervalMonths)
+    ? annualAmount / activeMonths.length
+    : annualAmount / 12
+}
+
+/**
+ * Calcule le montant perçu d'une source de revenus sur une année
+ * @param {object} source - Source de revenus
+ * @param {number} year - Année budgétaire
+ * @returns {number} Montant annuel perçu
+ *
+ * @example
+ * // Entrée
+ * getIncomeSourceAnnualAmount({ amount: 800, frequency: 'monthly', months: [1, 2, 3] }, 2026)
+ *
+ * // Sortie
+ * 2400
+ */
+export const getIncomeSourceAnnualAmount = (source, year) => {
+  return getYearMonths(year).reduce((total, monthKey) => total + getIncomeSourceMonthlyAmount(source, monthKey), 0)
+}
+
+/**
+ * Calcule le revenu annuel d'une personne : salaire net et autres revenus
+ * @param {object} person - Personne
+ * @param {number} year - Année budgétaire
+ * @returns {number} Revenu annuel
+ *
+ * @example
+ * // Entrée
+ * getPersonAnnualIncome({ salary: 30000, incomeSources: [{ amount: 1500, frequency: 'annual', months: [12] }] }, 2026)
+ *
+ * // Sortie
+ * 31500
+ */
+export const getPersonAnnualIncome = (person, year) => {
+  return getNetAnnualSalary(person) + getIncomeSources(person)
+    .reduce((total, source) => total + getIncomeSourceAnnualAmount(source, year), 0)
+}
+
+/**
+ * Calcule le revenu mensuel d'une personne pour un mois précis,
+ * ou pour un mois moyen de l'année (douzième) si aucun mois n'est précisé
+ * Le salaire net du mois dépend de l'échéancier de versement de la personne
+ * @param {object} person - Personne
+ * @param {object} period - Période { month, year }
+ * @returns {number} Revenu du mois
+ *
+ * @example
+ * // Entrée
+ * getPersonMonthlyIncome({ salary: 30000, incomeSources: [{ amount: 1500, frequency: 'annual', months: [12] }] }, { month: '2026-12' })
+ *
+ * // Sortie
+ * 4000
+ */
+export const getPersonMonthlyIncome = (person, { month, year }) => {
+  if (!month) return getPersonAnnualIncome(person, year) / 12
+
+  const monthSalary = getNetAnnualSalary(person) * getSalaryMonthShare(person, parseMonthKey(month).month)
+
+  return monthSalary + getIncomeSources(person)
+    .reduce((total, source) => total + getIncomeSourceMonthlyAmount(source, month), 0)
+}
+
+/**
+ * Calcule le revenu annuel total du ménage
+ * @param {Array} people - Liste des personnes
+ * @param {number} year - Année budgétaire
+ * @returns {number} Somme des revenus annuels
+ */
+export const getHouseholdAnnualIncome = (people, year) => {
+  return people.reduce((total, person) => total + getPersonAnnualIncome(person, year), 0)
+}
+
+/**
+ * Calcule le revenu mensuel total du ménage
+ * @param {Array} people - Liste des personnes
+ * @param {object} period - Période { month, year }
+ * @returns {number} Somme des revenus du mois
+ */
+export const getHouseholdMonthlyIncome = (people, period) => {
+  return people.reduce((total, person) => total + getPersonMonthlyIncome(person, period), 0)
+}
+
+/**
+ * Calcule le montant annuel des autres revenus imposables d'une personne
+ * @param {object} person - Personne
+ * @param {number} year - Année budgétaire
+ * @returns {number} Autres revenus imposables de l'année
+ */
+export const getTaxableIncomeSourcesAmount = (person, year) => {
+  return getIncomeSources(person)
+    .filter(source => source.taxable)
+    .reduce((total, source) => total + getIncomeSourceAnnualAmount(source, year), 0)
+}
@@ -0,0 +1,230 @@
+/**
+ * Estimation de l'impôt sur le revenu - Quotient familial et barème progressif
+ *
+ * Fonctionnalités métier :
+ * - Choix du barème applicable à l'année budgétaire
+ * - Revenu imposable après abattement de 10 % pour frais professionnels
+ * - Prise en compte des autres revenus déclarés imposables
+ * - Nombre de parts du foyer (déclarants et enfants à charge)
+ * - Impôt par foyer fiscal avec plafonnement du quotient familial et décote
+ * - Répartition de l'impôt entre les personnes et prélèvement à la source mensuel
+ *
+ * Objectif : Intégrer automatiquement l'impôt sur le revenu aux
+ * résumés budgétaires au lieu de le saisir à la main comme une dépense.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+
+import { TAX_RULES, TAX_FILING_MODES } from '../models/taxRules.js'
+import { getNetAnnualSalary } from './payroll.js'
+import { getTaxableIncomeSourcesAmount } from './income.js'
+import { getCurrentYear } from './calendar.js'
+
+/**
+ * Arrondit un montant au centime
+ * @param {number} amount - Montant à arrondir
+ * @returns {number} Montant arrondi
+ */
+const roundToCents = (amount) => Math.round(amount * 100) / 100
+
+/**
+ * Obtient le barème applicable à une année de revenus
+ * Le barème le plus récent antérieur ou égal à l'année s'applique ;
+ * avant le premier barème connu, le plus ancien est utilisé
+ * @param {number} year - Année de perception des revenus
+ * @returns {object} Barème { year, label, brackets, professionalExpenses, halfPartCap, decote }
+ *
+ * @example
+ * // Entrée
+ * getTaxRules(2026)
+ *
+ * // Sortie
+ * { year: 2024, label: 'Barème 2025 (revenus 2024)', brackets: [...], ... }
+ */
+export const getTaxRules = (year) => {
+  const ruleYears = Object.keys(TAX_RULES).map(Number).sort((a, b) => a - b)
+  const applicableYear = ruleYears.filter(ruleYear => ruleYear <= year).pop() ?? ruleYears[0]
+
+  return { year: applicableYear, ...TAX_RULES[applicableYear] }
+}
+
+/**
+ * Calcule le revenu net imposable à partir du salaire net annuel
+ * @param {number} netAnnualSalary - Salaire net annuel
+ * @param {object} rules - Barème applicable
+ * @returns {number} Revenu imposable après abattement pour frais professionnels
+ *
+ * @example
+ * // Entrée
+ * getTaxableIncome(30000, getTaxRules(2024))
+ *
+ * // Sortie
+ * 27000
+ */
+export const getTaxableIncome = (netAnnualSalary, rules) => {
+  if (netAnnualSalary <= 0) return 0
+
+  const { rate, min, max } = rules.professionalExpenses
+  const deduction = Math.min(Math.max(netAnnualSalary * rate, min), max)
+  return Math.max(0, netAnnualSalary - deduction)
+}
+
+/**
+ * Calcule le nombre de parts d'un foyer fiscal
+ * Chaque déclarant compte pour une part, les deux premiers enfants
+ * pour une demi-part chacun et les suivants pour une part entière
+ * @param {number} adults - Nombre de déclarants (1 ou 2)
+ * @param {number} [childrenCount] - Nombre d'enfants à charge
+ * @returns {number} Nombre de parts
+ *
+ * @example
+ * // Entrée
+ * calculateTaxParts(2, 3)
+ *
+ * // Sortie
+ * 4
+ */
+export const calculateTaxParts = (adults, childrenCount = 0) => {
+  const firstChildren = Math.min(childrenCount, 2)
+  const nextChildren = Math.max(childrenCount - 2, 0)
+
+  return adults + firstChildren * 0.5 + nextChildren
+}
+
+/**
+ * Applique les tranches progressives à un revenu par part
+ * @param {number} incomePerPart - Revenu imposable d'une part
+ * @param {Array} brackets - Tranches du barème [{ upTo, rate }]
+ * @returns {number} Impôt d'une part
+ */
+const calculateBracketTax = (incomePerPart, brackets) => {
+  let lowerBound = 0
+
+  return brackets.reduce((tax, { upTo, rate }) => {
+    const upperBound = upTo ?? Infinity
+    const taxedAmount = Math.max(0, Math.min(incomePerPart, upperBound) - lowerBound)
+    lowerBound = upperBound
+    return tax + taxedAmount * rate
+  }, 0)
+}
+
+/**
+ * Calcule l'impôt d'un foyer fiscal
+ * L'avantage des parts d'enfants est plafonné par demi-part, puis la décote
+ * réduit l'impôt des foyers faiblement imposés
+ * @param {object} foyer - Foyer fiscal
+ * @param {number} foyer.taxableIncome - Revenu imposable du foyer
+ * @param {number} foyer.adults - Nombre de déclarants (1 ou 2)
+ * @param {number} foyer.parts - Nombre de parts
+ * @param {object} rules - Barème applicable
+ * @returns {number} Impôt annuel arrondi à l'euro
+ *
+ * @example
+ * // Entrée
+ * calculateFoyerTax({ taxableIncome: 54000, adults: 2, parts: 2 }, getTaxRules(2024))
+ *
+ * // Sortie
+ * 3411
+ */
+export const calculateFoyerTax = ({ taxableIncome, adults, parts }, rules) => {
+  const taxWithChildren = calculateBracketTax(taxableIncome / parts, rules.brackets) * parts
+  const taxWithoutChildren = calculateBracketTax(taxableIncome / adults, rules.brackets) * adults
+  const maxAdvantage = (parts - adults) * 2 * rules.halfPartCap
+  const grossTax = Math.max(taxWithChildren, taxWithoutChildren - maxAdvantage)
+
+  const decoteCeiling = adults > 1 ? rules.decote.couple : rules.decote.single
+  const decote = Math.max(0, decoteCeiling - grossTax * rules.decote.rate)
+
+  return Math.round(Math.max(0, grossTax - decote))
+}
+
+/**
+ * Regroupe les personnes en foyers fiscaux
+ * En déclaration commune, les deux déclarants choisis (par défaut les deux premières personnes)
+ * forment un foyer ; les autres personnes déclarent seules
+ * @param {Array} people - Liste des personnes
+ * @param {object} taxSettings - Paramètres fiscaux { filingMode, jointPersonIds, childrenCount, childrenDeclaredBy }
+ * @returns {Array} Foyers [{ personIds, childrenCount }]
+ */
+const buildTaxHouseholds = (people, taxSettings) => {
+  const personIds = people.map(person => person.id)
+  const jointPersonIds = taxSettings.filingMode === TAX_FILING_MODES.JOINT
+    ? (taxSettings.jointPersonIds || personIds).filter(id => personIds.includes(id)).slice(0, 2)
+    : []
+
+  const households = [
+    ...(jointPersonIds.length > 0 ? [jointPersonIds] : []),
+    ...personIds.filter(id => !jointPersonIds.includes(id)).map(id => [id])
+  ]
+
+  // Les enfants sont rattachés au foyer de la personne qui les déclare
+  const childrenDeclaredBy = personIds.includes(taxSettings.childrenDeclaredBy)
+    ? taxSettings.childrenDeclaredBy
+    : households[0]?.[0]
+
+  return households.map(householdPersonIds => ({
+    personIds: householdPersonIds,
+    childrenCount: householdPersonIds.includes(childrenDeclaredBy) ? Number(taxSettings.childrenCount) || 0 : 0
+  }))
+}
+
+/**
+ * Estime l'impôt sur le revenu du ménage pour une année
+ * L'impôt d'un foyer commun est réparti entre ses déclarants au prorata de leur revenu imposable
+ * @param {Array} people - Liste des personnes
+ * @param {object} [settings] - Paramètres du ménage { incomeTax: { enabled, filingMode, jointPersonIds, childrenCount, childrenDeclaredBy } }
+ * @param {object} [options] - Options de calcul
+ * @param {number} [options.year] - Année de perception des revenus (défaut: année en cours)
+ * @returns {object} Estimation { enabled, rulesLabel, households, annualTax, monthlyWithholding, byPerson }
+ *
+ * @example
+ * // Entrée
+ * calculateHouseholdIncomeTax([{ id: 'a', salary: 30000 }, { id: 'b', salary: 30000 }], { incomeTax: { enabled: true, filingMode: 'joint' } }, { year: 2026 })
+ *
+ * // Sortie
+ * { enabled: true, rulesLabel: 'Barème 2025 (revenus 2024)', households: [...], annualTax: 3411, monthlyWithholding: 284.25, byPerson: { a: 1705.5, b: 1705.5 } }
+ */
+export const calculateHouseholdIncomeTax = (people, settings = {}, { year = getCurrentYear() } = {}) => {
+  const taxSettings = settings.incomeTax || {}
+  const rules = getTaxRules(year)
+  const emptyEstimate = {
+    enabled: Boolean(taxSettings.enabled),
+    rulesLabel: rules.label,
+    households: [],
+    annualTax: 0,
+    monthlyWithholding: 0,
+    byPerson: {}
+  }
+  if (!taxSettings.enabled || people.length === 0) return emptyEstimate
+
+  const taxableIncomes = Object.fromEntries(people.map(person => [
+    person.id,
+    getTaxableIncome(getNetAnnualSalary(person), rules) + getTaxableIncomeSourcesAmount(person, year)
+  ]))
+
+  const households = buildTaxHouseholds(people, taxSettings).map(({ personIds, childrenCount }) => {
+    const taxableIncome = personIds.reduce((total, id) => total + taxableIncomes[id], 0)
+    const adults = personIds.length
+    const parts = calculateTaxParts(adults, childrenCount)
+    return { personIds, childrenCount, taxableIncome, parts, annualTax: calculateFoyerTax({ taxableIncome, adults, parts }, rules) }
+  })
+
+  const byPerson = {}
+  households.forEach(({ personIds, taxableIncome, annualTax }) => {
+    personIds.forEach(id => {
+      const ratio = taxableIncome > 0 ? taxableIncomes[id] / taxableIncome : 1 / personIds.length
+      byPerson[id] = roundToCents(annualTax * ratio)
+    })
+  })
+
+  const annualTax = households.reduce((total, household) => total + household.annualTax, 0)
+
+  return {
+    ...emptyEstimate,
+    households,
+    annualTax,
+    monthlyWithholding: roundToCents(annualTax / 12),
+    byPerson
+  }
+}
@@ -0,0 +1,156 @@
+/**
+ * Intégrité des données - Cohérence entre personnes et dépenses
+ *
+ * Fonctionnalités métier :
+ * - Détection des dépenses assignées à une personne inexistante (orphelines)
+ * - Suppression d'une personne avec réassignation ou suppression de ses dépenses
+ * - Retrait de la personne supprimée des parts des dépenses partagées
+ * - Oubli du payeur supprimé et de ses règlements
+ * - Objectifs d'épargne de la personne supprimée repris par le ménage
+ * - Suppression des enveloppes individuelles de la personne supprimée
+ * - Dépenses réelles conservées lorsque la personne ou la dépense prévue associée est supprimée
+ *
+ * Objectif : Garantir qu'aucune dépense ne disparaisse silencieusement
+ * des budgets individuels lorsqu'une personne est supprimée.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+
+import { ASSIGNMENT_OPTIONS, PERSON_DELETE_STRATEGIES } from '../models/constants.js'
+
+/**
+ * Indique si une dépense est assignée à une personne inexistante
+ * @param {object} expense - Dépense à vérifier
+ * @param {Array} people - Liste des personnes
+ * @returns {boolean} True si l'assignation ne correspond à aucune personne ni au commun
+ */
+export const isOrphanExpense = (expense, people) => {
+  return expense.assignedTo !== ASSIGNMENT_OPTIONS.BOTH &&
+    !people.some(person => person.id === expense.assignedTo)
+}
+
+/**
+ * Liste les dépenses orphelines
+ * @param {Array} people - Liste des personnes
+ * @param {Array} expenses - Liste des dépenses
+ * @returns {Array} Dépenses assignées à une personne inexistante
+ *
+ * @example
+ * // Entrée
+ * findOrphanExpenses([{ id: 'person-a' }], [{ id: 'e1', assignedTo: 'person-b' }, { id: 'e2', assignedTo: 'commun' }])
+ *
+ * // Sortie
+ * [{ id: 'e1', assignedTo: 'person-b' }]
+ */
+export const findOrphanExpenses = (people, expenses) => {
+  return expenses.filter(expense => isOrphanExpense(expense, people))
+}
+
+/**
+ * Retire une personne des parts et du payeur d'une dépense
+ * Une dépense qui n'est plus partagée avec personne redevient commune à tout le ménage
+ * @param {object} expense - Dépense à mettre à jour
+ * @param {string} personId - ID de la personne retirée
+ * @returns {object} Dépense mise à jour
+ */
+const removeFromExpense = (expense, personId) => {
+  const isPayer = expense.paidBy === personId
+  const isSharing = Boolean(expense.shares) && personId in expense.shares
+  if (!isPayer && !isSharing) return expense
+
+  const remainingShares = Object.fromEntries(
+    Object.entries(expense.shares || {}).filter(([id]) => id !== personId)
+  )
+  return {
+    ...expense,
+    paidBy: isPayer ? undefined : expense.paidBy,
+    shares: Object.keys(remainingShares).length > 0 ? remainingShares : undefined
+  }
+}
+
+/**
+ * Supprime une personne et traite ses dépenses selon la stratégie choisie
+ * - reassign : les dépenses sont réassignées à une autre personne ou au commun
+ * - delete-expenses : les dépenses de la personne sont supprimées
+ * Dans tous les cas, la personne est retirée des parts et des payeurs des dépenses,
+ * ses règlements et ses enveloppes sont supprimés, ses objectifs d'épargne deviennent communs
+ * et ses dépenses réelles sont conservées sans payeur
+ * @param {object} state - État du budget { people, expenses, settings, settlements, savingsGoals, transactions }
+ * @param {object} options - Options de suppression
+ * @param {string} options.id - ID de la personne à supprimer
+ * @param {string} [options.strategy] - Stratégie (défaut: réassignation)
+ * @param {string} [options.targetId] - Nouvelle assignation des dépenses (défaut: commun)
+ * @returns {object} Données mises à jour { people, expenses, settings, settlements, savingsGoals, transactions }
+ *
+ * @example
+ * // Entrée
+ * removePerson({ people: [{ id: 'a' }, { id: 'b' }], expenses: [{ id: 'e1', assignedTo: 'a' }], settings: {}, settlements: [], savingsGoals: [], transactions: [] }, { id: 'a', strategy: 'reassign', targetId: 'b' })
+ *
+ * // Sortie
+ * { people: [{ id: 'b' }], expenses: [{ id: 'e1', assignedTo: 'b' }], settings: {}, settlements: [], savingsGoals: [], transactions: [] }
+ */
+export const removePerson = (state, { id, strategy = PERSON_DELETE_STRATEGIES.REASSIGN, targetId = ASSIGNMENT_OPTIONS.BOTH }) => {
+  const people = state.people.filter(person => person.id !== id)
+
+  const expenses = strategy === PERSON_DELETE_STRATEGIES.DELETE_EXPENSES
+    ? state.expenses.filter(expense => expense.assignedTo !== id)
+    : state.expenses.map(expense =>
+        expense.assignedTo === id ? { ...expense, assignedTo: targetId } : expense
+      )
+
+  const settlements = (state.settlements || []).filter(settlement =>
+    settlement.from !== id && settlement.to !== id
+  )
+
+  // Les objectifs d'épargne ne sont jamais supprimés avec la personne : ils reviennent au ménage
+  const savingsGoals = (state.savingsGoals || []).map(goal => removeFromExpense(
+    goal.assignedTo === id ? { ...goal, assignedTo: ASSIGNMENT_OPTIONS.BOTH } : goal,
+    id
+  ))
+
+  const settings = Array.isArray(state.settings?.categoryEnvelopes)
+    ? { ...state.settings, categoryEnvelopes: state.settings.categoryEnvelopes.filter(envelope => envelope.personId !== id) }
+    : state.settings
+
+  const transactions = detachTransactions(
+    (state.transactions || []).map(transaction => ({
+      ...transaction,
+      paidBy: transaction.paidBy === id ? undefined : transaction.paidBy,
+      assignedTo: transaction.assignedTo === id ? ASSIGNMENT_OPTIONS.BOTH : transaction.assignedTo
+    })),
+    expenses
+  )
+
+  return {
+    people,
+    expenses: expenses.map(expense => removeFromExpense(expense, id)),
+    settings,
+    settlements,
+    savingsGoals,
+    transactions
+  }
+}
+
+/**
+ * Détache les dépenses réelles dont la dépense prévue associée n'existe plus
+ * La dépense réelle reste dans le journal avec sa catégorie
+ * @param {Array} transactions - Dépenses réelles
+ * @param {Array} expenses - Dépenses prévues restantes
+ * @returns {Array} Dépenses réelles mises à jour
+ *
+ * @example
+ * // Entrée
+ * detachTransactions([{ id: 't1', expenseId: 'e1', category: 'food' }], [])
+ *
+ * // Sortie
+ * [{ id: 't1', expenseId: undefined, category: 'food' }]
+ */
+export const detachTransactions = (transactions = [], expenses) => {
+  const expenseIds = new Set(expenses.map(expense => expense.id))
+  return transactions.map(transaction =>
+    transaction.expenseId && !expenseIds.has(transaction.expenseId)
+      ? { ...transaction, expenseId: undefined }
+      : transaction
+  )
+}
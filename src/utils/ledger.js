@@ -0,0 +1,195 @@
+/**
+ * Journal des dépenses réelles - Comparaison entre le prévu et le réel
+ *
+ * Fonctionnalités métier :
+ * - Dépenses réelles d'un mois, triées par date
+ * - Catégorie et assignation d'une dépense réelle (celles de la dépense prévue associée en priorité)
+ * - Conversion des dépenses réelles en dépenses ponctuelles pour réutiliser les calculs budgétaires
+ * - Écarts prévu / réel du mois par catégorie, par personne et par dépense prévue
+ *
+ * Objectif : Confronter le budget prévisionnel du ménage à ce qui a
+ * réellement été dépensé, pour repérer les postes qui dérapent.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+
+import { EXPENSE_FREQUENCIES, ASSIGNMENT_OPTIONS } from '../models/constants.js'
+import {
+  getExpenseMonthlyProjection,
+  calculatePersonMonthlyBudget
+} from './calculations.js'
+
+/**
+ * Obtient le mois d'une dépense réelle
+ * @param {object} transaction - Dépense réelle { date }
+ * @returns {string} Mois (format YYYY-MM)
+ *
+ * @example
+ * // Entrée
+ * getTransactionMonth({ date: '2026-03-14' })
+ *
+ * // Sortie
+ * "2026-03"
+ */
+export const getTransactionMonth = (transaction) => {
+  return String(transaction.date || '').slice(0, 7)
+}
+
+/**
+ * Filtre les dépenses réelles d'un mois, de la plus ancienne à la plus récente
+ * @param {Array} transactions - Dépenses réelles
+ * @param {string} monthKey - Mois (format YYYY-MM)
+ * @returns {Array} Dépenses réelles du mois
+ */
+export const getMonthTransactions = (transactions = [], monthKey) => {
+  return transactions
+    .filter(transaction => getTransactionMonth(transaction) === monthKey)
+    .sort((a, b) => a.date.localeCompare(b.date))
+}
+
+/**
+ * Obtient la dépense prévue associée à une dépense réelle
+ * @param {object} transaction - Dépense réelle { expenseId }
+ * @param {Array} expenses - Dépenses prévues
+ * @returns {object|null} Dépense prévue, null si la dépense réelle n'est rattachée qu'à une catégorie
+ */
+export const getLinkedExpense = (transaction, expenses = []) => {
+  if (!transaction.expenseId) return null
+  return expenses.find(expense => expense.id === transaction.expenseId) || null
+}
+
+/**
+ * Obtient la catégorie d'une dépense réelle
+ * La catégorie de la dépense prévue associée est prioritaire
+ * @param {object} transaction - Dépense réelle { expenseId, category }
+ * @param {Array} expenses - Dépenses prévues
+ * @returns {string} Catégorie
+ */
+export const getTransactionCategory = (transaction, expenses = []) => {
+  return getLinkedExpense(transaction, expenses)?.category || transaction.category
+}
+
+/**
+ * Convertit une dépense réelle en dépense ponctuelle limitée à son mois
+ * Elle reprend l'assignation et les parts de la dépense prévue associée,
+ * ou à défaut sa propre assignation
+ * @param {object} transaction - Dépense réelle
+ * @param {Array} expenses - Dépenses prévues
+ * @returns {object} Dépense équivalente
+ *
+ * @example
+ * // Entrée
+ * transactionToExpense({ id: 't1', date: '2026-03-14', label: 'Courses', amount: 82.5, category: 'food', assignedTo: 'commun' }, [])
+ *
+ * // Sortie
+ * { id: 't1', name: 'Courses', amount: 82.5, frequency: 'monthly', category: 'food', assignedTo: 'commun', shares: undefined, startMonth: '2026-03', endMonth: '2026-03', expenseId: undefined }
+ */
+export const transactionToExpense = (transaction, expenses = []) => {
+  const linkedExpense = getLinkedExpense(transaction, expenses)
+  const monthKey = getTransactionMonth(transaction)
+
+  return {
+    id: transaction.id,
+    name: transaction.label,
+    amount: Number(transaction.amount) || 0,
+    frequency: EXPENSE_FREQUENCIES.MONTHLY,
+    category: getTransactionCategory(transaction, expenses),
+    assignedTo: linkedExpense ? linkedExpense.assignedTo : transaction.assignedTo || ASSIGNMENT_OPTIONS.BOTH,
+    shares: linkedExpense ? linkedExpense.shares : transaction.shares,
+    startMonth: monthKey,
+    endMonth: monthKey,
+    expenseId: linkedExpense?.id
+  }
+}
+
+/**
+ * Construit une ligne de comparaison prévu / réel
+ * @param {number} planned - Montant prévu
+ * @param {number} actual - Montant réel
+ * @returns {object} Comparaison { planned, actual, variance } (écart positif = dépassement)
+ */
+const buildVariance = (planned, actual) => {
+  const roundAmount = (amount) => Math.round(amount * 100) / 100
+  return {
+    planned: roundAmount(planned),
+    actual: roundAmount(actual),
+    variance: roundAmount(actual - planned)
+  }
+}
+
+/**
+ * Compare les dépenses prévues d'un mois aux dépenses réelles enregistrées
+ * - Par catégorie : dépenses prévues actives ce mois-ci et dépenses réelles de la catégorie
+ * - Par personne : dépenses personnelles et part des dépenses communes, prévues et réelles
+ * - Par dépense prévue : montant du mois et dépenses réelles qui lui sont rattachées
+ * Les versements des objectifs d'épargne ne sont pas comptés dans le prévu
+ * @param {Array} people - Liste des personnes
+ * @param {Array} expenses - Dépenses prévues
+ * @param {Array} transactions - Dépenses réelles
+ * @param {object} options - Période et paramètres
+ * @param {string} options.month - Mois comparé (format YYYY-MM)
+ * @param {object} [options.settings] - Paramètres du ménage (devise, taux de change, répartition)
+ * @returns {object} Comparaisons { totals, byCategory, byPerson, byExpense }
+ *
+ * @example
+ * // Entrée
+ * calculatePlannedVsActual(people, [{ id: 'e1', name: 'Courses', amount: 400, frequency: 'monthly', category: 'food', assignedTo: 'commun' }], [{ id: 't1', date: '2026-03-14', amount: 450, expenseId: 'e1' }], { month: '2026-03' })
+ *
+ * // Sortie
+ * {
+ *   totals: { planned: 400, actual: 450, variance: 50 },
+ *   byCategory: { food: { planned: 400, actual: 450, variance: 50 } },
+ *   byPerson: { 'person-a': { planned: 200, actual: 225, variance: 25 }, ... },
+ *   byExpense: { e1: { planned: 400, actual: 450, variance: 50 } }
+ * }
+ */
+export const calculatePlannedVsActual = (people, expenses, transactions, { month, settings } = {}) => {
+  const actualExpenses = getMonthTransactions(transactions, month)
+    .map(transaction => transactionToExpense(transaction, expenses))
+  const getPlanned = (expense) => getExpenseMonthlyProjection(expense, month, settings).expected
+
+  const sumByKey = (list, getKey, getAmount) => list.reduce((sums, item) => {
+    const key = getKey(item)
+    sums[key] = (sums[key] || 0) + getAmount(item)
+    return sums
+  }, {})
+
+  const plannedByCategory = sumByKey(expenses, expense => expense.category, getPlanned)
+  const actualByCategory = sumByKey(actualExpenses, expense => expense.category, expense => expense.amount)
+  const byCategory = {}
+  new Set([...Object.keys(plannedByCategory), ...Object.keys(actualByCategory)]).forEach(category => {
+    const comparison = buildVariance(plannedByCategory[category] || 0, actualByCategory[category] || 0)
+    if (comparison.planned !== 0 || comparison.actual !== 0) byCategory[category] = comparison
+  })
+
+  const actualByExpense = sumByKey(
+    actualExpenses.filter(expense => expense.expenseId),
+    expense => expense.expenseId,
+    expense => expense.amount
+  )
+  const byExpense = {}
+  expenses.forEach(expense => {
+    const comparison = buildVariance(getPlanned(expense), actualByExpense[expense.id] || 0)
+    if (comparison.planned !== 0 || comparison.actual !== 0) byExpense[expense.id] = comparison
+  })
+
+  const getPersonTotal = (personId, personExpenses) => {
+    const budget = calculatePersonMonthlyBudget(personId, people, personExpenses, { month, settings })
+    return budget ? budget.personalExpenses + budget.sharedExpenses : 0
+  }
+  const byPerson = people.reduce((comparisons, person) => {
+    comparisons[person.id] = buildVariance(getPersonTotal(person.id, expenses), getPersonTotal(person.id, actualExpenses))
+    return comparisons
+  }, {})
+
+  return {
+    totals: buildVariance(
+      expenses.reduce((total, expense) => total + getPlanned(expense), 0),
+      actualExpenses.reduce((total, expense) => total + expense.amount, 0)
+    ),
+    byCategory,
+    byPerson,
+    byExpense
+  }
+}
@@ -0,0 +1,144 @@
+/**
+ * Migrations du schéma de données - Évolution contrôlée des budgets sauvegardés
+ *
+ * Fonctionnalités métier :
+ * - Chaîne ordonnée de migrations, une par version du schéma
+ * - Détection de la version d'un état sauvegardé (0 pour les anciens états non versionnés)
+ * - Application successive des migrations jusqu'à la version courante
+ * - Conversion historique du salaire unique en première personne
+ * - Conversion des mois figés sur 2025 en mois récurrents chaque année
+ * - Ajout des règlements, des objectifs d'épargne, du journal des dépenses réelles et des scénarios
+ *
+ * Objectif : Garantir qu'un budget enregistré avec une ancienne
+ * version de l'application reste lisible et cohérent après
+ * chaque évolution du modèle de données.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+
+import { DEFAULT_PEOPLE } from '../models/constants.js'
+
+/**
+ * Liste ordonnée des migrations du schéma
+ * Chaque migration transforme un état de la version précédente vers `version`
+ * Pour faire évoluer le modèle : ajouter une entrée en fin de liste, ne jamais modifier les existantes
+ */
+export const SCHEMA_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Conversion du salaire unique en liste de personnes',
+    migrate: (state) => {
+      // Si on a un ancien salaire à migrer, créer seulement la première personne avec ce salaire
+      const legacyPeople = state.salary && state.salary > 0
+        ? [{ ...DEFAULT_PEOPLE[0], salary: state.salary }]
+        : []
+
+      const rest = Object.fromEntries(Object.entries(state).filter(([key]) => key !== 'salary'))
+
+      return {
+        ...rest,
+        people: state.people !== undefined ? state.people : legacyPeople,
+        expenses: state.expenses || [],
+        settings: state.settings || {}
+      }
+    }
+  },
+  {
+    version: 2,
+    description: 'Mois des dépenses récurrents chaque année (numéros de mois au lieu de YYYY-MM)',
+    migrate: (state) => ({
+      ...state,
+      expenses: state.expenses.map(expense => {
+        // Entrées mal formées conservées telles quelles : la validation de l'import les signale une par une
+        if (!Array.isArray(expense?.months)) return expense
+
+        // '2025-06' devient 6 ; les doublons éventuels sont supprimés
+        const monthNumbers = expense.months.map(month =>
+          typeof month === 'string' ? Number(month.split('-')[1]) : month
+        )
+        return {
+          ...expense,
+          months: [...new Set(monthNumbers)].sort((a, b) => a - b)
+        }
+      })
+    })
+  },
+  {
+    version: 3,
+    description: 'Ajout des règlements entre personnes',
+    migrate: (state) => ({
+      ...state,
+      settlements: state.settlements || []
+    })
+  },
+  {
+    version: 4,
+    description: 'Ajout des objectifs d\'épargne',
+    migrate: (state) => ({
+      ...state,
+      savingsGoals: state.savingsGoals || []
+    })
+  },
+  {
+    version: 5,
+    description: 'Ajout du journal des dépenses réelles',
+    migrate: (state) => ({
+      ...state,
+      transactions: state.transactions || []
+    })
+  },
+  {
+    version: 6,
+    description: 'Ajout des scénarios « et si »',
+    migrate: (state) => ({
+      ...state,
+      scenarios: state.scenarios || []
+    })
+  }
+]
+
+// Version courante du schéma, toujours celle de la dernière migration
+export const CURRENT_SCHEMA_VERSION = SCHEMA_MIGRATIONS[SCHEMA_MIGRATIONS.length - 1].version
+
+/**
+ * Détermine la version du schéma d'un état sauvegardé
+ * @param {object} state - État sauvegardé
+ * @returns {number} Version du schéma (0 si non versionné)
+ */
+export const getSchemaVersion = (state) => {
+  return Number.isInteger(state?.schemaVersion) ? state.schemaVersion : 0
+}
+
+/**
+ * Migre un état sauvegardé vers la version courante du schéma
+ * Applique dans l'ordre toutes les migrations postérieures à la version de l'état
+ * @param {object} state - État sauvegardé (éventuellement ancien)
+ * @returns {object} État migré, marqué avec la version courante
+ *
+ * @example
+ * // Entrée
+ * migrateState({ salary: 42000, expenses: [] })
+ *
+ * // Sortie
+ * { schemaVersion: 6, people: [{ id: 'person-a', salary: 42000, ... }], expenses: [], settings: {}, settlements: [], savingsGoals: [], transactions: [], scenarios: [] }
+ */
+export const migrateState = (state) => {
+  if (!state || typeof state !== 'object') {
+    throw new Error('État sauvegardé invalide')
+  }
+
+  const version = getSchemaVersion(state)
+  if (version > CURRENT_SCHEMA_VERSION) {
+    throw new Error(`Version du schéma non supportée : ${version}`)
+  }
+
+  const migratedState = SCHEMA_MIGRATIONS
+    .filter(migration => migration.version > version)
+    .reduce((currentState, migration) => migration.migrate(currentState), state)
+
+  return {
+    ...migratedState,
+    schemaVersion: CURRENT_SCHEMA_VERSION
+  }
+}
@@ -0,0 +1,147 @@
+/**
+ * Paie française - Conversion du salaire brut en salaire net
+ *
+ * Fonctionnalités métier :
+ * - Taux de cotisations salariales selon le profil (cadre, non-cadre, fonction publique, personnalisé)
+ * - Conversion du salaire saisi (brut ou net) en salaire net et en salaire brut
+ * - Échéancier de versement du salaire (12, 13, 14 mois ou personnalisé)
+ *
+ * Objectif : Comparer les dépenses au revenu réellement perçu
+ * par chaque personne plutôt qu'à son salaire brut.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+
+import {
+  SALARY_TYPES,
+  CONTRIBUTION_PROFILES,
+  CONTRIBUTION_RATES,
+  DEFAULT_SALARY_TYPE,
+  DEFAULT_CONTRIBUTION_PROFILE,
+  PAYMENT_SCHEDULES,
+  PAYMENT_SCHEDULE_INSTALMENTS,
+  DEFAULT_PAYMENT_SCHEDULE,
+  MONTH_NUMBERS
+} from '../models/constants.js'
+
+/**
+ * Obtient le taux de cotisations salariales d'une personne
+ * Le taux personnalisé est saisi en pourcentage du brut
+ * @param {object} person - Personne { contributionProfile, customContributionRate }
+ * @returns {number} Taux de cotisations (entre 0 et 1)
+ *
+ * @example
+ * // Entrée
+ * getContributionRate({ contributionProfile: 'custom', customContributionRate: 23 })
+ *
+ * // Sortie
+ * 0.23
+ */
+export const getContributionRate = (person) => {
+  const profile = person.contributionProfile || DEFAULT_CONTRIBUTION_PROFILE
+
+  if (profile === CONTRIBUTION_PROFILES.CUSTOM) {
+    const customRate = Number(person.customContributionRate) || 0
+    return Math.min(Math.max(customRate, 0), 100) / 100
+  }
+
+  return CONTRIBUTION_RATES[profile] ?? CONTRIBUTION_RATES[DEFAULT_CONTRIBUTION_PROFILE]
+}
+
+/**
+ * Calcule le salaire annuel net d'une personne
+ * @param {object} person - Personne { salary, salaryType, contributionProfile, customContributionRate }
+ * @returns {number} Salaire annuel net
+ *
+ * @example
+ * // Entrée
+ * getNetAnnualSalary({ salary: 40000, salaryType: 'gross', contributionProfile: 'cadre' })
+ *
+ * // Sortie
+ * 30000
+ */
+export const getNetAnnualSalary = (person) => {
+  const salary = person.salary || 0
+  if ((person.salaryType || DEFAULT_SALARY_TYPE) === SALARY_TYPES.NET) return salary
+
+  return salary * (1 - getContributionRate(person))
+}
+
+/**
+ * Calcule le salaire annuel brut d'une personne
+ * @param {object} person - Personne { salary, salaryType, contributionProfile, customContributionRate }
+ * @returns {number} Salaire annuel brut
+ *
+ * @example
+ * // Entrée
+ * getGrossAnnualSalary({ salary: 30000, salaryType: 'net', contributionProfile: 'cadre' })
+ *
+ * // Sortie
+ * 40000
+ */
+export const getGrossAnnualSalary = (person) => {
+  const salary = person.salary || 0
+  if ((person.salaryType || DEFAULT_SALARY_TYPE) === SALARY_TYPES.GROSS) return salary
+
+  // Un taux de 100 % ne laisse aucun net : le brut ne peut pas en être déduit
+  const netRatio = 1 - getContributionRate(person)
+  return netRatio > 0 ? salary / netRatio : salary
+}
+
+/**
+ * Calcule les cotisations sociales annuelles retenues sur le salaire d'une personne
+ * @param {object} person - Personne { salary, salaryType, contributionProfile, customContributionRate }
+ * @returns {number} Différence entre salaire brut et salaire net
+ */
+export const getAnnualSocialContributions = (person) => {
+  return getGrossAnnualSalary(person) - getNetAnnualSalary(person)
+}
+
+/**
+ * Obtient le nombre de mensualités de salaire versées chaque mois
+ * Un échéancier personnalisé sans aucune mensualité positive revient à douze mensualités égales
+ * @param {object} person - Personne { paymentSchedule, customInstalments }
+ * @returns {object} Nombre de mensualités par numéro de mois (1 à 12)
+ *
+ * @example
+ * // Entrée
+ * getSalaryInstalments({ paymentSchedule: '13' })
+ *
+ * // Sortie
+ * { 1: 1, 2: 1, ..., 11: 1, 12: 2 }
+ */
+export const getSalaryInstalments = (person) => {
+  const schedule = person.paymentSchedule || DEFAULT_PAYMENT_SCHEDULE
+
+  if (schedule === PAYMENT_SCHEDULES.CUSTOM) {
+    const customInstalments = Object.fromEntries(MONTH_NUMBERS.map(month => [
+      month,
+      Math.max(0, Number(person.customInstalments?.[month]) || 0)
+    ]))
+    const hasInstalments = Object.values(customInstalments).some(count => count > 0)
+    return hasInstalments ? customInstalments : PAYMENT_SCHEDULE_INSTALMENTS[PAYMENT_SCHEDULES.TWELVE]
+  }
+
+  return PAYMENT_SCHEDULE_INSTALMENTS[schedule] || PAYMENT_SCHEDULE_INSTALMENTS[DEFAULT_PAYMENT_SCHEDULE]
+}
+
+/**
+ * Calcule la part du salaire annuel versée un mois donné
+ * @param {object} person - Personne { paymentSchedule, customInstalments }
+ * @param {number} month - Numéro du mois (1 à 12)
+ * @returns {number} Part du salaire annuel (entre 0 et 1)
+ *
+ * @example
+ * // Entrée
+ * getSalaryMonthShare({ paymentSchedule: '14' }, 6)
+ *
+ * // Sortie
+ * 0.142857 (2 mensualités sur 14)
+ */
+export const getSalaryMonthShare = (person, month) => {
+  const instalments = getSalaryInstalments(person)
+  const totalInstalments = Object.values(instalments).reduce((total, count) => total + count, 0)
+
+  return (instalments[month] || 0) / totalInstalments
+}
@@ -0,0 +1,208 @@
+/**
+ * Rapprochement bancaire - Association des dépenses réelles aux dépenses prévues
+ *
+ * Fonctionnalités métier :
+ * - Reconnaissance du nom d'une dépense prévue dans le libellé bancaire
+ * - Comparaison du montant payé au montant prévu, avec une tolérance
+ * - Vérification que la dépense prévue est attendue le mois de la dépense réelle
+ * - Propositions de rapprochement automatique, à confirmer ou corriger par l'utilisateur
+ * - Dépenses réelles non rapprochées et paiements attendus non constatés sur le mois
+ *
+ * Objectif : Vérifier chaque mois que les dépenses récurrentes prévues
+ * (loyer, abonnements...) ont bien été payées, et repérer les dépenses
+ * réelles qui ne correspondent à aucune ligne du budget.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+
+import {
+  MONTH_NUMBERS,
+  RECONCILIATION_AMOUNT_TOLERANCE,
+  RECONCILIATION_MIN_WORD_LENGTH
+} from '../models/constants.js'
+import { getExpenseAmountRange, isExpenseActiveInMonth } from './calculations.js'
+import { convertToBaseCurrency } from './currency.js'
+import { isSubMonthlyFrequency, isMultiMonthFrequency } from './frequencies.js'
+import { getCurrentMonthKey } from './calendar.js'
+import { normalizeText, containsKeyword } from './csvImport.js'
+import { getMonthTransactions, getTransactionMonth } from './ledger.js'
+
+/**
+ * Calcule la part des mots du nom d'une dépense prévue retrouvés dans un libellé bancaire
+ * Seuls les mots d'au moins trois lettres sont recherchés, sans tenir compte des accents ni de la casse
+ * @param {string} label - Libellé de la dépense réelle
+ * @param {object} expense - Dépense prévue { name }
+ * @returns {number} Score entre 0 (aucun mot retrouvé) et 1 (tous les mots retrouvés)
+ *
+ * @example
+ * // Entrée
+ * getLabelMatchScore('PRLV SEPA LOYER OCTOBRE', { name: 'Loyer appartement' })
+ *
+ * // Sortie
+ * 0.5
+ */
+export const getLabelMatchScore = (label, expense) => {
+  const keywords = normalizeText(expense.name)
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length >= RECONCILIATION_MIN_WORD_LENGTH)
+  if (keywords.length === 0) return 0
+
+  const normalizedLabel = normalizeText(label)
+  return keywords.filter(keyword => containsKeyword(normalizedLabel, keyword)).length / keywords.length
+}
+
+/**
+ * Indique si un montant payé correspond au montant d'une échéance d'une dépense prévue
+ * Une dépense en fourchette accepte tout montant entre ses bornes, tolérance comprise
+ * @param {number} amount - Montant payé, dans la devise du ménage
+ * @param {object} expense - Dépense prévue
+ * @param {string} monthKey - Mois du paiement (format YYYY-MM)
+ * @param {object} [options] - Paramètres et tolérance
+ * @param {object} [options.settings] - Paramètres du ménage (devise et taux de change)
+ * @param {number} [options.tolerance] - Écart toléré en proportion du montant prévu (défaut: 10 %)
+ * @returns {boolean} True si le montant est dans la tolérance
+ *
+ * @example
+ * // Entrée
+ * isAmountWithinTolerance(905, { amount: 850, frequency: 'monthly' }, '2026-10')
+ *
+ * // Sortie
+ * true
+ */
+export const isAmountWithinTolerance = (amount, expense, monthKey, { settings, tolerance = RECONCILIATION_AMOUNT_TOLERANCE } = {}) => {
+  const { low, high } = getExpenseAmountRange(expense)
+  const toBaseCurrency = (value) => convertToBaseCurrency(value, expense.currency, monthKey, settings)
+
+  return amount >= toBaseCurrency(low) * (1 - tolerance) && amount <= toBaseCurrency(high) * (1 + tolerance)
+}
+
+/**
+ * Indique si un paiement d'une dépense prévue est attendu un mois donné
+ * Une dépense espacée de plusieurs mois (trimestrielle, annuelle...) n'est attendue que si
+ * ses mois de paiement sont précisés ; répartie sur toute l'année, son mois de paiement est inconnu
+ * @param {object} expense - Dépense prévue
+ * @param {string} monthKey - Mois (format YYYY-MM)
+ * @returns {boolean} True si un paiement doit apparaître ce mois-ci
+ */
+export const isPaymentExpectedInMonth = (expense, monthKey) => {
+  if (!isExpenseActiveInMonth(expense, monthKey)) return false
+  if (!isMultiMonthFrequency(expense.frequency, expense.intervalMonths)) return true
+
+  return Array.isArray(expense.months) && expense.months.length < MONTH_NUMBERS.length
+}
+
+/**
+ * Recherche la dépense prévue qui correspond le mieux à une dépense réelle
+ * La dépense prévue doit être active le mois du paiement, son nom doit apparaître
+ * dans le libellé et le montant doit être dans la tolérance ; à égalité de libellé,
+ * le montant le plus proche l'emporte
+ * @param {object} transaction - Dépense réelle { date, label, amount }
+ * @param {Array} expenses - Dépenses prévues candidates
+ * @param {object} [options] - Paramètres et tolérance { settings, tolerance }
+ * @returns {object|null} Dépense prévue retenue, null si aucune ne correspond
+ *
+ * @example
+ * // Entrée
+ * findExpenseMatch({ date: '2026-10-05', label: 'PRLV LOYER', amount: 850 }, [{ id: 'e1', name: 'Loyer', amount: 850, frequency: 'monthly' }])
+ *
+ * // Sortie
+ * { id: 'e1', name: 'Loyer', amount: 850, frequency: 'monthly' }
+ */
+export const findExpenseMatch = (transaction, expenses, options = {}) => {
+  const monthKey = getTransactionMonth(transaction)
+
+  const candidates = expenses
+    .filter(expense => isExpenseActiveInMonth(expense, monthKey))
+    .filter(expense => isAmountWithinTolerance(transaction.amount, expense, monthKey, options))
+    .map(expense => ({
+      expense,
+      score: getLabelMatchScore(transaction.label, expense),
+      distance: Math.abs(transaction.amount - convertToBaseCurrency(
+        getExpenseAmountRange(expense).expected,
+        expense.currency,
+        monthKey,
+        options.settings
+      ))
+    }))
+    .filter(candidate => candidate.score > 0)
+    .sort((a, b) => b.score - a.score || a.distance - b.distance)
+
+  return candidates[0]?.expense || null
+}
+
+/**
+ * Rapproche les dépenses réelles d'un mois des dépenses prévues
+ * - Les dépenses réelles déjà associées à une dépense prévue sont des rapprochements confirmés
+ * - Les autres reçoivent une proposition automatique, sauf si l'utilisateur l'a écartée (matchIgnored)
+ * - Seule une dépense prévue infra-mensuelle (quotidienne, hebdomadaire...) reçoit plusieurs paiements par mois
+ * - Les paiements attendus non constatés ne sont signalés que pour les mois écoulés
+ *   ou en cours, depuis le mois de la première dépense réelle enregistrée
+ * @param {Array} expenses - Dépenses prévues
+ * @param {Array} transactions - Dépenses réelles
+ * @param {object} options - Période, paramètres et tolérance
+ * @param {string} options.month - Mois rapproché (format YYYY-MM)
+ * @param {object} [options.settings] - Paramètres du ménage (devise et taux de change)
+ * @param {number} [options.tolerance] - Écart de montant toléré (défaut: 10 %)
+ * @param {string} [options.asOfMonth] - Dernier mois écoulé (défaut: mois en cours)
+ * @returns {object} Rapprochement { matches, unmatched, missing }
+ *
+ * @example
+ * // Entrée
+ * reconcileTransactions(
+ *   [{ id: 'e1', name: 'Loyer', amount: 850, frequency: 'monthly' }, { id: 'e2', name: 'Internet', amount: 30, frequency: 'monthly' }],
+ *   [{ id: 't1', date: '2026-03-05', label: 'PRLV LOYER', amount: 850 }, { id: 't2', date: '2026-03-12', label: 'Pharmacie', amount: 12 }],
+ *   { month: '2026-03' }
+ * )
+ *
+ * // Sortie
+ * {
+ *   matches: [{ transaction: { id: 't1', ... }, expense: { id: 'e1', ... }, isConfirmed: false }],
+ *   unmatched: [{ id: 't2', ... }],
+ *   missing: [{ id: 'e2', ... }]
+ * }
+ */
+export const reconcileTransactions = (expenses, transactions, { month, settings, tolerance, asOfMonth = getCurrentMonthKey() } = {}) => {
+  const monthTransactions = getMonthTransactions(transactions, month)
+  const matches = []
+  const unmatched = []
+  const paidExpenseIds = new Set()
+
+  monthTransactions.forEach(transaction => {
+    const linkedExpense = transaction.expenseId && expenses.find(expense => expense.id === transaction.expenseId)
+    if (linkedExpense) {
+      matches.push({ transaction, expense: linkedExpense, isConfirmed: true })
+      paidExpenseIds.add(linkedExpense.id)
+    }
+  })
+
+  monthTransactions
+    .filter(transaction => !transaction.expenseId)
+    .forEach(transaction => {
+      const candidates = expenses.filter(expense =>
+        isSubMonthlyFrequency(expense.frequency) || !paidExpenseIds.has(expense.id)
+      )
+      const expense = transaction.matchIgnored ? null : findExpenseMatch(transaction, candidates, { settings, tolerance })
+
+      if (!expense) {
+        unmatched.push(transaction)
+        return
+      }
+      matches.push({ transaction, expense, isConfirmed: false })
+      paidExpenseIds.add(expense.id)
+    })
+
+  const firstTransactionMonth = transactions.reduce((first, transaction) => {
+    const transactionMonth = getTransactionMonth(transaction)
+    return !first || transactionMonth < first ? transactionMonth : first
+  }, null)
+  const isTrackedMonth = firstTransactionMonth !== null && month >= firstTransactionMonth && month <= asOfMonth
+
+  return {
+    matches,
+    unmatched,
+    missing: isTrackedMonth
+      ? expenses.filter(expense => isPaymentExpectedInMonth(expense, month) && !paidExpenseIds.has(expense.id))
+      : []
+  }
+}
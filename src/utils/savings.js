@@ -0,0 +1,188 @@
+/**
+ * Objectifs d'épargne - Versements mensuels et projections d'atteinte
+ *
+ * Fonctionnalités métier :
+ * - Progression de chaque objectif (montant déjà épargné sur montant cible)
+ * - Versement mensuel nécessaire pour atteindre l'objectif à la date cible
+ * - Versement mensuel retenu : montant prévu par le ménage ou, à défaut, montant nécessaire
+ * - Date d'atteinte projetée selon le versement retenu
+ * - Versements de chaque mois, convertis en dépenses d'épargne pour les calculs budgétaires
+ *
+ * Objectif : Planifier les projets d'épargne du ménage (apport immobilier,
+ * voyage...) et réserver chaque mois dans le budget les versements
+ * qui permettent de les atteindre à temps.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+
+import { EXPENSE_FREQUENCIES, COMMON_EXPENSE_CATEGORIES, ASSIGNMENT_OPTIONS } from '../models/constants.js'
+import { getYearMonths, getCurrentMonthKey, addMonths, countMonthsBetween } from './calendar.js'
+
+/**
+ * Calcule le montant restant à épargner pour un objectif
+ * @param {object} goal - Objectif d'épargne { targetAmount, savedAmount }
+ * @returns {number} Montant restant (0 si l'objectif est atteint)
+ */
+export const getSavingsGoalRemaining = (goal) => {
+  return Math.max(0, (Number(goal.targetAmount) || 0) - (Number(goal.savedAmount) || 0))
+}
+
+/**
+ * Calcule la progression d'un objectif d'épargne
+ * @param {object} goal - Objectif d'épargne { targetAmount, savedAmount }
+ * @returns {number} Ratio de progression entre 0 et 1
+ *
+ * @example
+ * // Entrée
+ * getSavingsGoalProgress({ targetAmount: 30000, savedAmount: 7500 })
+ *
+ * // Sortie
+ * 0.25
+ */
+export const getSavingsGoalProgress = (goal) => {
+  const targetAmount = Number(goal.targetAmount) || 0
+  if (targetAmount <= 0) return 0
+  return Math.min(1, Math.max(0, (Number(goal.savedAmount) || 0) / targetAmount))
+}
+
+/**
+ * Calcule le versement mensuel nécessaire pour atteindre l'objectif à la date cible
+ * Le mois de départ et le mois cible sont tous deux comptés ; une date cible dépassée
+ * impose de verser tout le montant restant dès le mois de départ
+ * @param {object} goal - Objectif d'épargne { targetAmount, savedAmount, targetMonth }
+ * @param {string} [fromMonth] - Premier mois de versement (défaut: mois en cours)
+ * @returns {number} Versement mensuel nécessaire
+ *
+ * @example
+ * // Entrée
+ * getRequiredMonthlyContribution({ targetAmount: 30000, savedAmount: 6000, targetMonth: '2028-09' }, '2026-10')
+ *
+ * // Sortie
+ * 1000
+ */
+export const getRequiredMonthlyContribution = (goal, fromMonth = getCurrentMonthKey()) => {
+  const remaining = getSavingsGoalRemaining(goal)
+  if (remaining === 0) return 0
+
+  return remaining / Math.max(1, countMonthsBetween(fromMonth, goal.targetMonth))
+}
+
+/**
+ * Obtient le versement mensuel retenu pour un objectif
+ * Le versement prévu par le ménage est prioritaire sur le versement nécessaire
+ * @param {object} goal - Objectif d'épargne
+ * @param {string} [fromMonth] - Premier mois de versement (défaut: mois en cours)
+ * @returns {number} Versement mensuel retenu
+ */
+export const getSavingsGoalMonthlyContribution = (goal, fromMonth = getCurrentMonthKey()) => {
+  const plannedContribution = Number(goal.monthlyContribution) || 0
+  return plannedContribution > 0 ? plannedContribution : getRequiredMonthlyContribution(goal, fromMonth)
+}
+
+/**
+ * Obtient le premier mois de versement d'un objectif : son mois de début,
+ * ou le mois de départ des projections s'il est postérieur
+ * @param {object} goal - Objectif d'épargne { startMonth }
+ * @param {string} fromMonth - Mois de départ des projections
+ * @returns {string} Premier mois de versement (format YYYY-MM)
+ */
+const getFirstContributionMonth = (goal, fromMonth) => {
+  return goal.startMonth && goal.startMonth > fromMonth ? goal.startMonth : fromMonth
+}
+
+/**
+ * Projette le mois d'atteinte d'un objectif avec le versement mensuel retenu
+ * @param {object} goal - Objectif d'épargne
+ * @param {string} [fromMonth] - Mois de départ des projections (défaut: mois en cours)
+ * @returns {string|null} Mois d'atteinte (format YYYY-MM), null si l'objectif est déjà atteint
+ *
+ * @example
+ * // Entrée
+ * getProjectedCompletionMonth({ targetAmount: 30000, savedAmount: 6000, monthlyContribution: 800, targetMonth: '2028-09' }, '2026-10')
+ *
+ * // Sortie
+ * "2029-03"
+ */
+export const getProjectedCompletionMonth = (goal, fromMonth = getCurrentMonthKey()) => {
+  const remaining = getSavingsGoalRemaining(goal)
+  if (remaining === 0) return null
+
+  const firstMonth = getFirstContributionMonth(goal, fromMonth)
+  const contribution = getSavingsGoalMonthlyContribution(goal, firstMonth)
+  return addMonths(firstMonth, Math.ceil(remaining / contribution) - 1)
+}
+
+/**
+ * Indique si l'objectif sera atteint après sa date cible au rythme retenu
+ * @param {object} goal - Objectif d'épargne
+ * @param {string} [fromMonth] - Mois de départ des projections (défaut: mois en cours)
+ * @returns {boolean} True si l'atteinte projetée dépasse la date cible
+ */
+export const isSavingsGoalLate = (goal, fromMonth = getCurrentMonthKey()) => {
+  const completionMonth = getProjectedCompletionMonth(goal, fromMonth)
+  return completionMonth !== null && completionMonth > goal.targetMonth
+}
+
+/**
+ * Calcule le versement prévu pour un objectif un mois donné
+ * Les versements sont projetés à partir du mois de départ jusqu'à l'atteinte de l'objectif ;
+ * le dernier versement est limité au montant restant
+ * @param {object} goal - Objectif d'épargne
+ * @param {string} monthKey - Mois (format YYYY-MM)
+ * @param {string} [fromMonth] - Mois de départ des projections (défaut: mois en cours)
+ * @returns {number} Versement du mois
+ *
+ * @example
+ * // Entrée
+ * getSavingsGoalMonthAmount({ targetAmount: 1000, savedAmount: 0, monthlyContribution: 400, targetMonth: '2027-06' }, '2026-12', '2026-10')
+ *
+ * // Sortie
+ * 200
+ */
+export const getSavingsGoalMonthAmount = (goal, monthKey, fromMonth = getCurrentMonthKey()) => {
+  const firstMonth = getFirstContributionMonth(goal, fromMonth)
+  if (monthKey < firstMonth) return 0
+
+  const contribution = getSavingsGoalMonthlyContribution(goal, firstMonth)
+  const previousContributions = (countMonthsBetween(firstMonth, monthKey) - 1) * contribution
+  return Math.max(0, Math.min(contribution, getSavingsGoalRemaining(goal) - previousContributions))
+}
+
+/**
+ * Convertit les versements des objectifs d'épargne d'une année en dépenses d'épargne
+ * Chaque versement devient une dépense mensuelle limitée à son mois, assignée
+ * et partagée comme l'objectif, pour être intégrée aux calculs budgétaires
+ * @param {Array} savingsGoals - Objectifs d'épargne
+ * @param {number} year - Année budgétaire
+ * @param {string} [fromMonth] - Mois de départ des projections (défaut: mois en cours)
+ * @returns {Array} Dépenses d'épargne de l'année
+ *
+ * @example
+ * // Entrée
+ * getSavingsContributionExpenses([{ id: 'g1', name: 'Apport maison', targetAmount: 1000, savedAmount: 0, monthlyContribution: 400, assignedTo: 'commun' }], 2026, '2026-11')
+ *
+ * // Sortie
+ * [
+ *   { id: 'g1-2026-11', name: 'Apport maison', amount: 400, frequency: 'monthly', category: 'savings', assignedTo: 'commun', startMonth: '2026-11', endMonth: '2026-11', savingsGoalId: 'g1' },
+ *   { id: 'g1-2026-12', name: 'Apport maison', amount: 400, ... }
+ * ]
+ */
+export const getSavingsContributionExpenses = (savingsGoals = [], year, fromMonth = getCurrentMonthKey()) => {
+  return savingsGoals.flatMap(goal => getYearMonths(year)
+    .map(monthKey => ({ monthKey, amount: getSavingsGoalMonthAmount(goal, monthKey, fromMonth) }))
+    .filter(({ amount }) => amount > 0)
+    .map(({ monthKey, amount }) => ({
+      id: `${goal.id}-${monthKey}`,
+      name: goal.name,
+      amount,
+      frequency: EXPENSE_FREQUENCIES.MONTHLY,
+      category: COMMON_EXPENSE_CATEGORIES.SAVINGS,
+      assignedTo: goal.assignedTo || ASSIGNMENT_OPTIONS.BOTH,
+      shares: goal.shares,
+      startMonth: monthKey,
+      endMonth: monthKey,
+      savingsGoalId: goal.id
+    }))
+  )
+}
@@ -0,0 +1,164 @@
+/**
+ * Scénarios « et si » - Copies du budget et comparaison au budget actuel
+ *
+ * Fonctionnalités métier :
+ * - Copie indépendante des personnes et des dépenses du budget actuel
+ * - Résumé d'un budget sur une année ou un mois (revenus, dépenses, reste)
+ * - Dépenses par catégorie et budget restant par personne
+ * - Écarts d'un scénario par rapport au budget actuel
+ *
+ * Objectif : Répondre aux questions « et si on déménageait dans un
+ * appartement plus grand ? » ou « et si Personne B passait à temps
+ * partiel ? » sans toucher au budget actuel.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+
+import {
+  calculateAnnualBudget,
+  calculateMonthlyBudget,
+  calculatePersonAnnualBudget,
+  calculatePersonMonthlyBudget,
+  sumAnnualProjections,
+  sumMonthlyProjections
+} from './calculations.js'
+import { getHouseholdAnnualIncome, getHouseholdMonthlyIncome } from './income.js'
+import { getSavingsContributionExpenses } from './savings.js'
+import { parseMonthKey } from './calendar.js'
+
+/**
+ * Arrondit un montant au centime
+ * @param {number} amount - Montant à arrondir
+ * @returns {number} Montant arrondi
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100
+
+/**
+ * Copie les personnes et les dépenses du budget actuel pour un nouveau scénario
+ * Les identifiants sont conservés pour comparer chaque personne au budget actuel
+ * @param {Array} people - Personnes du budget actuel
+ * @param {Array} expenses - Dépenses du budget actuel
+ * @returns {object} Copies indépendantes { people, expenses }
+ *
+ * @example
+ * // Entrée
+ * copyBudgetForScenario([{ id: 'a', salary: 30000 }], [{ id: 'e1', name: 'Loyer', amount: 900 }])
+ *
+ * // Sortie
+ * { people: [{ id: 'a', salary: 30000 }], expenses: [{ id: 'e1', name: 'Loyer', amount: 900 }] }
+ */
+export const copyBudgetForScenario = (people, expenses) => {
+  return {
+    people: structuredClone(people),
+    expenses: structuredClone(expenses)
+  }
+}
+
+/**
+ * Résume un budget sur une année, ou sur un mois s'il est précisé
+ * @param {object} budget - Budget { people, expenses }
+ * @param {object} options - Période et paramètres { year, month, settings, savingsGoals }
+ * @returns {object} Résumé { income, totalExpenses, remainingBudget, byCategory, byPerson }
+ */
+const summarizeBudget = ({ people, expenses }, { year, month, settings, savingsGoals }) => {
+  const budgetYear = month ? parseMonthKey(month).year : year
+  const options = { year: budgetYear, month, settings, savingsGoals }
+  const summary = month
+    ? calculateMonthlyBudget(people, expenses, options)
+    : calculateAnnualBudget(people, expenses, options)
+  const income = month
+    ? getHouseholdMonthlyIncome(people, { month })
+    : getHouseholdAnnualIncome(people, budgetYear)
+
+  const byCategory = {}
+  ;[...expenses, ...getSavingsContributionExpenses(savingsGoals, budgetYear)].forEach(expense => {
+    const projection = month
+      ? sumMonthlyProjections([expense], month, settings)
+      : sumAnnualProjections([expense], budgetYear, settings)
+    byCategory[expense.category] = (byCategory[expense.category] || 0) + projection.expected
+  })
+
+  const byPerson = {}
+  people.forEach(person => {
+    const personBudget = month
+      ? calculatePersonMonthlyBudget(person.id, people, expenses, options)
+      : calculatePersonAnnualBudget(person.id, people, expenses, options)
+    byPerson[person.id] = { name: person.name || 'Sans nom', remainingBudget: personBudget.remainingBudget }
+  })
+
+  return {
+    income,
+    totalExpenses: summary.totalExpenses,
+    remainingBudget: summary.remainingBudget,
+    byCategory,
+    byPerson
+  }
+}
+
+/**
+ * Construit l'écart entre un montant du budget actuel et celui d'un scénario
+ * @param {number} base - Montant du budget actuel
+ * @param {number} scenario - Montant du scénario
+ * @returns {object} Écart { base, scenario, delta }
+ */
+const buildDelta = (base, scenario) => ({
+  base: roundAmount(base),
+  scenario: roundAmount(scenario),
+  delta: roundAmount(scenario - base)
+})
+
+/**
+ * Compare un scénario au budget actuel sur une année, ou sur un mois s'il est précisé
+ * Une personne absente de l'un des deux budgets y compte pour un budget restant nul
+ * @param {object} baseBudget - Budget actuel { people, expenses }
+ * @param {object} scenario - Scénario { people, expenses }
+ * @param {object} options - Période et paramètres du ménage
+ * @param {number} options.year - Année budgétaire
+ * @param {string} [options.month] - Mois comparé (format YYYY-MM) ; sans mois, l'année entière
+ * @param {object} [options.settings] - Paramètres du ménage
+ * @param {Array} [options.savingsGoals] - Objectifs d'épargne (communs au budget actuel et aux scénarios)
+ * @returns {object} Écarts { totals, byCategory, byPerson }
+ *
+ * @example
+ * // Entrée
+ * compareScenario(
+ *   { people: [{ id: 'b', name: 'B', salary: 30000 }], expenses: [{ id: 'e1', amount: 800, frequency: 'monthly', category: 'housing', assignedTo: 'commun' }] },
+ *   { people: [{ id: 'b', name: 'B', salary: 24000 }], expenses: [{ id: 'e1', amount: 1100, frequency: 'monthly', category: 'housing', assignedTo: 'commun' }] },
+ *   { year: 2026 }
+ * )
+ *
+ * // Sortie
+ * {
+ *   totals: { income: { base: 30000, scenario: 24000, delta: -6000 }, totalExpenses: { ..., delta: 3600 }, remainingBudget: { ..., delta: -9600 } },
+ *   byCategory: { housing: { base: 9600, scenario: 13200, delta: 3600 } },
+ *   byPerson: { b: { name: 'B', base: 20400, scenario: 10800, delta: -9600 } }
+ * }
+ */
+export const compareScenario = (baseBudget, scenario, options) => {
+  const base = summarizeBudget(baseBudget, options)
+  const variant = summarizeBudget(scenario, options)
+
+  const byCategory = {}
+  new Set([...Object.keys(base.byCategory), ...Object.keys(variant.byCategory)]).forEach(category => {
+    byCategory[category] = buildDelta(base.byCategory[category] || 0, variant.byCategory[category] || 0)
+  })
+
+  const byPerson = {}
+  new Set([...Object.keys(base.byPerson), ...Object.keys(variant.byPerson)]).forEach(personId => {
+    byPerson[personId] = {
+      name: (variant.byPerson[personId] || base.byPerson[personId]).name,
+      ...buildDelta(base.byPerson[personId]?.remainingBudget || 0, variant.byPerson[personId]?.remainingBudget || 0)
+    }
+  })
+
+  return {
+    totals: {
+      income: buildDelta(base.income, variant.income),
+      totalExpenses: buildDelta(base.totalExpenses, variant.totalExpenses),
+      remainingBudget: buildDelta(base.remainingBudget, variant.remainingBudget)
+    },
+    byCategory,
+    byPerson
+  }
+}
@@ -0,0 +1,169 @@
+/**
+ * Équilibrage des comptes - Calcul des remboursements entre personnes
+ *
+ * Fonctionnalités métier :
+ * - Solde de chaque personne sur un mois : montants avancés moins sa part des dépenses
+ * - Prise en compte de la répartition du ménage et des parts des dépenses partagées
+ * - Déduction des règlements déjà effectués sur le mois
+ * - Liste minimale de virements pour remettre tous les soldes à zéro
+ *
+ * Objectif : Indiquer simplement qui doit combien à qui lorsque
+ * les dépenses communes ne sont pas payées par ceux qui les supportent.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+
+import { ASSIGNMENT_OPTIONS } from '../models/constants.js'
+import { getExpenseMonthlyProjection, getExpenseShares, calculatePersonMonthlyBudget } from './calculations.js'
+
+// En dessous d'un centime, un solde est considéré comme réglé
+const SETTLEMENT_TOLERANCE = 0.005
+
+/**
+ * Arrondit un montant au centime
+ * @param {number} amount - Montant à arrondir
+ * @returns {number} Montant arrondi
+ */
+const roundToCents = (amount) => Math.round(amount * 100) / 100
+
+/**
+ * Calcule la part de chaque personne dans le coût d'une dépense
+ * - dépense personnelle : entièrement à la charge de la personne assignée
+ * - dépense partagée par certaines personnes : selon ses parts
+ * - dépense commune : selon la répartition du ménage
+ * @param {object} expense - Dépense concernée
+ * @param {Array} people - Liste des personnes
+ * @param {object} householdShares - Part de chaque personne dans les dépenses communes
+ * @returns {object} Part (entre 0 et 1) par ID de personne
+ */
+const getExpenseCostShares = (expense, people, householdShares) => {
+  if (expense.assignedTo !== ASSIGNMENT_OPTIONS.BOTH) {
+    return people.some(person => person.id === expense.assignedTo)
+      ? { [expense.assignedTo]: 1 }
+      : {}
+  }
+
+  return getExpenseShares(expense, people) || householdShares
+}
+
+/**
+ * Calcule le solde de chaque personne sur un mois
+ * Un solde positif correspond à un montant à recevoir, négatif à un montant dû
+ * Seules les dépenses dont le payeur est renseigné sont prises en compte
+ * @param {Array} people - Liste des personnes
+ * @param {Array} expenses - Liste des dépenses
+ * @param {Array} settlements - Règlements déjà effectués
+ * @param {object} options - Options de calcul
+ * @param {string} options.month - Mois (format YYYY-MM)
+ * @param {object} [options.settings] - Paramètres du ménage (politique de répartition)
+ * @returns {object} Solde par ID de personne
+ *
+ * @example
+ * // Entrée
+ * calculateSettlementBalances(people, [{ amount: 1000, frequency: 'monthly', assignedTo: 'commun', paidBy: 'person-a', ... }], [], { month: '2026-10' })
+ *
+ * // Sortie
+ * { 'person-a': 500, 'person-b': -500 }
+ */
+export const calculateSettlementBalances = (people, expenses, settlements, { month, settings }) => {
+  const balances = Object.fromEntries(people.map(person => [person.id, 0]))
+  const householdShares = Object.fromEntries(people.map(person => [
+    person.id,
+    calculatePersonMonthlyBudget(person.id, people, expenses, { month, settings }).sharedExpensesShare
+  ]))
+
+  expenses
+    .filter(expense => expense.paidBy in balances)
+    .forEach(expense => {
+      const amount = getExpenseMonthlyProjection(expense, month, settings).expected
+      if (amount === 0) return
+
+      const costShares = getExpenseCostShares(expense, people, householdShares)
+      if (Object.keys(costShares).length === 0) return
+
+      balances[expense.paidBy] += amount
+      Object.entries(costShares).forEach(([personId, share]) => {
+        balances[personId] -= amount * share
+      })
+    })
+
+  // Un règlement effectué rapproche le débiteur et le créancier de zéro
+  settlements
+    .filter(settlement => settlement.period === month)
+    .forEach(settlement => {
+      if (settlement.from in balances) balances[settlement.from] += settlement.amount
+      if (settlement.to in balances) balances[settlement.to] -= settlement.amount
+    })
+
+  return Object.fromEntries(Object.entries(balances).map(([personId, balance]) => [personId, roundToCents(balance)]))
+}
+
+/**
+ * Calcule une liste minimale de virements pour solder les comptes
+ * Le plus gros débiteur rembourse le plus gros créancier jusqu'à ce que tous les soldes soient nuls,
+ * ce qui nécessite au plus (nombre de personnes - 1) virements
+ * @param {object} balances - Solde par ID de personne
+ * @returns {Array} Virements [{ from, to, amount }]
+ *
+ * @example
+ * // Entrée
+ * minimizeTransfers({ 'person-a': 300, 'person-b': -200, 'person-c': -100 })
+ *
+ * // Sortie
+ * [{ from: 'person-b', to: 'person-a', amount: 200 }, { from: 'person-c', to: 'person-a', amount: 100 }]
+ */
+export const minimizeTransfers = (balances) => {
+  const debtors = Object.entries(balances)
+    .filter(([, balance]) => balance < -SETTLEMENT_TOLERANCE)
+    .map(([personId, balance]) => ({ personId, amount: -balance }))
+  const creditors = Object.entries(balances)
+    .filter(([, balance]) => balance > SETTLEMENT_TOLERANCE)
+    .map(([personId, balance]) => ({ personId, amount: balance }))
+
+  const transfers = []
+  while (debtors.length > 0 && creditors.length > 0) {
+    debtors.sort((a, b) => b.amount - a.amount)
+    creditors.sort((a, b) => b.amount - a.amount)
+
+    const debtor = debtors[0]
+    const creditor = creditors[0]
+    const amount = Math.min(debtor.amount, creditor.amount)
+
+    transfers.push({ from: debtor.personId, to: creditor.personId, amount: roundToCents(amount) })
+
+    debtor.amount -= amount
+    creditor.amount -= amount
+    if (debtor.amount <= SETTLEMENT_TOLERANCE) debtors.shift()
+    if (creditor.amount <= SETTLEMENT_TOLERANCE) creditors.shift()
+  }
+
+  return transfers
+}
+
+/**
+ * Calcule l'équilibrage complet d'un mois
+ * @param {Array} people - Liste des personnes
+ * @param {Array} expenses - Liste des dépenses
+ * @param {Array} settlements - Règlements déjà effectués
+ * @param {object} options - Options de calcul
+ * @param {string} options.month - Mois (format YYYY-MM)
+ * @param {object} [options.settings] - Paramètres du ménage (politique de répartition)
+ * @returns {object} Équilibrage { balances, transfers, paidSettlements }
+ *
+ * @example
+ * // Entrée
+ * calculateSettlement(people, expenses, [], { month: '2026-10', settings: { splitPolicy: 'equal' } })
+ *
+ * // Sortie
+ * { balances: { 'person-a': 500, 'person-b': -500 }, transfers: [{ from: 'person-b', to: 'person-a', amount: 500 }], paidSettlements: [] }
+ */
+export const calculateSettlement = (people, expenses, settlements, { month, settings }) => {
+  const balances = calculateSettlementBalances(people, expenses, settlements, { month, settings })
+
+  return {
+    balances,
+    transfers: minimizeTransfers(balances),
+    paidSettlements: settlements.filter(settlement => settlement.period === month)
+  }
+}
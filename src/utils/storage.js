@@ -0,0 +1,167 @@
+/**
+ * Persistance locale du budget - Sauvegarde et restauration dans le navigateur
+ *
+ * Fonctionnalités métier :
+ * - Sauvegarde automatique des personnes, dépenses, paramètres, règlements, objectifs d'épargne, dépenses réelles et scénarios
+ * - Restauration du budget au rechargement de l'application
+ * - Application des migrations de schéma sur les données restaurées
+ * - Tolérance aux erreurs (stockage indisponible, données corrompues)
+ * - Copie de secours des données sauvegardées qui n'ont pas pu être restaurées
+ *
+ * Objectif : Éviter la perte des données budgétaires saisies
+ * entre deux sessions, sans jamais bloquer l'application
+ * lorsque le stockage local est inaccessible.
+ *
+ * @created 2026-10-19
+ * @author Équipe Développement
+ */
+
+import { STORAGE_KEYS, VALIDATION_MESSAGES } from '../models/constants.js'
+import { migrateState, getSchemaVersion, CURRENT_SCHEMA_VERSION } from './migrations.js'
+
+/**
+ * Retourne le stockage local du navigateur s'il est utilisable
+ * @returns {Storage|null} Stockage local ou null si indisponible
+ */
+const getStorage = () => {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null
+  } catch (error) {
+    // Accès refusé (navigation privée, politique de sécurité...)
+    return null
+  }
+}
+
+/**
+ * Reconstitue les dates des dépenses après désérialisation JSON
+ * @param {Array} expenses - Dépenses désérialisées
+ * @returns {Array} Dépenses avec createdAt en objet Date
+ */
+export const reviveExpenseDates = (expenses) => {
+  return expenses.map(expense => ({
+    ...expense,
+    createdAt: expense.createdAt ? new Date(expense.createdAt) : new Date()
+  }))
+}
+
+/**
+ * Reconstitue les dates des dépenses de chaque scénario après désérialisation JSON
+ * @param {Array} scenarios - Scénarios désérialisés
+ * @returns {Array} Scénarios dont les dépenses ont createdAt en objet Date
+ */
+export const reviveScenarioDates = (scenarios) => {
+  return scenarios.map(scenario => ({
+    ...scenario,
+    expenses: reviveExpenseDates(scenario.expenses)
+  }))
+}
+
+/**
+ * Extrait la partie persistante de l'état du budget
+ * Les états techniques (chargement) ne sont pas sauvegardés
+ * @param {object} state - État complet du budget
+ * @returns {object} Données à sauvegarder, marquées avec la version du schéma
+ *
+ * @example
+ * // Entrée
+ * serializeBudgetState({ people: [...], expenses: [...], settings: {}, settlements: [], savingsGoals: [], transactions: [], scenarios: [], isLoading: false })
+ *
+ * // Sortie
+ * { schemaVersion: 6, people: [...], expenses: [...], settings: {}, settlements: [], savingsGoals: [], transactions: [], scenarios: [] }
+ */
+export const serializeBudgetState = (state) => {
+  return {
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    people: state.people,
+    expenses: state.expenses,
+    settings: state.settings,
+    settlements: state.settlements,
+    savingsGoals: state.savingsGoals,
+    transactions: state.transactions,
+    scenarios: state.scenarios
+  }
+}
+
+/**
+ * Explique pourquoi un budget sauvegardé n'a pas pu être restauré
+ * @param {string} rawState - Données sauvegardées brutes
+ * @param {Error} error - Erreur levée pendant la lecture ou la migration
+ * @returns {string} Message affichable
+ */
+const getLoadErrorMessage = (rawState, error) => {
+  try {
+    // Seule une version plus récente du schéma garde le message de la migration
+    if (getSchemaVersion(JSON.parse(rawState)) > CURRENT_SCHEMA_VERSION) return error.message
+  } catch (parseError) {
+    // JSON illisible : message générique ci-dessous
+  }
+  return VALIDATION_MESSAGES.UNREADABLE_SAVED_BUDGET
+}
+
+/**
+ * Charge le budget sauvegardé et le migre vers le schéma courant
+ * Si la restauration échoue, les données brutes sont copiées sous la clé de secours
+ * pour qu'une sauvegarde ultérieure ne les fasse pas disparaître
+ * @returns {object} Résultat { state, error, isBackedUp } : state null si aucune sauvegarde exploitable,
+ * error renseignée si une sauvegarde existe mais n'a pas pu être restaurée,
+ * isBackedUp vrai si ces données ont été copiées sous la clé de secours
+ *
+ * @example
+ * // Entrée (stockage contenant '{"schemaVersion":99}')
+ * loadBudgetState()
+ *
+ * // Sortie
+ * { state: null, error: 'Version du schéma non supportée : 99', isBackedUp: true }
+ */
+export const loadBudgetState = () => {
+  const storage = getStorage()
+  if (!storage) return { state: null, error: null, isBackedUp: false }
+
+  let rawState = null
+  try {
+    rawState = storage.getItem(STORAGE_KEYS.BUDGET_STATE)
+    if (!rawState) return { state: null, error: null, isBackedUp: false }
+
+    const migratedState = migrateState(JSON.parse(rawState))
+
+    return {
+      state: {
+        ...migratedState,
+        expenses: reviveExpenseDates(migratedState.expenses),
+        scenarios: reviveScenarioDates(migratedState.scenarios)
+      },
+      error: null,
+      isBackedUp: false
+    }
+  } catch (error) {
+    if (rawState === null) return { state: null, error: VALIDATION_MESSAGES.STORAGE_UNAVAILABLE, isBackedUp: false }
+
+    let isBackedUp = false
+    try {
+      storage.setItem(STORAGE_KEYS.BUDGET_BACKUP, rawState)
+      isBackedUp = true
+    } catch (backupError) {
+      // Copie impossible (stockage plein) : l'utilisateur en est averti avant toute nouvelle sauvegarde
+    }
+    return { state: null, error: getLoadErrorMessage(rawState, error), isBackedUp }
+  }
+}
+
+/**
+ * Sauvegarde le budget dans le stockage local
+ * @param {object} state - État complet du budget
+ * @returns {boolean} True si la sauvegarde a réussi
+ */
+export const saveBudgetState = (state) => {
+  const storage = getStorage()
+  if (!storage) return false
+
+  try {
+    storage.setItem(STORAGE_KEYS.BUDGET_STATE, JSON.stringify(serializeBudgetState(state)))
+    return true
+  } catch (error) {
+    // Quota dépassé ou stockage en lecture seule : l'appelant prévient l'utilisateur
+    return false
+  }
+}
+
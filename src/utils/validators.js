@@ -5,6 +5,20 @@
  * - Validation des montants financiers
  * - Validation des noms de dépenses
  * - Validation des formulaires de salaire et dépenses
+ * - Contrôle de la nature du salaire (brut / net) et du taux de cotisations
+ * - Validation des sources de revenus complémentaires
+ * - Contrôle de l'échéancier de versement du salaire
+ * - Contrôle de la période de début et de fin des dépenses
+ * - Contrôle des jours d'échéance des dépenses et des jours de versement des revenus
+ * - Contrôle de l'intervalle des fréquences « tous les N mois »
+ * - Contrôle des parts des dépenses partagées entre certaines personnes
+ * - Validation des taux de change saisis par le ménage
+ * - Validation des objectifs d'épargne (montant cible, date cible, déjà épargné)
+ * - Validation des enveloppes de dépenses par catégorie
+ * - Validation des dépenses réelles du journal (date, montant, catégorie ou dépense prévue associée)
+ * - Validation du nom des scénarios « et si » (unique parmi les scénarios)
+ * - Validation des personnes, dépenses, règlements, objectifs d'épargne, dépenses réelles et scénarios d'un fichier de budget importé
+ * - Validation des paramètres du ménage d'un fichier importé (devise, format régional, répartition, impôt)
  * - Retour d'erreurs détaillées pour l'interface utilisateur
  *
  * Objectif : Garantir la qualité et la cohérence des données
@@ -15,7 +29,26 @@
  * @author Équipe Développement
  */
 
-import { VALIDATION_MESSAGES } from '../models/constants.js'
+import {
+  VALIDATION_MESSAGES,
+  EXPENSE_FREQUENCIES,
+  AMOUNT_MODES,
+  CURRENCIES,
+  SALARY_TYPES,
+  CONTRIBUTION_PROFILES,
+  INCOME_SOURCE_TYPES,
+  PAYMENT_SCHEDULES,
+  MONTH_NUMBERS,
+  COMMON_EXPENSE_CATEGORIES,
+  ENVELOPE_PERIODS,
+  MIN_INTERVAL_MONTHS,
+  MAX_INTERVAL_MONTHS,
+  CURRENCY_LABELS,
+  LOCALE_LABELS,
+  SPLIT_POLICIES
+} from '../models/constants.js'
+import { TAX_FILING_MODES } from '../models/taxRules.js'
+import { getDaysInMonth } from './calendar.js'
 
 /**
  * Valide qu'une valeur n'est pas vide ou nulle
@@ -26,6 +59,60 @@ export const isRequired = (value) => {
   return value !== null && value !== undefined && value !== ''
 }
 
+/**
+ * Valide qu'un taux de cotisations est un pourcentage entre 0 et 100
+ * @param {*} value - Valeur à valider
+ * @returns {boolean} True si valide
+ */
+export const isValidContributionRate = (value) => {
+  const num = Number(value)
+  return isRequired(value) && !isNaN(num) && num >= 0 && num <= 100
+}
+
+/**
+ * Valide un échéancier personnalisé : mensualités positives ou nulles par mois (1 à 12),
+ * dont au moins une positive
+ * @param {*} instalments - Nombre de mensualités par numéro de mois
+ * @returns {boolean} True si valide
+ */
+export const isValidInstalments = (instalments) => {
+  if (!instalments || typeof instalments !== 'object' || Array.isArray(instalments)) return false
+
+  const entries = Object.entries(instalments)
+  return entries.every(([month, count]) => MONTH_NUMBERS.includes(Number(month)) && typeof count === 'number' && count >= 0) &&
+    entries.some(([, count]) => count > 0)
+}
+
+/**
+ * Valide un jour d'échéance ou de versement dans le mois
+ * @param {*} value - Valeur à valider
+ * @returns {boolean} True si la valeur est un entier entre 1 et 31
+ */
+export const isValidDueDay = (value) => {
+  return Number.isInteger(value) && value >= 1 && value <= 31
+}
+
+/**
+ * Valide l'intervalle d'une fréquence « tous les N mois »
+ * @param {*} value - Valeur à valider
+ * @returns {boolean} True si la valeur est un nombre entier de mois entre 2 et 24
+ */
+export const isValidIntervalMonths = (value) => {
+  return Number.isInteger(value) && value >= MIN_INTERVAL_MONTHS && value <= MAX_INTERVAL_MONTHS
+}
+
+/**
+ * Valide une date sans heure, jour compris dans le mois
+ * @param {*} value - Valeur à valider
+ * @returns {boolean} True si la valeur est une date YYYY-MM-DD existante ('2026-02-31' est refusée)
+ */
+export const isValidDateKey = (value) => {
+  if (typeof value !== 'string' || !/^\d{4}-(0[1-9]|1[0-2])-\d{2}$/.test(value)) return false
+
+  const day = Number(value.slice(8, 10))
+  return day >= 1 && day <= getDaysInMonth(value.slice(0, 7))
+}
+
 /**
  * Valide qu'une valeur est un nombre positif
  * @param {*} value - Valeur à valider
@@ -202,6 +289,95 @@ export const validateExpenseForm = (data) => {
     if (!firstError) firstError = VALIDATION_MESSAGES.REQUIRED_FIELD
   }
 
+  // Parts optionnelles : une dépense partagée doit l'être avec au moins une personne
+  if (data.shares && (typeof data.shares !== 'object' ||
+      !Object.values(data.shares).some(weight => isPositiveNumber(weight)) ||
+      Object.values(data.shares).some(weight => isNaN(Number(weight)) || Number(weight) < 0))) {
+    errors.shares = VALIDATION_MESSAGES.INVALID_SHARES
+    if (!firstError) firstError = VALIDATION_MESSAGES.INVALID_SHARES
+  }
+
+  // Période optionnelle : les clés YYYY-MM se comparent par ordre alphabétique
+  if (data.startMonth && data.endMonth && data.endMonth < data.startMonth) {
+    errors.endMonth = VALIDATION_MESSAGES.INVALID_PERIOD
+    if (!firstError) firstError = VALIDATION_MESSAGES.INVALID_PERIOD
+  }
+
+  if (data.dueDay !== undefined && !isValidDueDay(data.dueDay)) {
+    errors.dueDay = VALIDATION_MESSAGES.INVALID_DUE_DAY
+    if (!firstError) firstError = VALIDATION_MESSAGES.INVALID_DUE_DAY
+  }
+
+  if (data.frequency === EXPENSE_FREQUENCIES.EVERY_N_MONTHS && data.intervalMonths !== undefined &&
+      !isValidIntervalMonths(data.intervalMonths)) {
+    errors.intervalMonths = VALIDATION_MESSAGES.INVALID_INTERVAL_MONTHS
+    if (!firstError) firstError = VALIDATION_MESSAGES.INVALID_INTERVAL_MONTHS
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+    firstError
+  }
+}
+
+/**
+ * Valide une source de revenus complémentaire au salaire
+ * @param {object} data - Source de revenus { name, type, amount, frequency, intervalMonths, months, dueDay }
+ * @returns {object} Objet avec isValid, errors et firstError
+ *
+ * @example
+ * // Entrée
+ * validateIncomeSource({ name: 'Prime annuelle', type: 'bonus', amount: 1500, frequency: 'annual', months: [12] })
+ *
+ * // Sortie
+ * { isValid: true, errors: {}, firstError: null }
+ */
+export const validateIncomeSource = (data) => {
+  const errors = {}
+  let firstError = null
+
+  const nameValidation = validateExpenseName(data.name)
+  if (!nameValidation.isValid) {
+    errors.name = nameValidation.error
+    if (!firstError) firstError = nameValidation.error
+  }
+
+  const amountValidation = validateAmount(data.amount)
+  if (!amountValidation.isValid) {
+    errors.amount = amountValidation.error
+    if (!firstError) firstError = amountValidation.error
+  }
+
+  if (!Object.values(EXPENSE_FREQUENCIES).includes(data.frequency)) {
+    errors.frequency = VALIDATION_MESSAGES.INVALID_VALUE
+    if (!firstError) firstError = VALIDATION_MESSAGES.INVALID_VALUE
+  }
+
+  if (data.type !== undefined && !Object.values(INCOME_SOURCE_TYPES).includes(data.type)) {
+    errors.type = VALIDATION_MESSAGES.INVALID_VALUE
+    if (!firstError) firstError = VALIDATION_MESSAGES.INVALID_VALUE
+  }
+
+  if (data.months !== undefined && (
+    !Array.isArray(data.months) || data.months.length === 0 ||
+    data.months.some(month => !Number.isInteger(month) || month < 1 || month > 12)
+  )) {
+    errors.months = VALIDATION_MESSAGES.INVALID_MONTHS
+    if (!firstError) firstError = VALIDATION_MESSAGES.INVALID_MONTHS
+  }
+
+  if (data.dueDay !== undefined && !isValidDueDay(data.dueDay)) {
+    errors.dueDay = VALIDATION_MESSAGES.INVALID_DUE_DAY
+    if (!firstError) firstError = VALIDATION_MESSAGES.INVALID_DUE_DAY
+  }
+
+  if (data.frequency === EXPENSE_FREQUENCIES.EVERY_N_MONTHS && data.intervalMonths !== undefined &&
+      !isValidIntervalMonths(data.intervalMonths)) {
+    errors.intervalMonths = VALIDATION_MESSAGES.INVALID_INTERVAL_MONTHS
+    if (!firstError) firstError = VALIDATION_MESSAGES.INVALID_INTERVAL_MONTHS
+  }
+
   return {
     isValid: Object.keys(errors).length === 0,
     errors,
@@ -237,6 +413,11 @@ export const validatePersonForm = (data) => {
     if (!firstError) firstError = salaryValidation.error
   }
 
+  if (data.contributionProfile === CONTRIBUTION_PROFILES.CUSTOM && !isValidContributionRate(data.customContributionRate)) {
+    errors.customContributionRate = VALIDATION_MESSAGES.INVALID_CONTRIBUTION_RATE
+    if (!firstError) firstError = VALIDATION_MESSAGES.INVALID_CONTRIBUTION_RATE
+  }
+
   if (!isRequired(data.color)) {
     errors.color = VALIDATION_MESSAGES.REQUIRED_FIELD
     if (!firstError) firstError = VALIDATION_MESSAGES.REQUIRED_FIELD
@@ -247,4 +428,652 @@ export const validatePersonForm = (data) => {
     errors,
     firstError
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Valide une personne provenant d'un fichier importé
+ * Contrairement au formulaire, un nom vide ou un salaire nul sont acceptés (personne en cours de saisie)
+ * @param {object} person - Personne importée
+ * @returns {object} Objet avec isValid, errors et firstError
+ *
+ * @example
+ * // Entrée
+ * validateImportedPerson({ id: 'person-a', name: 'Alice', salary: -10 })
+ *
+ * // Sortie
+ * { isValid: false, errors: { salary: 'Le montant doit être positif' }, firstError: 'Le montant doit être positif' }
+ */
+export const validateImportedPerson = (person) => {
+  const errors = {}
+  let firstError = null
+
+  if (!isRequired(person?.id)) {
+    errors.id = VALIDATION_MESSAGES.REQUIRED_FIELD
+    if (!firstError) firstError = VALIDATION_MESSAGES.REQUIRED_FIELD
+  }
+
+  if (person?.name !== undefined && typeof person.name !== 'string') {
+    errors.name = VALIDATION_MESSAGES.INVALID_VALUE
+    if (!firstError) firstError = VALIDATION_MESSAGES.INVALID_VALUE
+  }
+
+  if (person?.salary !== undefined && (typeof person.salary !== 'number' || isNaN(person.salary))) {
+    errors.salary = VALIDATION_MESSAGES.INVALID_NUMBER
+    if (!firstError) firstError = VALIDATION_MESSAGES.INVALID_NUMBER
+  } else if (person?.salary < 0) {
+    errors.salary = VALIDATION_MESSAGES.POSITIVE_NUMBER
+    if (!firstError) firstError = VALIDATION_MESSAGES.POSITIVE_NUMBER
+  }
+
+  if (person?.salaryType !== undefined && !Object.values(SALARY_TYPES).includes(person.salaryType)) {
+    errors.salaryType = VALIDATION_MESSAGES.INVALID_VALUE
+    if (!firstError) firstError = VALIDATION_MESSAGES.INVALID_VALUE
+  }
+
+  if (person?.contributionProfile !== undefined && !Object.values(CONTRIBUTION_PROFILES).includes(person.contributionProfile)) {
+    errors.contributionProfile = VALIDATION_MESSAGES.INVALID_VALUE
+    if (!firstError) firstError = VALIDATION_MESSAGES.INVALID_VALUE
+  }
+
+  if (person?.customContributionRate !== undefined &&
+    (typeof person.customContributionRate !== 'number' || !isValidContributionRate(person.customContributionRate))) {
+    errors.customContributionRate = VALIDATION_MESSAGES.INVALID_CONTRIBUTION_RATE
+    if (!firstError) firstError = VALIDATION_MESSAGES.INVALID_CONTRIBUTION_RATE
+  }
+
+  if (person?.paymentSchedule !== undefined && !Object.values(PAYMENT_SCHEDULES).includes(person.paymentSchedule)) {
+    errors.paymentSchedule = VALIDATION_MESSAGES.INVALID_VALUE
+    if (!firstError) firstError = VALIDATION_MESSAGES.INVALID_VALUE
+  }
+
+  if (person?.customInstalments !== undefined && !isValidInstalments(person.customInstalments)) {
+    errors.customInstalments = VALIDATION_MESSAGES.INVALID_PAYMENT_SCHEDULE
+    if (!firstError) firstError = VALIDATION_MESSAGES.INVALID_PAYMENT_SCHEDULE
+  }
+
+  if (person?.salaryDay !== undefined && !isValidDueDay(person.salaryDay)) {
+    errors.salaryDay = VALIDATION_MESSAGES.INVALID_DUE_DAY
+    if (!firstError) firstError = VALIDATION_MESSAGES.INVALID_DUE_DAY
+  }
+
+  if (person?.incomeSources !== undefined) {
+    const sourceError = Array.isArray(person.incomeSources)
+      ? person.incomeSources
+        .map(source => isRequired(source?.id)
+          ? validateIncomeSource(source).firstError
+          : VALIDATION_MESSAGES.REQUIRED_FIELD)
+        .find(Boolean)
+      : VALIDATION_MESSAGES.INVALID_VALUE
+    if (sourceError) {
+      errors.incomeSources = sourceError
+      if (!firstError) firstError = sourceError
+    }
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+    firstError
+  }
+}
+
+/**
+ * Valide une dépense provenant d'un fichier importé
+ * Applique les règles du formulaire de dépense puis contrôle les champs techniques
+ * @param {object} expense - Dépense importée
+ * @returns {object} Objet avec isValid, errors et firstError
+ *
+ * @example
+ * // Entrée
+ * validateImportedExpense({ id: 'e1', name: 'Loyer', amount: 900, frequency: 'monthly', category: 'housing', assignedTo: 'commun', months: [13] })
+ *
+ * // Sortie
+ * { isValid: false, errors: { months: 'Les mois doivent être compris entre 1 et 12' }, firstError: 'Les mois doivent être compris entre 1 et 12' }
+ */
+export const validateImportedExpense = (expense) => {
+  if (!expense || typeof expense !== 'object') {
+    return {
+      isValid: false,
+      errors: { expense: VALIDATION_MESSAGES.INVALID_VALUE },
+      firstError: VALIDATION_MESSAGES.INVALID_VALUE
+    }
+  }
+
+  // Les dépenses sans mode explicite sont en fourchette si elles ont des bornes
+  const amountMode = expense.amountMode ||
+    (expense.minAmount !== undefined && expense.maxAmount !== undefined ? AMOUNT_MODES.RANGE : AMOUNT_MODES.FIXED)
+
+  const formValidation = validateExpenseForm({ ...expense, amountMode })
+  const errors = { ...formValidation.errors }
+  let firstError = formValidation.firstError
+
+  if (!isRequired(expense.id)) {
+    errors.id = VALIDATION_MESSAGES.REQUIRED_FIELD
+    if (!firstError) firstError = VALIDATION_MESSAGES.REQUIRED_FIELD
+  }
+
+  // Un mode inconnu ne serait contrôlé par aucune règle du formulaire
+  if (!Object.values(AMOUNT_MODES).includes(amountMode)) {
+    errors.amountMode = VALIDATION_MESSAGES.INVALID_VALUE
+    if (!firstError) firstError = VALIDATION_MESSAGES.INVALID_VALUE
+  }
+
+  if (isRequired(expense.category) && !Object.values(COMMON_EXPENSE_CATEGORIES).includes(expense.category)) {
+    errors.category = VALIDATION_MESSAGES.INVALID_VALUE
+    if (!firstError) firstError = VALIDATION_MESSAGES.INVALID_VALUE
+  }
+
+  if (isRequired(expense.frequency) && !Object.values(EXPENSE_FREQUENCIES).includes(expense.frequency)) {
+    errors.frequency = VALIDATION_MESSAGES.INVALID_VALUE
+    if (!firstError) firstError = VALIDATION_MESSAGES.INVALID_VALUE
+  }
+
+  if (expense.months !== undefined && (
+    !Array.isArray(expense.months) ||
+    expense.months.some(month => !Number.isInteger(month) || month < 1 || month > 12)
+  )) {
+    errors.months = VALIDATION_MESSAGES.INVALID_MONTHS
+    if (!firstError) firstError = VALIDATION_MESSAGES.INVALID_MONTHS
+  }
+
+  if (expense.currency !== undefined && !Object.values(CURRENCIES).includes(expense.currency)) {
+    errors.currency = VALIDATION_MESSAGES.INVALID_VALUE
+    if (!firstError) firstError = VALIDATION_MESSAGES.INVALID_VALUE
+  }
+
+  const monthKeyPattern = /^\d{4}-(0[1-9]|1[0-2])$/
+  for (const field of ['startMonth', 'endMonth']) {
+    if (expense[field] && !monthKeyPattern.test(expense[field])) {
+      errors[field] = VALIDATION_MESSAGES.INVALID_VALUE
+      if (!firstError) firstError = VALIDATION_MESSAGES.INVALID_VALUE
+    }
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+    firstError
+  }
+}
+
+/**
+ * Valide un règlement entre personnes provenant d'un fichier importé
+ * @param {object} settlement - Règlement importé
+ * @returns {object} Objet avec isValid, errors et firstError
+ *
+ * @example
+ * // Entrée
+ * validateImportedSettlement({ id: 's1', period: '2026-10', from: 'person-b', to: 'person-b', amount: 120 })
+ *
+ * // Sortie
+ * { isValid: false, errors: { to: 'Le débiteur et le créancier doivent être différents' }, firstError: 'Le débiteur et le créancier doivent être différents' }
+ */
+export const validateImportedSettlement = (settlement) => {
+  const errors = {}
+  let firstError = null
+
+  for (const field of ['id', 'from', 'to']) {
+    if (!isRequired(settlement?.[field])) {
+      errors[field] = VALIDATION_MESSAGES.REQUIRED_FIELD
+      if (!firstError) firstError = VALIDATION_MESSAGES.REQUIRED_FIELD
+    }
+  }
+
+  if (!errors.from && !errors.to && settlement.from === settlement.to) {
+    errors.to = VALIDATION_MESSAGES.SAME_PERSON_SETTLEMENT
+    if (!firstError) firstError = VALIDATION_MESSAGES.SAME_PERSON_SETTLEMENT
+  }
+
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(settlement?.period || '')) {
+    errors.period = VALIDATION_MESSAGES.INVALID_VALUE
+    if (!firstError) firstError = VALIDATION_MESSAGES.INVALID_VALUE
+  }
+
+  if (typeof settlement?.amount !== 'number' || !isPositiveNumber(settlement.amount)) {
+    errors.amount = VALIDATION_MESSAGES.POSITIVE_NUMBER
+    if (!firstError) firstError = VALIDATION_MESSAGES.POSITIVE_NUMBER
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+    firstError
+  }
+}
+
+/**
+ * Valide un taux de change saisi par le ménage
+ * @param {object} data - Taux { currency, rate, effectiveDate }
+ * @param {string} baseCurrency - Devise du ménage
+ * @returns {object} Objet avec isValid, errors et firstError
+ *
+ * @example
+ * // Entrée
+ * validateExchangeRate({ currency: 'USD', rate: 0, effectiveDate: '2026-10-01' }, 'EUR')
+ *
+ * // Sortie
+ * { isValid: false, errors: { rate: 'Le montant doit être positif' }, firstError: 'Le montant doit être positif' }
+ */
+export const validateExchangeRate = (data, baseCurrency) => {
+  const errors = {}
+  let firstError = null
+
+  if (!isRequired(data.currency)) {
+    errors.currency = VALIDATION_MESSAGES.REQUIRED_FIELD
+    if (!firstError) firstError = VALIDATION_MESSAGES.REQUIRED_FIELD
+  } else if (data.currency === baseCurrency) {
+    errors.currency = VALIDATION_MESSAGES.BASE_CURRENCY_RATE
+    if (!firstError) firstError = VALIDATION_MESSAGES.BASE_CURRENCY_RATE
+  }
+
+  if (!isPositiveNumber(data.rate)) {
+    errors.rate = VALIDATION_MESSAGES.POSITIVE_NUMBER
+    if (!firstError) firstError = VALIDATION_MESSAGES.POSITIVE_NUMBER
+  }
+
+  if (!isValidDateKey(data.effectiveDate)) {
+    errors.effectiveDate = VALIDATION_MESSAGES.INVALID_DATE
+    if (!firstError) firstError = VALIDATION_MESSAGES.INVALID_DATE
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+    firstError
+  }
+}
+
+/**
+ * Valide les données du formulaire d'objectif d'épargne
+ * @param {object} data - Objectif { name, targetAmount, targetMonth, savedAmount, monthlyContribution, startMonth }
+ * @returns {object} Objet avec isValid, errors et firstError
+ *
+ * @example
+ * // Entrée
+ * validateSavingsGoalForm({ name: 'Apport maison', targetAmount: 30000, targetMonth: '2028-06', savedAmount: 5000, startMonth: '2026-10' })
+ *
+ * // Sortie
+ * { isValid: true, errors: {}, firstError: null }
+ */
+export const validateSavingsGoalForm = (data) => {
+  const errors = {}
+  let firstError = null
+
+  const nameValidation = validateExpenseName(data.name)
+  if (!nameValidation.isValid) {
+    errors.name = nameValidation.error
+    if (!firstError) firstError = nameValidation.error
+  }
+
+  const targetAmountValidation = validateAmount(data.targetAmount)
+  if (!targetAmountValidation.isValid) {
+    errors.targetAmount = targetAmountValidation.error
+    if (!firstError) firstError = targetAmountValidation.error
+  }
+
+  // Montants optionnels : déjà épargné et versement mensuel prévu
+  for (const field of ['savedAmount', 'monthlyContribution']) {
+    if (isRequired(data[field]) && (isNaN(Number(data[field])) || Number(data[field]) < 0)) {
+      errors[field] = VALIDATION_MESSAGES.NEGATIVE_AMOUNT
+      if (!firstError) firstError = VALIDATION_MESSAGES.NEGATIVE_AMOUNT
+    }
+  }
+
+  const monthKeyPattern = /^\d{4}-(0[1-9]|1[0-2])$/
+  if (!monthKeyPattern.test(data.targetMonth || '')) {
+    errors.targetMonth = VALIDATION_MESSAGES.INVALID_DATE
+    if (!firstError) firstError = VALIDATION_MESSAGES.INVALID_DATE
+  } else if (data.startMonth && data.targetMonth < data.startMonth) {
+    errors.targetMonth = VALIDATION_MESSAGES.INVALID_TARGET_MONTH
+    if (!firstError) firstError = VALIDATION_MESSAGES.INVALID_TARGET_MONTH
+  }
+
+  // Parts optionnelles, comme pour les dépenses partagées
+  if (data.shares && (typeof data.shares !== 'object' ||
+      !Object.values(data.shares).some(weight => isPositiveNumber(weight)) ||
+      Object.values(data.shares).some(weight => isNaN(Number(weight)) || Number(weight) < 0))) {
+    errors.shares = VALIDATION_MESSAGES.INVALID_SHARES
+    if (!firstError) firstError = VALIDATION_MESSAGES.INVALID_SHARES
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+    firstError
+  }
+}
+
+/**
+ * Valide un objectif d'épargne provenant d'un fichier importé
+ * @param {object} goal - Objectif importé
+ * @returns {object} Objet avec isValid, errors et firstError
+ *
+ * @example
+ * // Entrée
+ * validateImportedSavingsGoal({ id: 'g1', name: 'Voyage', targetAmount: 3000, targetMonth: '2027-13', assignedTo: 'commun' })
+ *
+ * // Sortie
+ * { isValid: false, errors: { targetMonth: 'Veuillez entrer une date valide' }, firstError: 'Veuillez entrer une date valide' }
+ */
+export const validateImportedSavingsGoal = (goal) => {
+  if (!goal || typeof goal !== 'object') {
+    return {
+      isValid: false,
+      errors: { savingsGoal: VALIDATION_MESSAGES.INVALID_VALUE },
+      firstError: VALIDATION_MESSAGES.INVALID_VALUE
+    }
+  }
+
+  const formValidation = validateSavingsGoalForm(goal)
+  const errors = { ...formValidation.errors }
+  let firstError = formValidation.firstError
+
+  for (const field of ['id', 'assignedTo']) {
+    if (!isRequired(goal[field])) {
+      errors[field] = VALIDATION_MESSAGES.REQUIRED_FIELD
+      if (!firstError) firstError = VALIDATION_MESSAGES.REQUIRED_FIELD
+    }
+  }
+
+  if (goal.startMonth && !/^\d{4}-(0[1-9]|1[0-2])$/.test(goal.startMonth)) {
+    errors.startMonth = VALIDATION_MESSAGES.INVALID_VALUE
+    if (!firstError) firstError = VALIDATION_MESSAGES.INVALID_VALUE
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+    firstError
+  }
+}
+
+/**
+ * Valide une enveloppe de dépenses par catégorie
+ * Une seule enveloppe par catégorie, période et personne (ou ménage)
+ * @param {object} data - Enveloppe { category, period, amount, personId }
+ * @param {Array} [existingEnvelopes] - Enveloppes déjà définies
+ * @returns {object} Objet avec isValid, errors et firstError
+ *
+ * @example
+ * // Entrée
+ * validateCategoryEnvelope({ category: 'food', period: 'monthly', amount: 600 }, [])
+ *
+ * // Sortie
+ * { isValid: true, errors: {}, firstError: null }
+ */
+export const validateCategoryEnvelope = (data, existingEnvelopes = []) => {
+  const errors = {}
+  let firstError = null
+
+  if (!Object.values(COMMON_EXPENSE_CATEGORIES).includes(data.category)) {
+    errors.category = VALIDATION_MESSAGES.REQUIRED_FIELD
+    if (!firstError) firstError = VALIDATION_MESSAGES.REQUIRED_FIELD
+  }
+
+  if (!Object.values(ENVELOPE_PERIODS).includes(data.period)) {
+    errors.period = VALIDATION_MESSAGES.INVALID_VALUE
+    if (!firstError) firstError = VALIDATION_MESSAGES.INVALID_VALUE
+  }
+
+  const amountValidation = validateAmount(data.amount)
+  if (!amountValidation.isValid) {
+    errors.amount = amountValidation.error
+    if (!firstError) firstError = amountValidation.error
+  }
+
+  const isDuplicate = existingEnvelopes.some(envelope =>
+    envelope.id !== data.id &&
+    envelope.category === data.category &&
+    envelope.period === data.period &&
+    (envelope.personId || null) === (data.personId || null)
+  )
+  if (isDuplicate) {
+    errors.category = VALIDATION_MESSAGES.DUPLICATE_ENVELOPE
+    if (!firstError) firstError = VALIDATION_MESSAGES.DUPLICATE_ENVELOPE
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+    firstError
+  }
+}
+
+/**
+ * Valide une dépense réelle saisie dans le journal
+ * Une dépense réelle est rattachée à une dépense prévue ou, à défaut, à une catégorie
+ * @param {object} data - Dépense réelle { date, label, amount, category, expenseId }
+ * @returns {object} Objet avec isValid, errors et firstError
+ *
+ * @example
+ * // Entrée
+ * validateTransactionForm({ date: '2026-10-03', label: 'Carrefour', amount: 84.5, category: 'food' })
+ *
+ * // Sortie
+ * { isValid: true, errors: {}, firstError: null }
+ */
+export const validateTransactionForm = (data) => {
+  const errors = {}
+  let firstError = null
+
+  if (!isValidDateKey(data.date)) {
+    errors.date = VALIDATION_MESSAGES.INVALID_DATE
+    if (!firstError) firstError = VALIDATION_MESSAGES.INVALID_DATE
+  }
+
+  const labelValidation = validateExpenseName(data.label)
+  if (!labelValidation.isValid) {
+    errors.label = labelValidation.error
+    if (!firstError) firstError = labelValidation.error
+  }
+
+  const amountValidation = validateAmount(data.amount)
+  if (!amountValidation.isValid) {
+    errors.amount = amountValidation.error
+    if (!firstError) firstError = amountValidation.error
+  }
+
+  if (!isRequired(data.expenseId) && !isRequired(data.category)) {
+    errors.category = VALIDATION_MESSAGES.REQUIRED_FIELD
+    if (!firstError) firstError = VALIDATION_MESSAGES.REQUIRED_FIELD
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+    firstError
+  }
+}
+
+/**
+ * Valide une dépense réelle provenant d'un fichier importé
+ * @param {object} transaction - Dépense réelle importée
+ * @returns {object} Objet avec isValid, errors et firstError
+ *
+ * @example
+ * // Entrée
+ * validateImportedTransaction({ id: 't1', date: '2026-10-03', label: 'Carrefour', amount: -84.5, category: 'food' })
+ *
+ * // Sortie
+ * { isValid: false, errors: { amount: 'Le montant doit être positif' }, firstError: 'Le montant doit être positif' }
+ */
+export const validateImportedTransaction = (transaction) => {
+  if (!transaction || typeof transaction !== 'object') {
+    return {
+      isValid: false,
+      errors: { transaction: VALIDATION_MESSAGES.INVALID_VALUE },
+      firstError: VALIDATION_MESSAGES.INVALID_VALUE
+    }
+  }
+
+  const formValidation = validateTransactionForm(transaction)
+  const errors = { ...formValidation.errors }
+  let firstError = formValidation.firstError
+
+  if (!isRequired(transaction.id)) {
+    errors.id = VALIDATION_MESSAGES.REQUIRED_FIELD
+    if (!firstError) firstError = VALIDATION_MESSAGES.REQUIRED_FIELD
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+    firstError
+  }
+}
+
+/**
+ * Valide le nom d'un scénario « et si »
+ * @param {object} data - Scénario { id, name }
+ * @param {Array} [scenarios] - Scénarios existants (le nom doit être unique)
+ * @returns {object} Objet avec isValid, errors et firstError
+ *
+ * @example
+ * // Entrée
+ * validateScenarioForm({ name: 'Temps partiel' }, [{ id: 's1', name: 'Temps partiel' }])
+ *
+ * // Sortie
+ * { isValid: false, errors: { name: 'Un scénario porte déjà ce nom' }, firstError: 'Un scénario porte déjà ce nom' }
+ */
+export const validateScenarioForm = (data, scenarios = []) => {
+  const errors = {}
+  let firstError = null
+
+  const nameValidation = validateExpenseName(data.name)
+  if (!nameValidation.isValid) {
+    errors.name = nameValidation.error
+    if (!firstError) firstError = nameValidation.error
+  } else {
+    const normalizedName = data.name.trim().toLowerCase()
+    const isDuplicate = scenarios.some(scenario =>
+      scenario.id !== data.id && scenario.name.trim().toLowerCase() === normalizedName
+    )
+    if (isDuplicate) {
+      errors.name = VALIDATION_MESSAGES.DUPLICATE_SCENARIO_NAME
+      if (!firstError) firstError = VALIDATION_MESSAGES.DUPLICATE_SCENARIO_NAME
+    }
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+    firstError
+  }
+}
+
+/**
+ * Valide un scénario « et si » provenant d'un fichier de budget importé
+ * Le scénario est rejeté si l'une de ses personnes ou de ses dépenses est invalide
+ * @param {object} scenario - Scénario importé
+ * @returns {object} Objet avec isValid, errors et firstError
+ *
+ * @example
+ * // Entrée
+ * validateImportedScenario({ id: 's1', name: 'Temps partiel', people: [{ id: 'a', salary: -1 }], expenses: [] })
+ *
+ * // Sortie
+ * { isValid: false, errors: { people: 'Le scénario contient des personnes ou des dépenses invalides' }, firstError: '...' }
+ */
+export const validateImportedScenario = (scenario) => {
+  if (!scenario || typeof scenario !== 'object') {
+    return {
+      isValid: false,
+      errors: { scenario: VALIDATION_MESSAGES.INVALID_VALUE },
+      firstError: VALIDATION_MESSAGES.INVALID_VALUE
+    }
+  }
+
+  const formValidation = validateScenarioForm(scenario)
+  const errors = { ...formValidation.errors }
+  let firstError = formValidation.firstError
+
+  if (!isRequired(scenario.id)) {
+    errors.id = VALIDATION_MESSAGES.REQUIRED_FIELD
+    if (!firstError) firstError = VALIDATION_MESSAGES.REQUIRED_FIELD
+  }
+
+  if (!Array.isArray(scenario.people) || !scenario.people.every(person => validateImportedPerson(person).isValid)) {
+    errors.people = VALIDATION_MESSAGES.INVALID_SCENARIO_RECORDS
+    if (!firstError) firstError = VALIDATION_MESSAGES.INVALID_SCENARIO_RECORDS
+  }
+
+  if (!Array.isArray(scenario.expenses) || !scenario.expenses.every(expense => validateImportedExpense(expense).isValid)) {
+    errors.expenses = VALIDATION_MESSAGES.INVALID_SCENARIO_RECORDS
+    if (!firstError) firstError = VALIDATION_MESSAGES.INVALID_SCENARIO_RECORDS
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+    firstError
+  }
+}
+
+/**
+ * Valide les paramètres du ménage provenant d'un fichier de budget importé
+ * Chaque paramètre est contrôlé séparément pour ne rejeter que les valeurs invalides ;
+ * les taux de change et les enveloppes sont ensuite validés un par un
+ * (validateExchangeRate, validateCategoryEnvelope)
+ * @param {object} settings - Paramètres importés
+ * @returns {object} Objet avec isValid, errors (par paramètre) et firstError
+ *
+ * @example
+ * // Entrée
+ * validateImportedSettings({ currency: 'EUR', locale: 'fr_FR' })
+ *
+ * // Sortie
+ * { isValid: false, errors: { locale: 'Valeur non reconnue' }, firstError: 'Valeur non reconnue' }
+ */
+export const validateImportedSettings = (settings) => {
+  const errors = {}
+  let firstError = null
+
+  const addError = (field, message) => {
+    errors[field] = message
+    if (!firstError) firstError = message
+  }
+
+  if (settings.currency !== undefined && !CURRENCY_LABELS[settings.currency]) {
+    addError('currency', VALIDATION_MESSAGES.INVALID_VALUE)
+  }
+
+  if (settings.locale !== undefined && !LOCALE_LABELS[settings.locale]) {
+    addError('locale', VALIDATION_MESSAGES.INVALID_VALUE)
+  }
+
+  if (settings.splitPolicy !== undefined && !Object.values(SPLIT_POLICIES).includes(settings.splitPolicy)) {
+    addError('splitPolicy', VALIDATION_MESSAGES.INVALID_VALUE)
+  }
+
+  // Pourcentages personnalisés par ID de personne, ramenés à 100 % au calcul
+  const shares = settings.customSplitShares
+  if (shares !== undefined && (!shares || typeof shares !== 'object' || Array.isArray(shares) ||
+      Object.values(shares).some(percentage => typeof percentage !== 'number' || isNaN(percentage) || percentage < 0))) {
+    addError('customSplitShares', VALIDATION_MESSAGES.INVALID_SHARES)
+  }
+
+  const incomeTax = settings.incomeTax
+  if (incomeTax !== undefined && (!incomeTax || typeof incomeTax !== 'object' ||
+      (incomeTax.enabled !== undefined && typeof incomeTax.enabled !== 'boolean') ||
+      (incomeTax.filingMode !== undefined && !Object.values(TAX_FILING_MODES).includes(incomeTax.filingMode)) ||
+      (incomeTax.jointPersonIds !== undefined && !Array.isArray(incomeTax.jointPersonIds)) ||
+      (incomeTax.childrenCount !== undefined && (!Number.isInteger(incomeTax.childrenCount) || incomeTax.childrenCount < 0)))) {
+    addError('incomeTax', VALIDATION_MESSAGES.INVALID_VALUE)
+  }
+
+  for (const field of ['exchangeRates', 'categoryEnvelopes']) {
+    if (settings[field] !== undefined && !Array.isArray(settings[field])) {
+      addError(field, VALIDATION_MESSAGES.INVALID_VALUE)
+    }
+  }
+
+  if (settings.openingBalance !== undefined && (typeof settings.openingBalance !== 'number' || isNaN(settings.openingBalance))) {
+    addError('openingBalance', VALIDATION_MESSAGES.INVALID_NUMBER)
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+    firstError
+  }
+}